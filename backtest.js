@@ -0,0 +1,162 @@
+/*
+ * Backtesting
+ * -----------
+ * Replays device settings over the archived prices (`price_archive/`,
+ * priceArchive.js) to show what they would have cost. Every archived local
+ * day is planned on its own by the shared engine, from midnight with that
+ * day's prices only (the next day's prices were not published yet at
+ * midnight), with the day's rule profile, no live readings (rule-tree
+ * sensor and device conditions are false) and nothing delivered towards an
+ * energy target yet. Prices are recomputed with the current tariff so
+ * variants compare on today's costs; the tariff's monthly fixed fees are
+ * spread over the days of each month and reported next to the costs.
+ */
+
+const { readDay, MAX_RANGE_DAYS } = require('./priceArchive');
+const { applyTariff, getTariff, dailyFixedFeesEur } = require('./utils/tariff');
+const { getTimezone } = require('./utils/timeSlots');
+const { planSchedule, normalizeSettings, scheduleViolations } = require('./shared/scheduler');
+const { effectiveSettings } = require('./shared/profiles');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT_MINUTES = 15;
+
+/*
+ * ALWAYS_ON
+ * ---------
+ * Settings of the always-on baseline: every slot ON.
+ */
+const ALWAYS_ON = { manualOverride: true, manualState: 'on' };
+
+/*
+ * dayResult(date, slots, settings, options)
+ * -----------------------------------------
+ * Replay one archived day: { date, onMinutes, energyKwh, costEur,
+ * averagePrice, cycles, violations } for `settings` over `slots` (15-min
+ * { time, spot, total, price } with the current tariff applied). Cost and
+ * average use the total price; ON slots without a price cost nothing.
+ * `previousOn` is whether the day before ended ON (a run carried over is
+ * neither a new cycle nor a short run).
+ */
+function dayResult(date, slots, settings, { timezone, holidays, previousOn }) {
+  const daySettings = effectiveSettings(settings, date, holidays);
+  const power = normalizeSettings(daySettings).ratedPowerKw;
+  const slotTimes = slots.map(slot => slot.time);
+  const prices = slots.map(slot => (typeof slot.price === 'number' ? slot.price : null));
+  const context = { nowSlot: 0, slotTimes, timezone };
+  const schedule = planSchedule([{ prices, slotCount: slots.length, settings: daySettings }], daySettings, context);
+  let onSlots = 0;
+  let pricedSlots = 0;
+  let cents = 0;
+  let cycles = 0;
+  schedule.forEach((on, i) => {
+    if (!on) return;
+    onSlots++;
+    if (!(i === 0 ? previousOn : schedule[i - 1])) cycles++;
+    if (typeof slots[i].total !== 'number') return;
+    pricedSlots++;
+    cents += slots[i].total;
+  });
+  return {
+    date,
+    onMinutes: onSlots * SLOT_MINUTES,
+    energyKwh: power > 0 ? round(onSlots * SLOT_MINUTES / 60 * power) : null,
+    // Each ON slot buys power * 15 min at its total price
+    costEur: power > 0 ? round(cents * power * SLOT_MINUTES / 60 / 100) : null,
+    averagePrice: pricedSlots ? round(cents / pricedSlots) : null,
+    cycles,
+    violations: scheduleViolations(schedule, daySettings, { ...context, previousOn }),
+    endsOn: !!schedule[schedule.length - 1]
+  };
+}
+
+/*
+ * round(value)
+ * ------------
+ * `value` rounded to two decimals.
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/*
+ * totalsOf(days, fixedFeesEur)
+ * ----------------------------
+ * Sums over the replayed days of one variant: { days, onMinutes,
+ * energyKwh, costEur, costWithFeesEur, averagePrice, cycles, violationDays }
+ * (kWh and costs null when no day had a rated power; average weighted by
+ * ON time). `costWithFeesEur` adds the fixed fees of the replayed days.
+ */
+function totalsOf(days, fixedFeesEur) {
+  const sum = key => days.reduce((total, day) => total + (day[key] || 0), 0);
+  const withPower = days.filter(day => day.costEur !== null);
+  const priced = days.filter(day => day.averagePrice !== null);
+  const pricedMinutes = priced.reduce((total, day) => total + day.onMinutes, 0);
+  return {
+    days: days.length,
+    onMinutes: sum('onMinutes'),
+    energyKwh: withPower.length ? round(sum('energyKwh')) : null,
+    costEur: withPower.length ? round(sum('costEur')) : null,
+    costWithFeesEur: withPower.length ? round(sum('costEur') + fixedFeesEur) : null,
+    averagePrice: pricedMinutes ? round(priced.reduce((total, day) => total + day.averagePrice * day.onMinutes, 0) / pricedMinutes) : null,
+    cycles: sum('cycles'),
+    violationDays: days.filter(day => day.violations.length).length
+  };
+}
+
+/*
+ * runBacktest({ zone, from, to, variants, holidays, tariff, timezone })
+ * ---------------------------------------------------------------------
+ * Replay every settings object of `variants` ({ name: settings }, each with
+ * its `ratedPowerKw`) over the archived days of `zone` from `from` to `to`
+ * (inclusive, YYYY-MM-DD), priced with `tariff` in `timezone` (default the
+ * configured ones). Returns { zone, from, to, missingDays, fixedFeesEur,
+ * variants: { name: { days: [dayResult], totals } } }; days without
+ * archived prices are skipped and listed in `missingDays`, `fixedFeesEur`
+ * is the share of the monthly fixed fees (incl. VAT) of the replayed days. Throws an Error with
+ * `status = 400` on invalid input, like queryHistory().
+ */
+function runBacktest({ zone, from, to, variants, holidays = [], tariff = getTariff(), timezone = getTimezone() }) {
+  const fail = (msg) => { const err = new Error(msg); err.status = 400; return err; };
+  if (!from || !DATE_RE.test(from)) throw fail('from must be a date (YYYY-MM-DD)');
+  if (!to || !DATE_RE.test(to)) throw fail('to must be a date (YYYY-MM-DD)');
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (isNaN(start) || isNaN(end)) throw fail('Invalid date');
+  if (end < start) throw fail('to must not be before from');
+  if ((end - start) / 86400000 + 1 > MAX_RANGE_DAYS) throw fail(`Range is limited to ${MAX_RANGE_DAYS} days`);
+
+  const names = Object.keys(variants || {});
+  const results = {};
+  names.forEach((name) => { results[name] = { days: [] }; });
+  const missingDays = [];
+  let fixedFeesEur = 0;
+  for (let t = start; t <= end; t += 86400000) {
+    const date = new Date(t).toISOString().split('T')[0];
+    const entry = readDay(zone, date);
+    if (!entry || !Array.isArray(entry.slots) || !entry.slots.length) {
+      missingDays.push(date);
+      continue;
+    }
+    const slots = applyTariff(entry.slots.map(slot => ({ ...slot })), tariff, timezone);
+    fixedFeesEur += dailyFixedFeesEur(date, tariff);
+    names.forEach((name) => {
+      const days = results[name].days;
+      const previous = days[days.length - 1];
+      // Only a replay of the day right before carries its last state over
+      const previousOn = !!previous && previous.endsOn && Date.parse(`${previous.date}T00:00:00Z`) === t - 86400000;
+      days.push(dayResult(date, slots, variants[name], { timezone, holidays, previousOn }));
+    });
+  }
+  names.forEach((name) => {
+    results[name].days.forEach((day) => { delete day.endsOn; });
+    results[name].totals = totalsOf(results[name].days, fixedFeesEur);
+  });
+  return { zone, from, to, missingDays, fixedFeesEur: round(fixedFeesEur), variants: results };
+}
+
+module.exports = {
+  ALWAYS_ON,
+  dayResult,
+  runBacktest
+};
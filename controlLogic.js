@@ -1,7 +1,7 @@
 const axios = require('axios');
 const { getServerConfig } = require('./config/manager');
 const { sendTelegramMessage } = require('./notificationManager');
-const { shouldDeviceBeOn } = require('./utils/priceAnalysis');
+const { shouldDeviceBeOn, isKnownPrice } = require('./utils/priceAnalysis');
 
 const { SERVER_IP, SERVER_PORT } = getServerConfig();
 
@@ -13,7 +13,8 @@ const { SERVER_IP, SERVER_PORT } = getServerConfig();
  * appropriate boolean `shouldBeOn` by considering manual overrides,
  * fallbackHours, min/max price thresholds and the `numCheapest` selection.
  * Finally it posts a control action to the server's /api/control endpoint.
- * - pricesInfo: { combinedData: Array<number>, currentSlotIndex: number }
+ * - pricesInfo: { combinedData: Array<number|null>, currentSlotIndex: number }
+ *   where null marks a slot without price data (0 and negatives are real)
  * - settings: per-device settings object (includes id, minPrice, maxPrice,
  *   numCheapest, timeFrame, manualOverride, manualState, fallbackHours)
  */
@@ -24,9 +25,9 @@ async function applyShellyControl(pricesInfo, settings) {
     return;
   }
 
-  const currentPrice = combinedData[currentSlotIndex] || 0;
-  if (currentPrice === 0 && !settings.manualOverride && combinedData.some(p => p > 0)) {
-    console.log('Current price is 0, skipping control (invalid data)');
+  const currentPrice = combinedData[currentSlotIndex];
+  if (!isKnownPrice(currentPrice) && !settings.manualOverride && combinedData.some(isKnownPrice)) {
+    console.log('Current price is missing, skipping control');
     return;
   }
 
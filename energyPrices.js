@@ -1,212 +1,225 @@
-const fs = require('fs');
 const { createChildLogger } = require('./utils/logger');
+const { SUPPORTED_ZONES, getActiveZones, getDefaultZone, loadPriceStore, savePriceStore, storedDay, missingSlot, isMissingSlot } = require('./utils/priceStore');
+const { fetchFromChain } = require('./lib/priceProviders');
+const { getTariff, applyTariff } = require('./utils/tariff');
+const { SLOT_MS, getTimezone, getToday, getDayInfo, addDays } = require('./utils/timeSlots');
+const { toSlotGrid } = require('./utils/priceResolution');
+const { loadRuntimeConfig } = require('./config/manager');
+const { archiveDay } = require('./priceArchive');
+const { getForecastConfig, forecastDay } = require('./priceForecast');
+const { getGapRepairConfig, isRealSlot, describeQuality, repairGaps } = require('./utils/priceQuality');
+const { priceEvents, PRICES_UPDATED, priceChanges } = require('./utils/priceEvents');
 
 const logger = createChildLogger('energyPrices');
 
 /*
- * sleep(ms)
- * ---------
- * Utility function for delays in retry logic.
+ * fetchEnergyPrices(options)
+ * --------------------------
+ * Fetch today's and tomorrow's prices for every active bidding zone (the
+ * configured `priceZone` plus any zone set on a Shelly device) through the
+ * price provider chain and save them to `prices.json` as { defaultZone,
+ * timezone, zones: { <zone>: { today, tomorrow, meta } } }. "Today" is the
+ * local calendar day in `userPreferences.timezone`, so a day has 96 slots
+ * (92/100 on DST changes) starting at local midnight. `meta.today` and
+ * `meta.tomorrow` record { date, provider, resolution, fetchedAt, complete,
+ * pricedSlots, missingSlots, repairedSlots, missingRanges } so consumers
+ * can tell which source supplied each day, at what native resolution
+ * (minutes per point, e.g. 60 for hourly data), when, and which slots it
+ * left out (see utils/priceQuality.js). Short gaps are filled according to
+ * `priceGapRepair` (default: left missing). When every provider fails, slots already stored
+ * for that date are kept (provider 'cache'); a day that was never fetched
+ * is filled from priceForecast.js (provider 'forecast', slots flagged
+ * `forecast: true`) when `priceForecast.enabled`, otherwise left missing.
+ * - options.skipComplete: do not call the providers for a day whose stored
+ *   slots are already complete for every zone (used by priceFetchScheduler.js)
+ * Emits PRICES_UPDATED (utils/priceEvents.js) when any zone/day now holds
+ * different prices than before.
+ * Returns { today, tomorrow, changes }: today/tomorrow are { date, fetched,
+ * complete } telling whether the providers were asked for that day and
+ * whether every zone now has a real price in every slot; `changes` lists
+ * the { zone, day, date, provider } entries whose prices changed.
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/*
- * retryWithBackoff(fn, maxRetries, baseDelay)
- * -------------------------------------------
- * Retry a function with exponential backoff.
- */
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-
-      if (attempt === maxRetries) {
-        logger.error('Max retries exceeded', {
-          error: error.message,
-          attempts: maxRetries + 1
-        });
-        break;
-      }
-
-      const delay = baseDelay * Math.pow(2, attempt);
-      logger.warn(`Attempt ${attempt + 1} failed, retrying in ${delay}ms`, {
-        error: error.message,
-        nextAttemptIn: delay
-      });
-
-      await sleep(delay);
-    }
-  }
-
-  throw lastError;
-}
-
-/*
- * validateApiResponse(data)
- * -------------------------
- * Validate the structure of API response data.
- */
-function validateApiResponse(data) {
-  if (!data || typeof data !== 'object') {
-    throw new Error('Invalid API response: not an object');
-  }
-
-  if (!data.data || typeof data.data !== 'object') {
-    throw new Error('Invalid API response: missing data object');
-  }
-
-  if (!data.data.fi || !Array.isArray(data.data.fi)) {
-    throw new Error('Invalid API response: missing or invalid fi array');
-  }
-
-  // Validate each data point
-  data.data.fi.forEach((point, index) => {
-    if (!point.timestamp || typeof point.timestamp !== 'number') {
-      throw new Error(`Invalid data point at index ${index}: missing or invalid timestamp`);
-    }
-    if (typeof point.price !== 'number' || point.price < 0) {
-      throw new Error(`Invalid data point at index ${index}: missing or invalid price`);
-    }
-  });
-
-  return true;
-}
-async function fetchEnergyPrices() {
+async function fetchEnergyPrices(options = {}) {
   try {
-    logger.info('Starting energy prices fetch operation');
+    const zones = getActiveZones().filter(z => SUPPORTED_ZONES.includes(z));
+    logger.info('Starting energy prices fetch operation', { zones });
 
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const cfg = loadRuntimeConfig();
+    const timezone = getTimezone(cfg);
+    const todayInfo = getToday(timezone);
+    const tomorrowInfo = getDayInfo(addDays(todayInfo.date, 1), timezone);
 
-    const formatDate = (date) => date.toISOString().split('T')[0]; // YYYY-MM-DD
+    const todayStr = todayInfo.date;
+    const tomorrowStr = tomorrowInfo.date;
 
-    const todayStr = formatDate(today);
-    const tomorrowStr = formatDate(tomorrow);
-
-    const startToday = `${todayStr}T00:00:00.000Z`;
-    const endToday = `${todayStr}T23:59:59.999Z`;
-    const startTomorrow = `${tomorrowStr}T00:00:00.000Z`;
-    const endTomorrow = `${tomorrowStr}T23:59:59.999Z`;
+    const startToday = new Date(todayInfo.start).toISOString();
+    const endToday = new Date(todayInfo.end - 1).toISOString();
+    const startTomorrow = new Date(tomorrowInfo.start).toISOString();
+    const endTomorrow = new Date(tomorrowInfo.end - 1).toISOString();
 
   /*
-   * fetchPricesForPeriod(start, end)
-   * --------------------------------
-   * Helper that calls the Elering API for the provided start/end ISO range
-   * and returns the raw data array (or an empty array on failure). This is
-   * kept internal to `fetchEnergyPrices`.
+   * processPrices15Min(rawData, dayInfo, zone)
+   * ------------------------------------------
+   * Convert raw API data points into one slot per 15 minutes of the local
+   * day described by `dayInfo` (see utils/timeSlots.js getDayInfo). The
+   * source's native resolution is detected from the point spacing: hourly
+   * or 30-min points fill every slot they cover, finer points are averaged
+   * (see utils/priceResolution.js). Slots without data are marked `missing`
+   * with null prices; zero and negative prices are kept as-is. Each filled
+   * slot carries the raw `spot` price (EUR/MWh converted to c/kWh), the
+   * `total` cost from the configured tariff (see utils/tariff.js) and
+   * `price`, the value scheduling rules compare against. Gaps are then
+   * repaired per `priceGapRepair` (repaired slots flagged `repaired`).
+   * Returns { slots, resolution } (resolution in minutes, null without data).
    */
-  const fetchPricesForPeriod = async (start, end) => {
-    try {
-      const result = await retryWithBackoff(async () => {
-        logger.debug('Fetching prices from API', { start, end });
-
-        const response = await fetch(
-          `https://dashboard.elering.ee/api/nps/price?start=${start}&end=${end}`,
-          {
-            timeout: 10000, // 10 second timeout
-            headers: {
-              'User-Agent': 'Home-Control-Center/1.0'
-            }
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-
-        // Validate response structure
-        validateApiResponse(data);
-
-        return data;
-      });
-
-      const entries = result.data.fi?.length || 0;
-      logger.info('Successfully fetched price data', {
-        start,
-        end,
-        entries,
-        sampleData: result.data.fi?.slice(0, 2)
-      });
-
-      return result.data.fi || [];
-    } catch (error) {
-      logger.error('Failed to fetch price data after retries', {
-        start,
-        end,
-        error: error.message
-      });
-      return [];
+  const tariff = getTariff(cfg);
+  const forecastConfig = getForecastConfig(cfg);
+  const gapRepair = getGapRepairConfig(cfg);
+  const fetchedAt = new Date().toISOString();
+
+  const processPrices15Min = (rawData, dayInfo, zone) => {
+    const dateStr = dayInfo.date;
+    const slotCount = dayInfo.slotCount;
+    // Initialize the day's slots as missing
+    const slots = Array.from({ length: slotCount }, (_, i) => missingSlot(new Date(dayInfo.start + i * SLOT_MS).toISOString()));
+
+    // If no data, every slot stays missing
+    if (!rawData || !Array.isArray(rawData) || rawData.length === 0) {
+      logger.warn(`No ${zone} data available for ${dateStr}, returning ${slotCount} missing slots`);
+      return { slots, resolution: null };
+    }
+
+    // Map API data onto the 15-min grid at its native resolution
+    const { values, resolution } = toSlotGrid(rawData, dayInfo);
+    values.forEach((value, i) => {
+      if (value === null) return;
+      slots[i] = { time: slots[i].time, spot: value / 10 }; // Convert EUR/MWh to c/kWh
+    });
+    const repairedSlots = repairGaps(slots, gapRepair);
+    applyTariff(slots, tariff, timezone);
+
+    const missingSlots = slots.filter(isMissingSlot).length;
+    logger.info(`Processed ${zone} price data for ${dateStr}`, {
+      resolution,
+      totalSlots: slotCount,
+      pricedSlots: slotCount - missingSlots,
+      missingSlots,
+      repairedSlots
+    });
+    if (missingSlots + repairedSlots > 0) {
+      logger.warn(`Incomplete ${zone} price data for ${dateStr}`, { missingRanges: describeQuality(slots).missingRanges, repair: gapRepair.method });
     }
+
+    return { slots, resolution };
   };
 
   /*
-   * processPrices15Min(rawData, dateStr)
+   * cachedSlots(previous, zone, dayInfo)
    * ------------------------------------
-   * Convert raw API data points into a fixed-length 96-slot array for the
-   * given date. If data is missing, slots are zero-filled. Prices are
-   * converted using the project's multiplier and tax calculation
-   * (point.price / 10 * 1.255).
+   * Return { slots, resolution, provider, fetchedAt } of the stored day
+   * (see storedDay()) when it holds at least one real price, or null.
    */
-  const processPrices15Min = (rawData, dateStr) => {
-    // Initialize 96 slots with zero prices
-    const slots = Array.from({ length: 96 }, (_, i) => {
-      const hour = Math.floor(i / 4);
-      const minute = (i % 4) * 15;
-      const time = `${dateStr}T${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00.000Z`;
-      return { time, price: 0 };
-    });
+  const cachedSlots = (previous, zone, dayInfo) => {
+    const stored = storedDay(previous, zone, dayInfo);
+    if (!stored || !stored.slots.some(s => !isMissingSlot(s) && !s.forecast)) return null;
+    const { slots, meta } = stored;
+    return { slots, resolution: meta.resolution || null, provider: meta.provider || null, fetchedAt: meta.fetchedAt || null };
+  };
 
-    // If no data, return zero-filled slots
-    if (!rawData || !Array.isArray(rawData) || rawData.length === 0) {
-      logger.warn(`No data available for ${dateStr}, returning 96 zero-filled slots`);
-      return slots;
-    }
+  let previous = null;
+  try {
+    previous = loadPriceStore();
+  } catch (e) {
+    logger.debug('No existing price cache to fall back on', { error: e.message });
+  }
 
-    // Map API data to slots
-    rawData.forEach((point) => {
-      const timestamp = new Date(point.timestamp * 1000);
-      const hour = timestamp.getUTCHours();
-      const minute = timestamp.getUTCMinutes();
-      const slotIndex = hour * 4 + Math.floor(minute / 15); // Calculate slot index (0-95)
-      
-      if (slotIndex >= 0 && slotIndex < 96) {
-        slots[slotIndex].price = point.price / 10 * 1.255; // Convert to c/kWh and add tax
-      }
-    });
+  /*
+   * completeSlots(zone, dayInfo)
+   * ----------------------------
+   * Cached slots of a day that needs no further fetching: every slot holds
+   * a published price (not forecast or repaired). Returns null otherwise.
+   */
+  const completeSlots = (zone, dayInfo) => {
+    const cached = cachedSlots(previous, zone, dayInfo);
+    return cached && cached.slots.every(isRealSlot) ? cached : null;
+  };
+  const dayComplete = dayInfo => zones.every(zone => completeSlots(zone, dayInfo));
 
-    const nonZeroSlots = slots.filter(s => s.price !== 0).length;
-    logger.info(`Processed price data for ${dateStr}`, {
-      totalSlots: 96,
-      nonZeroSlots,
-      zeroSlots: 96 - nonZeroSlots
-    });
+  // A null result means "not fetched": buildDay() keeps the complete cached day
+  const skipToday = !!options.skipComplete && dayComplete(todayInfo);
+  const skipTomorrow = !!options.skipComplete && dayComplete(tomorrowInfo);
+  const todayRes = skipToday ? null : await fetchFromChain(startToday, endToday, zones);
+  const tomorrowRes = skipTomorrow ? null : await fetchFromChain(startTomorrow, endTomorrow, zones);
 
-    return slots;
+  /*
+   * buildDay(res, zone, dayInfo)
+   * ----------------------------
+   * Produce { slots, provider, resolution, fetchedAt } for one zone/day from a chain
+   * result, falling back to cached slots and then to a forecast when no
+   * provider had data. Without a result (day skipped as complete) the
+   * cached slots are kept with the provider that supplied them.
+   */
+  const buildDay = (res, zone, dayInfo) => {
+    if (!res) {
+      const complete = completeSlots(zone, dayInfo);
+      return { slots: applyTariff(complete.slots, tariff, timezone), provider: complete.provider, resolution: complete.resolution, fetchedAt: complete.fetchedAt };
+    }
+    if (res.providers[zone]) {
+      return { ...processPrices15Min(res.data[zone], dayInfo, zone), provider: res.providers[zone], fetchedAt };
+    }
+    const cached = cachedSlots(previous, zone, dayInfo);
+    if (cached) {
+      logger.warn(`Using cached ${zone} prices for ${dayInfo.date}; all providers failed`);
+      return { slots: applyTariff(cached.slots, tariff, timezone), provider: 'cache', resolution: cached.resolution, fetchedAt: cached.fetchedAt };
+    }
+    const forecast = forecastConfig.enabled ? forecastDay(zone, dayInfo, { timezone, tariff, config: forecastConfig }) : null;
+    if (forecast) return { slots: forecast, provider: 'forecast', resolution: null, fetchedAt };
+    return { ...processPrices15Min(null, dayInfo, zone), provider: null, fetchedAt: null };
   };
 
-  const todayRaw = await fetchPricesForPeriod(startToday, endToday);
-  const tomorrowRaw = await fetchPricesForPeriod(startTomorrow, endTomorrow);
+  const store = { defaultZone: getDefaultZone(), timezone, zones: {} };
+  zones.forEach(zone => {
+    const todayDay = buildDay(todayRes, zone, todayInfo);
+    const tomorrowDay = buildDay(tomorrowRes, zone, tomorrowInfo);
+    store.zones[zone] = {
+      today: todayDay.slots,
+      tomorrow: tomorrowDay.slots,
+      meta: {
+        today: { date: todayStr, provider: todayDay.provider, resolution: todayDay.resolution, fetchedAt: todayDay.fetchedAt, ...describeQuality(todayDay.slots) },
+        tomorrow: { date: tomorrowStr, provider: tomorrowDay.provider, resolution: tomorrowDay.resolution, fetchedAt: tomorrowDay.fetchedAt, ...describeQuality(tomorrowDay.slots) }
+      }
+    };
+  });
 
-  const todayPrices = processPrices15Min(todayRaw, todayStr);
-  const tomorrowPrices = processPrices15Min(tomorrowRaw, tomorrowStr);
+  savePriceStore(store);
 
-  fs.writeFileSync('./prices.json', JSON.stringify({ today: todayPrices, tomorrow: tomorrowPrices }, null, 2));
+  // Keep every fetched day in the persistent archive (prices.json only holds today/tomorrow)
+  zones.forEach(zone => {
+    const { today, tomorrow, meta } = store.zones[zone];
+    if (!skipToday) archiveDay(zone, todayStr, today, meta.today.provider, meta.today.resolution);
+    if (!skipTomorrow) archiveDay(zone, tomorrowStr, tomorrow, meta.tomorrow.provider, meta.tomorrow.resolution);
+  });
   logger.info('Energy prices successfully updated and saved', {
     todayDate: todayStr,
     tomorrowDate: tomorrowStr,
-    todaySlots: todayPrices.length,
-    tomorrowSlots: tomorrowPrices.length,
-    filePath: './prices.json'
+    zones,
+    filePath: './prices.json',
+    skipped: [skipToday && todayStr, skipTomorrow && tomorrowStr].filter(Boolean)
   });
+
+  // Compare with what was stored before so listeners only hear about real changes
+  const changes = priceChanges(previous, store, { today: todayInfo, tomorrow: tomorrowInfo });
+  if (changes.length) {
+    logger.info('Prices changed', { changes: changes.map(c => `${c.zone}/${c.date}`) });
+    priceEvents.emit(PRICES_UPDATED, { changes, timezone });
+  }
+
+  const isComplete = key => zones.every(zone => store.zones[zone].meta[key].complete);
+  return {
+    today: { date: todayStr, fetched: !skipToday, complete: isComplete('today') },
+    tomorrow: { date: tomorrowStr, fetched: !skipTomorrow, complete: isComplete('tomorrow') },
+    changes
+  };
   } catch (error) {
     logger.error('Energy prices fetch operation failed', {
       error: error.message,
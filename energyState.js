@@ -0,0 +1,76 @@
+const path = require('path');
+const { createStateFile } = require('./utils/stateFile');
+
+/*
+ * STATE_PATH
+ * ----------
+ * File path where the progress of energy-target devices is persisted so a
+ * server restart does not make a device run its full target again. The
+ * structure maps deviceId -> { deadline, deliveredMinutes, countedUntil,
+ * on, notified } where `deadline` (ISO) identifies the current target
+ * window, `countedUntil` (epoch ms) and `on` are the time and logical
+ * relay state of the last sample and `notified` the deadline of the last
+ * shortfall alert.
+ */
+const STATE_PATH = path.join(__dirname, 'energy_state.json');
+
+// Samples further apart than this (server down) leave the gap uncounted
+const MAX_SAMPLE_GAP_MS = 5 * 60000;
+
+const { load: loadState, save: saveState } = createStateFile(STATE_PATH, 'energy state');
+
+/*
+ * recordDelivered(id, deadline, on, now)
+ * --------------------------------------
+ * Sample the logical relay state `on` of device `id` at `now` (epoch ms)
+ * for the target window ending at `deadline` (ISO): the time since the
+ * previous sample counts as delivered when the device was on then. A new
+ * deadline starts a new window at 0. Returns the delivered minutes.
+ */
+function recordDelivered(id, deadline, on, now) {
+  const state = loadState();
+  const previous = state[id];
+  let entry;
+  if (!previous || previous.deadline !== deadline) {
+    entry = { deadline, deliveredMinutes: 0, countedUntil: now, on, notified: previous ? previous.notified || null : null };
+  } else {
+    entry = { ...previous, countedUntil: Math.max(previous.countedUntil, now), on };
+    const elapsed = now - previous.countedUntil;
+    if (previous.on && elapsed > 0 && elapsed <= MAX_SAMPLE_GAP_MS) entry.deliveredMinutes += elapsed / 60000;
+  }
+  state[id] = entry;
+  saveState(state);
+  return entry.deliveredMinutes;
+}
+
+/*
+ * getDelivered(id, deadline)
+ * --------------------------
+ * Minutes device `id` has run in the target window ending at `deadline`
+ * (ISO) as of the last sample; 0 for a window not sampled yet.
+ */
+function getDelivered(id, deadline) {
+  const entry = loadState()[id];
+  return entry && entry.deadline === deadline ? entry.deliveredMinutes : 0;
+}
+
+/*
+ * shouldNotifyShortfall(id, deadline)
+ * -----------------------------------
+ * True once per target window: marks `deadline` (ISO) as alerted for
+ * device `id` and returns whether it had not been before.
+ */
+function shouldNotifyShortfall(id, deadline) {
+  const state = loadState();
+  const entry = state[id] || {};
+  if (entry.notified === deadline) return false;
+  state[id] = { ...entry, notified: deadline };
+  saveState(state);
+  return true;
+}
+
+module.exports = {
+  recordDelivered,
+  getDelivered,
+  shouldNotifyShortfall
+};
@@ -0,0 +1,99 @@
+/*
+ * Elering price provider
+ * ----------------------
+ * Adapter for the Elering Nord Pool day-ahead API. One request returns
+ * every Baltic/Finnish zone, keyed by lower-case zone code.
+ */
+
+const { createChildLogger } = require('../../utils/logger');
+
+const logger = createChildLogger('priceProviders.elering');
+
+/*
+ * validateApiResponse(data, zones)
+ * --------------------------------
+ * Validate the structure of API response data for the requested bidding
+ * zones (e.g. ['fi', 'ee']) and return the zones with valid data. A zone
+ * that is missing or malformed is logged and left out, so the provider
+ * chain falls back for that zone only; throws when no zone is usable.
+ */
+function validateApiResponse(data, zones) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid API response: not an object');
+  }
+
+  if (!data.data || typeof data.data !== 'object') {
+    throw new Error('Invalid API response: missing data object');
+  }
+
+  const valid = zones.filter((zone) => {
+    try {
+      validateZone(data.data[zone], zone);
+      return true;
+    } catch (error) {
+      logger.warn('Skipping zone with invalid Elering data', { zone, error: error.message });
+      return false;
+    }
+  });
+  if (!valid.length) {
+    throw new Error(`Invalid API response: no valid data for ${zones.join(', ')}`);
+  }
+
+  return valid;
+}
+
+/*
+ * validateZone(points, zone)
+ * --------------------------
+ * Throw when one zone's points are not an array of { timestamp, price }.
+ */
+function validateZone(points, zone) {
+  if (!points || !Array.isArray(points)) {
+    throw new Error(`Invalid API response: missing or invalid ${zone} array`);
+  }
+
+  // Validate each data point
+  points.forEach((point, index) => {
+    if (!point.timestamp || typeof point.timestamp !== 'number') {
+      throw new Error(`Invalid ${zone} data point at index ${index}: missing or invalid timestamp`);
+    }
+    // Zero and negative prices are real market outcomes, only non-numbers are rejected
+    if (typeof point.price !== 'number' || !Number.isFinite(point.price)) {
+      throw new Error(`Invalid ${zone} data point at index ${index}: missing or invalid price`);
+    }
+  });
+}
+
+/*
+ * fetchPrices(start, end, zones, options)
+ * ---------------------------------------
+ * Call the Elering API for the provided start/end ISO range and return
+ * { <zone>: [{ timestamp, price }] } with timestamps in epoch seconds and
+ * prices in EUR/MWh for the zones with valid data. Throws on HTTP errors or
+ * when no zone is valid so the provider chain can retry or fall through to
+ * the next provider.
+ */
+async function fetchPrices(start, end, zones, options = {}) {
+  const baseUrl = options.url || 'https://dashboard.elering.ee/api/nps/price';
+  logger.debug('Fetching prices from Elering', { start, end, zones });
+
+  const response = await fetch(`${baseUrl}?start=${start}&end=${end}`, {
+    timeout: 10000, // 10 second timeout
+    headers: {
+      'User-Agent': 'Home-Control-Center/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  // Validate response structure; invalid zones are left to the next provider
+  const result = {};
+  validateApiResponse(data, zones).forEach(zone => { result[zone] = data.data[zone]; });
+  return result;
+}
+
+module.exports = { id: 'elering', fetchPrices, validateApiResponse };
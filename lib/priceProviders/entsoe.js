@@ -0,0 +1,174 @@
+/*
+ * ENTSO-E price provider
+ * ----------------------
+ * Adapter for the ENTSO-E Transparency Platform day-ahead prices document
+ * (documentType A44). The API answers with a Publication_MarketDocument XML
+ * per bidding zone; it is parsed here without an XML dependency because the
+ * document layout is small and fixed.
+ */
+
+const { createChildLogger } = require('../../utils/logger');
+
+const logger = createChildLogger('priceProviders.entsoe');
+
+/*
+ * ZONE_EIC
+ * --------
+ * EIC area codes for the supported bidding zones.
+ */
+const ZONE_EIC = {
+  fi: '10YFI-1--------U',
+  ee: '10Y1001A1001A39I',
+  lv: '10YLV-1001A00074',
+  lt: '10YLT-1001A0008Q'
+};
+
+/*
+ * formatPeriod(iso)
+ * -----------------
+ * Convert an ISO timestamp into the yyyyMMddHHmm (UTC) format ENTSO-E
+ * expects for periodStart/periodEnd.
+ */
+function formatPeriod(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}`;
+}
+
+/*
+ * tagValue(xml, tag)
+ * ------------------
+ * Return the text content of the first <tag> element in `xml` (ignoring
+ * namespace prefixes), or null when absent.
+ */
+function tagValue(xml, tag) {
+  const m = xml.match(new RegExp(`<(?:\\w+:)?${tag.replace('.', '\\.')}>([^<]*)</(?:\\w+:)?${tag.replace('.', '\\.')}>`));
+  return m ? m[1].trim() : null;
+}
+
+/*
+ * blocks(xml, tag)
+ * ----------------
+ * Return the inner XML of every <tag>...</tag> element in `xml`.
+ */
+function blocks(xml, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  const out = [];
+  let m;
+  while ((m = re.exec(xml)) !== null) out.push(m[1]);
+  return out;
+}
+
+/*
+ * parseResolutionMinutes(value)
+ * -----------------------------
+ * Convert an ISO-8601 duration such as PT15M or PT60M into minutes.
+ */
+function parseResolutionMinutes(value) {
+  const m = /^PT(?:(\d+)H)?(?:(\d+)M)?$/.exec(value || '');
+  if (!m) return null;
+  return (Number(m[1] || 0) * 60) + Number(m[2] || 0);
+}
+
+/*
+ * parseMarketDocument(xml)
+ * ------------------------
+ * Turn an A44 Publication_MarketDocument into [{ timestamp, price }]
+ * (epoch seconds, EUR/MWh). Positions omitted by the curve type A03
+ * ("repeat previous value") are filled with the preceding price.
+ * Acknowledgement documents (no data / bad request) raise an error.
+ */
+function parseMarketDocument(xml) {
+  if (/Acknowledgement_MarketDocument/.test(xml)) {
+    const reason = tagValue(xml, 'text') || 'no data';
+    throw new Error(`ENTSO-E returned acknowledgement: ${reason}`);
+  }
+
+  const points = [];
+  blocks(xml, 'Period').forEach((period) => {
+    const start = Date.parse(tagValue(period, 'start'));
+    const end = Date.parse(tagValue(period, 'end'));
+    const resolution = parseResolutionMinutes(tagValue(period, 'resolution'));
+    if (isNaN(start) || isNaN(end) || !resolution) return;
+
+    const byPosition = {};
+    blocks(period, 'Point').forEach((point) => {
+      const position = Number(tagValue(point, 'position'));
+      const price = Number(tagValue(point, 'price.amount'));
+      if (position > 0 && !isNaN(price)) byPosition[position] = price;
+    });
+
+    const count = Math.round((end - start) / (resolution * 60000));
+    let last = null;
+    for (let pos = 1; pos <= count; pos++) {
+      if (typeof byPosition[pos] === 'number') last = byPosition[pos];
+      if (last === null) continue;
+      points.push({ timestamp: (start + (pos - 1) * resolution * 60000) / 1000, price: last });
+    }
+  });
+
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/*
+ * fetchZone(zone, start, end, options)
+ * ------------------------------------
+ * Query ENTSO-E for one zone and return its [{ timestamp, price }] within
+ * the start/end ISO range. Throws on unknown zones and HTTP errors.
+ */
+async function fetchZone(zone, start, end, options) {
+  const eic = ZONE_EIC[zone];
+  if (!eic) throw new Error(`ENTSO-E provider does not know zone ${zone}`);
+  const baseUrl = options.url || 'https://web-api.tp.entsoe.eu/api';
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+  const url = `${baseUrl}?securityToken=${encodeURIComponent(options.securityToken)}&documentType=A44` +
+    `&in_Domain=${eic}&out_Domain=${eic}&periodStart=${formatPeriod(start)}&periodEnd=${formatPeriod(endMs + 1)}`;
+  logger.debug('Fetching prices from ENTSO-E', { start, end, zone });
+
+  const response = await fetch(url, {
+    timeout: 10000, // 10 second timeout
+    headers: {
+      'User-Agent': 'Home-Control-Center/1.0'
+    }
+  });
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return parseMarketDocument(body)
+    .filter(p => p.timestamp * 1000 >= startMs && p.timestamp * 1000 <= endMs);
+}
+
+/*
+ * fetchPrices(start, end, zones, options)
+ * ---------------------------------------
+ * Query ENTSO-E once per zone for the start/end ISO range and return
+ * { <zone>: [{ timestamp, price }] } for the zones that could be fetched.
+ * A failing zone is logged and left out, so the provider chain falls back
+ * for that zone only; throws when no zone succeeded. Requires
+ * `options.securityToken` (the personal API token issued by the
+ * Transparency Platform).
+ */
+async function fetchPrices(start, end, zones, options = {}) {
+  if (!options.securityToken) {
+    throw new Error('ENTSO-E provider requires a securityToken');
+  }
+  const result = {};
+  const errors = [];
+  for (const zone of zones) {
+    try {
+      result[zone] = await fetchZone(zone, start, end, options);
+    } catch (error) {
+      logger.warn('Skipping zone ENTSO-E could not supply', { zone, error: error.message });
+      errors.push(`${zone}: ${error.message}`);
+    }
+  }
+  if (!Object.keys(result).length) {
+    throw new Error(`ENTSO-E returned no zone (${errors.join('; ')})`);
+  }
+  return result;
+}
+
+module.exports = { id: 'entsoe', fetchPrices, parseMarketDocument, ZONE_EIC };
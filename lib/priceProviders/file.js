@@ -0,0 +1,111 @@
+/*
+ * File price provider
+ * -------------------
+ * Reads day-ahead prices from local files, for offline installations and
+ * for replaying known data during testing. Files are looked up as
+ * `<dir>/<zone>/<YYYY-MM-DD>.json` or `.csv` relative to the project root.
+ *
+ * JSON files contain [{ timestamp, price }] (the Elering point shape).
+ * CSV files contain `timestamp,price` rows; the timestamp may be epoch
+ * seconds or an ISO string and a header row is ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../../utils/logger');
+
+const logger = createChildLogger('priceProviders.file');
+
+/*
+ * parseCsv(text)
+ * --------------
+ * Parse `timestamp,price` rows into [{ timestamp, price }]. Lines that do
+ * not parse (headers, blanks, comments) are skipped.
+ */
+function parseCsv(text) {
+  const points = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const cols = line.split(/[,;]/).map(c => c.trim());
+    if (cols.length < 2 || !cols[0] || cols[0].startsWith('#')) return;
+    const ts = /^\d+$/.test(cols[0]) ? Number(cols[0]) : Date.parse(cols[0]) / 1000;
+    const price = Number(cols[1]);
+    if (isNaN(ts) || cols[1] === '' || isNaN(price)) return;
+    points.push({ timestamp: ts, price });
+  });
+  return points;
+}
+
+/*
+ * readDay(dir, zone, dateStr)
+ * ---------------------------
+ * Load the points stored for one zone and date, or null when no file
+ * exists.
+ */
+function readDay(dir, zone, dateStr) {
+  const base = path.join(dir, zone, dateStr);
+  if (fs.existsSync(`${base}.json`)) {
+    const data = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+    if (!Array.isArray(data)) throw new Error(`${base}.json is not an array of points`);
+    return data;
+  }
+  if (fs.existsSync(`${base}.csv`)) {
+    return parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'));
+  }
+  return null;
+}
+
+/*
+ * fetchPrices(start, end, zones, options)
+ * ---------------------------------------
+ * Return { <zone>: [{ timestamp, price }] } for every UTC date touched by
+ * the start/end range. A zone without a file for the range (or with an
+ * unreadable one) is logged and left out so the chain asks the next
+ * provider for it; throws when no zone has a file.
+ */
+async function fetchPrices(start, end, zones, options = {}) {
+  const dir = path.resolve(__dirname, '..', '..', options.dir || 'price_data');
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+  const dates = [];
+  for (let t = Date.parse(start.split('T')[0]); t <= endMs; t += 86400000) {
+    dates.push(new Date(t).toISOString().split('T')[0]);
+  }
+
+  const result = {};
+  const errors = [];
+  zones.forEach((zone) => {
+    try {
+      result[zone] = readZone(dir, zone, dates, startMs, endMs);
+    } catch (error) {
+      logger.warn('Skipping zone without a usable price file', { zone, error: error.message });
+      errors.push(error.message);
+    }
+  });
+  if (!Object.keys(result).length) throw new Error(errors.join('; '));
+
+  return result;
+}
+
+/*
+ * readZone(dir, zone, dates, startMs, endMs)
+ * ------------------------------------------
+ * Points of one zone from its files for `dates`, within startMs..endMs.
+ * Throws when none of the dates has a file.
+ */
+function readZone(dir, zone, dates, startMs, endMs) {
+  let found = false;
+  const points = [];
+  dates.forEach((dateStr) => {
+    const day = readDay(dir, zone, dateStr);
+    if (!day) return;
+    found = true;
+    day.forEach((p) => {
+      const ms = p.timestamp * 1000;
+      if (typeof p.price === 'number' && ms >= startMs && ms <= endMs) points.push(p);
+    });
+  });
+  if (!found) throw new Error(`No price file for ${zone} in ${dir} (${dates.join(', ')})`);
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = { id: 'file', fetchPrices, parseCsv };
@@ -0,0 +1,113 @@
+/*
+ * Price Providers
+ * ---------------
+ * Ordered fallback chain of day-ahead price sources. Each provider module
+ * exports { id, fetchPrices(start, end, zones, options) } and resolves to
+ * { <zone>: [{ timestamp, price }] } (epoch seconds, EUR/MWh).
+ *
+ * The chain is configured in config.json as `priceProviders`, an array of
+ * provider ids or { id, ...options } objects, e.g.
+ *   ["elering", { "id": "entsoe", "securityToken": "..." },
+ *    { "id": "file", "dir": "price_data" }]
+ * Providers are tried in order; a zone is taken from the first provider
+ * that returns points for it.
+ */
+
+const { loadRuntimeConfig } = require('../../config/manager');
+const { createChildLogger } = require('../../utils/logger');
+const { retryWithBackoff } = require('../../utils/retry');
+
+const logger = createChildLogger('priceProviders');
+
+const PROVIDERS = {
+  elering: require('./elering'),
+  entsoe: require('./entsoe'),
+  file: require('./file')
+};
+
+/*
+ * DEFAULT_CHAIN
+ * -------------
+ * Chain used when config.json does not define `priceProviders`.
+ */
+const DEFAULT_CHAIN = ['elering'];
+
+/*
+ * getProviderChain(cfg)
+ * ---------------------
+ * Resolve the configured chain into [{ provider, options }]. Unknown ids
+ * are logged and skipped; an empty result falls back to DEFAULT_CHAIN.
+ */
+function getProviderChain(cfg = loadRuntimeConfig()) {
+  const configured = Array.isArray(cfg.priceProviders) && cfg.priceProviders.length
+    ? cfg.priceProviders
+    : DEFAULT_CHAIN;
+
+  const chain = [];
+  configured.forEach((entry) => {
+    const options = typeof entry === 'string' ? { id: entry } : (entry || {});
+    const provider = PROVIDERS[options.id];
+    if (!provider) {
+      logger.warn('Unknown price provider in config, skipping', { id: options.id });
+      return;
+    }
+    if (options.enabled === false) return;
+    chain.push({ provider, options });
+  });
+
+  return chain.length ? chain : DEFAULT_CHAIN.map(id => ({ provider: PROVIDERS[id], options: { id } }));
+}
+
+/*
+ * fetchFromChain(start, end, zones, options)
+ * ------------------------------------------
+ * Walk the provider chain for the start/end ISO range until every zone has
+ * data. Each provider is retried with backoff before moving on.
+ * Returns { data: { <zone>: points }, providers: { <zone>: id } }; zones no
+ * provider could supply are absent from both maps.
+ * - options: { chain, maxRetries, baseDelay } (mainly for tests)
+ */
+async function fetchFromChain(start, end, zones, options = {}) {
+  const chain = options.chain || getProviderChain();
+  const data = {};
+  const providers = {};
+  let pending = zones.slice();
+
+  for (const { provider, options: providerOptions } of chain) {
+    if (pending.length === 0) break;
+    try {
+      const result = await retryWithBackoff(
+        () => provider.fetchPrices(start, end, pending, providerOptions),
+        options.maxRetries,
+        options.baseDelay,
+        logger
+      );
+      pending.forEach((zone) => {
+        if (Array.isArray(result[zone]) && result[zone].length > 0) {
+          data[zone] = result[zone];
+          providers[zone] = provider.id;
+        }
+      });
+      const entries = {};
+      Object.keys(providers).forEach(zone => { entries[zone] = data[zone].length; });
+      logger.info('Successfully fetched price data', { provider: provider.id, start, end, entries });
+    } catch (error) {
+      logger.error('Price provider failed, trying next in chain', {
+        provider: provider.id,
+        start,
+        end,
+        zones: pending,
+        error: error.message
+      });
+    }
+    pending = pending.filter(zone => !providers[zone]);
+  }
+
+  if (pending.length > 0) {
+    logger.error('No price provider could supply data', { start, end, zones: pending });
+  }
+
+  return { data, providers };
+}
+
+module.exports = { PROVIDERS, getProviderChain, fetchFromChain };
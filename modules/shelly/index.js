@@ -5,6 +5,17 @@ const cron = require('node-cron');
 const axios = require('axios');
 const { turnOnShelly, turnOffShelly, clearOverride, getShellyStatus, handleHeartbeat, getDevices, deviceStatus } = require('../../shellyController');
 const { loadRuntimeConfig } = require('../../config/manager');
+const { getDeviceZone, getZonePrices, slotPrices } = require('../../utils/priceStore');
+const { planSchedule, planHousehold, ruleInputs, validateRules, normalizeSettings, energyStatus, manualState, withoutOverride } = require('../../shared/scheduler');
+const { effectiveSettings, validateProfiles, isDate } = require('../../shared/profiles');
+const { SLOT_MS, getTimezone, getToday, getDayInfo, addDays, daySlotTimes, slotIndexAt, utcOffsetMinutes, localMinutes } = require('../../utils/timeSlots');
+const { priceEvents, PRICES_UPDATED } = require('../../utils/priceEvents');
+const { sendTelegramMessage } = require('../../notificationManager');
+const { getPlanLastNotified, setPlanLastNotified } = require('../../notificationState');
+const { recordDelivered, getDelivered, shouldNotifyShortfall } = require('../../energyState');
+const { recordLoad, getPeak } = require('../../peakState');
+const { getTariff, peakCentsPerKw } = require('../../utils/tariff');
+const { ALWAYS_ON, runBacktest } = require('../../backtest');
 
 // pushState keeps per-device push metadata to avoid hammering devices
 // and to apply exponential backoff when pushes fail.
@@ -18,82 +29,17 @@ const pushState = {}; // id -> { lastAttempt: ms, backoffMs: ms }
 
 module.exports = function createShellyModule(deps = {}) {
   const router = express.Router();
+  // `deps.background: false` builds the routes only, without the periodic
+  // status checks and pushes or the reactions to price updates (tests)
+  const background = deps.background !== false;
 
   /*
-   * computeSchedule(prices, settings)
-   * ---------------------------------
-   * Build a boolean schedule array for a day (24h) divided into slots according
-   * to `settings.timeFrame`. The function calculates averaged prices per period,
-   * picks the `numCheapest` periods, and applies `minPrice`/`maxPrice` overrides.
-   * - prices: flat array of numbers (expected 96 for 15min slots)
-   * - settings: object with { minPrice, maxPrice, numCheapest, timeFrame }
-   * Returns: schedule array (length depends on timeFrame mapping but callers
-   * expect 96 boolean slots for 15min). This is used by the /api/config/:id
-   * endpoint to send schedules to Shelly devices.
-   */
-  function computeSchedule(prices, settings) {
-    const { minPrice, maxPrice, numCheapest, timeFrame } = settings;
-    // canonical unit is 15-minute slots: 96 slots per day
-    const slotsPerPeriod = timeFrame === '30min' ? 2 : timeFrame === '1hour' ? 4 : 1;
-    const periodsPerDay = 96 / slotsPerPeriod; // 48 for 30min, 24 for 1hour, 96 for 15min
-
-    // Calculate average price per period (period = timeframe window)
-    const periodAverages = [];
-    for (let p = 0; p < periodsPerDay; p++) {
-      let sum = 0, count = 0;
-      const startIdx = p * slotsPerPeriod;
-      const endIdx = startIdx + slotsPerPeriod;
-      for (let j = startIdx; j < endIdx && j < prices.length; j++) {
-        sum += prices[j];
-        count++;
-      }
-      periodAverages.push({ price: count > 0 ? sum / count : 9999, index: p });
-    }
-
-    // Sort to find cheapest periods
-    periodAverages.sort((a, b) => a.price - b.price);
-
-    // Create canonical 96-slot schedule (boolean per 15-min slot)
-    const schedule = Array(96).fill(false);
-
-    // Mark numCheapest periods as true
-    for (let i = 0; i < numCheapest && i < periodAverages.length; i++) {
-      const pIdx = periodAverages[i].index;
-      const startSlot = pIdx * slotsPerPeriod;
-      const endSlot = startSlot + slotsPerPeriod;
-      for (let s = startSlot; s < endSlot && s < schedule.length; s++) schedule[s] = true;
-    }
-
-    // Apply minPrice/maxPrice overrides per period
-    for (let p = 0; p < periodsPerDay; p++) {
-      let sum = 0, count = 0;
-      const startIdx = p * slotsPerPeriod;
-      const endIdx = startIdx + slotsPerPeriod;
-      for (let j = startIdx; j < endIdx && j < prices.length; j++) { sum += prices[j]; count++; }
-      const avgPrice = count > 0 ? sum / count : 9999;
-      if (avgPrice < minPrice) {
-        for (let s = startIdx; s < endIdx && s < schedule.length; s++) schedule[s] = true;
-      } else if (avgPrice > maxPrice) {
-        for (let s = startIdx; s < endIdx && s < schedule.length; s++) schedule[s] = false;
-      }
-    }
-
-    return schedule;
-  }
-
-  // Build the same config payload that /api/config/:id returns so the
-  // server can push it directly to the device.
-  function buildConfigForDevice(id) {
-    // Load price data
-    let prices = [];
-    try {
-      const priceCache = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'prices.json'), 'utf8'));
-      prices = [...(priceCache.today || []).map(p => p.price), ...(priceCache.tomorrow || []).map(p => p.price)];
-    } catch (error) {
-      console.warn('Module(shelly): Price cache unavailable when building pushed config:', error.message);
-    }
-
-    // Load settings
+   * loadDeviceSettings(id)
+   * ----------------------
+   * Read `settings_<id>.json`, falling back to the defaults used for new
+   * devices when the file is missing or unreadable.
+   */
+  function loadDeviceSettings(id) {
     const filePath = path.join(__dirname, '..', '..', `settings_${id}.json`);
     let settings = {
       minPrice: 0.05,
@@ -106,47 +52,646 @@ module.exports = function createShellyModule(deps = {}) {
       fallbackHours: Array(24).fill(false)
     };
     if (fs.existsSync(filePath)) {
-      try { settings = JSON.parse(fs.readFileSync(filePath, 'utf8')); } catch (e) { console.warn('Module(shelly): failed to read settings when building pushed config:', e.message); }
+      try { settings = JSON.parse(fs.readFileSync(filePath, 'utf8')); } catch (e) { console.warn(`Module(shelly): failed to read settings for ${id}:`, e.message); }
     }
     if (typeof settings.reversedControl === 'undefined') settings.reversedControl = false;
+    return settings;
+  }
+
+  /*
+   * saveDeviceSettings(id, settings)
+   * --------------------------------
+   * Write `settings_<id>.json`.
+   */
+  function saveDeviceSettings(id, settings) {
+    const filePath = path.join(__dirname, '..', '..', `settings_${id}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(settings, null, 2));
+  }
+
+  /*
+   * getHolidays()
+   * -------------
+   * Holiday calendar (`holidays` in config.json, 'YYYY-MM-DD' dates) used
+   * by rule profiles.
+   */
+  function getHolidays() {
+    const holidays = loadRuntimeConfig().holidays;
+    return Array.isArray(holidays) ? holidays.filter(isDate) : [];
+  }
 
-    // Compute schedule using local computeSchedule
-    let schedule;
-    if (settings.manualOverride) {
-      if (settings.manualState === 'off') schedule = Array(96).fill(false);
-      else if (settings.manualState === 'on') schedule = Array(96).fill(true);
-      else schedule = computeSchedule(prices, settings);
-    } else {
-      schedule = computeSchedule(prices, settings);
+  /*
+   * settingsError(settings)
+   * -----------------------
+   * 400 response body for device settings with invalid rule profiles or
+   * rule trees (the device's own and each profile's), or null when valid.
+   */
+  function settingsError(settings) {
+    const profileErrors = validateProfiles(settings.profiles);
+    if (profileErrors.length) return { error: 'Invalid profiles', details: profileErrors };
+    let ruleErrors = validateRules(settings.rules);
+    (settings.profiles || []).forEach((profile) => {
+      if (profile.settings) ruleErrors = ruleErrors.concat(validateRules(profile.settings.rules, `profile "${profile.name}" rules`));
+    });
+    return ruleErrors.length ? { error: 'Invalid rules', details: ruleErrors } : null;
+  }
+
+  /*
+   * householdLimitKw()
+   * ------------------
+   * Household power cap (`householdPowerLimitKw` in config.json, kW); 0
+   * when unset, which plans every device on its own.
+   */
+  function householdLimitKw() {
+    const limit = Number(loadRuntimeConfig().householdPowerLimitKw);
+    return limit > 0 ? limit : 0;
+  }
+
+  /*
+   * peakRate()
+   * ----------
+   * Cost in cents of 1 kW more monthly peak under a power-based network
+   * tariff (`tariff.peakEurPerKw`); 0 without one.
+   */
+  function peakRate() {
+    return peakCentsPerKw(getTariff());
+  }
+
+  /*
+   * isJointPlanning()
+   * -----------------
+   * True when devices must be planned together: under a household power
+   * cap or a monthly peak-power tariff their loads interact.
+   */
+  function isJointPlanning() {
+    return householdLimitKw() > 0 || peakRate() > 0;
+  }
+
+  /*
+   * monthStartAt(date, timezone)
+   * ----------------------------
+   * Epoch ms of the local start of the month containing 'YYYY-MM-DD' `date`.
+   */
+  function monthStartAt(date, timezone) {
+    return getDayInfo(`${date.slice(0, 8)}01`, timezone).start;
+  }
+
+  /*
+   * monthlyPeak(now)
+   * ----------------
+   * The peak-power tariff for planning from today's midnight: { peakKw,
+   * centsPerKw, monthStartSlot } with this month's peak so far as last
+   * sampled (peakState.js, recordUsage()) and, when tomorrow starts a new
+   * month, the slot it starts at; null without a peak-power tariff.
+   */
+  function monthlyPeak(now = Date.now()) {
+    const centsPerKw = peakRate();
+    if (!centsPerKw) return null;
+    const timezone = getTimezone();
+    const day = getToday(timezone, now);
+    const next = addDays(day.date, 1);
+    const last = getPeak();
+    const peakKw = last && last.month === monthStartAt(day.date, timezone) ? last.peakKw : 0;
+    const newMonth = next.slice(0, 7) !== day.date.slice(0, 7);
+    return { peakKw, centsPerKw, monthStartSlot: newMonth ? day.slotCount : undefined };
+  }
+
+  /*
+   * deviceEntry(id)
+   * ---------------
+   * The `shellyDevices` entry of device `id` as an object (older configs
+   * map ids to plain IP strings).
+   */
+  function deviceEntry(id) {
+    const entry = getDevices()[id];
+    return entry && typeof entry === 'object' ? entry : {};
+  }
+
+  /*
+   * devicePowerKw(id, settings)
+   * ---------------------------
+   * Rated power of device `id`: `ratedPowerKw` of its `shellyDevices`
+   * entry, otherwise the one in its settings (device panel), else 0.
+   */
+  function devicePowerKw(id, settings) {
+    const power = Number(deviceEntry(id).ratedPowerKw);
+    return power > 0 ? power : normalizeSettings(settings).ratedPowerKw;
+  }
+
+  /*
+   * planDevice(id, settings, now, blockedSlots, peakTariff)
+   * -------------------------------------------------------
+   * Schedule of device `id` from today's local midnight, through tomorrow
+   * once its prices are published, planned by the shared engine with each
+   * day's active rule profile and the live rule inputs. `blockedSlots` and
+   * `peakTariff` come from joint planning (planDevices()). Returns
+   * { timezone, day, zone, settings, prices, schedule, energy, slotTimes,
+   * blockedSlots, peakTariff }; `energy` is the energy-target progress
+   * (energyReport()). Planning reads the recorded usage but changes
+   * nothing.
+   */
+  function planDevice(id, baseSettings, now = Date.now(), blockedSlots = [], peakTariff = null) {
+    const timezone = getTimezone();
+    const day = getToday(timezone, now);
+    const next = getDayInfo(addDays(day.date, 1), timezone);
+    const holidays = getHolidays();
+    const withPower = { ...baseSettings, ratedPowerKw: devicePowerKw(id, baseSettings) };
+    const settings = effectiveSettings(withPower, day.date, holidays);
+    const tomorrowSettings = effectiveSettings(withPower, next.date, holidays);
+
+    // Load price data for the device's bidding zone
+    const zone = getDeviceZone(id);
+    let zonePrices = { today: [], tomorrow: [] };
+    try {
+      zonePrices = getZonePrices(zone);
+    } catch (error) {
+      console.warn('Module(shelly): Price cache unavailable when planning schedule:', error.message);
     }
 
-    // Get user timezone from config
-    const runtimeConfig = loadRuntimeConfig();
-    const userTimezone = runtimeConfig.userPreferences?.timezone || 'Europe/Helsinki';
+    // Forecast prices are only scheduled on when the device allows it.
+    // Prices cached for an earlier day (fetch pending after midnight) would shift every slot.
+    const isDay = (slots, info) => slots.length === info.slotCount && Date.parse(slots[0].time) === info.start;
+    const todayPrices = isDay(zonePrices.today, day) ? slotPrices(zonePrices.today, { allowForecast: !!settings.allowForecast }) : Array(day.slotCount).fill(null);
+    const tomorrowPrices = isDay(zonePrices.tomorrow, next) ? slotPrices(zonePrices.tomorrow, { allowForecast: !!tomorrowSettings.allowForecast }) : [];
+
+    const days = [{ prices: todayPrices, slotCount: day.slotCount, settings }];
+    if (tomorrowPrices.some(p => typeof p === 'number')) days.push({ prices: tomorrowPrices, slotCount: next.slotCount, settings: tomorrowSettings });
+
+    // Daily mode schedules each day on its own; rolling mode picks the
+    // cheapest periods from now on, across midnight. A manual override
+    // with manualState on/off forces every slot.
+    const slotTimes = [...daySlotTimes(day.date, timezone), ...daySlotTimes(next.date, timezone)];
+    const context = {
+      nowSlot: slotIndexAt(day.start, now),
+      slotTimes: slotTimes.slice(0, days.length > 1 ? slotTimes.length : day.slotCount),
+      timezone,
+      inputs: ruleInputs(deviceStatus),
+      blockedSlots,
+      peakTariff
+    };
+    // Energy targets count what already ran since the window started
+    const deadline = energyDeadline(settings, slotTimes, now, timezone);
+    if (deadline) context.deliveredMinutes = getDelivered(id, deadline);
+    const schedule = planSchedule(days, settings, context);
+    const energy = deadline ? energyReport(settings, schedule, context, deadline) : null;
+    return { timezone, day, zone, settings, prices: days.reduce((all, d) => all.concat(d.prices), []), schedule, energy, slotTimes: context.slotTimes, blockedSlots, peakTariff };
+  }
+
+  /*
+   * planDevices(now, preview)
+   * -------------------------
+   * Plans of all devices by id: jointly (planHousehold()) under a household
+   * power cap or monthly peak-power tariff, otherwise each on its own. A
+   * `preview` ({ id, settings }) plans device `id` with unsaved settings.
+   */
+  function planDevices(now = Date.now(), preview = null) {
+    const devices = Object.keys(getDevices()).map((id) => {
+      const settings = preview && preview.id === id ? preview.settings : loadDeviceSettings(id);
+      return { id, settings, powerKw: devicePowerKw(id, settings), priority: deviceEntry(id).priority };
+    });
+    return planHousehold(devices, householdLimitKw(),
+      (device, blockedSlots, peakTariff) => planDevice(device.id, device.settings, now, blockedSlots, peakTariff), monthlyPeak(now));
+  }
+
+  /*
+   * loadRanges(loadKw, slotTimes)
+   * -----------------------------
+   * [startMs, endMs, kW] ranges of consecutive slots with the same non-zero
+   * load in `loadKw` (kW per slot of `slotTimes`).
+   */
+  function loadRanges(loadKw, slotTimes) {
+    const ranges = [];
+    slotTimes.forEach((time, i) => {
+      const kw = loadKw[i] || 0;
+      if (!kw) return;
+      const start = Date.parse(time);
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === start && last[2] === kw) last[1] = start + SLOT_MS;
+      else ranges.push([start, start + SLOT_MS, kw]);
+    });
+    return ranges;
+  }
+
+  // Joint household plans of one 15-minute slot, shared by every device's
+  // payload: { slot, plans } with `slot` the slot's epoch ms / SLOT_MS.
+  let householdCache = null;
+
+  /*
+   * householdPlans(now)
+   * -------------------
+   * planDevices() for the slot containing `now`, planned once and reused
+   * until the slot ends or resetHouseholdPlans() drops it (settings or
+   * prices changed, or a new push cycle).
+   */
+  function householdPlans(now = Date.now()) {
+    const slot = Math.floor(now / SLOT_MS);
+    const fresh = householdCache && householdCache.slot === slot
+      && Object.keys(getDevices()).every(id => householdCache.plans[id]);
+    if (!fresh) householdCache = { slot, plans: planDevices(now) };
+    return householdCache.plans;
+  }
+
+  /*
+   * resetHouseholdPlans()
+   * ---------------------
+   * Drop the cached household plans so the next payload plans afresh.
+   */
+  function resetHouseholdPlans() {
+    householdCache = null;
+  }
+
+  /*
+   * planDeviceInHousehold(id, settings, now)
+   * ----------------------------------------
+   * planDevice() for device `id`, taking the household power cap and the
+   * monthly peak-power tariff into account when set; the joint plan comes
+   * from householdPlans().
+   */
+  function planDeviceInHousehold(id, settings, now = Date.now()) {
+    if (!isJointPlanning() || !getDevices()[id]) return planDevice(id, settings, now);
+    return householdPlans(now)[id];
+  }
+
+  /*
+   * peakReport(plan)
+   * ----------------
+   * { peakKw, centsPerKw, monthStart, load } of a device plan made under a
+   * monthly peak-power tariff, where `load` are the [startMs, endMs, kW]
+   * ranges other devices planned before it, so the UI chart can weigh the
+   * same peak costs; null without the tariff.
+   */
+  function peakReport(plan) {
+    const peak = plan.peakTariff;
+    if (!peak) return null;
+    return {
+      peakKw: peak.peakKw,
+      centsPerKw: peak.centsPerKw,
+      monthStart: plan.slotTimes[peak.monthStartSlot] ? Date.parse(plan.slotTimes[peak.monthStartSlot]) : null,
+      load: loadRanges(peak.loadKw, plan.slotTimes)
+    };
+  }
+
+  /*
+   * dryRunPlan(id, settings, now)
+   * -----------------------------
+   * Plan of device `id` with unsaved `settings`, together with the other
+   * devices under a power cap or peak tariff.
+   */
+  function dryRunPlan(id, settings, now = Date.now()) {
+    return isJointPlanning() ? planDevices(now, { id, settings })[id] : planDevice(id, settings, now);
+  }
+
+  /*
+   * previewSchedule(id, settings, now)
+   * ----------------------------------
+   * Dry run of unsaved `settings` for device `id`: plans it exactly like
+   * its payload (with the other devices under a power cap or peak tariff)
+   * without persisting or pushing anything. Returns { id, activeProfile,
+   * timeFrame, timezone, dayStart, slotCount, slotTimes, prices, schedule,
+   * onMinutes, energyKwh, costEur, averagePrice, unpricedMinutes, energy,
+   * powerCap } where the totals cover every planned slot (today from
+   * midnight and tomorrow once published): `costEur` and `averagePrice`
+   * (c/kWh) use the total price incl. fees and VAT, kWh and cost are null
+   * without a rated power and ON slots without a price count as
+   * `unpricedMinutes` only.
+   */
+  function previewSchedule(id, settings, now = Date.now()) {
+    const plan = dryRunPlan(id, settings, now);
+    const power = normalizeSettings(plan.settings).ratedPowerKw;
+    const totals = {};
+    try {
+      const zonePrices = getZonePrices(plan.zone);
+      zonePrices.today.concat(zonePrices.tomorrow).forEach((slot) => { totals[Date.parse(slot.time)] = slot.total; });
+    } catch (e) {
+      console.warn(`Module(shelly): no prices for Shelly ${id} when previewing:`, e.message);
+    }
+    const slotMinutes = SLOT_MS / 60000;
+    let onMinutes = 0;
+    let unpricedMinutes = 0;
+    let pricedCents = 0;
+    plan.schedule.forEach((on, i) => {
+      if (!on) return;
+      onMinutes += slotMinutes;
+      const total = plan.slotTimes[i] ? totals[Date.parse(plan.slotTimes[i])] : undefined;
+      const price = typeof total === 'number' ? total : plan.prices[i];
+      if (typeof price === 'number') pricedCents += price;
+      else unpricedMinutes += slotMinutes;
+    });
+    const pricedSlots = (onMinutes - unpricedMinutes) / slotMinutes;
+    return {
+      id,
+      activeProfile: plan.settings.activeProfile,
+      timeFrame: plan.settings.timeFrame || '15min',
+      timezone: plan.timezone,
+      dayStart: plan.day.start,
+      slotCount: plan.day.slotCount,
+      slotTimes: plan.slotTimes,
+      prices: plan.prices,
+      schedule: plan.schedule,
+      onMinutes,
+      energyKwh: power > 0 ? Math.round(onMinutes / 60 * power * 100) / 100 : null,
+      // Each ON slot buys power * 15 min at its price
+      costEur: power > 0 ? Math.round(pricedCents * power * slotMinutes / 60) / 100 : null,
+      averagePrice: pricedSlots ? Math.round(pricedCents / pricedSlots * 100) / 100 : null,
+      unpricedMinutes,
+      energy: plan.energy,
+      powerCap: powerCapReport(id, plan, now)
+    };
+  }
+
+  /*
+   * powerCapReport(id, plan, now)
+   * -----------------------------
+   * { limitKw, ratedPowerKw, priority, blocked } for device `id` under a
+   * household power cap, where `blocked` are the [startMs, endMs] ranges
+   * from now on the cap keeps it out of; null without a cap.
+   */
+  function powerCapReport(id, plan, now = Date.now()) {
+    const limitKw = householdLimitKw();
+    if (!limitKw) return null;
+    const priority = Number(deviceEntry(id).priority);
+    const nowSlot = slotIndexAt(plan.day.start, now);
+    return {
+      limitKw,
+      ratedPowerKw: devicePowerKw(id, plan.settings) || null,
+      priority: priority > 0 ? priority : null,
+      blocked: slotRanges(plan.blockedSlots, plan.slotTimes, nowSlot)
+    };
+  }
+
+  /*
+   * slotRanges(flags, slotTimes, from)
+   * ----------------------------------
+   * [startMs, endMs] ranges of the consecutive slots set in `flags` from
+   * slot `from` on.
+   */
+  function slotRanges(flags, slotTimes, from) {
+    const ranges = [];
+    for (let i = Math.max(0, from); i < flags.length && i < slotTimes.length; i++) {
+      if (!flags[i]) continue;
+      const start = Date.parse(slotTimes[i]);
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === start) last[1] = start + SLOT_MS;
+      else ranges.push([start, start + SLOT_MS]);
+    }
+    return ranges;
+  }
+
+  /*
+   * energyDeadline(settings, slotTimes, now, timezone)
+   * --------------------------------------------------
+   * Deadline (ISO) of the energy-target window running at `now` under the
+   * day's effective `settings`, or null when the device has no energy
+   * target (scheduleMode other than 'energy').
+   */
+  function energyDeadline(settings, slotTimes, now, timezone) {
+    if (settings.scheduleMode !== 'energy') return null;
+    return nextDeadline(normalizeSettings(settings).energyDeadline, slotTimes, now, timezone);
+  }
+
+  /*
+   * nextDeadline(hhmm, slotTimes, now, timezone)
+   * --------------------------------------------
+   * ISO start of the first slot after `now` at local time `hhmm` (today's
+   * and tomorrow's `slotTimes`), i.e. the end of the current energy-target
+   * window.
+   */
+  function nextDeadline(hhmm, slotTimes, now, timezone) {
+    const minute = parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3, 5), 10);
+    return slotTimes.find(t => Date.parse(t) > now && localMinutes(Date.parse(t), timezone) === minute) || slotTimes[slotTimes.length - 1];
+  }
+
+  /*
+   * nextLocalTime(hhmm, now, timezone)
+   * ----------------------------------
+   * Epoch ms of the next local time `hhmm` after `now` (today or
+   * tomorrow), or null when that time does not exist (DST change).
+   */
+  function nextLocalTime(hhmm, now, timezone) {
+    const minute = parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3, 5), 10);
+    const offset = (minute % 15) * 60000;
+    const day = getToday(timezone, now);
+    const starts = [...daySlotTimes(day.date, timezone), ...daySlotTimes(addDays(day.date, 1), timezone)].map(t => Date.parse(t));
+    const start = starts.find(t => localMinutes(t, timezone) === minute - minute % 15 && t + offset > now);
+    return start === undefined ? null : start + offset;
+  }
+
+  /*
+   * overrideEnd(id, { minutes, until }, now)
+   * ----------------------------------------
+   * Epoch ms at which a timed override of device `id` ends: after
+   * `minutes` (1-2880), at the next local `until` 'HH:MM', or with `until:
+   * 'cheap'` when the device's own schedule (without any override) starts
+   * its next ON run. Throws an Error with `status = 400` when the timing is
+   * invalid or no upcoming run is planned with the known prices.
+   */
+  function overrideEnd(id, { minutes, until }, now = Date.now()) {
+    const fail = (msg) => { const err = new Error(msg); err.status = 400; return err; };
+    if (minutes !== undefined && minutes !== null) {
+      const value = Number(minutes);
+      if (!(value >= 1 && value <= 2880)) throw fail('minutes must be between 1 and 2880');
+      return now + Math.round(value * 60000);
+    }
+    if (until === 'cheap') {
+      const plan = dryRunPlan(id, withoutOverride(loadDeviceSettings(id)), now);
+      const nowSlot = slotIndexAt(plan.day.start, now);
+      const next = plan.schedule.findIndex((on, i) => i > nowSlot && on && !plan.schedule[i - 1]);
+      if (next < 0 || !plan.slotTimes[next]) throw fail('No upcoming cheap slot in the known prices');
+      return Date.parse(plan.slotTimes[next]);
+    }
+    if (typeof until === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(until)) {
+      const end = nextLocalTime(until, now, getTimezone());
+      if (end === null) throw fail(`${until} does not exist today or tomorrow`);
+      return end;
+    }
+    throw fail("until must be 'HH:MM' or 'cheap'");
+  }
+
+  /*
+   * overrideReport(settings, now)
+   * -----------------------------
+   * { state, until } of the manual override in effect for `settings`
+   * (`state` 'on', 'off' or null for no automated control, `until` the ISO
+   * end of a timed override, else null); null without an override.
+   */
+  function overrideReport(settings, now = Date.now()) {
+    const forced = manualState(settings, now);
+    if (forced === undefined) return null;
+    const until = normalizeSettings(settings).manualUntil;
+    return { state: forced === null ? null : (forced ? 'on' : 'off'), until: until !== null ? new Date(until).toISOString() : null };
+  }
+
+  /*
+   * expireOverrides(now)
+   * --------------------
+   * End the timed overrides whose `manualUntil` has passed: the device's
+   * settings return to scheduled control and its new config is pushed.
+   * Devices end them on their own as well (shellyScript.js); this keeps the
+   * saved settings and the UI in step, also after a restart.
+   */
+  function expireOverrides(now = Date.now()) {
+    Object.keys(getDevices()).forEach((id) => {
+      const settings = loadDeviceSettings(id);
+      if (!settings.manualOverride || !settings.manualUntil || manualState(settings, now) !== undefined) return;
+      try {
+        saveDeviceSettings(id, withoutOverride(settings));
+      } catch (e) {
+        console.error(`Module(shelly): failed to end the timed override of Shelly ${id}:`, e.message);
+        return;
+      }
+      console.log(`Module(shelly): timed override of Shelly ${id} (${settings.manualState}) ended at ${settings.manualUntil}`);
+      if (deviceStatus[id]) deviceStatus[id].override = null;
+      pushAfterChange(id);
+    });
+  }
+
+  /*
+   * energyReport(settings, schedule, context, deadline)
+   * ---------------------------------------------------
+   * Progress of an energy target for a fresh plan: { deadline,
+   * ratedPowerKw, requiredMinutes, deliveredMinutes, plannedMinutes,
+   * requiredKwh, deliveredKwh, plannedKwh, met } (kWh null without a rated
+   * power). `met` is false when the target cannot be reached before the
+   * deadline with the prices known so far.
+   */
+  function energyReport(settings, schedule, context, deadline) {
+    const status = energyStatus(schedule, settings, context);
+    const power = normalizeSettings(settings).ratedPowerKw;
+    const kWh = minutes => (power > 0 ? Math.round(minutes * power / 60 * 100) / 100 : null);
+    return {
+      deadline,
+      ratedPowerKw: power || null,
+      requiredMinutes: Math.round(status.requiredMinutes),
+      deliveredMinutes: Math.round(status.deliveredMinutes),
+      plannedMinutes: status.plannedMinutes,
+      requiredKwh: kWh(status.requiredMinutes),
+      deliveredKwh: kWh(status.deliveredMinutes),
+      plannedKwh: kWh(status.plannedMinutes),
+      met: status.met
+    };
+  }
+
+  /*
+   * recordUsage(now)
+   * ----------------
+   * Sample what the devices actually run, from the relay states the status
+   * checks just read (`deviceStatus`, physical state turned logical with
+   * `reversedControl`; an offline device counts as off): the minutes
+   * delivered towards energy targets (energyState.js) and, under a
+   * peak-power tariff, the household load for the monthly peak
+   * (peakState.js). Planning only reads what is recorded here.
+   */
+  function recordUsage(now = Date.now()) {
+    const timezone = getTimezone();
+    const day = getToday(timezone, now);
+    const slotTimes = [...daySlotTimes(day.date, timezone), ...daySlotTimes(addDays(day.date, 1), timezone)];
+    const holidays = getHolidays();
+    let loadKw = 0;
+    Object.keys(getDevices()).forEach((id) => {
+      const base = loadDeviceSettings(id);
+      const status = deviceStatus[id] || {};
+      const on = !!status.online && (base.reversedControl ? !status.switchOn : !!status.switchOn);
+      const powerKw = devicePowerKw(id, base);
+      const deadline = energyDeadline(effectiveSettings({ ...base, ratedPowerKw: powerKw }, day.date, holidays), slotTimes, now, timezone);
+      if (deadline) recordDelivered(id, deadline, on, now);
+      if (on) loadKw += powerKw;
+    });
+    if (peakRate()) recordLoad(now, monthStartAt(day.date, timezone), Math.round(loadKw * 1000) / 1000);
+  }
+
+  /*
+   * notifyEnergyShortfall(id, energy)
+   * ---------------------------------
+   * Log and, once per target window, send a Telegram alert when device
+   * `id`'s energy target cannot be met before its deadline.
+   */
+  function notifyEnergyShortfall(id, energy) {
+    if (!energy || energy.met) return;
+    const unit = energy.requiredKwh !== null ? 'kWh' : 'min';
+    const value = key => (unit === 'kWh' ? energy[`${key}Kwh`] : energy[`${key}Minutes`]);
+    const message = `⚠️ Shelly ${id}: energy target ${value('required')} ${unit} cannot be met by ${new Date(energy.deadline).toLocaleString('en-GB', { timeZone: getTimezone() })} ` +
+      `(${value('delivered')} ${unit} delivered, ${value('planned')} ${unit} possible with the known prices)`;
+    if (!shouldNotifyShortfall(id, energy.deadline)) return;
+    console.warn(`Module(shelly): ${message}`);
+    sendTelegramMessage(message);
+  }
+
+  // Build the same config payload that /api/config/:id returns so the
+  // server can push it directly to the device.
+  function buildConfigForDevice(id) {
+    const now = Date.now();
+    const plan = planDeviceInHousehold(id, loadDeviceSettings(id), now);
+    const { timezone: userTimezone, day, zone, settings, prices, schedule, energy } = plan;
+    const powerCap = powerCapReport(id, plan, now);
+    const peak = peakReport(plan);
+    if (!deviceStatus[id]) deviceStatus[id] = {};
+    deviceStatus[id].energy = energy;
+    deviceStatus[id].powerCap = powerCap;
+    deviceStatus[id].peakTariff = peak;
+    deviceStatus[id].override = overrideReport(settings, now);
+    const manualUntil = normalizeSettings(settings).manualUntil;
 
     const config = {
       deviceId: id,
+      zone,
       minPrice: Number(settings.minPrice),
       maxPrice: Number(settings.maxPrice),
+      // How minPrice/maxPrice are read (absolute c/kWh or relative to the day)
+      thresholdType: settings.thresholdType || 'absolute',
+      thresholdBasis: settings.thresholdBasis || 'day',
       numCheapest: Number(settings.numCheapest),
       timeFrame: settings.timeFrame,
-      manualOverride: !!settings.manualOverride,
+      // An expired timed override is already over for the device
+      manualOverride: manualState(settings, now) !== undefined,
       manualState: settings.manualState || null,
+      // End of a timed override (epoch seconds, null = until cleared); the device ends it on its own
+      manualUntil: manualUntil !== null ? Math.floor(manualUntil / 1000) : null,
       reversedControl: !!settings.reversedControl,
       fallbackHours: settings.fallbackHours || Array(24).fill(false),
-      prices: prices.length > 0 ? prices.slice(0, 96) : Array(96).fill(0),
-      schedule: schedule,
-      serverTime: new Date().toISOString(),
-      serverSlot: (function() { 
-        const now = new Date();
-        // Use UTC for slot calculation to match device behavior
-        return now.getUTCHours() * 4 + Math.floor(now.getUTCMinutes() / 15);
-      })(),
-      lastUpdated: new Date().toISOString()
+      // Rule profile active today (null = base settings)
+      activeProfile: settings.activeProfile,
+      scheduleMode: settings.scheduleMode || 'cheapest',
+      // Anti-short-cycle limits, enforced again by the device at switch time
+      minOnMinutes: Number(settings.minOnMinutes) || 0,
+      minOffMinutes: Number(settings.minOffMinutes) || 0,
+      maxCyclesPerDay: Number(settings.maxCyclesPerDay) || 0,
+      selectionMode: settings.selectionMode || 'daily',
+      // Energy-target progress (scheduleMode 'energy', otherwise null)
+      ratedPowerKw: Number(settings.ratedPowerKw) || null,
+      energy,
+      // Household power cap: { limitKw, ratedPowerKw, priority, blocked } or null
+      powerCap,
+      // Monthly peak-power tariff: { peakKw, centsPerKw, monthStart, load } or null
+      peakTariff: peak,
+      // Today's slots, then tomorrow's once published (slotCount..horizon)
+      prices,
+      schedule,
+      // Local-day slot model: slot i starts at dayStart + i * 900 s (epoch seconds)
+      timezone: userTimezone,
+      dayStart: Math.floor(day.start / 1000),
+      slotCount: day.slotCount,
+      utcOffsetMinutes: utcOffsetMinutes(now, userTimezone),
+      serverTime: new Date(now).toISOString(),
+      serverSlot: slotIndexAt(day.start, now),
+      lastUpdated: new Date(now).toISOString()
     };
     return config;
   }
 
+  /*
+   * pushAfterChange(id)
+   * -------------------
+   * Push device `id`'s new config after its settings changed. Under a
+   * household power cap or peak-power tariff the other devices' plans may
+   * shift too, so the household is planned again once and every device is
+   * pushed.
+   */
+  function pushAfterChange(id) {
+    resetHouseholdPlans();
+    const ids = isJointPlanning() ? Object.keys(getDevices()) : [id];
+    if (!ids.includes(id)) ids.push(id);
+    ids.forEach(deviceId => tryPushConfigToDevice(deviceId));
+  }
+
   async function tryPushConfigToDevice(id) {
     try {
       const devices = getDevices();
@@ -237,8 +782,9 @@ module.exports = function createShellyModule(deps = {}) {
    * --------------------
    * Endpoint Shelly devices call to fetch their configuration. Responds with
    * device-level settings, the computed `schedule`, the current `prices`
-   * (first 96 slots) and server-provided `serverTime`/`serverSlot` which the
-   * device script can use if its RTC is wrong. This endpoint is the main
+   * (today's local-day slots, 92-100 of them), the day's `dayStart`/
+   * `slotCount`/`utcOffsetMinutes` and server-provided `serverTime`/
+   * `serverSlot` which the device script can use if its RTC is wrong. This endpoint is the main
    * contract consumed by `shellyScript.js` running on physical devices.
    */
   router.get('/api/config/:id', async (req, res) => {
@@ -289,10 +835,26 @@ module.exports = function createShellyModule(deps = {}) {
    * External control endpoint used by the UI and by internal reconcile
    * logic. Accepts { id, action } where action is 'on'|'off'|'clear'. Reads
    * per-device `settings_<id>.json` to honor `reversedControl` before
-   * issuing the effective physical action via `shellyController`.
+   * issuing the effective physical action via `shellyController`. An 'on'
+   * or 'off' with `minutes` or `until` ('HH:MM' or 'cheap', overrideEnd())
+   * is a timed override: it is saved to the device settings as
+   * `manualUntil`, sent to the device so it also ends offline, and the
+   * response carries `manualUntil` (ISO). Invalid timings give 400.
    */
   router.post('/api/control', async (req, res) => {
-    const { id, action } = req.body;
+    const { id, action, minutes, until } = req.body;
+    const timed = (action === 'on' || action === 'off') && (minutes !== undefined || until !== undefined);
+    let manualUntil;
+    if (timed) {
+      if (!getDevices()[id]) return res.status(404).json({ error: `Unknown Shelly device: ${id}` });
+      try {
+        manualUntil = new Date(overrideEnd(id, { minutes, until })).toISOString();
+      } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        console.error(`Module(shelly) Failed to time the override for Shelly ${id}:`, error.message);
+        return res.status(500).json({ error: error.message });
+      }
+    }
     try {
       // Read device settings to respect reversedControl flag
       const settingsPath = path.join(__dirname, '..', '..', `settings_${id}.json`);
@@ -303,6 +865,14 @@ module.exports = function createShellyModule(deps = {}) {
         console.warn(`Module(shelly): failed to read settings for ${id} when applying control: ${e.message}`);
       }
 
+      if (timed) {
+        settings = { ...loadDeviceSettings(id), manualOverride: true, manualState: action, manualUntil };
+        saveDeviceSettings(id, settings);
+        if (!deviceStatus[id]) deviceStatus[id] = {};
+        deviceStatus[id].override = overrideReport(settings);
+        console.log(`Module(shelly) Shelly ${id}: manual ${action} until ${manualUntil}`);
+      }
+
       let effectiveAction = action;
       if (action === 'on' || action === 'off') {
         if (settings && settings.reversedControl) {
@@ -311,17 +881,21 @@ module.exports = function createShellyModule(deps = {}) {
         }
       }
 
+      // The device ends a timed override on its own (epoch seconds)
+      const deviceUntil = timed ? Math.floor(Date.parse(manualUntil) / 1000) : undefined;
       if (effectiveAction === 'on') {
-        await turnOnShelly(id);
+        await turnOnShelly(id, deviceUntil);
       } else if (effectiveAction === 'off') {
-        await turnOffShelly(id);
+        await turnOffShelly(id, deviceUntil);
       } else if (action === 'clear') {
         // clear should not be inverted; it's a logical reset
         await clearOverride(id);
       } else {
         throw new Error('Invalid action');
       }
-  res.json({ success: true, message: `Shelly ${id} requested ${action}, performed ${effectiveAction}` });
+      // The schedule after a timed override changes, so the device gets its new config
+      if (timed) pushAfterChange(id);
+  res.json({ success: true, message: `Shelly ${id} requested ${action}, performed ${effectiveAction}`, ...(timed ? { manualUntil } : {}) });
     } catch (error) {
       console.error(`Module(shelly) Control error for Shelly ${id} (${action}):`, error.message);
       res.status(500).json({ error: error.message });
@@ -333,11 +907,14 @@ module.exports = function createShellyModule(deps = {}) {
    * ------------------------
    * Persist device settings sent from the UI into `settings_<id>.json`.
    * Ensures backward compatibility by setting default flags (e.g.
-   * `reversedControl`) when missing.
+   * `reversedControl`) when missing. Invalid rule profiles or rule trees
+   * are rejected with 400 { error, details }.
    */
   router.post('/api/save-settings', (req, res) => {
     const { id, settings } = req.body;
     if (!id || !settings) return res.status(400).json({ error: 'Invalid id or settings' });
+    const invalid = settingsError(settings);
+    if (invalid) return res.status(400).json(invalid);
     try {
       const filePath = path.join(__dirname, '..', '..', `settings_${id}.json`);
       // Ensure reversedControl exists when saving
@@ -346,7 +923,7 @@ module.exports = function createShellyModule(deps = {}) {
   // Push new config to device so server has control as primary source.
   // The push is best-effort: failures will apply backoff and device will
   // still pick up config on its own schedule.
-  tryPushConfigToDevice(id);
+  pushAfterChange(id);
       res.json({ success: true });
     } catch (error) {
       console.error(`Module(shelly) Failed to save settings for ${id}:`, error.message);
@@ -354,6 +931,71 @@ module.exports = function createShellyModule(deps = {}) {
     }
   });
 
+  /*
+   * POST /api/schedule/preview
+   * --------------------------
+   * Dry run of hypothetical settings: accepts { id, settings } like
+   * /api/save-settings and responds with the schedule they would give
+   * (previewSchedule(): per-slot schedule, on-time, energy and cost) without
+   * saving them or pushing anything to the device. Invalid rule profiles or
+   * rule trees are rejected with 400 { error, details }.
+   */
+  router.post('/api/schedule/preview', (req, res) => {
+    const { id, settings } = req.body || {};
+    if (!id || !settings || typeof settings !== 'object') return res.status(400).json({ error: 'Invalid id or settings' });
+    if (!getDevices()[id]) return res.status(404).json({ error: `Unknown Shelly device: ${id}` });
+    const invalid = settingsError(settings);
+    if (invalid) return res.status(400).json(invalid);
+    try {
+      res.json(previewSchedule(id, settings));
+    } catch (error) {
+      console.error(`Module(shelly) Failed to preview schedule for ${id}:`, error.message);
+      res.status(500).json({ error: `Preview failed: ${error.message}` });
+    }
+  });
+
+  /*
+   * POST /api/backtest
+   * ------------------
+   * Replay device settings over the archived prices (backtest.js). Accepts
+   * { id, from, to, settings } (dates YYYY-MM-DD, inclusive; default the
+   * last 30 days up to yesterday) and compares `alwaysOn`, the device's
+   * saved settings (`current`) and, when given, the unsaved `settings`
+   * (`proposed`), each with the device's rated power. Responds with {
+   * zone, from, to, missingDays, fixedFeesEur, variants: { alwaysOn,
+   * current, proposed } } where every variant has `days` (date, onMinutes,
+   * energyKwh, costEur, averagePrice, cycles, violations) and `totals`. Invalid dates or
+   * settings are rejected with 400.
+   */
+  router.post('/api/backtest', (req, res) => {
+    const { id, settings } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    if (!getDevices()[id]) return res.status(404).json({ error: `Unknown Shelly device: ${id}` });
+    if (settings) {
+      const invalid = typeof settings === 'object' ? settingsError(settings) : { error: 'Invalid settings' };
+      if (invalid) return res.status(400).json(invalid);
+    }
+    const timezone = getTimezone();
+    const yesterday = addDays(getToday(timezone).date, -1);
+    const current = loadDeviceSettings(id);
+    const withPower = values => ({ ...values, ratedPowerKw: devicePowerKw(id, values) });
+    const variants = { alwaysOn: { ...ALWAYS_ON, ratedPowerKw: devicePowerKw(id, current) }, current: withPower(current) };
+    if (settings) variants.proposed = withPower(settings);
+    try {
+      res.json(runBacktest({
+        zone: getDeviceZone(id),
+        from: (req.body && req.body.from) || addDays(yesterday, -29),
+        to: (req.body && req.body.to) || yesterday,
+        variants,
+        holidays: getHolidays()
+      }));
+    } catch (error) {
+      if (error.status === 400) return res.status(400).json({ error: error.message });
+      console.error(`Module(shelly) Backtest failed for ${id}:`, error.message);
+      res.status(500).json({ error: `Backtest failed: ${error.message}` });
+    }
+  });
+
   /*
    * GET /api/load-settings?id=<id>
    * -------------------------------
@@ -367,16 +1009,42 @@ module.exports = function createShellyModule(deps = {}) {
       const filePath = path.join(__dirname, '..', '..', `settings_${id}.json`);
       if (fs.existsSync(filePath)) {
         const settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        res.json(settings);
+        // The rated power in shellyDevices wins, as it does when planning
+        res.json({ ...settings, ratedPowerKw: devicePowerKw(id, settings) });
       } else {
         res.json({
           minPrice: 0.05,
           maxPrice: 0.20,
           numCheapest: 4,
+          thresholdType: 'absolute',
+          thresholdBasis: 'day',
           timeFrame: '15min',
           manualOverride: false,
           manualState: null,
-          reversedControl: false
+          reversedControl: false,
+          allowForecast: false,
+          allowedWindows: [],
+          forbiddenWindows: [],
+          minOnMinutes: 0,
+          minOffMinutes: 0,
+          maxCyclesPerDay: 0,
+          minDailyOnMinutes: 0,
+          maxOffMinutes: 0,
+          scheduleMode: 'cheapest',
+          blockMinutes: 120,
+          maxBlocks: 1,
+          minBlockMinutes: 0,
+          blockWindowStart: '',
+          blockWindowEnd: '',
+          selectionMode: 'daily',
+          rollingHours: 24,
+          rollingDeadline: '',
+          rules: null,
+          ratedPowerKw: devicePowerKw(id, {}),
+          energyTargetKwh: 0,
+          energyTargetMinutes: 0,
+          energyDeadline: '07:00',
+          profiles: []
         });
       }
     } catch (error) {
@@ -415,13 +1083,15 @@ module.exports = function createShellyModule(deps = {}) {
     if (!id || !rules) return res.status(400).json({ error: 'Invalid id or rules' });
     const devices = getDevices();
     if (!devices[id]) return res.status(404).json({ error: `Unknown Shelly device: ${id}` });
+    const invalid = settingsError(rules);
+    if (invalid) return res.status(400).json(invalid);
     try {
       const filePath = path.join(__dirname, '..', '..', `settings_${id}.json`);
   fs.writeFileSync(filePath, JSON.stringify(rules, null, 2));
   if (!deviceStatus[id]) deviceStatus[id] = {};
   deviceStatus[id].lastSync = new Date().toISOString();
   // Best-effort push to device with backoff
-  tryPushConfigToDevice(id);
+  pushAfterChange(id);
 
   res.json({ success: true, message: `Rules synced for Shelly ${id}` });
     } catch (error) {
@@ -492,23 +1162,13 @@ module.exports = function createShellyModule(deps = {}) {
       if (fs.existsSync(settingsPath)) settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
 
       // If manual override is active, do not reconcile
-      if (settings.manualOverride) return res.status(200).json({ success: false, message: 'Manual override active; reconciliation skipped' });
+      if (manualState(settings, Date.now()) !== undefined) return res.status(200).json({ success: false, message: 'Manual override active; reconciliation skipped' });
 
-      // Load prices
-      let prices = [];
-      try {
-        const priceCache = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'prices.json'), 'utf8'));
-        prices = [...(priceCache.today || []).map(p => p.price), ...(priceCache.tomorrow || []).map(p => p.price)];
-      } catch (err) {
-        console.warn('Reconcile: failed to load prices.json:', err.message);
-      }
+      // Same schedule as the device payload (today, plus tomorrow when published)
+      const { day, schedule } = planDeviceInHousehold(id, settings);
 
-      // Compute schedule for today (96 slots)
-      const schedule = computeSchedule(prices, { ...settings, timeFrame: settings.timeFrame || '15min' });
-
-      // Determine current slot (UTC-based 15-min slot)
-      const now = new Date();
-      const slot = now.getUTCHours() * 4 + Math.floor(now.getUTCMinutes() / 15);
+      // Determine current slot counted from local midnight
+      const slot = slotIndexAt(day.start);
       const shouldBeOn = !!schedule[slot];
 
       // Respect reversedControl when issuing the physical command
@@ -539,8 +1199,14 @@ module.exports = function createShellyModule(deps = {}) {
    * Every minute query each runtime Shelly device via RPC to refresh the
    * `deviceStatus` records. This keeps the UI and reconcile logic up-to-date
    * without waiting for device heartbeats.
+   * The same tick ends timed overrides that ran out (expireOverrides()),
+   * records the energy delivered and the load from the relay states just
+   * read (recordUsage()) and alerts on energy targets the last payloads
+   * could not meet.
    */
-  cron.schedule('*/1 * * * *', async () => {
+  if (background) cron.schedule('*/1 * * * *', async () => {
+    // Timed overrides that ran out return to the schedule first
+    expireOverrides();
     console.log('Module(shelly) Checking Shelly statuses (runtime devices)...');
     const devices = getDevices();
     for (const id of Object.keys(devices)) {
@@ -550,13 +1216,156 @@ module.exports = function createShellyModule(deps = {}) {
         console.warn(`Module(shelly) Status check failed for Shelly ${id}:`, e.message);
       }
     }
+    try {
+      recordUsage();
+    } catch (e) {
+      console.warn('Module(shelly) Failed to record device usage:', e.message);
+    }
+    Object.keys(devices).forEach(id => notifyEnergyShortfall(id, deviceStatus[id] && deviceStatus[id].energy));
+  });
+
+  /*
+   * formatLocalTime(ms, timezone, locale)
+   * -------------------------------------
+   * 24-hour HH:MM of instant `ms` in the user's timezone.
+   */
+  function formatLocalTime(ms, timezone, locale) {
+    return new Date(ms).toLocaleTimeString(locale, { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+
+  /*
+   * formatOnRanges(schedule, dayStart, timezone, locale)
+   * ----------------------------------------------------
+   * Describe the ON slots of a schedule as local time ranges, e.g.
+   * "02:00–04:00, 13:15–14:00".
+   */
+  function formatOnRanges(schedule, dayStart, timezone, locale) {
+    const fmt = ms => formatLocalTime(ms, timezone, locale);
+    const ranges = [];
+    let start = -1;
+    schedule.concat(false).forEach((on, i) => {
+      if (on && start < 0) start = i;
+      if (!on && start >= 0) {
+        ranges.push(`${fmt(dayStart + start * SLOT_MS)}–${fmt(dayStart + i * SLOT_MS)}`);
+        start = -1;
+      }
+    });
+    return ranges.join(', ');
+  }
+
+  /*
+   * buildTomorrowPlan(zone)
+   * -----------------------
+   * Telegram summary of tomorrow's prices in `zone` and the schedule every
+   * device in that zone will run, or null when tomorrow has no published
+   * prices yet. Forecast prices are not summarized. Under a household power
+   * cap or peak-power tariff all devices are planned together, as their
+   * payloads are.
+   */
+  function buildTomorrowPlan(zone) {
+    const runtimeConfig = loadRuntimeConfig();
+    const timezone = getTimezone(runtimeConfig);
+    const locale = (runtimeConfig.userPreferences && runtimeConfig.userPreferences.locale) || 'fi-FI';
+    const tomorrow = getDayInfo(addDays(getToday(timezone).date, 1), timezone);
+    const zonePrices = getZonePrices(zone);
+    const slots = zonePrices.tomorrow;
+    if (!slots.length || Date.parse(slots[0].time) !== tomorrow.start) return null;
+    const prices = slotPrices(slots);
+    const known = prices.filter(p => typeof p === 'number');
+    if (!known.length) return null;
+
+    const avg = known.reduce((a, b) => a + b, 0) / known.length;
+    const minIdx = prices.indexOf(Math.min(...known));
+    const maxIdx = prices.indexOf(Math.max(...known));
+    const at = idx => formatLocalTime(tomorrow.start + idx * SLOT_MS, timezone, locale);
+    const lines = [
+      `📅 *Tomorrow's plan* (${tomorrow.date}, ${zone.toUpperCase()})`,
+      `Avg ${avg.toFixed(2)} c/kWh · min ${Math.min(...known).toFixed(2)} at ${at(minIdx)} · max ${Math.max(...known).toFixed(2)} at ${at(maxIdx)}`
+    ];
+
+    const holidays = getHolidays();
+    const devices = Object.keys(getDevices()).map((id) => {
+      const base = loadDeviceSettings(id);
+      const settings = effectiveSettings(base, tomorrow.date, holidays);
+      return { id, settings, powerKw: devicePowerKw(id, base), priority: deviceEntry(id).priority };
+    });
+    // Tomorrow's peak so far is today's, unless tomorrow starts a new month
+    const current = monthlyPeak();
+    const peak = current && { peakKw: typeof current.monthStartSlot === 'number' ? 0 : current.peakKw, centsPerKw: current.centsPerKw };
+    // Rolling mode is summarized as a window starting at tomorrow's midnight
+    const plans = planHousehold(devices, householdLimitKw(), (device, blockedSlots, peakTariff) => {
+      let own = [];
+      try {
+        own = getZonePrices(getDeviceZone(device.id)).tomorrow;
+      } catch (e) {
+        console.warn(`Module(shelly): no prices for Shelly ${device.id} when planning tomorrow:`, e.message);
+      }
+      if (!own.length || Date.parse(own[0].time) !== tomorrow.start) return { schedule: [] };
+      return {
+        schedule: planSchedule([{ prices: slotPrices(own, { allowForecast: !!device.settings.allowForecast }), slotCount: tomorrow.slotCount }], device.settings,
+          { nowSlot: 0, slotTimes: own.map(slot => slot.time), timezone, inputs: ruleInputs(deviceStatus), blockedSlots, peakTariff })
+      };
+    }, peak);
+
+    devices.filter(({ id }) => getDeviceZone(id) === zone).forEach(({ id, settings }) => {
+      // A timed override is part of the planned schedule
+      if (settings.manualOverride && settings.manualState && !settings.manualUntil) {
+        lines.push(`Shelly ${id}: manual ${settings.manualState}`);
+        return;
+      }
+      const { schedule } = plans[id];
+      const onMinutes = schedule.filter(Boolean).length * (SLOT_MS / 60000);
+      const ranges = formatOnRanges(schedule, tomorrow.start, timezone, locale);
+      const profile = settings.activeProfile ? ` (${settings.activeProfile})` : '';
+      lines.push(`Shelly ${id}${profile}: on ${Math.floor(onMinutes / 60)}h ${String(onMinutes % 60).padStart(2, '0')}min${ranges ? ` — ${ranges}` : ''}`);
+    });
+    return { date: tomorrow.date, text: lines.join('\n') };
+  }
+
+  /*
+   * Price updates
+   * -------------
+   * When energyPrices.js reports changed prices, recompute and notify every
+   * device in an affected zone right away (the device then pulls its new
+   * config) instead of waiting for the periodic push or the device's own
+   * sync. With `tomorrowPlanNotification` enabled in config.json, the first
+   * published prices for tomorrow also trigger a Telegram summary of the
+   * plan (once per zone and day).
+   */
+  if (background) priceEvents.on(PRICES_UPDATED, ({ changes }) => {
+    const zones = Array.from(new Set(changes.map(c => c.zone)));
+    const devices = getDevices();
+    // Under a household power cap or peak-power tariff devices in other zones share the capacity
+    const joint = isJointPlanning();
+    resetHouseholdPlans();
+    Object.keys(devices).filter(id => joint || zones.includes(getDeviceZone(id))).forEach(id => {
+      console.log(`Module(shelly): prices changed for zone ${getDeviceZone(id)}, notifying device ${id}`);
+      tryPushConfigToDevice(id);
+    });
+
+    if (!loadRuntimeConfig().tomorrowPlanNotification) return;
+    changes
+      .filter(c => c.day === 'tomorrow' && c.provider && c.provider !== 'forecast')
+      .forEach(({ zone, date }) => {
+        if (getPlanLastNotified(zone) === date) return;
+        try {
+          const plan = buildTomorrowPlan(zone);
+          if (!plan || plan.date !== date) return;
+          setPlanLastNotified(zone, date);
+          sendTelegramMessage(plan.text);
+        } catch (e) {
+          console.warn(`Module(shelly): failed to build tomorrow's plan for zone ${zone}:`, e.message);
+        }
+      });
   });
 
   // Periodically push full config to devices (best-effort). This ensures
   // devices receive updated server-driven config even if no UI action was
   // taken. Use a 5-minute cadence to avoid excessive network load.
-  cron.schedule('*/5 * * * *', async () => {
+  if (background) cron.schedule('*/5 * * * *', async () => {
     console.log('Module(shelly) Periodic push of config to runtime devices...');
+    // Each push cycle plans the household once for all devices
+    resetHouseholdPlans();
     const devices = getDevices();
     for (const id of Object.keys(devices)) {
       try {
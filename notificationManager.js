@@ -1,53 +1,10 @@
 const axios = require('axios');
 const { createChildLogger } = require('./utils/logger');
+const { retryWithBackoff } = require('./utils/retry');
 const { TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID } = require('./configLoader');
 
 const logger = createChildLogger('notificationManager');
 
-/*
- * sleep(ms)
- * ---------
- * Utility function for delays in retry logic.
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/*
- * retryWithBackoff(fn, maxRetries, baseDelay)
- * -------------------------------------------
- * Retry a function with exponential backoff.
- */
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-
-      if (attempt === maxRetries) {
-        logger.error('Max retries exceeded', {
-          error: error.message,
-          attempts: maxRetries + 1
-        });
-        break;
-      }
-
-      const delay = baseDelay * Math.pow(2, attempt);
-      logger.warn(`Attempt ${attempt + 1} failed, retrying in ${delay}ms`, {
-        error: error.message,
-        nextAttemptIn: delay
-      });
-
-      await sleep(delay);
-    }
-  }
-
-  throw lastError;
-}
-
 /*
  * sendTelegramMessage(message)
  * ----------------------------
@@ -89,7 +46,7 @@ async function sendTelegramMessage(message) {
       }
 
       return response.data;
-    });
+    }, 3, 1000, logger);
 
     logger.info('Telegram message sent successfully', {
       messagePreview: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
@@ -1,46 +1,19 @@
-const fs = require('fs');
 const path = require('path');
+const { createStateFile } = require('./utils/stateFile');
 
 /*
  * STATE_PATH
  * ----------
  * File path where notification timestamps are persisted to avoid duplicate
- * alerts across server restarts. Structure is an object with `serverNotified`
- * and `devices` mapping deviceId -> ISO timestamp.
+ * alerts across server restarts. Structure is an object with `serverNotified`,
+ * `devices` mapping deviceId -> ISO timestamp and `plans` mapping zone ->
+ * date of the last "tomorrow's plan" summary.
  */
 const STATE_PATH = path.join(__dirname, 'notification_state.json');
 
-/*
- * loadState()
- * -----------
- * Read and parse the persisted notification state from disk. Returns a
- * fallback object when the file is missing or cannot be parsed.
- */
-function loadState() {
-  try {
-    if (fs.existsSync(STATE_PATH)) {
-      const raw = fs.readFileSync(STATE_PATH, 'utf8');
-      return JSON.parse(raw || '{}');
-    }
-  } catch (e) {
-    console.error('Failed to load notification state:', e.message);
-  }
-  return { serverNotified: null, devices: {} };
-}
-
-/*
- * saveState(state)
- * ----------------
- * Persist the provided state object to disk. Errors are logged but not
- * propagated to callers since notification state is best-effort.
- */
-function saveState(state) {
-  try {
-    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
-  } catch (e) {
-    console.error('Failed to save notification state:', e.message);
-  }
-}
+const { load: loadState, save: saveState } = createStateFile(
+  STATE_PATH, 'notification state', () => ({ serverNotified: null, devices: {} })
+);
 
 /*
  * isServerNotified()
@@ -113,11 +86,36 @@ function clearDeviceLastNotified(id) {
   }
 }
 
+/*
+ * getPlanLastNotified(zone)
+ * -------------------------
+ * Return the date (YYYY-MM-DD) of the last "tomorrow's plan" summary sent
+ * for a bidding zone, or null if none was sent.
+ */
+function getPlanLastNotified(zone) {
+  const s = loadState();
+  return s.plans && s.plans[zone] ? s.plans[zone] : null;
+}
+
+/*
+ * setPlanLastNotified(zone, date)
+ * -------------------------------
+ * Persist that the plan summary for `date` was sent for `zone`.
+ */
+function setPlanLastNotified(zone, date) {
+  const s = loadState();
+  s.plans = s.plans || {};
+  s.plans[zone] = date;
+  saveState(s);
+}
+
 module.exports = {
   isServerNotified,
   setServerNotified,
   clearServerNotified,
   getDeviceLastNotified,
   setDeviceLastNotified,
-  clearDeviceLastNotified
+  clearDeviceLastNotified,
+  getPlanLastNotified,
+  setPlanLastNotified
 };
@@ -0,0 +1,79 @@
+const path = require('path');
+const { createStateFile } = require('./utils/stateFile');
+
+/*
+ * STATE_PATH
+ * ----------
+ * File path where the month's peak power is persisted for the monthly
+ * peak-power tariff (`tariff.peakEurPerKw`). The structure is { month,
+ * peakKw, peakAt, countedUntil, loadKw, hours } where `month` is the epoch
+ * ms of the month's start, `peakKw` the highest hourly average load so far
+ * (starting at `peakAt`), `countedUntil` and `loadKw` the time and load of
+ * the last sample and `hours` maps hour starts (epoch ms) of this month to
+ * the kWh counted in them. Only the load of devices with a rated power is
+ * known, so that is the load tracked.
+ */
+const STATE_PATH = path.join(__dirname, 'peak_state.json');
+
+const HOUR_MS = 3600000;
+
+// A longer silence between samples (server down) is not counted as load
+const MAX_SAMPLE_GAP_MS = 5 * 60000;
+
+const { load: loadState, save: saveState } = createStateFile(STATE_PATH, 'peak state');
+
+/*
+ * recordLoad(now, monthStart, loadKw)
+ * -----------------------------------
+ * Sample the household load `loadKw` (kW of the devices switched on) at
+ * `now` (epoch ms): the load of the previous sample is counted into hourly
+ * buckets up to `now`. Returns { month, peakKw, peakAt } for the month
+ * starting at `monthStart` (epoch ms); a new month starts again at 0.
+ */
+function recordLoad(now, monthStart, loadKw) {
+  const state = loadState();
+  if (state.month !== monthStart) {
+    state.month = monthStart;
+    state.peakKw = 0;
+    state.peakAt = null;
+    state.hours = {};
+    if (typeof state.countedUntil !== 'number') state.countedUntil = now;
+    state.countedUntil = Math.max(state.countedUntil, monthStart);
+  }
+  const kw = state.loadKw || 0;
+  if (kw && now - state.countedUntil <= MAX_SAMPLE_GAP_MS) {
+    for (let from = state.countedUntil; from < now;) {
+      const hour = Math.floor(from / HOUR_MS) * HOUR_MS;
+      const to = Math.min(now, hour + HOUR_MS);
+      state.hours[hour] = (state.hours[hour] || 0) + kw * (to - from) / HOUR_MS;
+      from = to;
+    }
+  }
+  state.countedUntil = Math.max(state.countedUntil, now);
+  state.loadKw = loadKw;
+  Object.keys(state.hours).forEach((hour) => {
+    if (state.hours[hour] > state.peakKw) {
+      state.peakKw = Math.round(state.hours[hour] * 1000) / 1000;
+      state.peakAt = new Date(Number(hour)).toISOString();
+    }
+  });
+  saveState(state);
+  return { month: state.month, peakKw: state.peakKw, peakAt: state.peakAt };
+}
+
+/*
+ * getPeak()
+ * ---------
+ * The last tracked { month, peakKw, peakAt } without counting anything,
+ * or null before the first sample.
+ */
+function getPeak() {
+  const state = loadState();
+  if (typeof state.month !== 'number') return null;
+  return { month: state.month, peakKw: state.peakKw || 0, peakAt: state.peakAt || null };
+}
+
+module.exports = {
+  recordLoad,
+  getPeak
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('./utils/logger');
+const { isMissingSlot, missingSlot, normalizeSlots } = require('./utils/priceStore');
+const { expandSlots } = require('./utils/priceResolution');
+
+const logger = createChildLogger('priceArchive');
+
+/*
+ * ARCHIVE_DIR
+ * -----------
+ * Root of the persistent price archive. Every fetched day is stored as
+ * `price_archive/<zone>/<YYYY-MM-DD>.json` containing { date, zone,
+ * provider, resolution, archivedAt, slots } where `slots` uses the
+ * prices.json slot shape ({ time, spot, total, price }, gaps flagged
+ * `missing`) and `resolution` is the source's native resolution in minutes.
+ * `PRICE_ARCHIVE_DIR` (read at load) moves it elsewhere, e.g. for tests.
+ */
+const ARCHIVE_DIR = process.env.PRICE_ARCHIVE_DIR || path.join(__dirname, 'price_archive');
+
+/*
+ * RESOLUTIONS
+ * -----------
+ * Aggregations supported by queryHistory().
+ */
+const RESOLUTIONS = ['15min', 'hour', 'day'];
+
+/*
+ * MAX_RANGE_DAYS
+ * --------------
+ * Upper bound for one history query to keep responses reasonably sized.
+ */
+const MAX_RANGE_DAYS = 366;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * dayPath(zone, dateStr)
+ * ----------------------
+ * File path of one archived day.
+ */
+function dayPath(zone, dateStr) {
+  return path.join(ARCHIVE_DIR, zone, `${dateStr}.json`);
+}
+
+/*
+ * archiveDay(zone, dateStr, slots, provider, resolution)
+ * ------------------------------------------------------
+ * Store the slots of one day together with the native resolution (minutes)
+ * of the source that supplied them. Days without any price data are skipped, as
+ * are re-archives of data that came from the local cache (the archive
+ * already holds the original) and forecasts (only real prices are kept,
+ * they are what forecasts are built from); slots filled by gap repair are
+ * stored as missing for the same reason. Errors are logged, not thrown, so archiving
+ * never breaks a price fetch.
+ */
+function archiveDay(zone, dateStr, slots, provider, resolution = null) {
+  if (!provider || provider === 'cache' || provider === 'forecast') return false;
+  if (!Array.isArray(slots) || !slots.some(s => !isMissingSlot(s))) return false;
+  try {
+    fs.mkdirSync(path.join(ARCHIVE_DIR, zone), { recursive: true });
+    const realSlots = slots.map(s => (s && s.repaired ? missingSlot(s.time) : s));
+    const entry = { date: dateStr, zone, provider, resolution, archivedAt: new Date().toISOString(), slots: realSlots };
+    fs.writeFileSync(dayPath(zone, dateStr), JSON.stringify(entry));
+    return true;
+  } catch (e) {
+    logger.error('Failed to archive prices', { zone, date: dateStr, error: e.message });
+    return false;
+  }
+}
+
+/*
+ * readDay(zone, dateStr)
+ * ----------------------
+ * Return the archived entry for a zone/day, or null when it is missing or
+ * unreadable. Days stored at a coarser resolution (e.g. hourly files
+ * copied in by hand) are expanded to 15-minute slots; `resolution` then
+ * reports the detected native resolution when the file did not record it.
+ */
+function readDay(zone, dateStr) {
+  try {
+    const p = dayPath(zone, dateStr);
+    if (!fs.existsSync(p)) return null;
+    const entry = JSON.parse(fs.readFileSync(p, 'utf8'));
+    if (entry && Array.isArray(entry.slots)) {
+      const { slots, resolution } = expandSlots(normalizeSlots(entry.slots));
+      entry.slots = slots;
+      if (!entry.resolution) entry.resolution = resolution;
+    }
+    return entry;
+  } catch (e) {
+    logger.warn('Failed to read archived prices', { zone, date: dateStr, error: e.message });
+    return null;
+  }
+}
+
+/*
+ * listDays(zone)
+ * --------------
+ * Sorted list of archived dates (YYYY-MM-DD) for a zone.
+ */
+function listDays(zone) {
+  const dir = path.join(ARCHIVE_DIR, zone);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => DATE_RE.test(f.replace(/\.json$/, '')) && f.endsWith('.json'))
+    .map(f => f.replace(/\.json$/, ''))
+    .sort();
+}
+
+/*
+ * average(slots, key)
+ * -------------------
+ * Mean of a numeric slot field, ignoring slots that lack it. Returns null
+ * when no slot has a value.
+ */
+function average(slots, key) {
+  const values = slots.map(s => s[key]).filter(v => typeof v === 'number');
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/*
+ * aggregate(slots, time)
+ * ----------------------
+ * Combine consecutive slots into one point averaging spot/total/price and
+ * reporting the min/max of `price`. Missing slots are skipped; a point
+ * with no priced slot at all is itself flagged `missing`.
+ */
+function aggregate(slots, time) {
+  const priced = slots.filter(s => !isMissingSlot(s));
+  const prices = priced.map(s => s.price);
+  const point = {
+    time,
+    spot: average(priced, 'spot'),
+    total: average(priced, 'total'),
+    price: average(priced, 'price'),
+    min: prices.length ? Math.min(...prices) : null,
+    max: prices.length ? Math.max(...prices) : null
+  };
+  if (!prices.length) point.missing = true;
+  return point;
+}
+
+/*
+ * toResolution(slots, resolution)
+ * -------------------------------
+ * Convert one day's 15-min slots into the requested resolution. Hourly
+ * points group slots by their UTC hour; the daily point covers all slots.
+ */
+function toResolution(slots, resolution) {
+  if (resolution === 'day') {
+    return slots.length ? [aggregate(slots, slots[0].time)] : [];
+  }
+  if (resolution === 'hour') {
+    const hours = new Map();
+    slots.forEach((slot) => {
+      const key = `${String(slot.time).slice(0, 13)}:00:00.000Z`;
+      if (!hours.has(key)) hours.set(key, []);
+      hours.get(key).push(slot);
+    });
+    return Array.from(hours.entries()).map(([time, group]) => aggregate(group, time));
+  }
+  return slots;
+}
+
+/*
+ * queryHistory({ zone, from, to, resolution })
+ * --------------------------------------------
+ * Return archived prices between `from` and `to` (inclusive, YYYY-MM-DD)
+ * as { zone, from, to, resolution, days: [{ date, provider,
+ * sourceResolution, points }], missingDays: [...] } where
+ * `sourceResolution` is the day's native resolution in minutes. Throws an Error with `status = 400` on invalid
+ * input so routes can map it to a client error.
+ */
+function queryHistory({ zone, from, to, resolution = '15min' }) {
+  const fail = (msg) => { const err = new Error(msg); err.status = 400; return err; };
+  if (!from || !DATE_RE.test(from)) throw fail('from must be a date (YYYY-MM-DD)');
+  to = to || from;
+  if (!DATE_RE.test(to)) throw fail('to must be a date (YYYY-MM-DD)');
+  if (!RESOLUTIONS.includes(resolution)) throw fail(`resolution must be one of ${RESOLUTIONS.join(', ')}`);
+
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (isNaN(start) || isNaN(end)) throw fail('Invalid date');
+  if (end < start) throw fail('to must not be before from');
+  if ((end - start) / 86400000 + 1 > MAX_RANGE_DAYS) throw fail(`Range is limited to ${MAX_RANGE_DAYS} days`);
+
+  const days = [];
+  const missingDays = [];
+  for (let t = start; t <= end; t += 86400000) {
+    const dateStr = new Date(t).toISOString().split('T')[0];
+    const entry = readDay(zone, dateStr);
+    if (!entry || !Array.isArray(entry.slots)) {
+      missingDays.push(dateStr);
+      continue;
+    }
+    days.push({
+      date: dateStr,
+      provider: entry.provider || null,
+      sourceResolution: entry.resolution || null,
+      points: toResolution(entry.slots, resolution)
+    });
+  }
+
+  return { zone, from, to, resolution, days, missingDays };
+}
+
+module.exports = { ARCHIVE_DIR, RESOLUTIONS, MAX_RANGE_DAYS, archiveDay, readDay, listDays, queryHistory };
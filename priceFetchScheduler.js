@@ -0,0 +1,180 @@
+const { createChildLogger } = require('./utils/logger');
+const { loadRuntimeConfig } = require('./config/manager');
+const { fetchEnergyPrices } = require('./energyPrices');
+const { getTimezone, getToday, localMinutes } = require('./utils/timeSlots');
+
+const logger = createChildLogger('priceFetchScheduler');
+
+/*
+ * DEFAULT_INTERVAL_MINUTES
+ * ------------------------
+ * Fetch interval used when config.json has no `priceFetchInterval`
+ * (matches the default shown by GET /api/settings).
+ */
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+/*
+ * PUBLICATION_WINDOW
+ * ------------------
+ * Nord Pool publishes the day-ahead results around 12:45-13:00 CET; the
+ * providers usually have them shortly after. While tomorrow is still
+ * incomplete inside this window (market time, minutes since midnight) the
+ * scheduler polls every FAST_INTERVAL_MINUTES.
+ */
+const PUBLICATION_WINDOW = { timezone: 'Europe/Brussels', start: 12 * 60 + 45, end: 15 * 60 };
+const FAST_INTERVAL_MINUTES = 2;
+
+/*
+ * ROLLOVER_DELAY_MS
+ * -----------------
+ * Run shortly after local midnight so today/tomorrow shift without waiting
+ * a full interval.
+ */
+const ROLLOVER_DELAY_MS = 60 * 1000;
+
+const state = {
+  timer: null,
+  running: false,
+  nextRunAt: null,
+  nextRunReason: null,
+  lastRunAt: null,
+  lastResult: null,
+  onUpdate: null
+};
+
+/*
+ * getFetchIntervalMinutes(cfg)
+ * ----------------------------
+ * The configured `priceFetchInterval` in minutes (at least 1).
+ */
+function getFetchIntervalMinutes(cfg = loadRuntimeConfig()) {
+  const minutes = Number(cfg.priceFetchInterval);
+  return Number.isFinite(minutes) && minutes >= 1 ? minutes : DEFAULT_INTERVAL_MINUTES;
+}
+
+/*
+ * planNextRun(result, now, cfg)
+ * -----------------------------
+ * Decide when to fetch next after a run that produced `result` (the return
+ * value of fetchEnergyPrices(), or null when it failed). Returns
+ * { at, reason } with `at` in epoch milliseconds:
+ * - the regular `priceFetchInterval`, never later than just after local
+ *   midnight (day rollover)
+ * - while tomorrow is incomplete: FAST_INTERVAL_MINUTES inside the
+ *   publication window, and no later than the window's start before it
+ * Complete days are not re-fetched by the run itself (skipComplete), so a
+ * regular tick after both days are complete costs no provider requests.
+ */
+function planNextRun(result, now = Date.now(), cfg = loadRuntimeConfig()) {
+  const intervalMs = getFetchIntervalMinutes(cfg) * 60000;
+  if (!result) return { at: now + intervalMs, reason: 'retry' };
+
+  const candidates = [{ at: now + intervalMs, reason: 'interval' }];
+  candidates.push({ at: getToday(getTimezone(cfg), now).end + ROLLOVER_DELAY_MS, reason: 'rollover' });
+
+  if (!result.tomorrow.complete) {
+    const marketMinutes = localMinutes(now, PUBLICATION_WINDOW.timezone);
+    if (marketMinutes >= PUBLICATION_WINDOW.start && marketMinutes < PUBLICATION_WINDOW.end) {
+      candidates.push({ at: now + FAST_INTERVAL_MINUTES * 60000, reason: 'publication-window' });
+    } else if (marketMinutes < PUBLICATION_WINDOW.start) {
+      candidates.push({ at: now + (PUBLICATION_WINDOW.start - marketMinutes) * 60000, reason: 'publication-window' });
+    }
+  }
+
+  return candidates.reduce((a, b) => (b.at < a.at ? b : a));
+}
+
+/*
+ * scheduleAt(plan)
+ * ----------------
+ * Replace the pending timer with one firing at `plan.at`.
+ */
+function scheduleAt(plan) {
+  if (state.timer) clearTimeout(state.timer);
+  state.nextRunAt = plan.at;
+  state.nextRunReason = plan.reason;
+  state.timer = setTimeout(runFetch, Math.max(0, plan.at - Date.now()));
+  logger.debug('Next price fetch scheduled', { at: new Date(plan.at).toISOString(), reason: plan.reason });
+}
+
+/*
+ * runFetch()
+ * ----------
+ * Fetch prices (skipping days already complete), record the outcome and
+ * schedule the next run. Overlapping calls are ignored.
+ */
+async function runFetch() {
+  if (state.running) return;
+  state.running = true;
+  state.timer = null;
+  const startedAt = Date.now();
+  let result = null;
+  try {
+    result = await fetchEnergyPrices({ skipComplete: true });
+    state.lastResult = { ok: true, durationMs: Date.now() - startedAt, today: result.today, tomorrow: result.tomorrow };
+    if (state.onUpdate) state.onUpdate(result);
+  } catch (error) {
+    state.lastResult = { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+    logger.error('Scheduled price fetch failed', { error: error.message });
+  } finally {
+    state.lastRunAt = startedAt;
+    state.running = false;
+  }
+  scheduleAt(planNextRun(result));
+}
+
+/*
+ * startPriceFetchScheduler(options)
+ * ---------------------------------
+ * Fetch prices now and keep fetching on the adaptive schedule above.
+ * - options.onUpdate(result): called after every successful fetch
+ */
+function startPriceFetchScheduler(options = {}) {
+  state.onUpdate = options.onUpdate || null;
+  logger.info('Starting price fetch scheduler', { intervalMinutes: getFetchIntervalMinutes() });
+  return runFetch();
+}
+
+/*
+ * reschedulePriceFetch(options)
+ * -----------------------------
+ * Re-plan the pending run after settings changed (e.g. priceFetchInterval),
+ * counting the new interval from the last run. With `options.immediate`
+ * (e.g. a new price zone) fetch right away instead.
+ */
+function reschedulePriceFetch(options = {}) {
+  if (state.running) return; // the running fetch plans with the new settings when it finishes
+  if (options.immediate || !state.lastRunAt) {
+    scheduleAt({ at: Date.now(), reason: 'settings' });
+    return;
+  }
+  const result = state.lastResult && state.lastResult.ok ? state.lastResult : null;
+  scheduleAt(planNextRun(result, state.lastRunAt));
+}
+
+/*
+ * getPriceFetchStatus()
+ * ---------------------
+ * Scheduler state for /health: { intervalMinutes, running, nextRunAt,
+ * nextRunReason, lastRunAt, lastResult } with times as ISO strings.
+ */
+function getPriceFetchStatus() {
+  const iso = ms => (ms ? new Date(ms).toISOString() : null);
+  return {
+    intervalMinutes: getFetchIntervalMinutes(),
+    running: state.running,
+    nextRunAt: iso(state.nextRunAt),
+    nextRunReason: state.nextRunReason,
+    lastRunAt: iso(state.lastRunAt),
+    lastResult: state.lastResult
+  };
+}
+
+module.exports = {
+  PUBLICATION_WINDOW,
+  getFetchIntervalMinutes,
+  planNextRun,
+  startPriceFetchScheduler,
+  reschedulePriceFetch,
+  getPriceFetchStatus
+};
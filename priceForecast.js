@@ -0,0 +1,139 @@
+const { createChildLogger } = require('./utils/logger');
+const { loadRuntimeConfig } = require('./config/manager');
+const { readDay } = require('./priceArchive');
+const { isMissingSlot, missingSlot } = require('./utils/priceStore');
+const { getTariff, applyTariff } = require('./utils/tariff');
+const { SLOT_MS, getTimezone, localMinutes, weekdayOf, addDays } = require('./utils/timeSlots');
+
+const logger = createChildLogger('priceForecast');
+
+/*
+ * DEFAULT_FORECAST
+ * ----------------
+ * Defaults for the `priceForecast` block in config.json:
+ * - enabled: fill days no provider has published yet with forecasts
+ * - lookbackDays: archived days used for the weekday/hour profile
+ * - minHistoryDays: archived days required before forecasting at all
+ */
+const DEFAULT_FORECAST = {
+  enabled: true,
+  lookbackDays: 28,
+  minHistoryDays: 3
+};
+
+/*
+ * PROFILE_DAYS / RECENT_DAYS / TREND_WEIGHT
+ * -----------------------------------------
+ * The hour-of-day profile averages the last PROFILE_DAYS days; the level
+ * shift (trend) is the mean of the last RECENT_DAYS days minus the profile
+ * mean, applied with TREND_WEIGHT so one unusual day does not dominate.
+ */
+const PROFILE_DAYS = 14;
+const RECENT_DAYS = 3;
+const TREND_WEIGHT = 0.5;
+
+/*
+ * getForecastConfig(cfg)
+ * ----------------------
+ * Return the configured forecast options merged over DEFAULT_FORECAST.
+ */
+function getForecastConfig(cfg = loadRuntimeConfig()) {
+  const fc = { ...DEFAULT_FORECAST, ...(cfg.priceForecast || {}) };
+  fc.enabled = fc.enabled !== false;
+  fc.lookbackDays = Math.max(1, parseInt(fc.lookbackDays, 10) || DEFAULT_FORECAST.lookbackDays);
+  fc.minHistoryDays = Math.max(1, parseInt(fc.minHistoryDays, 10) || DEFAULT_FORECAST.minHistoryDays);
+  return fc;
+}
+
+/*
+ * mean(values)
+ * ------------
+ * Arithmetic mean, or null for an empty list.
+ */
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/*
+ * buildProfile(zone, beforeDate, timezone, lookbackDays)
+ * ------------------------------------------------------
+ * Collect archived spot prices from the `lookbackDays` days before
+ * `beforeDate` into hour-of-day and weekday/hour buckets. Returns
+ * { days, hourMean[24], weekdayHourMean[7][24], trend } where `days` is the
+ * number of archived days found and means are null for empty buckets.
+ */
+function buildProfile(zone, beforeDate, timezone, lookbackDays) {
+  const hour = Array.from({ length: 24 }, () => []);
+  const weekdayHour = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => []));
+  const profileValues = [];
+  const recentValues = [];
+  let days = 0;
+
+  for (let d = 1; d <= lookbackDays; d++) {
+    const date = addDays(beforeDate, -d);
+    const entry = readDay(zone, date);
+    if (!entry || !Array.isArray(entry.slots)) continue;
+    const slots = entry.slots.filter(s => !isMissingSlot(s) && !s.forecast && typeof s.spot === 'number');
+    if (!slots.length) continue;
+    days++;
+    const weekday = weekdayOf(date);
+    slots.forEach((slot) => {
+      const h = Math.floor(localMinutes(Date.parse(slot.time), timezone) / 60);
+      weekdayHour[weekday][h].push(slot.spot);
+      if (d <= PROFILE_DAYS) {
+        hour[h].push(slot.spot);
+        profileValues.push(slot.spot);
+      }
+      if (d <= RECENT_DAYS) recentValues.push(slot.spot);
+    });
+  }
+
+  const profileMean = mean(profileValues);
+  const recentMean = mean(recentValues);
+  return {
+    days,
+    hourMean: hour.map(mean),
+    weekdayHourMean: weekdayHour.map(hours => hours.map(mean)),
+    trend: profileMean !== null && recentMean !== null ? recentMean - profileMean : 0
+  };
+}
+
+/*
+ * forecastDay(zone, dayInfo, options)
+ * -----------------------------------
+ * Forecast every slot of the local day described by `dayInfo` from the
+ * price archive: the average of the recent hour-of-day profile and the
+ * same-weekday profile (weekly seasonality), shifted by the recent trend.
+ * Returns slots shaped like stored prices ({ time, spot, total, price })
+ * plus `forecast: true`, or null when the archive holds too little history.
+ * - options: { timezone, tariff, config } (defaults read config.json)
+ */
+function forecastDay(zone, dayInfo, options = {}) {
+  const fc = options.config || getForecastConfig();
+  const timezone = options.timezone || getTimezone();
+  const tariff = options.tariff || getTariff();
+
+  const profile = buildProfile(zone, dayInfo.date, timezone, fc.lookbackDays);
+  if (profile.days < fc.minHistoryDays) {
+    logger.info('Not enough archived prices to forecast', { zone, date: dayInfo.date, days: profile.days });
+    return null;
+  }
+
+  const weekday = weekdayOf(dayInfo.date);
+  const slots = Array.from({ length: dayInfo.slotCount }, (_, i) => {
+    const time = new Date(dayInfo.start + i * SLOT_MS).toISOString();
+    const h = Math.floor(localMinutes(Date.parse(time), timezone) / 60);
+    const hourly = profile.hourMean[h];
+    const weekly = profile.weekdayHourMean[weekday][h];
+    const base = hourly !== null && weekly !== null ? (hourly + weekly) / 2 : (hourly !== null ? hourly : weekly);
+    if (base === null) return missingSlot(time);
+    const spot = Math.round((base + TREND_WEIGHT * profile.trend) * 1000) / 1000;
+    return { time, spot, forecast: true };
+  });
+  applyTariff(slots, tariff, timezone);
+
+  logger.info('Forecast prices generated', { zone, date: dayInfo.date, historyDays: profile.days });
+  return slots;
+}
+
+module.exports = { DEFAULT_FORECAST, getForecastConfig, forecastDay };
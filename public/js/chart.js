@@ -18,6 +18,20 @@ var UI_TIMEZONE = localStorage.getItem('uiTimeZone') || 'Europe/Helsinki';
 var UI_LOCALE = 'fi-FI'; // default fallback
 var UI_TIME_FORMAT = '24h'; // '12h' or '24h'
 
+// Archived day shown instead of live prices when the #chartDate picker is set
+let historyPrices = null;
+
+// Holiday calendar for device rule profiles (`holidays` in /api/settings)
+var UI_HOLIDAYS = [];
+
+// Live sensor readings and relay states for rule conditions, and the last
+// device statuses (energy-target progress), from setDeviceStatuses()
+var UI_RULE_INPUTS = { sensors: {}, devices: {} };
+var UI_DEVICE_STATUSES = {};
+
+// Display names for the supported Nord Pool bidding zones
+const ZONE_NAMES = { fi: 'Finland', ee: 'Estonia', lv: 'Latvia', lt: 'Lithuania' };
+
 /*
  * fetchUserPreferences()
  * ----------------------
@@ -28,6 +42,7 @@ async function fetchUserPreferences() {
     const res = await fetch('/api/settings');
     if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
     const settings = await res.json();
+    UI_HOLIDAYS = settings.holidays || [];
     if (settings.userPreferences) {
       UI_LOCALE = settings.userPreferences.locale || 'fi-FI';
       UI_TIME_FORMAT = settings.userPreferences.timeFormat || '24h';
@@ -43,12 +58,70 @@ async function fetchUserPreferences() {
   }
 }
 
+/*
+ * getHolidays()
+ * -------------
+ * Holiday calendar ('YYYY-MM-DD' dates) loaded with the user preferences.
+ */
+function getHolidays() {
+  return UI_HOLIDAYS;
+}
+
+/*
+ * setDeviceStatuses(statuses)
+ * ---------------------------
+ * Remember the latest `/api/status` device statuses so state charts of
+ * rule-tree devices see the same sensor readings and relay states as the
+ * server, energy-target devices the energy already delivered and all
+ * devices the slots the household power cap keeps them out of.
+ */
+function setDeviceStatuses(statuses) {
+  UI_DEVICE_STATUSES = statuses || {};
+  UI_RULE_INPUTS = window.Scheduler.ruleInputs(statuses);
+}
+
+/*
+ * capBlockedSlots(slotLabels, powerCap)
+ * -------------------------------------
+ * Boolean per slot (ISO `slotLabels`) inside the [startMs, endMs] ranges
+ * the household power cap blocks for a device (`powerCap.blocked` of its
+ * `/api/status` entry).
+ */
+function capBlockedSlots(slotLabels, powerCap) {
+  const ranges = (powerCap && powerCap.blocked) || [];
+  return slotLabels.map((label) => {
+    const t = Date.parse(label);
+    return ranges.some(([start, end]) => t >= start && t < end);
+  });
+}
+
+/*
+ * peakTariffContext(slotLabels, peakTariff)
+ * -----------------------------------------
+ * The engine's peakTariff context for ISO `slotLabels` from the monthly
+ * peak-power tariff of a device's `/api/status` entry ({ peakKw,
+ * centsPerKw, monthStart, load } with [startMs, endMs, kW] load ranges);
+ * undefined without one.
+ */
+function peakTariffContext(slotLabels, peakTariff) {
+  if (!peakTariff) return undefined;
+  const times = slotLabels.map(label => Date.parse(label));
+  const monthStartSlot = times.indexOf(peakTariff.monthStart);
+  return {
+    peakKw: peakTariff.peakKw,
+    centsPerKw: peakTariff.centsPerKw,
+    monthStartSlot: monthStartSlot >= 0 ? monthStartSlot : undefined,
+    loadKw: times.map(t => (peakTariff.load || []).reduce((kw, [start, end, load]) => (t >= start && t < end ? kw + load : kw), 0))
+  };
+}
+
 /*
  * fetchPrices()
  * -------------
  * Fetch the cached prices payload from the server (`/api/prices`). Returns
- * an object { today: [...], tomorrow: [...] } or { today: [], tomorrow: [] }
- * on error. The charting and scheduling logic consumes this shape.
+ * an object { zone, today: [...], tomorrow: [...], zones: {...} } (top-level
+ * arrays belong to the default zone) or { today: [], tomorrow: [] } on
+ * error. The charting and scheduling logic consumes this shape.
  * Also fetches user preferences to update locale and time format settings.
  */
 async function fetchPrices() {
@@ -69,24 +142,166 @@ async function fetchPrices() {
   }
 }
 
+/*
+ * loadHistoryDay(date, zone)
+ * --------------------------
+ * Fetch one archived day from `/api/prices/history` and keep it for
+ * renderChart, shaped like a live prices payload ({ zone, today, tomorrow,
+ * meta, date }). Pass an empty `date` to return to live prices. Returns
+ * the loaded day or null when the archive has no data for it.
+ */
+async function loadHistoryDay(date, zone) {
+  historyPrices = null;
+  if (!date) return null;
+  try {
+    const params = new URLSearchParams({ from: date, to: date, resolution: '15min' });
+    if (zone) params.set('zone', zone);
+    const res = await fetch(`/api/prices/history?${params}`);
+    if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+    const data = await res.json();
+    const day = data.days[0];
+    if (!day) return null;
+    historyPrices = {
+      zone: data.zone,
+      date,
+      today: day.points,
+      tomorrow: [],
+      meta: { today: { date, provider: day.provider, resolution: day.sourceResolution } }
+    };
+    return historyPrices;
+  } catch (error) {
+    console.error('Fetch price history failed:', error);
+    return null;
+  }
+}
+
+/*
+ * getZonePrices(prices, zone)
+ * ---------------------------
+ * Pick the { zone, today, tomorrow, meta } of one bidding zone out of the
+ * `/api/prices` payload. Falls back to the top-level (default zone) arrays
+ * when the zone is unknown or not present.
+ */
+function getZonePrices(prices, zone) {
+  if (prices && prices.zones && zone && prices.zones[zone]) {
+    const entry = prices.zones[zone];
+    return { zone, today: entry.today || [], tomorrow: entry.tomorrow || [], meta: entry.meta || {} };
+  }
+  return prices;
+}
+
+/*
+ * getResolutionText(minutes)
+ * --------------------------
+ * Short label for a source's native resolution, e.g. "hourly" or "15-min".
+ */
+function getResolutionText(minutes) {
+  if (!minutes) return '';
+  if (minutes === 60) return 'hourly';
+  return `${minutes}-min`;
+}
+
+/*
+ * getPriceSourceText(meta)
+ * ------------------------
+ * Describe which price provider supplied today's and tomorrow's data and
+ * at what native resolution (from the `meta` block of `/api/prices`), e.g.
+ * "Source: today elering (15-min), tomorrow file (hourly)". Returns an
+ * empty string when nothing is recorded.
+ */
+function getPriceSourceText(meta) {
+  if (!meta) return '';
+  const describe = (label, day) => {
+    if (!day || !day.provider) return null;
+    const resolution = getResolutionText(day.resolution);
+    return `${label} ${day.provider}${resolution ? ` (${resolution})` : ''}`;
+  };
+  const parts = [describe('today', meta.today), describe('tomorrow', meta.tomorrow)].filter(Boolean);
+  return parts.length ? `Source: ${parts.join(', ')}` : '';
+}
+
+/*
+ * getPriceQualityText(prices)
+ * ---------------------------
+ * Warn about incomplete days in the displayed prices, e.g. "Incomplete:
+ * today 8 slots missing (4 repaired)". Forecast slots are not counted (the
+ * source text already names them). Returns an empty string when every
+ * loaded day is complete.
+ */
+function getPriceQualityText(prices) {
+  const describe = (label, slots) => {
+    if (!slots || !slots.length) return null;
+    const gaps = slots.filter(p => !p.forecast && (p.repaired || !isKnownPrice(p.price))).length;
+    if (!gaps) return null;
+    const repaired = slots.filter(p => p.repaired).length;
+    return `${label} ${gaps} slot${gaps === 1 ? '' : 's'} missing${repaired ? ` (${repaired} repaired)` : ''}`;
+  };
+  const parts = [describe('today', prices.today), describe('tomorrow', prices.tomorrow)].filter(Boolean);
+  return parts.length ? `Incomplete: ${parts.join(', ')}` : '';
+}
+
+/*
+ * getDevicePricesInfo(id)
+ * -----------------------
+ * Return the raw prices info (see getRawPricesInfo) for the bidding zone of
+ * device `id`. Device zones are published by ui.js in `window.deviceZones`;
+ * devices in the default zone share `window.rawPricesInfo`.
+ */
+function getDevicePricesInfo(id) {
+  const prices = window.lastFetchedPrices;
+  const zone = (window.deviceZones || {})[id];
+  if (!prices || !zone || zone === prices.zone || !prices.zones || !prices.zones[zone]) {
+    return window.rawPricesInfo;
+  }
+  return getRawPricesInfo(getZonePrices(prices, zone));
+}
+
+/*
+ * isKnownPrice(p)
+ * ---------------
+ * True for an actual price value. Slots without data carry a null price;
+ * zero and negative prices are real and count as known (shared engine rule).
+ */
+function isKnownPrice(p) {
+  return window.Scheduler.isKnownPrice(p);
+}
+
 /*
  * isPricesAvailable(pricesInfo)
  * -----------------------------
  * Lightweight check that returns true when combined price data contains at
- * least one non-null value. Used to decide whether to compute schedules or
+ * least one known price. Used to decide whether to compute schedules or
  * fallback to hourly `fallbackHours` settings.
  */
 function isPricesAvailable(pricesInfo) {
   const { combinedData } = pricesInfo;
-  return combinedData.length > 0 && combinedData.some(p => p !== null && p !== undefined);
+  return combinedData.length > 0 && combinedData.some(isKnownPrice);
+}
+
+/*
+ * findSlotIndex(labels, now, slotMinutes)
+ * ---------------------------------------
+ * Index of the slot whose [start, start + slotMinutes) window contains
+ * `now` (epoch ms), comparing timestamps rather than clock strings so it
+ * works for any local-day layout (92/96/100 slots). Returns -1 when no
+ * slot matches.
+ */
+function findSlotIndex(labels, now = Date.now(), slotMinutes = 15) {
+  const length = slotMinutes * 60 * 1000;
+  return labels.findIndex(t => {
+    const start = Date.parse(t);
+    return now >= start && now < start + length;
+  });
 }
 
 /*
  * getRawPricesInfo(prices)
  * ------------------------
  * Create flattened arrays of labels and numeric price values for today and
- * tomorrow and compute the current 15-minute slot index (UTC-based). The
- * returned object is used by charting and scheduling functions.
+ * tomorrow and find the current 15-minute slot index. `todayCount` is the
+ * number of slots in today's local day (96, or 92/100 on DST changes) and
+ * `combinedForecast` flags slots whose price is a forecast. The returned
+ * object is used by charting and scheduling functions.
  */
 function getRawPricesInfo(prices) {
   const combinedLabels = [
@@ -98,17 +313,13 @@ function getRawPricesInfo(prices) {
     ...prices.tomorrow.map(p => p.price)
   ];
 
-  const now = new Date();
-  const utcHours = now.getUTCHours();
-  const utcMinutes = now.getUTCMinutes();
-  const todayStr = now.toISOString().split('T')[0];
-  const slotTime = `${todayStr}T${String(utcHours).padStart(2, '0')}:${String(Math.floor(utcMinutes / 15) * 15).padStart(2, '0')}:00.000Z`;
-  const currentSlotIndex = combinedLabels.indexOf(slotTime);
-  console.log(`Server time slot: ${slotTime}, index: ${currentSlotIndex}`);
+  const currentSlotIndex = findSlotIndex(combinedLabels);
+  console.log(`Current slot index: ${currentSlotIndex}`);
   if (currentSlotIndex === -1) {
-    console.warn(`Current slot time ${slotTime} not found in price data`);
+    console.warn(`Current time ${new Date().toISOString()} not found in price data`);
   }
-  return { combinedData, combinedLabels, currentSlotIndex };
+  const combinedForecast = [...prices.today, ...prices.tomorrow].map(p => !!p.forecast);
+  return { combinedData, combinedLabels, combinedForecast, currentSlotIndex, todayCount: prices.today.length };
 }
 
 /*
@@ -116,7 +327,10 @@ function getRawPricesInfo(prices) {
  * -----------------------------
  * Render or update the main price bar chart using Chart.js. Supports
  * aggregation to hourly averages when `timeFrame` is '1hour'. Highlights
- * the current slot visually.
+ * the current slot visually. The bidding zone shown follows the
+ * `#chartZone` selector (default zone when unset). When a past day was
+ * loaded with loadHistoryDay() and `#chartDate` still selects it, that day
+ * is shown instead of the live prices.
  */
 function renderChart(prices, timeFrame = '15min') {
   const canvas = document.getElementById('priceChart');
@@ -125,6 +339,18 @@ function renderChart(prices, timeFrame = '15min') {
     return; // Exit if canvas is missing
   }
 
+  const zoneSelect = document.getElementById('chartZone');
+  const dateInput = document.getElementById('chartDate');
+  if (historyPrices && dateInput && dateInput.value === historyPrices.date) {
+    prices = historyPrices;
+  } else {
+    prices = getZonePrices(prices, zoneSelect && zoneSelect.value ? zoneSelect.value : prices.zone);
+  }
+  const zoneName = ZONE_NAMES[prices.zone] || ZONE_NAMES.fi;
+  const dateSuffix = prices.date ? `, ${prices.date}` : '';
+  const sourceText = [getPriceSourceText(prices.meta), getPriceQualityText(prices)].filter(Boolean).join(' · ');
+
+  const combinedSlots = [...prices.today, ...prices.tomorrow];
   let combinedLabels = [
     ...prices.today.map(p => p.time),
     ...prices.tomorrow.map(p => p.time)
@@ -134,66 +360,51 @@ function renderChart(prices, timeFrame = '15min') {
     ...prices.tomorrow.map(p => p.price)
   ];
 
-  const now = new Date();
-  const utcHours = now.getUTCHours();
-  const utcMinutes = now.getUTCMinutes();
-  const todayStr = now.toISOString().split('T')[0];
-  const slotTime = `${todayStr}T${String(utcHours).padStart(2, '0')}:${String(Math.floor(utcMinutes / 15) * 15).padStart(2, '0')}:00.000Z`;
-  let currentSlotIndex = combinedLabels.indexOf(slotTime);
-
-  // Calculate local date for display labels (used in 1-hour aggregation)
-  const localTodayStr = new Date(now.toLocaleString('en-US', { timeZone: UI_TIMEZONE })).toISOString().split('T')[0];
-  const localTomorrowStr = new Date(new Date(now.getTime() + 24 * 60 * 60 * 1000).toLocaleString('en-US', { timeZone: UI_TIMEZONE })).toISOString().split('T')[0];
+  let currentSlotIndex = findSlotIndex(combinedLabels);
 
   // Process data based on timeFrame
   let displayLabels = [];
   let displayData = [];
+  let displayForecast = []; // true where the bar shows a forecast price
+  let displayRepaired = []; // true where gap repair estimated (part of) the bar's price
   let slotsPerPeriod = 1;
-  let titleText = 'Energy Day-Ahead Prices (Finland, 15-min)';
+  let titleText = `Energy Day-Ahead Prices (${zoneName}, 15-min${dateSuffix})`;
   let tickStep = 4;
 
   if (timeFrame === '1hour') {
-    // Aggregate to hourly averages
-    const slotsPerDay = 96; // 15-min slots per day
-    const periodsPerDay = 24; // Hourly periods per day
+    // Aggregate to hourly averages. Days start at local midnight, so every
+    // group of 4 slots within a day is one local clock hour (23 or 25 hours
+    // on DST change days); the label is the hour's first slot time.
     const slotsPerHour = 4; // 15-min slots per hour
-    const hasTomorrow = prices.tomorrow.length > 0 && prices.tomorrow.some(p => p.price > 0);
-    const totalPeriods = hasTomorrow ? periodsPerDay * 2 : periodsPerDay;
-
-    displayLabels = Array.from({ length: totalPeriods }, (_, i) => {
-      const dayIndex = Math.floor(i / periodsPerDay);
-      const hour = i % periodsPerDay;
-      let dateStr;
-      if (dayIndex === 0) {
-        dateStr = localTodayStr;
-      } else {
-        // For tomorrow, try to get the local date from tomorrow's price data
-        if (prices.tomorrow.length > 0) {
-          const tomorrowUtc = new Date(prices.tomorrow[0].time);
-          dateStr = new Date(tomorrowUtc.toLocaleString('en-US', { timeZone: UI_TIMEZONE })).toISOString().split('T')[0];
-        } else {
-          dateStr = localTomorrowStr;
-        }
-      }
-      return `${dateStr}T${hour.toString().padStart(2, '0')}:00:00.000Z`;
+    const hasTomorrow = prices.tomorrow.length > 0 && prices.tomorrow.some(p => isKnownPrice(p.price));
+    const days = hasTomorrow ? [prices.today, prices.tomorrow] : [prices.today];
+
+    const hourStarts = []; // index into combinedData of each hour's first slot
+    let offset = 0;
+    days.forEach(daySlots => {
+      for (let i = 0; i < daySlots.length; i += slotsPerHour) hourStarts.push(offset + i);
+      offset += daySlots.length;
     });
 
-    displayData = Array(totalPeriods).fill(0);
-    for (let i = 0; i < totalPeriods; i++) {
-      const startIdx = i * slotsPerHour;
+    displayLabels = hourStarts.map(idx => combinedLabels[idx]);
+    displayForecast = hourStarts.map(idx => combinedSlots.slice(idx, idx + slotsPerHour).some(p => p.forecast));
+    displayRepaired = hourStarts.map(idx => combinedSlots.slice(idx, idx + slotsPerHour).some(p => p.repaired));
+    displayData = hourStarts.map(startIdx => {
       const endIdx = Math.min(startIdx + slotsPerHour, combinedData.length);
-      const periodPrices = combinedData.slice(startIdx, endIdx).filter(p => p !== null && p !== undefined);
-      displayData[i] = periodPrices.length > 0
+      const periodPrices = combinedData.slice(startIdx, endIdx).filter(isKnownPrice);
+      return periodPrices.length > 0
         ? periodPrices.reduce((sum, p) => sum + p, 0) / periodPrices.length
-        : 0;
-    }
+        : null; // no bar for hours without data
+    });
 
-    currentSlotIndex = currentSlotIndex >= 0 ? Math.floor(currentSlotIndex / slotsPerHour) : -1;
-    titleText = 'Energy Day-Ahead Prices (Finland, Hourly Average)';
+    currentSlotIndex = findSlotIndex(displayLabels, Date.now(), 60);
+    titleText = `Energy Day-Ahead Prices (${zoneName}, Hourly Average${dateSuffix})`;
     tickStep = 1;
   } else {
     displayLabels = combinedLabels;
     displayData = combinedData;
+    displayForecast = combinedSlots.map(p => !!p.forecast);
+    displayRepaired = combinedSlots.map(p => !!p.repaired);
   }
 
   // Format labels as HH:MM in user timezone
@@ -206,7 +417,7 @@ function renderChart(prices, timeFrame = '15min') {
     })
   );
 
-  console.log('Current slot index:', currentSlotIndex, 'Time:', slotTime, 'Price:', displayData[currentSlotIndex] || 0);
+  console.log('Current slot index:', currentSlotIndex, 'Price:', isKnownPrice(displayData[currentSlotIndex]) ? displayData[currentSlotIndex] : 'n/a');
 
   const rootStyles = getComputedStyle(document.documentElement);
   const primaryColor = rootStyles.getPropertyValue('--primary-color').trim() || '#00ff00';
@@ -214,12 +425,16 @@ function renderChart(prices, timeFrame = '15min') {
   const currentColor = rootStyles.getPropertyValue('--current-color').trim() || '#ff0000';
   const currentBorderColor = rootStyles.getPropertyValue('--current-border-color').trim() || '#cc0000';
 
-  const backgroundColors = displayData.map((_, i) => (i === currentSlotIndex ? currentColor : primaryColor));
-  const borderColors = displayData.map((_, i) => (i === currentSlotIndex ? currentBorderColor : primaryBorderColor));
+  const forecastColor = rootStyles.getPropertyValue('--forecast-color').trim() || 'rgba(153, 102, 255, 0.25)';
+  const forecastBorderColor = rootStyles.getPropertyValue('--forecast-border-color').trim() || 'rgba(153, 102, 255, 0.8)';
+
+  const backgroundColors = displayData.map((_, i) => (i === currentSlotIndex ? currentColor : displayForecast[i] ? forecastColor : primaryColor));
+  const borderColors = displayData.map((_, i) => (i === currentSlotIndex ? currentBorderColor : displayForecast[i] ? forecastBorderColor : primaryBorderColor));
 
-  // Calculate max price for y-axis scaling (always at least 20)
-  const maxPrice = Math.max(...displayData.filter(p => p > 0));
-  const yAxisMax = Math.max(20, maxPrice);
+  // Calculate y-axis range: max always at least 20, min drops below 0 for negative prices
+  const knownPrices = displayData.filter(isKnownPrice);
+  const yAxisMax = Math.max(20, ...knownPrices);
+  const yAxisMin = Math.min(0, ...knownPrices);
 
   // Check if timeFrame changed - if so, destroy and recreate chart for fresh tooltips
   const timeFrameChanged = currentPriceChartTimeFrame !== timeFrame;
@@ -232,7 +447,12 @@ function renderChart(prices, timeFrame = '15min') {
     priceChart.data.datasets[0].backgroundColor = backgroundColors;
     priceChart.data.datasets[0].borderColor = borderColors;
     priceChart.options.plugins.title.text = titleText;
+    priceChart.options.plugins.subtitle = { display: !!sourceText, text: sourceText };
     priceChart.options.scales.y.max = yAxisMax;
+    priceChart.options.scales.y.min = yAxisMin;
+    priceChart.$priceSlots = combinedSlots;
+    priceChart.$forecast = displayForecast;
+    priceChart.$repaired = displayRepaired;
     priceChart.update();
   } else {
     // TimeFrame changed or no chart exists - destroy and recreate for fresh tooltips
@@ -255,7 +475,7 @@ function renderChart(prices, timeFrame = '15min') {
     options: {
       scales: {
         y: {
-          min: 0,
+          min: yAxisMin,
           max: yAxisMax,
           title: { display: true, text: 'Price (c/kWh)' }
         },
@@ -272,6 +492,7 @@ function renderChart(prices, timeFrame = '15min') {
       },
       plugins: {
         title: { display: true, text: titleText },
+        subtitle: { display: !!sourceText, text: sourceText },
         tooltip: {
           callbacks: {
             title: function(context) {
@@ -301,57 +522,116 @@ function renderChart(prices, timeFrame = '15min') {
               } else {
                 return startFormatted + (dataIndex === currentSlotIndex ? ' (Current)' : '');
               }
+            },
+            // Slots without price data render no bar; say so instead of "0"
+            label: function(context) {
+              if (!isKnownPrice(context.raw)) return 'No price data';
+              const forecast = (context.chart.$forecast || [])[context.dataIndex] ? ' (forecast)' : '';
+              const repaired = (context.chart.$repaired || [])[context.dataIndex] ? ' (estimated, gap repaired)' : '';
+              return `${context.dataset.label}: ${context.formattedValue}${forecast}${repaired}`;
+            },
+            // 15-min slots carry both the raw spot price and the tariff total
+            afterLabel: function(context) {
+              if (timeFrame === '1hour') return '';
+              const slot = (context.chart.$priceSlots || [])[context.dataIndex];
+              if (!slot || typeof slot.spot !== 'number' || typeof slot.total !== 'number') return '';
+              return [`Spot: ${slot.spot.toFixed(2)} c/kWh`, `Total: ${slot.total.toFixed(2)} c/kWh`];
             }
           }
         }
       }
     }
   });
+    priceChart.$priceSlots = combinedSlots;
+    priceChart.$forecast = displayForecast;
+    priceChart.$repaired = displayRepaired;
   }
 }
 
 /*
  * calculateShellyStates(pricesInfo, settings, manualOverride)
  * ---------------------------------------------------------
- * Compute the ON/OFF boolean states for each slot given raw price data and
- * device settings. Handles manual overrides, fallback hours, cheapest-slot
- * selection, and min/max price thresholds. Returns { states, labels, rawLabels }.
+ * Compute the ON/OFF state of each period (per `settings.timeFrame`) for
+ * today and, when it has prices, tomorrow. The shared engine
+ * (`window.Scheduler.planSchedule`, shared/scheduler.js) plans both days
+ * exactly like the schedule sent to the device (rolling mode counts from
+ * `pricesInfo.currentSlotIndex`, each day with its active rule profile
+ * from window.Profiles; rule trees and energy targets read
+ * `pricesInfo.inputs`/`deliveredMinutes` or the last device statuses, as
+ * do the slots blocked by the household power cap, `blockedSlots`, and the
+ * monthly peak-power tariff, `peakTariff`);
+ * without price data the device's `fallbackHours` are shown. Returns { states, labels, rawLabels }.
  */
 function calculateShellyStates(pricesInfo, settings, manualOverride) {
-  const { combinedData, combinedLabels } = pricesInfo;
-  const tomorrowData = combinedData.slice(96); // Tomorrow's slots (96-191)
-  const tomorrowHasData = tomorrowData.length > 0 && tomorrowData.some(price => price > 0);
+  const { combinedLabels } = pricesInfo;
+  // Today's local day has 96 slots, or 92/100 on DST change days
+  const todayCount = pricesInfo.todayCount || Math.min(96, pricesInfo.combinedData.length) || 96;
+  const daySettings = (slot) => (combinedLabels[slot]
+    ? window.Profiles.effectiveSettings(settings, new Date(combinedLabels[slot]).toLocaleDateString('en-CA', { timeZone: UI_TIMEZONE }), UI_HOLIDAYS)
+    : settings);
+  const todaySettings = daySettings(0);
+  const tomorrowSettings = daySettings(todayCount);
+  // Forecast prices only count when the day's settings allow scheduling on them
+  const forecastMask = pricesInfo.combinedForecast || [];
+  const combinedData = pricesInfo.combinedData.map((p, i) => {
+    const allowForecast = (i < todayCount ? todaySettings : tomorrowSettings).allowForecast;
+    return forecastMask[i] && !allowForecast ? null : p;
+  });
+  const todayData = combinedData.slice(0, todayCount);
+  const tomorrowData = combinedData.slice(todayCount); // Tomorrow's slots
+  const tomorrowHasData = tomorrowData.length > 0 && tomorrowData.some(isKnownPrice);
 
-  // Determine slot configuration based on timeFrame
   const timeFrame = settings.timeFrame || '15min';
-  let slotsPerDay, slotsPerPeriod, labelsPerDay;
-  switch (timeFrame) {
-    case '15min':
-      slotsPerDay = 96;
-      slotsPerPeriod = 1;
-      labelsPerDay = combinedLabels.slice(0, 96).filter((_, i) => i % 1 === 0);
-      break;
-    case '30min':
-      slotsPerDay = 48;
-      slotsPerPeriod = 2;
-      labelsPerDay = combinedLabels.slice(0, 96).filter((_, i) => i % 2 === 0);
-      break;
-    case '1hour':
-      slotsPerDay = 24;
-      slotsPerPeriod = 4;
-      labelsPerDay = combinedLabels.slice(0, 96).filter((_, i) => i % 4 === 0);
-      break;
-    default:
-      slotsPerDay = 96;
-      slotsPerPeriod = 1;
-      labelsPerDay = combinedLabels.slice(0, 96);
+  const slotsPerPeriod = window.Scheduler.slotsPerPeriod(timeFrame);
+  const daySlotLabels = tomorrowHasData ? combinedLabels : combinedLabels.slice(0, todayCount);
+  // One label per period; tomorrow's periods restart at its local midnight
+  const totalLabels = [
+    ...combinedLabels.slice(0, todayCount).filter((_, i) => i % slotsPerPeriod === 0),
+    ...(tomorrowHasData ? combinedLabels.slice(todayCount).filter((_, i) => i % slotsPerPeriod === 0) : [])
+  ];
+
+  const formattedLabels = formatChartLabels(totalLabels);
+
+  // Backwards compatibility: callers may pass manualOverride without settings.manualOverride
+  if (!settings.manualOverride && manualOverride) {
+    return { states: Array(totalLabels.length).fill(1), labels: formattedLabels, rawLabels: totalLabels };
   }
 
-  const totalSlots = tomorrowHasData ? slotsPerDay * 2 : slotsPerDay;
-  const totalLabels = tomorrowHasData ? [...labelsPerDay, ...combinedLabels.slice(96).filter((_, i) => i % slotsPerPeriod === 0)] : labelsPerDay;
+  const forced = window.Scheduler.manualState(settings, Date.now()); // true/false when manualState forces the device
+  let schedule;
+  if (!isPricesAvailable({ combinedData }) && typeof forced !== 'boolean') {
+    schedule = window.Scheduler.fallbackSchedule(daySlotLabels, todaySettings.fallbackHours, UI_TIMEZONE);
+  } else {
+    // Same planning as the device payload: per day, or across midnight in rolling mode
+    const days = [{ prices: todayData, slotCount: todayCount, settings: todaySettings }];
+    if (tomorrowHasData) days.push({ prices: tomorrowData, slotCount: tomorrowData.length, settings: tomorrowSettings });
+    schedule = window.Scheduler.planSchedule(days, todaySettings, {
+      nowSlot: pricesInfo.currentSlotIndex,
+      slotTimes: daySlotLabels,
+      timezone: UI_TIMEZONE,
+      inputs: pricesInfo.inputs || UI_RULE_INPUTS,
+      deliveredMinutes: typeof pricesInfo.deliveredMinutes === 'number'
+        ? pricesInfo.deliveredMinutes
+        : ((UI_DEVICE_STATUSES[settings.id] || {}).energy || {}).deliveredMinutes,
+      blockedSlots: pricesInfo.blockedSlots || capBlockedSlots(daySlotLabels, (UI_DEVICE_STATUSES[settings.id] || {}).powerCap),
+      peakTariff: pricesInfo.peakTariff || peakTariffContext(daySlotLabels, (UI_DEVICE_STATUSES[settings.id] || {}).peakTariff)
+    });
+  }
 
-  // Format labels as HH:MM in user timezone
-  const formattedLabels = totalLabels.map(time =>
+  const states = [
+    ...window.Scheduler.periodStates(schedule.slice(0, todayCount), timeFrame),
+    ...(tomorrowHasData ? window.Scheduler.periodStates(schedule.slice(todayCount), timeFrame) : [])
+  ];
+  return { states, labels: formattedLabels, rawLabels: totalLabels };
+}
+
+/*
+ * formatChartLabels(rawLabels)
+ * ----------------------------
+ * ISO period labels formatted as HH:MM in the user's time zone and format.
+ */
+function formatChartLabels(rawLabels) {
+  return rawLabels.map(time =>
     new Date(time).toLocaleString(UI_LOCALE, {
       timeZone: UI_TIMEZONE,
       hour: '2-digit',
@@ -359,85 +639,26 @@ function calculateShellyStates(pricesInfo, settings, manualOverride) {
       hour12: UI_TIME_FORMAT === '12h'
     })
   );
+}
 
-  const states = Array(totalSlots).fill(0); // Default to OFF
-
-  // If manual override is enabled, consider manualState (on/off/null)
-  if (settings && settings.manualOverride) {
-    if (settings.manualState === 'on') {
-      states.fill(1);
-      return { states, labels: formattedLabels };
-    } else if (settings.manualState === 'off') {
-      states.fill(0);
-      return { states, labels: formattedLabels };
-    }
-    // manualOverride true but manualState not specified: fall through and render computed schedule
-  } else if (manualOverride) {
-    // Backwards compatibility: if caller passed manualOverride true but settings not present
-    states.fill(1);
-    return { states, labels: formattedLabels };
-  }
-
-  if (!isPricesAvailable(pricesInfo)) {
-    // Use fallback hourly settings
-    const periodsPerHour = timeFrame === '15min' ? 4 : timeFrame === '30min' ? 2 : 1;
-    for (let i = 0; i < totalSlots; i++) {
-      const periodInDay = i % slotsPerDay;
-      const hour = Math.floor(periodInDay / periodsPerHour) % 24;
-      states[i] = settings.fallbackHours[hour] ? 1 : 0;
-    }
-    return { states, labels: formattedLabels };
-  }
-
-  // Calculate average prices for each slot
-  const slotPrices = [];
-  for (let i = 0; i < totalSlots; i++) {
-    const startIdx = i * slotsPerPeriod;
-    const endIdx = Math.min(startIdx + slotsPerPeriod, combinedData.length);
-    const periodPrices = combinedData.slice(startIdx, endIdx).filter(p => p > 0);
-    const avgPrice = periodPrices.length > 0 ? periodPrices.reduce((sum, p) => sum + p, 0) / periodPrices.length : Infinity;
-    slotPrices.push({ price: avgPrice, index: i });
-  }
-
-  const minPrice = parseFloat(settings.minPrice) || 0;
-  const maxPrice = parseFloat(settings.maxPrice) || Infinity;
-  // `numCheapest` is interpreted as number of periods per DAY. When tomorrow's
-  // prices are available, the effective number of cheapest periods to select
-  // should scale accordingly (e.g., 24 hours => 48 periods if tomorrow present).
-  const perDayCheapest = parseInt(settings.numCheapest) || 0;
-  const effectiveNumCheapest = Math.min(perDayCheapest * (tomorrowHasData ? 2 : 1), totalSlots);
-
-  // Apply min/max price rules
-  slotPrices.forEach(({ price, index }) => {
-    if (price < minPrice) {
-      states[index] = 1; // ON if below min price
-    } else if (price > maxPrice) {
-      states[index] = 0; // OFF if above max price
-    }
+/*
+ * scheduleChartData(schedule, slotLabels, todayCount, timeFrame)
+ * ---------------------------------------------------------------
+ * { states, labels, rawLabels } for renderShellyStateChart() from a
+ * per-slot `schedule` (e.g. a `/api/schedule/preview` result) over ISO
+ * `slotLabels`; today has `todayCount` slots and periods restart at
+ * tomorrow's local midnight, as in calculateShellyStates().
+ */
+function scheduleChartData(schedule, slotLabels, todayCount, timeFrame) {
+  const perPeriod = window.Scheduler.slotsPerPeriod(timeFrame);
+  const days = [[0, todayCount], [todayCount, slotLabels.length]].filter(([from, to]) => to > from);
+  const rawLabels = [];
+  const states = [];
+  days.forEach(([from, to]) => {
+    rawLabels.push(...slotLabels.slice(from, to).filter((_, i) => i % perPeriod === 0));
+    states.push(...window.Scheduler.periodStates(schedule.slice(from, to), timeFrame));
   });
-
-  // Apply cheapest slots rule per-day: select `perDayCheapest` cheapest
-  // periods for today and (if present) for tomorrow independently.
-  if (perDayCheapest > 0) {
-    var perDayLimit = Math.min(perDayCheapest, slotsPerDay);
-    for (var day = 0; day < (tomorrowHasData ? 2 : 1); day++) {
-      var dayStart = day * slotsPerDay;
-      var dayEnd = dayStart + slotsPerDay - 1;
-      // Collect candidate slots within this day that pass maxPrice filter
-      var dayCandidates = slotPrices
-        .filter(function(s) { return s.index >= dayStart && s.index <= dayEnd && s.price < Infinity && s.price <= maxPrice; })
-        .slice();
-      // Sort by price ascending
-      dayCandidates.sort(function(a, b) { return a.price - b.price; });
-      // Pick up to perDayLimit cheapest within this day
-      for (var j = 0; j < Math.min(perDayLimit, dayCandidates.length); j++) {
-        var idx = dayCandidates[j].index;
-        if (idx >= 0 && idx < states.length) states[idx] = 1;
-      }
-    }
-  }
-
-  return { states, labels: formattedLabels, rawLabels: totalLabels };
+  return { states, labels: formatChartLabels(rawLabels), rawLabels };
 }
 
 /*
@@ -583,10 +804,20 @@ function renderShellyStateChart(id, states, labels, rawLabels, currentSlotIndex,
 // Export functions for use in other modules
 window.ChartModule = {
   fetchPrices,
+  loadHistoryDay,
+  getZonePrices,
+  getPriceSourceText,
+  getPriceQualityText,
+  getDevicePricesInfo,
+  isKnownPrice,
   isPricesAvailable,
   getRawPricesInfo,
+  findSlotIndex,
   renderChart,
   calculateShellyStates,
+  scheduleChartData,
   renderShellyStateChart,
+  getHolidays,
+  setDeviceStatuses,
   UI_TIMEZONE
 };
\ No newline at end of file
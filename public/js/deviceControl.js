@@ -5,47 +5,92 @@
  * for Shelly devices.
  */
 
+/*
+ * overrideTiming(id)
+ * ------------------
+ * The duration picked next to the ON/OFF buttons as /api/control fields:
+ * { minutes }, { until: 'HH:MM' }, { until: 'cheap' } or {} (until
+ * cleared). Throws when "Until time" is picked without a time.
+ */
+function overrideTiming(id) {
+  const duration = document.getElementById(`overrideDuration${id}`);
+  const value = duration ? duration.value : '';
+  if (value === 'cheap') return { until: 'cheap' };
+  if (value === 'time') {
+    const until = document.getElementById(`overrideUntil${id}`).value;
+    if (!/^\d{2}:\d{2}$/.test(until)) throw new Error('pick the time the override ends');
+    return { until };
+  }
+  return value ? { minutes: Number(value) } : {};
+}
+
+/*
+ * showControlError(id, message)
+ * -----------------------------
+ * Show a failed manual control in the device's override status line until
+ * the next status update replaces it.
+ */
+function showControlError(id, message) {
+  const el = document.getElementById(`overrideStatus${id}`);
+  if (!el) return;
+  el.removeAttribute('data-until');
+  el.textContent = `Manual control failed: ${message}`;
+  el.style.color = '#b00020';
+}
+
 /*
  * manualControl(id, action)
  * -------------------------
  * Trigger a manual ON/OFF control for a device via /api/control. Persists
  * the manual override state locally and on the server so the device and UI
- * remain in sync.
+ * remain in sync. With a duration picked the override is timed: the server
+ * saves it with its `manualUntil` and ends it on its own.
  */
 async function manualControl(id, action) {
   try {
+    const timing = overrideTiming(id);
     const response = await fetch('/api/control', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id, action })
+      body: JSON.stringify({ id, action, ...timing })
     });
     const result = await response.json();
     if (!response.ok) throw new Error(result.error || 'Control failed');
-    console.log(`Manual ${action} for Shelly ${id}`);
+    console.log(`Manual ${action} for Shelly ${id}${result.manualUntil ? ` until ${result.manualUntil}` : ''}`);
     const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || {};
     // When user presses ON/OFF, enable manual override and record the manualState
     settings.manualOverride = true;
     settings.manualState = action === 'on' ? 'on' : 'off';
+    if (result.manualUntil) settings.manualUntil = result.manualUntil;
+    else delete settings.manualUntil;
     localStorage.setItem(`shellySettings_${id}`, JSON.stringify(settings));
     // Keep the manualOverride checkbox checked and leave manualState reflected in settings
-    document.getElementById(`manualOverride${id}`).checked = true;
-    // Save to server
-    await fetch('/api/save-settings', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id, settings })
-    });
-    // Sync rules to Shelly
-    await fetch('/api/sync-rules', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id, rules: settings })
-    });
+    const checkbox = document.getElementById(`manualOverride${id}`);
+    checkbox.checked = true;
+    checkbox.dataset.manualState = settings.manualState;
+    if (result.manualUntil) checkbox.dataset.manualUntil = result.manualUntil;
+    else checkbox.removeAttribute('data-manual-until');
+    // A timed override is already saved and pushed by the server
+    if (!result.manualUntil) {
+      // Save to server
+      await fetch('/api/save-settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, settings })
+      });
+      // Sync rules to Shelly
+      await fetch('/api/sync-rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, rules: settings })
+      });
+    }
 
     // Update UI immediately to reflect manual state
     try {
       const prices = await window.ChartModule.fetchPrices();
-      const rawPricesInfo = window.ChartModule.getRawPricesInfo(prices);
+      window.lastFetchedPrices = prices;
+      const rawPricesInfo = window.ChartModule.getDevicePricesInfo(id);
       const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(rawPricesInfo, settings, settings.manualOverride);
       window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, rawPricesInfo.currentSlotIndex, settings.timeFrame);
       updateShellyStatus(id);
@@ -54,15 +99,87 @@ async function manualControl(id, action) {
     }
   } catch (error) {
     console.error('Manual control failed:', error.message);
+    showControlError(id, error.message);
   }
 }
 
+// Interval of tickOverrides() while a countdown is shown, else null
+let overrideTimer = null;
+
+/*
+ * showOverride(id, override)
+ * --------------------------
+ * Show the manual override reported in `/api/status` ({ state, until })
+ * under the device status; a timed one counts down (tickOverrides(),
+ * started here and stopped once no countdown is left).
+ * When the server reports none while the local settings still hold an
+ * ended timed override, the local copy returns to scheduled control.
+ */
+function showOverride(id, override) {
+  const el = document.getElementById(`overrideStatus${id}`);
+  if (!el) return;
+  el.style.color = '';
+  if (!override) {
+    el.textContent = '';
+    el.removeAttribute('data-until');
+    const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || {};
+    if (settings.manualUntil && Date.parse(settings.manualUntil) <= Date.now()) {
+      settings.manualOverride = false;
+      delete settings.manualState;
+      delete settings.manualUntil;
+      localStorage.setItem(`shellySettings_${id}`, JSON.stringify(settings));
+      const checkbox = document.getElementById(`manualOverride${id}`);
+      if (checkbox) {
+        checkbox.checked = false;
+        checkbox.removeAttribute('data-manual-state');
+        checkbox.removeAttribute('data-manual-until');
+      }
+    }
+    return;
+  }
+  el.dataset.state = override.state ? override.state.toUpperCase() : 'without a state';
+  if (override.until) {
+    el.dataset.until = override.until;
+    tickOverrides();
+    if (!overrideTimer && el.dataset.until) overrideTimer = setInterval(tickOverrides, 1000);
+  } else {
+    el.removeAttribute('data-until');
+    el.textContent = `Manual override ${el.dataset.state} until cleared`;
+  }
+}
+
+/*
+ * tickOverrides()
+ * ---------------
+ * Update the countdown of every timed override shown, every second while
+ * one is left. An ended override keeps its last line until the server
+ * reports it cleared.
+ */
+function tickOverrides() {
+  const shown = document.querySelectorAll('.override-status[data-until]');
+  if (!shown.length && overrideTimer) {
+    clearInterval(overrideTimer);
+    overrideTimer = null;
+  }
+  shown.forEach((el) => {
+    const until = Date.parse(el.dataset.until);
+    const left = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+    const end = new Date(until).toLocaleTimeString([], { timeZone: localStorage.getItem('uiTimeZone') || window.ChartModule.UI_TIMEZONE, hour: '2-digit', minute: '2-digit' });
+    const clock = `${Math.floor(left / 3600)}:${String(Math.floor(left / 60) % 60).padStart(2, '0')}:${String(left % 60).padStart(2, '0')}`;
+    el.textContent = left
+      ? `Manual override ${el.dataset.state} until ${end} (${clock} left)`
+      : `Manual override ${el.dataset.state} ended at ${end}, returning to the schedule`;
+    if (!left) el.removeAttribute('data-until');
+  });
+}
+
 /*
  * updateShellyStatus(id)
  * ----------------------
  * Fetch `/api/status` (aggregated device statuses) and update the UI
  * elements for the given device id. Also updates the per-device state chart
- * current-period highlight and logical/physical relay text.
+ * current-period highlight, logical/physical relay text and energy-target
+ * progress.
  */
 // updateShellyStatus(id, overrideStatus)
 // If overrideStatus is provided, use it directly (useful after an on-demand
@@ -105,10 +222,11 @@ async function updateShellyStatus(id, overrideStatus) {
     let logicalIsOn = null;
     try {
       const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || {};
-      const rpi = window.rawPricesInfo;
-      if (settings && settings.manualOverride && settings.manualState) {
-        logicalDisplay = settings.manualState === 'on' ? 'ON' : 'OFF';
-        logicalIsOn = settings.manualState === 'on';
+      const rpi = window.ChartModule.getDevicePricesInfo(id);
+      const forced = window.Scheduler.manualState(settings, Date.now());
+      if (typeof forced === 'boolean') {
+        logicalDisplay = forced ? 'ON' : 'OFF';
+        logicalIsOn = forced;
       } else if (rpi) {
         try {
           const calc = window.ChartModule.calculateShellyStates(rpi, settings || {}, settings ? settings.manualOverride : false);
@@ -132,7 +250,7 @@ async function updateShellyStatus(id, overrideStatus) {
       // Show both logical (user-facing) and physical (relay) states together.
       // Logical is derived from settings+prices; physical is device-reported.
       const physicalDisplay = status.switchOn ? 'ON' : 'OFF';
-      statusElement.textContent = `Online (Logical: ${logicalDisplay} · Physical: ${physicalDisplay}, Price: ${status.lastPrice || 'N/A'}, Last Sync: ${formatRelativeTime(lastSync)}, Last Heartbeat: ${formatRelativeTime(lastHeartbeat)})`;
+      statusElement.textContent = `Online (Logical: ${logicalDisplay} · Physical: ${physicalDisplay}, Price: ${typeof status.lastPrice === 'number' ? status.lastPrice : 'N/A'}, Last Sync: ${formatRelativeTime(lastSync)}, Last Heartbeat: ${formatRelativeTime(lastHeartbeat)})`;
       // Use logical state to pick a visual class (green when logical ON)
       statusElement.className = `status-text ${logicalIsOn ? 'online' : 'offline'}`;
     } else if (status.error) {
@@ -156,7 +274,7 @@ async function updateShellyStatus(id, overrideStatus) {
 
         let idx = -1;
         try {
-          const rpi = window.rawPricesInfo;
+          const rpi = window.ChartModule.getDevicePricesInfo(id);
           if (rpi && typeof rpi.currentSlotIndex === 'number' && rpi.currentSlotIndex >= 0 && chart._rawLabels) {
             const currentIso = rpi.combinedLabels[rpi.currentSlotIndex];
             idx = chart._rawLabels.indexOf(currentIso);
@@ -166,52 +284,80 @@ async function updateShellyStatus(id, overrideStatus) {
           idx = -1;
         }
 
-        // Fallback: derive from local time if ISO mapping didn't work
-        if (idx === -1) {
-          const now = new Date();
-          const utcHours = now.getUTCHours();
-          const utcMinutes = now.getUTCMinutes();
-          const slotIndex = utcHours * 4 + Math.floor(utcMinutes / 15); // 0-95
-          const currentPeriodIndex = Math.floor(slotIndex / slotsPerPeriod);
-          const maxIndex = chart.data.labels.length - 1;
-          idx = Math.min(currentPeriodIndex, maxIndex);
+        // Fallback: match the current time against the chart's period start times
+        if (idx === -1 && Array.isArray(chart._rawLabels)) {
+          idx = window.ChartModule.findSlotIndex(chart._rawLabels, Date.now(), 15 * slotsPerPeriod);
         }
 
-        // compute colors consistent with renderShellyStateChart
-        const rootStyles = getComputedStyle(document.documentElement);
-        const primaryColor = rootStyles.getPropertyValue('--primary-color').trim() || '#00ff00';
-        const offColor = rootStyles.getPropertyValue('--off-color').trim() || '#808080';
-        const currentBorderColor = rootStyles.getPropertyValue('--current-color').trim() || '#ff0000';
+        if (idx >= 0) {
+          // compute colors consistent with renderShellyStateChart
+          const rootStyles = getComputedStyle(document.documentElement);
+          const primaryColor = rootStyles.getPropertyValue('--primary-color').trim() || '#00ff00';
+          const offColor = rootStyles.getPropertyValue('--off-color').trim() || '#808080';
+          const currentBorderColor = rootStyles.getPropertyValue('--current-color').trim() || '#ff0000';
 
-        // Update only the current period visuals to reflect real device state
-        const bg = chart.data.datasets[0].backgroundColor.slice();
-        const border = chart.data.datasets[0].borderColor.slice();
-        const borderW = chart.data.datasets[0].borderWidth.slice ? chart.data.datasets[0].borderWidth.slice() : [];
+          // Update only the current period visuals to reflect real device state
+          const bg = chart.data.datasets[0].backgroundColor.slice();
+          const border = chart.data.datasets[0].borderColor.slice();
+          const borderW = chart.data.datasets[0].borderWidth.slice ? chart.data.datasets[0].borderWidth.slice() : [];
 
-        // Ensure arrays have correct length
-        for (let i = 0; i <= idx; i++) {
-          if (bg[i] === undefined) bg[i] = offColor;
-          if (border[i] === undefined) border[i] = offColor;
-          if (borderW[i] === undefined) borderW[i] = 1;
-        }
+          // Ensure arrays have correct length
+          for (let i = 0; i <= idx; i++) {
+            if (bg[i] === undefined) bg[i] = offColor;
+            if (border[i] === undefined) border[i] = offColor;
+            if (borderW[i] === undefined) borderW[i] = 1;
+          }
 
-        // Use logical state to color the current period so the chart reflects
-        // the user's intended ON/OFF (respecting reversedControl), while the
-        // relayState element continues to show the physical relay.
-        const paintOn = (typeof logicalIsOn === 'boolean') ? logicalIsOn : status.switchOn;
-        bg[idx] = paintOn ? primaryColor : offColor;
-        border[idx] = idx === Math.floor(idx) ? currentBorderColor : (paintOn ? primaryColor : offColor);
-        borderW[idx] = 2;
+          // Use logical state to color the current period so the chart reflects
+          // the user's intended ON/OFF (respecting reversedControl), while the
+          // relayState element continues to show the physical relay.
+          const paintOn = (typeof logicalIsOn === 'boolean') ? logicalIsOn : status.switchOn;
+          bg[idx] = paintOn ? primaryColor : offColor;
+          border[idx] = idx === Math.floor(idx) ? currentBorderColor : (paintOn ? primaryColor : offColor);
+          borderW[idx] = 2;
 
-        chart.data.datasets[0].backgroundColor = bg;
-        chart.data.datasets[0].borderColor = border;
-        chart.data.datasets[0].borderWidth = borderW;
-        chart.update();
+          chart.data.datasets[0].backgroundColor = bg;
+          chart.data.datasets[0].borderColor = border;
+          chart.data.datasets[0].borderWidth = borderW;
+          chart.update();
+        }
       }
     } catch (e) {
       console.warn('Failed to update state chart with actual device state:', e);
     }
 
+    // Energy-target progress reported by the server (scheduleMode 'energy')
+    const energyEl = document.getElementById(`energyStatus${id}`);
+    if (energyEl) {
+      const energy = status.energy;
+      if (energy) {
+        const kwh = energy.requiredKwh !== null;
+        const amount = key => (kwh ? `${energy[`${key}Kwh`]} kWh` : `${energy[`${key}Minutes`]} min`);
+        const deadline = new Date(energy.deadline).toLocaleTimeString([], { timeZone: localStorage.getItem('uiTimeZone') || window.ChartModule.UI_TIMEZONE, hour: '2-digit', minute: '2-digit' });
+        energyEl.textContent = `Energy target: ${amount('delivered')} of ${amount('required')} by ${deadline}, ${amount('planned')} planned` +
+          (energy.met ? '' : ' — cannot be met with the known prices');
+        energyEl.style.color = energy.met ? '' : '#b00020';
+      } else {
+        energyEl.textContent = '';
+      }
+    }
+
+    // Manual override and, for a timed one, the time left
+    showOverride(id, status.override);
+
+    // Household power cap: this device's share and the time it is kept out of
+    const capEl = document.getElementById(`powerCapStatus${id}`);
+    if (capEl) {
+      const cap = status.powerCap;
+      if (cap && cap.ratedPowerKw) {
+        const blockedMinutes = (cap.blocked || []).reduce((sum, [start, end]) => sum + (end - start) / 60000, 0);
+        capEl.textContent = `Power limit ${cap.limitKw} kW: ${cap.ratedPowerKw} kW${cap.priority ? `, priority ${cap.priority}` : ''}` +
+          (blockedMinutes ? ` — ${Math.floor(blockedMinutes / 60)}h ${String(blockedMinutes % 60).padStart(2, '0')}min taken by other devices` : '');
+      } else {
+        capEl.textContent = '';
+      }
+    }
+
     // Update logical vs physical relay state display (if present)
     try {
       const relayEl = document.getElementById(`relayState${id}`);
@@ -219,9 +365,10 @@ async function updateShellyStatus(id, overrideStatus) {
         // Determine logical state using latest prices info when available
         const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || {};
         let logicalDisplay = 'Unknown';
-        const rpi = window.rawPricesInfo;
-        if (settings && settings.manualOverride && settings.manualState) {
-          logicalDisplay = settings.manualState === 'on' ? 'ON' : 'OFF';
+        const rpi = window.ChartModule.getDevicePricesInfo(id);
+        const forced = window.Scheduler.manualState(settings, Date.now());
+        if (typeof forced === 'boolean') {
+          logicalDisplay = forced ? 'ON' : 'OFF';
         } else if (rpi) {
           try {
             const calc = window.ChartModule.calculateShellyStates(rpi, settings || {}, settings ? settings.manualOverride : false);
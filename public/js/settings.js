@@ -24,8 +24,33 @@ async function loadSettingsFromServer(id) {
       minPrice: 0.05,
       maxPrice: 0.20,
       numCheapest: 4,
+      thresholdType: 'absolute',
+      thresholdBasis: 'day',
       timeFrame: '15min',
       manualOverride: false,
+      allowForecast: false,
+      allowedWindows: [],
+      forbiddenWindows: [],
+      minOnMinutes: 0,
+      minOffMinutes: 0,
+      maxCyclesPerDay: 0,
+      minDailyOnMinutes: 0,
+      maxOffMinutes: 0,
+      scheduleMode: 'cheapest',
+      blockMinutes: 120,
+      maxBlocks: 1,
+      minBlockMinutes: 0,
+      blockWindowStart: '',
+      blockWindowEnd: '',
+      selectionMode: 'daily',
+      rollingHours: 24,
+      rollingDeadline: '',
+      rules: null,
+      ratedPowerKw: 0,
+      energyTargetKwh: 0,
+      energyTargetMinutes: 0,
+      energyDeadline: '07:00',
+      profiles: [],
       fallbackHours: Array(24).fill(false)
     }; // Fallback to defaults
   }
@@ -72,9 +97,48 @@ async function syncRulesToShelly(id, rules) {
   }
 }
 
+/*
+ * previewSchedule(id, settings)
+ * -----------------------------
+ * Ask the server what unsaved `settings` would do (`/api/schedule/preview`):
+ * resolves to the preview (schedule, on-time, energy, cost) without saving
+ * or pushing anything; throws with the server's error and details.
+ */
+async function previewSchedule(id, settings) {
+  const response = await fetch('/api/schedule/preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, settings })
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error([result.error].concat(result.details || []).join(': '));
+  return result;
+}
+
+/*
+ * runBacktest(id, from, to, settings)
+ * -----------------------------------
+ * Replay the device's saved settings, always-on and the unsaved `settings`
+ * over the archived prices from `from` to `to` (`/api/backtest`): resolves
+ * to { from, to, missingDays, variants } with per-day results and totals
+ * for each; throws with the server's error.
+ */
+async function runBacktest(id, from, to, settings) {
+  const response = await fetch('/api/backtest', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, from, to, settings })
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error([result.error].concat(result.details || []).join(': '));
+  return result;
+}
+
 // Export functions for use in other modules
 window.SettingsModule = {
   loadSettingsFromServer,
   saveSettingsToServer,
-  syncRulesToShelly
+  syncRulesToShelly,
+  previewSchedule,
+  runBacktest
 };
\ No newline at end of file
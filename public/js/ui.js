@@ -22,9 +22,9 @@ function setUiTimezone(tz) {
     try {
       // Recompute and redraw per-device charts
       const containers = document.querySelectorAll('.shelly-container');
-      const rpi = window.rawPricesInfo;
       containers.forEach(container => {
         const id = container.dataset.id;
+        const rpi = window.ChartModule.getDevicePricesInfo(id);
         const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || {};
         if (rpi) {
           const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(rpi, settings, settings.manualOverride);
@@ -37,6 +37,178 @@ function setUiTimezone(tz) {
   } catch (e) { console.warn('Failed to set UI timezone:', e); }
 }
 
+/*
+ * parseTimeWindows(text)
+ * ----------------------
+ * Parse a comma-separated list of local time windows such as
+ * "22:00-07:00, 12:00-13:00" into [{ from, to }]. Invalid entries are
+ * dropped.
+ */
+function parseTimeWindows(text) {
+  return String(text || '')
+    .split(',')
+    .map(part => part.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/))
+    .filter(Boolean)
+    .map(m => ({ from: m[1].padStart(5, '0'), to: m[2].padStart(5, '0') }));
+}
+
+/*
+ * formatTimeWindows(windows)
+ * --------------------------
+ * Inverse of parseTimeWindows() for the settings form.
+ */
+function formatTimeWindows(windows) {
+  return (Array.isArray(windows) ? windows : []).map(w => `${w.from}-${w.to}`).join(', ');
+}
+
+// ISO weekday labels (1 = Monday) for the rule profile form
+const PROFILE_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/*
+ * describeProfile(profile)
+ * ------------------------
+ * One-line summary of a rule profile's criteria for the profile list.
+ */
+function describeProfile(profile) {
+  const parts = [];
+  if (Array.isArray(profile.weekdays) && profile.weekdays.length) {
+    parts.push(profile.weekdays.map(d => PROFILE_WEEKDAYS[d - 1]).join(', '));
+  }
+  if (profile.from && profile.to) parts.push(`${profile.from} - ${profile.to}`);
+  if (profile.holidays) parts.push('holidays');
+  return parts.length ? parts.join(' · ') : 'every day';
+}
+
+// Rule tree node types offered by the rule builder (shared/scheduler.js RULE_TYPES)
+const RULE_LABELS = {
+  and: 'All of (AND)',
+  or: 'Any of (OR)',
+  not: 'Not',
+  price: 'Price',
+  rank: 'Cheapness rank',
+  time: 'Time of day',
+  sensor: 'Sensor value',
+  device: 'Other device'
+};
+
+/*
+ * defaultRule(type)
+ * -----------------
+ * New rule tree node of `type` with example values.
+ */
+function defaultRule(type) {
+  switch (type) {
+    case 'and':
+    case 'or':
+      return { type, rules: [] };
+    case 'not':
+      return { type, rule: defaultRule('price') };
+    case 'rank':
+      return { type, cmp: '<=', value: 4 };
+    case 'time':
+      return { type, from: '22:00', to: '06:00' };
+    case 'sensor':
+      return { type, device: '', sensor: 'temperature:100', cmp: '<', value: 20 };
+    case 'device':
+      return { type, device: '', state: 'on' };
+    default:
+      return { type: 'price', cmp: '<', value: 5 };
+  }
+}
+
+/*
+ * ruleEditor(rule, render, onRemove)
+ * ----------------------------------
+ * Rule builder element for one rule tree node (evaluateRule() in
+ * shared/scheduler.js). Field edits change `rule` in place; structural
+ * edits (type, adding and removing nodes) change it and call `render` to
+ * redraw the tree. `onRemove` removes the node from its group (absent for
+ * the root and the operand of 'not').
+ */
+function ruleEditor(rule, render, onRemove) {
+  const box = document.createElement('div');
+  box.className = 'rule-node';
+  box.style.marginLeft = '12px';
+
+  const select = (options, value, onPick) => {
+    const el = document.createElement('select');
+    options.forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      el.appendChild(option);
+    });
+    el.value = value;
+    el.addEventListener('change', () => onPick(el.value));
+    box.appendChild(el);
+  };
+  const field = (key, type, placeholder) => {
+    const el = document.createElement('input');
+    el.type = type;
+    if (type === 'number') el.step = 'any';
+    el.placeholder = placeholder || '';
+    el.value = typeof rule[key] === 'undefined' ? '' : rule[key];
+    el.addEventListener('change', () => { rule[key] = type === 'number' ? Number(el.value) : el.value.trim(); });
+    box.appendChild(el);
+  };
+  const button = (label, onClick) => {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.textContent = label;
+    el.addEventListener('click', onClick);
+    box.appendChild(el);
+  };
+  const comparator = () => select(window.Scheduler.COMPARATORS.map(c => [c, c]), rule.cmp, (c) => { rule.cmp = c; });
+
+  select(Object.keys(RULE_LABELS).map(t => [t, RULE_LABELS[t]]), rule.type, (type) => {
+    Object.keys(rule).forEach((key) => { delete rule[key]; });
+    Object.assign(rule, defaultRule(type));
+    render();
+  });
+
+  switch (rule.type) {
+    case 'and':
+    case 'or':
+      rule.rules = Array.isArray(rule.rules) ? rule.rules : [];
+      button('+ Condition', () => { rule.rules.push(defaultRule('price')); render(); });
+      button('+ Group', () => { rule.rules.push(defaultRule('or')); render(); });
+      break;
+    case 'price':
+      comparator();
+      field('value', 'number', 'c/kWh');
+      break;
+    case 'rank':
+      comparator();
+      field('value', 'number', '1 = cheapest');
+      break;
+    case 'time':
+      field('from', 'time');
+      field('to', 'time');
+      break;
+    case 'sensor':
+      field('device', 'text', 'device id');
+      field('sensor', 'text', 'temperature:100');
+      comparator();
+      field('value', 'number', 'value');
+      break;
+    case 'device':
+      field('device', 'text', 'device id');
+      select([['on', 'is ON'], ['off', 'is OFF']], rule.state, (state) => { rule.state = state; });
+      break;
+  }
+  if (onRemove) button('Remove', onRemove);
+
+  if (rule.type === 'and' || rule.type === 'or') {
+    rule.rules.forEach((child, i) => {
+      box.appendChild(ruleEditor(child, render, () => { rule.rules.splice(i, 1); render(); }));
+    });
+  } else if (rule.type === 'not') {
+    if (!rule.rule || typeof rule.rule !== 'object') rule.rule = defaultRule('price');
+    box.appendChild(ruleEditor(rule.rule, render));
+  }
+  return box;
+}
+
 /*
  * Main application initialization
  * -------------------------------
@@ -80,6 +252,35 @@ function setUiTimezone(tz) {
         });
       }
     } catch (e) { console.warn('Failed to initialize timezone select:', e); }
+    const chartZoneEl = document.getElementById('chartZone');
+    if (chartZoneEl) {
+      chartZoneEl.value = localStorage.getItem('chartZone') || '';
+      chartZoneEl.addEventListener('change', async (e) => {
+        localStorage.setItem('chartZone', e.target.value);
+        const dateEl = document.getElementById('chartDate');
+        if (dateEl && dateEl.value) await window.ChartModule.loadHistoryDay(dateEl.value, e.target.value);
+        if (window.lastFetchedPrices) window.ChartModule.renderChart(window.lastFetchedPrices, chartTimeFrame);
+      });
+    }
+
+    // Date picker for browsing archived prices; empty value shows live prices
+    const chartDateEl = document.getElementById('chartDate');
+    if (chartDateEl) {
+      chartDateEl.max = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      chartDateEl.addEventListener('change', async (e) => {
+        const day = await window.ChartModule.loadHistoryDay(e.target.value, chartZoneEl ? chartZoneEl.value : '');
+        if (e.target.value && !day) alert(`No archived prices for ${e.target.value}`);
+        if (window.lastFetchedPrices) window.ChartModule.renderChart(window.lastFetchedPrices, chartTimeFrame);
+      });
+      const liveBtn = document.getElementById('chartDateLive');
+      if (liveBtn) {
+        liveBtn.addEventListener('click', async () => {
+          chartDateEl.value = '';
+          await window.ChartModule.loadHistoryDay('');
+          if (window.lastFetchedPrices) window.ChartModule.renderChart(window.lastFetchedPrices, chartTimeFrame);
+        });
+      }
+    }
     window.ChartModule.renderChart(prices, chartTimeFrame);
 
     // Add event listener for chart time frame changes
@@ -100,6 +301,11 @@ function setUiTimezone(tz) {
         window.serverVideoCameras = settingsResp.videoCameras || {};
         const devices = settingsResp.shellyDevices || {};
         const currentConfigHash = JSON.stringify(devices);
+        // Publish each device's bidding zone so charts use the matching prices
+        window.deviceZones = {};
+        for (const [id, entry] of Object.entries(devices)) {
+          window.deviceZones[id] = (entry && typeof entry === 'object' && entry.zone) ? entry.zone : settingsResp.priceZone;
+        }
 
         // Check if configuration changed
         if (window.lastShellyConfigHash !== currentConfigHash) {
@@ -121,8 +327,9 @@ function setUiTimezone(tz) {
               displayName = ip.name || `Shelly ${id}`;
               descriptionText = ip.description || '';
             }
+            const zoneLabel = (window.deviceZones[id] || '').toUpperCase();
             container.innerHTML = `
-              <h3>${displayName}</h3>
+              <h3>${displayName}${zoneLabel ? ` <span class="zone-badge">${zoneLabel}</span>` : ''}</h3>
               ${descriptionText ? `<div class="shelly-description">${descriptionText}</div>` : ''}
               <div class="status-indicator" id="statusIndicator${id}">
                 Status: <span class="status-text">Checking...</span>
@@ -134,12 +341,33 @@ function setUiTimezone(tz) {
                   Manual Override:
                   <input type="checkbox" id="manualOverride${id}">
                 </label>
+                <span class="override-timing">
+                  <label>
+                    For:
+                    <select id="overrideDuration${id}">
+                      <option value="">Until cleared</option>
+                      <option value="60">1 hour</option>
+                      <option value="120">2 hours</option>
+                      <option value="240">4 hours</option>
+                      <option value="time">Until time</option>
+                      <option value="cheap">Until next cheap slot</option>
+                    </select>
+                  </label>
+                  <input type="time" id="overrideUntil${id}">
+                  <span class="help" title="Timed overrides end on their own, on the server and on the device (also offline), and the schedule takes over again. Until next cheap slot ends when the schedule without the override starts its next ON run.">?</span>
+                </span>
+                <button type="button" onclick="window.DeviceControlModule.manualControl('${id}', 'on')">Turn ON</button>
+                <button type="button" onclick="window.DeviceControlModule.manualControl('${id}', 'off')">Turn OFF</button>
                   <label>
                     Reversed Control:
                     <input type="checkbox" id="reversedControl${id}">
                     <span class="help" title="When checked, logical ON means the physical relay is switched OFF (use for normally-closed wiring).">?</span>
                   </label>
                   <div class="relay-state" id="relayState${id}" style="margin-top:6px;font-size:0.95em;color:#333">Logical: -  ·  Physical: -</div>
+                  <div class="override-status" id="overrideStatus${id}" style="font-size:0.95em"></div>
+                  <div class="energy-status" id="energyStatus${id}" style="font-size:0.95em"></div>
+                  <div class="power-cap-status" id="powerCapStatus${id}" style="font-size:0.95em"></div>
+                  <div class="schedule-preview" id="schedulePreview${id}" style="font-size:0.95em"></div>
                 <label>
                   Min Price (c/kWh):
                   <input type="number" id="minPrice${id}" step="0.01" min="0">
@@ -148,6 +376,24 @@ function setUiTimezone(tz) {
                   Max Price (c/kWh):
                   <input type="number" id="maxPrice${id}" step="0.01" min="0">
                 </label>
+                <label>
+                  Threshold Type:
+                  <select id="thresholdType${id}">
+                    <option value="absolute">Price (c/kWh)</option>
+                    <option value="percentile">Percentile</option>
+                    <option value="average">% below/above average</option>
+                    <option value="share">Cheapest share (%)</option>
+                  </select>
+                  <span class="help" title="How Min/Max Price are read. Percentile: on below / off above that percentile of the prices (e.g. 30). % below/above average: on when at least Min Price % below the average, off when more than Max Price % above it. Cheapest share: on in the cheapest Min Price % of the periods (33 = cheapest third), off outside the cheapest Max Price %.">?</span>
+                </label>
+                <label>
+                  Threshold Basis:
+                  <select id="thresholdBasis${id}">
+                    <option value="day">Calendar day</option>
+                    <option value="rolling">Next 24 hours</option>
+                  </select>
+                  <span class="help" title="Prices relative thresholds are computed from: each local day's, or those of the 24 hours from now. Ignored for price thresholds.">?</span>
+                </label>
                 <label>
                   Cheapest Slots:
                   <input type="number" id="numCheapest${id}" min="0">
@@ -160,10 +406,163 @@ function setUiTimezone(tz) {
                     <option value="1hour">1 Hour</option>
                   </select>
                 </label>
+                <label>
+                  Use Forecast Prices:
+                  <input type="checkbox" id="allowForecast${id}">
+                  <span class="help" title="When checked, scheduling may use forecast prices for hours whose day-ahead prices are not published yet. Otherwise those hours are treated as having no price data.">?</span>
+                </label>
+                <label>
+                  Allowed Hours:
+                  <input type="text" id="allowedWindows${id}" placeholder="22:00-07:00">
+                  <span class="help" title="Local time windows the device may run in, comma separated (e.g. 22:00-07:00). Empty means any time.">?</span>
+                </label>
+                <label>
+                  Forbidden Windows:
+                  <input type="text" id="forbiddenWindows${id}" placeholder="17:00-20:00">
+                  <span class="help" title="Local time windows the device must stay off, comma separated. These win over every other rule.">?</span>
+                </label>
+                <label>
+                  Min Daily On-Time (minutes):
+                  <input type="number" id="minDailyOnMinutes${id}" min="0" max="1440" step="15">
+                </label>
+                <label>
+                  Max Off Stretch (minutes):
+                  <input type="number" id="maxOffMinutes${id}" min="0" step="15">
+                  <span class="help" title="The device is switched on at the cheapest allowed time before it has been off this long (e.g. a freezer). 0 disables the limit.">?</span>
+                </label>
+                <label>
+                  Min On Time (minutes):
+                  <input type="number" id="minOnMinutes${id}" min="0" max="1440" step="15">
+                </label>
+                <label>
+                  Min Off Time (minutes):
+                  <input type="number" id="minOffMinutes${id}" min="0" max="1440" step="15">
+                </label>
+                <label>
+                  Max Cycles per Day:
+                  <input type="number" id="maxCyclesPerDay${id}" min="0">
+                  <span class="help" title="Anti-short-cycle protection for relays, heat pumps and compressors: short ON runs are extended, short OFF gaps bridged and at most this many ON cycles started per day (0 = no limit). The device enforces the same limits when switching.">?</span>
+                </label>
+                <label>
+                  Schedule Mode:
+                  <select id="scheduleMode${id}">
+                    <option value="cheapest">Cheapest slots</option>
+                    <option value="block">Continuous block</option>
+                    <option value="rules">Rule tree</option>
+                    <option value="energy">Energy target by deadline</option>
+                  </select>
+                  <span class="help" title="Continuous block runs the device uninterrupted (dishwasher, washing machine, sauna) at the cheapest time inside the allowed range, optionally split into a few blocks of a minimum length.">?</span>
+                </label>
+                <label>
+                  Block Run Time (minutes):
+                  <input type="number" id="blockMinutes${id}" min="15" max="1440" step="15">
+                </label>
+                <label>
+                  Max Blocks:
+                  <input type="number" id="maxBlocks${id}" min="1" max="4">
+                </label>
+                <label>
+                  Min Block Length (minutes):
+                  <input type="number" id="minBlockMinutes${id}" min="0" max="1440" step="15">
+                </label>
+                <label>
+                  Allowed From:
+                  <input type="time" id="blockWindowStart${id}" step="900">
+                </label>
+                <label>
+                  Allowed Until:
+                  <input type="time" id="blockWindowEnd${id}" step="900">
+                  <span class="help" title="Blocks only run inside this local time range (it may wrap past midnight, e.g. 22:00-07:00; use rolling selection to run across midnight). Leave empty to allow the whole day.">?</span>
+                </label>
+                <label>
+                  Rated Power (kW):
+                  <input type="number" id="ratedPowerKw${id}" min="0" step="0.1">
+                  <span class="help" title="The device's power when ON (e.g. 3 for a water heater, 11 for an EV charger). Turns energy targets into run time and counts towards the household power limit. A rated power set for the device under Settings wins.">?</span>
+                </label>
+                <label>
+                  Energy Target (kWh):
+                  <input type="number" id="energyTargetKwh${id}" min="0" step="0.1">
+                </label>
+                <label>
+                  Runtime Target (minutes):
+                  <input type="number" id="energyTargetMinutes${id}" min="0" max="2880" step="15">
+                  <span class="help" title="Used instead of the energy target when no rated power or kWh target is set.">?</span>
+                </label>
+                <label>
+                  Energy Deadline:
+                  <input type="time" id="energyDeadline${id}" step="900">
+                  <span class="help" title="Energy target mode runs the cheapest slots between now and the next occurrence of this local time (default 07:00) until the target is delivered; what already ran before the deadline counts. The status line warns when the known prices leave too little time.">?</span>
+                </label>
+                <label>
+                  Cheapest Slot Selection:
+                  <select id="selectionMode${id}">
+                    <option value="daily">Per calendar day</option>
+                    <option value="rolling">Rolling window from now</option>
+                  </select>
+                  <span class="help" title="Per calendar day picks the cheapest slots of each day separately. Rolling picks them between now and the end of the window, across midnight once tomorrow's prices are published.">?</span>
+                </label>
+                <label>
+                  Rolling Window (hours):
+                  <input type="number" id="rollingHours${id}" min="1" max="48">
+                </label>
+                <label>
+                  Rolling Deadline:
+                  <input type="time" id="rollingDeadline${id}" step="900">
+                  <span class="help" title="Optional. When set, the rolling window ends at the next occurrence of this local time instead of after the window hours.">?</span>
+                </label>
+
+                <div class="rule-settings">
+                  <h4>Rules (Schedule Mode: Rule tree)</h4>
+                  <span class="help" title="A period is ON when the tree is true for it. Price and rank (1 = cheapest of the day or rolling window) replace the min/max price and cheapest-slot settings; sensor values and other devices' relay states are the latest readings. Allowed/forbidden windows and on/off limits still apply.">?</span>
+                  <div class="rule-builder" id="ruleBuilder${id}"></div>
+                </div>
+
+                <div class="profile-settings">
+                  <h4>Rule Profiles</h4>
+                  <div class="active-profile" id="activeProfile${id}">Active profile: -</div>
+                  <ul class="profile-list" id="profileList${id}"></ul>
+                  <label>
+                    Profile Name:
+                    <input type="text" id="profileName${id}" placeholder="Weekend">
+                  </label>
+                  <div class="profile-weekdays">
+                    ${PROFILE_WEEKDAYS.map((day, i) => `<label>${day} <input type="checkbox" name="profileWeekday${i + 1}"></label>`).join('')}
+                  </div>
+                  <label>
+                    Season From (MM-DD):
+                    <input type="text" id="profileFrom${id}" placeholder="11-01">
+                  </label>
+                  <label>
+                    Season To (MM-DD):
+                    <input type="text" id="profileTo${id}" placeholder="03-31">
+                  </label>
+                  <label>
+                    Holidays:
+                    <input type="checkbox" id="profileHolidays${id}">
+                    <span class="help" title="Also active on the holiday calendar dates (Settings tab), or only on them when no weekdays are checked.">?</span>
+                  </label>
+                  <button type="button" id="addProfile${id}">Save Current Settings as Profile</button>
+                  <span class="help" title="Stores the scheduling settings above as a named profile used on the matching days (first matching profile wins) and restores the form to the device's base settings. Time frame, manual override and reversed control are not part of a profile.">?</span>
+                </div>
+
+                <div class="backtest-settings">
+                  <h4>Backtest</h4>
+                  <span class="help" title="Replays always-on, the saved settings and the settings in this form over the archived prices of the range with the current tariff. Each day is planned from midnight with that day's prices only; sensor and device conditions count as false and energy targets start from zero.">?</span>
+                  <label>
+                    From:
+                    <input type="date" id="backtestFrom${id}">
+                  </label>
+                  <label>
+                    To:
+                    <input type="date" id="backtestTo${id}">
+                  </label>
+                  <button type="button" data-backtest-days="30">Last 30 days</button>
+                  <button type="button" data-backtest-days="365">Last 365 days</button>
+                  <button type="button" id="runBacktest${id}">Run Backtest</button>
+                  <div class="backtest-result" id="backtestResult${id}" style="font-size:0.95em"></div>
+                </div>
 
                 <button type="submit">Save Settings</button>
-                  <button type="button" onclick="window.DeviceControlModule.manualControl('${id}', 'on')">Turn ON</button>
-                  <button type="button" onclick="window.DeviceControlModule.manualControl('${id}', 'off')">Turn OFF</button>
               </form>
             `;
             containerRoot.appendChild(container);
@@ -189,18 +588,66 @@ function setUiTimezone(tz) {
       savedSettings.fallbackHours = savedSettings.fallbackHours || Array(24).fill(false);
       localStorage.setItem(`shellySettings_${id}`, JSON.stringify(savedSettings));
 
-      // Set form values
-      form.querySelector(`#minPrice${id}`).value = savedSettings.minPrice || 0.05;
-      form.querySelector(`#maxPrice${id}`).value = savedSettings.maxPrice || 0.20;
-      form.querySelector(`#numCheapest${id}`).value = savedSettings.numCheapest || 4;
-      form.querySelector(`#manualOverride${id}`).checked = !!savedSettings.manualOverride;
-      form.querySelector(`#reversedControl${id}`).checked = !!savedSettings.reversedControl;
-      if (savedSettings.manualState) {
-        form.querySelector(`#manualOverride${id}`).dataset.manualState = savedSettings.manualState;
-      } else {
-        form.querySelector(`#manualOverride${id}`).removeAttribute('data-manual-state');
-      }
-      form.querySelector(`#timeFrame${id}`).value = savedSettings.timeFrame || '15min';
+      // Rule tree for Schedule Mode 'rules', edited in place by the builder
+      let rules = null;
+      const renderRules = () => {
+        const builder = form.querySelector(`#ruleBuilder${id}`);
+        builder.innerHTML = '';
+        builder.appendChild(ruleEditor(rules, renderRules));
+      };
+
+      // Set form values (also used to restore the base settings after they
+      // were saved as a rule profile)
+      const fillForm = (values) => {
+        form.querySelector(`#minPrice${id}`).value = values.minPrice || 0.05;
+        form.querySelector(`#maxPrice${id}`).value = values.maxPrice || 0.20;
+        form.querySelector(`#numCheapest${id}`).value = values.numCheapest || 4;
+        form.querySelector(`#thresholdType${id}`).value = values.thresholdType || 'absolute';
+        form.querySelector(`#thresholdBasis${id}`).value = values.thresholdBasis || 'day';
+        form.querySelector(`#manualOverride${id}`).checked = !!values.manualOverride;
+        form.querySelector(`#reversedControl${id}`).checked = !!values.reversedControl;
+        if (values.manualState) {
+          form.querySelector(`#manualOverride${id}`).dataset.manualState = values.manualState;
+        } else {
+          form.querySelector(`#manualOverride${id}`).removeAttribute('data-manual-state');
+        }
+        if (values.manualUntil) {
+          form.querySelector(`#manualOverride${id}`).dataset.manualUntil = values.manualUntil;
+        } else {
+          form.querySelector(`#manualOverride${id}`).removeAttribute('data-manual-until');
+        }
+        form.querySelector(`#timeFrame${id}`).value = values.timeFrame || '15min';
+        form.querySelector(`#allowForecast${id}`).checked = !!values.allowForecast;
+        form.querySelector(`#allowedWindows${id}`).value = formatTimeWindows(values.allowedWindows);
+        form.querySelector(`#forbiddenWindows${id}`).value = formatTimeWindows(values.forbiddenWindows);
+        form.querySelector(`#minDailyOnMinutes${id}`).value = values.minDailyOnMinutes || 0;
+        form.querySelector(`#maxOffMinutes${id}`).value = values.maxOffMinutes || 0;
+        form.querySelector(`#minOnMinutes${id}`).value = values.minOnMinutes || 0;
+        form.querySelector(`#minOffMinutes${id}`).value = values.minOffMinutes || 0;
+        form.querySelector(`#maxCyclesPerDay${id}`).value = values.maxCyclesPerDay || 0;
+        form.querySelector(`#scheduleMode${id}`).value = values.scheduleMode || 'cheapest';
+        form.querySelector(`#blockMinutes${id}`).value = values.blockMinutes || 120;
+        form.querySelector(`#maxBlocks${id}`).value = values.maxBlocks || 1;
+        form.querySelector(`#minBlockMinutes${id}`).value = values.minBlockMinutes || 0;
+        form.querySelector(`#blockWindowStart${id}`).value = values.blockWindowStart || '';
+        form.querySelector(`#blockWindowEnd${id}`).value = values.blockWindowEnd || '';
+        form.querySelector(`#selectionMode${id}`).value = values.selectionMode || 'daily';
+        form.querySelector(`#rollingHours${id}`).value = values.rollingHours || 24;
+        form.querySelector(`#rollingDeadline${id}`).value = values.rollingDeadline || '';
+        form.querySelector(`#ratedPowerKw${id}`).value = values.ratedPowerKw || '';
+        form.querySelector(`#energyTargetKwh${id}`).value = values.energyTargetKwh || '';
+        form.querySelector(`#energyTargetMinutes${id}`).value = values.energyTargetMinutes || '';
+        form.querySelector(`#energyDeadline${id}`).value = values.energyDeadline || '07:00';
+        form.querySelectorAll('input[name^="fallbackHour"]').forEach((input) => {
+          input.checked = !!(values.fallbackHours || [])[Number(input.name.slice('fallbackHour'.length))];
+        });
+        rules = values.rules ? JSON.parse(JSON.stringify(values.rules)) : defaultRule('and');
+        renderRules();
+      };
+      fillForm(savedSettings);
+
+      // Rule profiles override the base settings on matching days
+      let profiles = Array.isArray(savedSettings.profiles) ? savedSettings.profiles : [];
 
       // Add fallback UI if not present
       if (!form.querySelector('.fallback-settings')) {
@@ -224,29 +671,211 @@ function setUiTimezone(tz) {
       // Initial status check
       window.DeviceControlModule.updateShellyStatus(id);
 
-      const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(rawPricesInfo, savedSettings, savedSettings.manualOverride);
-      window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, rawPricesInfo.currentSlotIndex, savedSettings.timeFrame);
+      const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+      const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, savedSettings, savedSettings.manualOverride);
+      window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, savedSettings.timeFrame);
 
-      form.addEventListener('submit', async (e) => {
-        e.preventDefault();
+      // Current form values as a settings object
+      const readForm = () => {
         const fallbackHours = Array(24).fill(false);
         for (let h = 0; h < 24; h++) {
           fallbackHours[h] = form.querySelector(`input[name="fallbackHour${h}"]`).checked;
         }
-        const settings = {
+        return {
           id,
           minPrice: form.querySelector(`#minPrice${id}`).value,
           maxPrice: form.querySelector(`#maxPrice${id}`).value,
           numCheapest: form.querySelector(`#numCheapest${id}`).value,
+          thresholdType: form.querySelector(`#thresholdType${id}`).value,
+          thresholdBasis: form.querySelector(`#thresholdBasis${id}`).value,
           manualOverride: form.querySelector(`#manualOverride${id}`).checked,
+          // Set by the ON/OFF buttons; a timed override keeps its end
+          manualState: form.querySelector(`#manualOverride${id}`).dataset.manualState || null,
+          manualUntil: form.querySelector(`#manualOverride${id}`).dataset.manualUntil || null,
           reversedControl: form.querySelector(`#reversedControl${id}`).checked,
           timeFrame: form.querySelector(`#timeFrame${id}`).value,
-          fallbackHours
+          allowForecast: form.querySelector(`#allowForecast${id}`).checked,
+          allowedWindows: parseTimeWindows(form.querySelector(`#allowedWindows${id}`).value),
+          forbiddenWindows: parseTimeWindows(form.querySelector(`#forbiddenWindows${id}`).value),
+          minDailyOnMinutes: form.querySelector(`#minDailyOnMinutes${id}`).value,
+          maxOffMinutes: form.querySelector(`#maxOffMinutes${id}`).value,
+          minOnMinutes: form.querySelector(`#minOnMinutes${id}`).value,
+          minOffMinutes: form.querySelector(`#minOffMinutes${id}`).value,
+          maxCyclesPerDay: form.querySelector(`#maxCyclesPerDay${id}`).value,
+          scheduleMode: form.querySelector(`#scheduleMode${id}`).value,
+          blockMinutes: form.querySelector(`#blockMinutes${id}`).value,
+          maxBlocks: form.querySelector(`#maxBlocks${id}`).value,
+          minBlockMinutes: form.querySelector(`#minBlockMinutes${id}`).value,
+          blockWindowStart: form.querySelector(`#blockWindowStart${id}`).value,
+          blockWindowEnd: form.querySelector(`#blockWindowEnd${id}`).value,
+          selectionMode: form.querySelector(`#selectionMode${id}`).value,
+          rollingHours: form.querySelector(`#rollingHours${id}`).value,
+          rollingDeadline: form.querySelector(`#rollingDeadline${id}`).value,
+          ratedPowerKw: form.querySelector(`#ratedPowerKw${id}`).value,
+          energyTargetKwh: form.querySelector(`#energyTargetKwh${id}`).value,
+          energyTargetMinutes: form.querySelector(`#energyTargetMinutes${id}`).value,
+          energyDeadline: form.querySelector(`#energyDeadline${id}`).value,
+          fallbackHours,
+          rules,
+          profiles
         };
+      };
+
+      // List the profiles and mark the one active today
+      const renderProfiles = () => {
+        const timezone = localStorage.getItem('uiTimeZone') || window.ChartModule.UI_TIMEZONE;
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+        const active = window.Profiles.resolveProfile({ profiles }, today, window.ChartModule.getHolidays());
+        form.querySelector(`#activeProfile${id}`).textContent = `Active profile: ${active ? active.name : 'none (base settings)'}`;
+        const list = form.querySelector(`#profileList${id}`);
+        list.innerHTML = '';
+        profiles.forEach((profile) => {
+          const item = document.createElement('li');
+          item.textContent = `${profile === active ? '● ' : ''}${profile.name} (${describeProfile(profile)}) `;
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.textContent = 'Delete';
+          remove.addEventListener('click', () => saveProfiles(profiles.filter(p => p !== profile)));
+          item.appendChild(remove);
+          list.appendChild(item);
+        });
+      };
+
+      // Store a new profile list together with the base settings
+      const saveProfiles = (next) => {
+        profiles = next;
+        renderProfiles();
+        form.requestSubmit();
+      };
+
+      form.querySelector(`#addProfile${id}`).addEventListener('click', () => {
+        const name = form.querySelector(`#profileName${id}`).value.trim();
+        const current = readForm();
+        const overrides = {};
+        window.Profiles.PROFILE_FIELDS.forEach((key) => { overrides[key] = JSON.parse(JSON.stringify(current[key])); });
+        const profile = {
+          name,
+          weekdays: PROFILE_WEEKDAYS.map((_, i) => i + 1).filter(d => form.querySelector(`input[name="profileWeekday${d}"]`).checked),
+          from: form.querySelector(`#profileFrom${id}`).value.trim(),
+          to: form.querySelector(`#profileTo${id}`).value.trim(),
+          holidays: form.querySelector(`#profileHolidays${id}`).checked,
+          settings: overrides
+        };
+        // Saving under an existing name replaces that profile in place
+        const index = profiles.findIndex(p => p.name === name);
+        const next = index >= 0 ? profiles.map((p, i) => (i === index ? profile : p)) : profiles.concat(profile);
+        const errors = window.Profiles.validateProfiles(next);
+        if (errors.length) {
+          alert(`Invalid profile:\n${errors.join('\n')}`);
+          return;
+        }
+        // The form goes back to the base settings before they are saved
+        fillForm(JSON.parse(localStorage.getItem(`shellySettings_${id}`)) || savedSettings);
+        form.querySelector(`#profileName${id}`).value = '';
+        form.querySelector(`#profileFrom${id}`).value = '';
+        form.querySelector(`#profileTo${id}`).value = '';
+        saveProfiles(next);
+      });
+
+      renderProfiles();
+
+      // Live preview: the chart and a summary show what the edited, unsaved
+      // settings would do (server dry run, nothing is saved or pushed)
+      let previewTimer = null;
+      const previewEl = form.querySelector(`#schedulePreview${id}`);
+      const showPreview = async () => {
+        const settings = readForm();
+        try {
+          const preview = await window.SettingsModule.previewSchedule(id, settings);
+          const { states, labels, rawLabels } = window.ChartModule.scheduleChartData(preview.schedule, preview.slotTimes, preview.slotCount, preview.timeFrame);
+          window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, window.ChartModule.getDevicePricesInfo(id).currentSlotIndex, preview.timeFrame);
+          const parts = [`on ${Math.floor(preview.onMinutes / 60)}h ${String(preview.onMinutes % 60).padStart(2, '0')}min`];
+          if (preview.energyKwh !== null) parts.push(`${preview.energyKwh} kWh`);
+          if (preview.costEur !== null) parts.push(`${preview.costEur.toFixed(2)} €`);
+          if (preview.averagePrice !== null) parts.push(`avg ${preview.averagePrice.toFixed(2)} c/kWh`);
+          if (preview.unpricedMinutes) parts.push(`${preview.unpricedMinutes} min without price`);
+          previewEl.textContent = `Preview (not saved): ${parts.join(' · ')}`;
+          previewEl.style.color = '';
+        } catch (err) {
+          previewEl.textContent = `Preview failed: ${err.message}`;
+          previewEl.style.color = '#b00020';
+        }
+      };
+      const schedulePreview = (e) => {
+        // Profile editing and the immediately saved checkboxes are not previewed
+        if (e.target.closest('.profile-settings') || e.target.closest('.backtest-settings') || e.target.closest('.override-timing') || e.target.id === `manualOverride${id}` || e.target.id === `reversedControl${id}`) return;
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(showPreview, 500);
+      };
+      form.addEventListener('input', schedulePreview);
+      form.addEventListener('change', schedulePreview);
+
+      // Backtest: always-on, the saved settings and the form's settings
+      // replayed over the archived prices of a date range
+      const backtestFrom = form.querySelector(`#backtestFrom${id}`);
+      const backtestTo = form.querySelector(`#backtestTo${id}`);
+      const backtestEl = form.querySelector(`#backtestResult${id}`);
+      const isoDate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      const setBacktestRange = (days) => {
+        const to = new Date();
+        to.setDate(to.getDate() - 1);
+        const from = new Date(to);
+        from.setDate(from.getDate() - days + 1);
+        backtestFrom.value = isoDate(from);
+        backtestTo.value = isoDate(to);
+      };
+      setBacktestRange(30);
+      form.querySelectorAll('[data-backtest-days]').forEach((button) => {
+        button.addEventListener('click', () => setBacktestRange(Number(button.dataset.backtestDays)));
+      });
+      const formatMinutes = minutes => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}min`;
+      const orDash = (value, format) => (value === null || value === undefined ? '-' : format(value));
+      const renderBacktest = (result) => {
+        const names = { alwaysOn: 'Always on', current: 'Saved settings', proposed: 'Form settings' };
+        const rows = Object.keys(names).filter(name => result.variants[name]).map((name) => {
+          const t = result.variants[name].totals;
+          return `<tr><td>${names[name]}</td><td>${t.days}</td><td>${formatMinutes(t.onMinutes)}</td>`
+            + `<td>${orDash(t.energyKwh, v => v.toFixed(2))}</td><td>${orDash(t.costEur, v => `${v.toFixed(2)} €`)}</td>`
+            + (result.fixedFeesEur ? `<td>${orDash(t.costWithFeesEur, v => `${v.toFixed(2)} €`)}</td>` : '')
+            + `<td>${orDash(t.averagePrice, v => v.toFixed(2))}</td><td>${t.cycles}</td><td>${t.violationDays}</td></tr>`;
+        });
+        // Days on which the saved or form settings break one of their constraints
+        const details = ['current', 'proposed'].filter(name => result.variants[name]).map((name) => {
+          const days = result.variants[name].days.filter(day => day.violations.length);
+          if (!days.length) return '';
+          const items = days.map(day => `<li>${day.date}: ${day.violations.join('; ')}</li>`).join('');
+          return `<details><summary>${names[name]}: ${days.length} day(s) with violations</summary><ul>${items}</ul></details>`;
+        }).join('');
+        const missing = result.missingDays.length ? `<div>${result.missingDays.length} day(s) without archived prices skipped</div>` : '';
+        backtestEl.innerHTML = `<table class="backtest-table"><thead><tr><th></th><th>Days</th><th>On-time</th><th>kWh</th><th>Cost</th>${result.fixedFeesEur ? '<th>Incl. fixed fees</th>' : ''}<th>Avg c/kWh</th><th>Cycles</th><th>Days with violations</th></tr></thead>`
+          + `<tbody>${rows.join('')}</tbody></table>${missing}${details}`;
+        backtestEl.style.color = '';
+      };
+      form.querySelector(`#runBacktest${id}`).addEventListener('click', async () => {
+        backtestEl.textContent = 'Running backtest...';
+        backtestEl.style.color = '';
+        try {
+          renderBacktest(await window.SettingsModule.runBacktest(id, backtestFrom.value, backtestTo.value, readForm()));
+        } catch (err) {
+          backtestEl.textContent = `Backtest failed: ${err.message}`;
+          backtestEl.style.color = '#b00020';
+        }
+      });
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const settings = readForm();
+        const ruleErrors = window.Scheduler.validateRules(settings.rules);
+        if (ruleErrors.length) {
+          alert(`Invalid rules:\n${ruleErrors.join('\n')}`);
+          return;
+        }
 
         localStorage.setItem(`shellySettings_${id}`, JSON.stringify(settings));
         await window.SettingsModule.saveSettingsToServer(id, settings);
         console.log(`Settings saved for Shelly ${id}:`, settings);
+        clearTimeout(previewTimer);
+        previewEl.textContent = '';
         // Push settings to server and prompt device to refresh immediately
         try {
           await window.SettingsModule.syncRulesToShelly(id, settings);
@@ -266,8 +895,9 @@ function setUiTimezone(tz) {
           console.warn('Failed to push settings to device:', e);
         }
 
-        const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(rawPricesInfo, settings, settings.manualOverride);
-        window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, rawPricesInfo.currentSlotIndex, settings.timeFrame);
+        const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+        const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, settings, settings.manualOverride);
+        window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, settings.timeFrame);
         window.DeviceControlModule.updateShellyStatus(id); // Update status after settings change
       });
 
@@ -277,6 +907,9 @@ function setUiTimezone(tz) {
         if (!e.target.checked) {
           settings.manualOverride = false;
           delete settings.manualState;
+          delete settings.manualUntil;
+          e.target.removeAttribute('data-manual-state');
+          e.target.removeAttribute('data-manual-until');
         } else {
           // When user checks manual override from UI (without pressing ON/OFF), enable override but don't change manualState
           settings.manualOverride = true;
@@ -286,8 +919,9 @@ function setUiTimezone(tz) {
         await window.SettingsModule.saveSettingsToServer(id, settings);
         // Prompt device to refresh immediately
         try { await window.SettingsModule.syncRulesToShelly(id, settings); } catch (e) { console.warn('Failed to push manualOverride change to device:', e); }
-        const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(rawPricesInfo, settings, settings.manualOverride);
-        window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, rawPricesInfo.currentSlotIndex, settings.timeFrame);
+        const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+        const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, settings, settings.manualOverride);
+        window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, settings.timeFrame);
         window.DeviceControlModule.updateShellyStatus(id); // Update status after manual override change
       });
       // Reversed control change: persist immediately
@@ -316,6 +950,14 @@ function setUiTimezone(tz) {
 
     await ensureShellyContainers();
 
+    // Sensor readings and relay states for the first rule-tree charts
+    try {
+      const sresp = await fetch('/api/status');
+      if (sresp.ok) window.ChartModule.setDeviceStatuses(await sresp.json());
+    } catch (e) {
+      console.warn('Failed to fetch /api/status for rule conditions:', e);
+    }
+
     const shellyForms = document.querySelectorAll('.shelly-container');
     shellyForms.forEach(async (container) => {
       await initializeShellyContainer(container);
@@ -362,6 +1004,7 @@ function setUiTimezone(tz) {
         } catch (e) {
           console.warn('Failed to fetch /api/status during periodic update:', e);
         }
+        window.ChartModule.setDeviceStatuses(allStatuses);
 
         // Get updated list of containers (including any newly added ones)
         const shellyForms = document.querySelectorAll('.shelly-container');
@@ -369,8 +1012,9 @@ function setUiTimezone(tz) {
           const id = container.dataset.id;
           const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`));
           if (settings) {
-            const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(freshRawPricesInfo, settings, settings.manualOverride);
-            window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, freshRawPricesInfo.currentSlotIndex, settings.timeFrame);
+            const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+            const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, settings, settings.manualOverride);
+            window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, settings.timeFrame);
             // Provide the pre-fetched status for faster UI updates
             window.DeviceControlModule.updateShellyStatus(id, allStatuses[id]);
           } else {
@@ -379,8 +1023,9 @@ function setUiTimezone(tz) {
               const serverSettings = await window.SettingsModule.loadSettingsFromServer(id);
               if (serverSettings && Object.keys(serverSettings).length > 0) {
                 localStorage.setItem(`shellySettings_${id}`, JSON.stringify(serverSettings));
-                const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(freshRawPricesInfo, serverSettings, serverSettings.manualOverride);
-                window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, freshRawPricesInfo.currentSlotIndex, serverSettings.timeFrame);
+                const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+                const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, serverSettings, serverSettings.manualOverride);
+                window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, serverSettings.timeFrame);
                 window.DeviceControlModule.updateShellyStatus(id, allStatuses[id]);
               }
             } catch (e) {
@@ -423,14 +1068,16 @@ function setUiTimezone(tz) {
       } catch (e) {
         console.warn('Failed to fetch /api/status during manual refresh:', e);
       }
+      window.ChartModule.setDeviceStatuses(allStatuses);
 
       const shellyForms = document.querySelectorAll('.shelly-container');
       shellyForms.forEach(async container => {
         const id = container.dataset.id;
         const settings = JSON.parse(localStorage.getItem(`shellySettings_${id}`));
         if (settings) {
-          const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(freshRawPricesInfo, settings, settings.manualOverride);
-          window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, freshRawPricesInfo.currentSlotIndex, settings.timeFrame);
+          const devicePricesInfo = window.ChartModule.getDevicePricesInfo(id);
+          const { states, labels, rawLabels } = window.ChartModule.calculateShellyStates(devicePricesInfo, settings, settings.manualOverride);
+          window.ChartModule.renderShellyStateChart(id, states, labels, rawLabels, devicePricesInfo.currentSlotIndex, settings.timeFrame);
           window.DeviceControlModule.updateShellyStatus(id, allStatuses[id]);
         }
       });
@@ -2,13 +2,65 @@
  * loadSettings()
  * --------------
  * Fetch global runtime settings from the server and populate the settings
- * form fields (watchdogInterval, priceFetchInterval). Called on page load.
+ * form fields (watchdogInterval, priceFetchInterval, priceZone, holidays,
+ * householdPowerLimitKw, tariff and this month's peak). Called on page
+ * load.
  */
 async function loadSettings() {
 const res = await fetch('/api/settings');
 const data = await res.json();
 document.getElementById('watchdogInterval').value = data.watchdogInterval;
 document.getElementById('priceFetchInterval').value = data.priceFetchInterval;
+document.getElementById('priceZone').value = data.priceZone || 'fi';
+document.getElementById('holidays').value = (data.holidays || []).join('\n');
+document.getElementById('householdPowerLimitKw').value = data.householdPowerLimitKw || 0;
+loadTariff(data.tariff || {});
+showMonthlyPeak(data.monthlyPeak);
+}
+
+/*
+ * showMonthlyPeak(peak)
+ * ---------------------
+ * Show this month's tracked peak ({ peakKw, peakAt } from /api/settings)
+ * next to the peak power fee.
+ */
+function showMonthlyPeak(peak) {
+    const el = document.getElementById('monthlyPeakInfo');
+    if (!el) return;
+    el.textContent = peak && peak.peakAt
+        ? `Peak this month: ${peak.peakKw} kW (hour starting ${new Date(peak.peakAt).toLocaleString()}).`
+        : '';
+}
+
+/*
+ * TARIFF_FIELDS
+ * -------------
+ * Maps tariff model keys to their input element ids in the tariff form.
+ */
+const TARIFF_FIELDS = {
+    vatPercent: 'tariffVatPercent',
+    marginCents: 'tariffMarginCents',
+    transferDayCents: 'tariffTransferDayCents',
+    transferNightCents: 'tariffTransferNightCents',
+    dayStartHour: 'tariffDayStartHour',
+    dayEndHour: 'tariffDayEndHour',
+    electricityTaxCents: 'tariffElectricityTaxCents',
+    monthlyFixedFeesEur: 'tariffMonthlyFixedFeesEur',
+    peakEurPerKw: 'tariffPeakEurPerKw',
+    scheduleBasis: 'tariffScheduleBasis'
+};
+
+/*
+ * loadTariff(tariff)
+ * ------------------
+ * Populate the tariff form from the `tariff` object returned by
+ * /api/settings.
+ */
+function loadTariff(tariff) {
+    for (const [key, elId] of Object.entries(TARIFF_FIELDS)) {
+        const el = document.getElementById(elId);
+        if (el && typeof tariff[key] !== 'undefined') el.value = tariff[key];
+    }
 }
 
 /*
@@ -117,7 +169,9 @@ async function loadDevicesList() {
         const ul = document.createElement('ul');
             for (const [id, info] of Object.entries(devices)) {
                     const li = document.createElement('li');
-                    const display = (info && typeof info === 'object') ? `${info.name || 'Shelly'} (${info.ip || ''})` : String(info);
+                    const display = (info && typeof info === 'object')
+                        ? `${info.name || 'Shelly'} (${info.ip || ''}${info.zone ? ', zone ' + info.zone.toUpperCase() : ''}${info.ratedPowerKw ? ', ' + info.ratedPowerKw + ' kW' : ''}${info.priority ? ', priority ' + info.priority : ''})`
+                        : String(info);
                     li.textContent = `ID: ${id} — ${display}`;
                 // Remove button
                 const btn = document.createElement('button');
@@ -150,13 +204,23 @@ async function loadDevicesList() {
                     if (newIp === null) return;
                     const newDescription = prompt('New description for Shelly (optional)', currentDescription || '');
                     if (newDescription === null) return;
+                    const currentZone = (info && typeof info === 'object') ? (info.zone || '') : '';
+                    const newZone = prompt('Price zone for Shelly (fi, ee, lv, lt; empty = default)', currentZone);
+                    if (newZone === null) return;
+                    const currentPower = (info && typeof info === 'object') ? (info.ratedPowerKw || '') : '';
+                    const newPower = prompt('Rated power in kW (empty = unknown)', currentPower);
+                    if (newPower === null) return;
+                    const currentPriority = (info && typeof info === 'object') ? (info.priority || '') : '';
+                    const newPriority = prompt('Priority under the household power limit (1 = first; empty = last)', currentPriority);
+                    if (newPriority === null) return;
                     // Client-side validation
                     if (!isValidHost(newIp)) { alert('Invalid IP/hostname'); return; }
+                    if (newZone && !(data.supportedZones || ['fi', 'ee', 'lv', 'lt']).includes(newZone.trim().toLowerCase())) { alert('Invalid price zone'); return; }
                     try {
                         const put = await fetch(`/api/shelly/${id}`, {
                             method: 'PUT',
                             headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ name: newName, ip: newIp, description: newDescription })
+                            body: JSON.stringify({ name: newName, ip: newIp, description: newDescription, zone: newZone.trim().toLowerCase(), ratedPowerKw: newPower.trim(), priority: newPriority.trim() })
                         });
                         const t = await put.text();
                         alert(t);
@@ -248,7 +312,10 @@ document.getElementById('settingsForm').addEventListener('submit', async (e) =>
 e.preventDefault();
 const payload = {
     watchdogInterval: parseInt(document.getElementById('watchdogInterval').value),
-    priceFetchInterval: parseInt(document.getElementById('priceFetchInterval').value)
+    priceFetchInterval: parseInt(document.getElementById('priceFetchInterval').value),
+    priceZone: document.getElementById('priceZone').value,
+    holidays: document.getElementById('holidays').value.split(/[\s,]+/).filter(Boolean),
+    householdPowerLimitKw: Number(document.getElementById('householdPowerLimitKw').value) || 0
 };
     // include global motion recording enabled flag
     payload.motionRecordingEnabled = !!document.getElementById('motionRecordingEnabled').checked;
@@ -262,6 +329,40 @@ const res = await fetch('/api/settings', {
 alert(await res.text());
 });
 
+/*
+ * Tariff form submit handler
+ * --------------------------
+ * Persist the tariff model via /api/tariff. The server recomputes cached
+ * prices, so the price chart is refreshed afterwards.
+ */
+document.getElementById('tariffForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const payload = {};
+    for (const [key, elId] of Object.entries(TARIFF_FIELDS)) {
+        const value = document.getElementById(elId).value;
+        payload[key] = key === 'scheduleBasis' ? value : Number(value);
+    }
+    const res = await fetch('/api/tariff', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    const result = await res.json();
+    if (!res.ok) {
+        alert(`Failed to save tariff: ${result.error}`);
+        return;
+    }
+    loadTariff(result.tariff);
+    alert('Tariff saved');
+    if (window.ChartModule && window.ChartModule.fetchPrices) {
+        const prices = await window.ChartModule.fetchPrices();
+        if (prices) {
+            window.lastFetchedPrices = prices;
+            window.ChartModule.renderChart(prices, document.getElementById('chartTimeFrame').value || '15min');
+        }
+    }
+});
+
 /*
  * Add Shelly form submit handler
  * ------------------------------
@@ -274,7 +375,10 @@ e.preventDefault();
 const payload = {
     name: document.getElementById('shellyName').value,
     description: document.getElementById('shellyDescription').value,
-    ip: document.getElementById('shellyIP').value
+    ip: document.getElementById('shellyIP').value,
+    zone: document.getElementById('shellyZone').value,
+    ratedPowerKw: document.getElementById('shellyRatedPower').value,
+    priority: document.getElementById('shellyPriority').value
 };
 // Client-side validation
 if (!isValidHost(payload.ip)) { alert('Invalid IP/hostname'); return; }
@@ -2,6 +2,11 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const config = require('../configLoader');
+const { SUPPORTED_ZONES, normalizeZone, getActiveZones } = require('../utils/priceStore');
+const { SCHEDULE_BASES, getTariff, validateTariff, recomputeStoredPrices } = require('../utils/tariff');
+const { reschedulePriceFetch } = require('../priceFetchScheduler');
+const { isDate } = require('../shared/profiles');
+const { getPeak } = require('../peakState');
 
 const router = express.Router();
 const configFile = './config.json'; // runtime-writable config file
@@ -20,6 +25,38 @@ function isValidHost(host) {
   return ipv4.test(host) || hostname.test(host);
 }
 
+/*
+ * powerFields(body)
+ * -----------------
+ * Optional household power cap fields of a Shelly device request:
+ * `ratedPowerKw` (kW, > 0) and `priority` (integer >= 1, 1 = gets capacity
+ * first). Returns { fields } with the given values, or { error }.
+ */
+function powerFields(body) {
+  const fields = {};
+  if (typeof body.ratedPowerKw !== 'undefined' && body.ratedPowerKw !== '' && body.ratedPowerKw !== null) {
+    const power = Number(body.ratedPowerKw);
+    if (!(power > 0)) return { error: 'Invalid rated power: expected kW > 0' };
+    fields.ratedPowerKw = power;
+  }
+  if (typeof body.priority !== 'undefined' && body.priority !== '' && body.priority !== null) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority) || priority < 1) return { error: 'Invalid priority: expected a whole number from 1' };
+    fields.priority = priority;
+  }
+  return { fields };
+}
+
+/*
+ * isNewZone(zone)
+ * ---------------
+ * True when `zone` has no price data fetched yet because no device or the
+ * installation default uses it.
+ */
+function isNewZone(zone) {
+  return !!zone && !getActiveZones().includes(zone);
+}
+
 /* Ensure runtime `config.json` exists. If missing, create it from
  * `config.template.json` (recommended) so operators can keep secrets out
  * of the repository. If no template exists, fall back to `config.js`.
@@ -56,6 +93,18 @@ router.get('/settings', (req, res) => {
   res.json({
     watchdogInterval: runtimeConfig.watchdogInterval || config.watchdogInterval || 60,
     priceFetchInterval: runtimeConfig.priceFetchInterval || config.priceFetchInterval || 10,
+    // Installation-wide bidding zone (fi/ee/lv/lt); devices may override via shellyDevices[id].zone
+    priceZone: normalizeZone(runtimeConfig.priceZone) || normalizeZone(config.priceZone) || 'fi',
+    supportedZones: SUPPORTED_ZONES,
+    // Holiday calendar ('YYYY-MM-DD') used by per-device rule profiles
+    holidays: Array.isArray(runtimeConfig.holidays) ? runtimeConfig.holidays : [],
+    // Household power cap in kW (0 = none); devices carry ratedPowerKw/priority
+    householdPowerLimitKw: Number(runtimeConfig.householdPowerLimitKw) || 0,
+    // This month's peak hourly load of the scheduled devices (peak-power tariff)
+    monthlyPeak: getPeak(),
+    // Tariff model (margin, transfer, tax, VAT) used to compute total slot prices
+    tariff: getTariff(runtimeConfig),
+    scheduleBases: SCHEDULE_BASES,
     // Global flag: enable/disable motion-triggered recordings for all cameras
     motionRecordingEnabled: (typeof runtimeConfig.motionRecordingEnabled === 'undefined') ? (typeof config.motionRecordingEnabled === 'undefined' ? true : !!config.motionRecordingEnabled) : !!runtimeConfig.motionRecordingEnabled,
     // Global flag: enable/disable audio recording for all cameras
@@ -123,15 +172,26 @@ router.post('/camera-settings', (req, res) => {
 /*
  * POST /api/settings
  * -------------------
- * Persist updated watchdog and price fetch intervals into runtime
- * `config.json`. This allows changing behavior without restarting the
- * server.
+ * Persist updated watchdog and price fetch intervals (and optionally the
+ * default bidding zone, the holiday calendar and the household power limit)
+ * into runtime `config.json`. This allows changing
+ * behavior without restarting the server: the price fetch scheduler is
+ * re-planned with the new interval, and a new zone is fetched right away.
  */
 router.post('/settings', (req, res) => {
-  const { watchdogInterval, priceFetchInterval, motionRecordingEnabled, audioRecordingEnabled } = req.body;
+  const { watchdogInterval, priceFetchInterval, motionRecordingEnabled, audioRecordingEnabled, priceZone, holidays, householdPowerLimitKw } = req.body;
   if (typeof watchdogInterval === 'undefined' || typeof priceFetchInterval === 'undefined') {
     return res.status(400).send('Missing parameters');
   }
+  if (typeof priceZone !== 'undefined' && !normalizeZone(priceZone)) {
+    return res.status(400).send('Invalid price zone');
+  }
+  if (typeof holidays !== 'undefined' && (!Array.isArray(holidays) || !holidays.every(isDate))) {
+    return res.status(400).send('Invalid holidays: expected a list of YYYY-MM-DD dates');
+  }
+  if (typeof householdPowerLimitKw !== 'undefined' && !(Number(householdPowerLimitKw) >= 0)) {
+    return res.status(400).send('Invalid household power limit: expected kW >= 0');
+  }
 
   // Read current runtime config, merge and persist
   let runtimeConfig = {};
@@ -151,6 +211,16 @@ router.post('/settings', (req, res) => {
   if (typeof audioRecordingEnabled !== 'undefined') {
     runtimeConfig.audioRecordingEnabled = !!audioRecordingEnabled;
   }
+  const zoneChanged = typeof priceZone !== 'undefined' && normalizeZone(priceZone) !== normalizeZone(runtimeConfig.priceZone);
+  if (typeof priceZone !== 'undefined') {
+    runtimeConfig.priceZone = normalizeZone(priceZone);
+  }
+  if (typeof holidays !== 'undefined') {
+    runtimeConfig.holidays = Array.from(new Set(holidays)).sort();
+  }
+  if (typeof householdPowerLimitKw !== 'undefined') {
+    runtimeConfig.householdPowerLimitKw = Number(householdPowerLimitKw);
+  }
 
   try {
     fs.writeFileSync(configFile, JSON.stringify(runtimeConfig, null, 2));
@@ -159,15 +229,59 @@ router.post('/settings', (req, res) => {
     return res.status(500).send('Failed to persist settings');
   }
 
+  reschedulePriceFetch({ immediate: zoneChanged });
   res.send('Settings updated successfully');
 });
 
+/*
+ * POST /api/tariff
+ * ----------------
+ * Validate and persist the tariff model (`tariff` in config.json), merging
+ * the posted fields over the current tariff, then
+ * recompute the total/price fields of the cached prices so schedules use
+ * the new costs immediately. Responds with the stored tariff.
+ */
+router.post('/tariff', (req, res) => {
+  let runtimeConfig = {};
+  try {
+    runtimeConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    runtimeConfig = {};
+  }
+
+  // Fields omitted from the request keep their current value
+  const { tariff, errors } = validateTariff({ ...getTariff(runtimeConfig), ...(req.body || {}) });
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  runtimeConfig.tariff = tariff;
+
+  try {
+    fs.writeFileSync(configFile, JSON.stringify(runtimeConfig, null, 2));
+  } catch (err) {
+    console.error('Failed to write config.json:', err.message);
+    return res.status(500).json({ error: 'Failed to persist tariff' });
+  }
+
+  try {
+    recomputeStoredPrices();
+  } catch (err) {
+    // prices.json may not exist yet; the next fetch applies the tariff
+    console.warn('Failed to recompute cached prices with new tariff:', err.message);
+  }
+
+  res.json({ success: true, tariff });
+});
+
 /*
  * POST /api/shelly
  * -----------------
  * Add a new Shelly device to the runtime `config.json`. Validates the
- * provided hostname/IP and stores the device as an object { name, ip }
- * using a numeric identifier.
+ * provided hostname/IP and stores the device as an object { name, ip,
+ * description, zone, ratedPowerKw, priority } using a numeric identifier.
+ * `zone` is optional and defaults to the installation-wide `priceZone`
+ * (a zone without prices yet is fetched right away); `ratedPowerKw` and
+ * `priority` are optional (household power cap).
  */
 router.post('/shelly', (req, res) => {
   const { name, ip } = req.body;
@@ -183,6 +297,13 @@ router.post('/shelly', (req, res) => {
     return res.status(400).send('Invalid IP/hostname');
   }
 
+  const zone = req.body.zone ? normalizeZone(req.body.zone) : null;
+  if (req.body.zone && !zone) {
+    return res.status(400).send('Invalid price zone');
+  }
+  const power = powerFields(req.body);
+  if (power.error) return res.status(400).send(power.error);
+
   // Read current runtime config
   let runtimeConfig = {};
   try {
@@ -216,7 +337,9 @@ router.post('/shelly', (req, res) => {
   const numericKeys = existingKeys.map(k => parseInt(k, 10)).filter(n => !Number.isNaN(n));
   const nextId = (numericKeys.length > 0 ? Math.max(...numericKeys) + 1 : (existingKeys.length + 1));
   // Store as object {name, ip, description} so UI can show name and description when present
-  runtimeConfig.shellyDevices[String(nextId)] = { name: name, ip: ip, description };
+  runtimeConfig.shellyDevices[String(nextId)] = { name: name, ip: ip, description, ...power.fields };
+  if (zone) runtimeConfig.shellyDevices[String(nextId)].zone = zone;
+  const zoneAdded = isNewZone(zone);
 
   try {
     fs.writeFileSync(configFile, JSON.stringify(runtimeConfig, null, 2));
@@ -225,15 +348,19 @@ router.post('/shelly', (req, res) => {
     return res.status(500).send('Failed to persist new Shelly');
   }
 
+  // A zone no other device uses has no prices yet
+  if (zoneAdded) reschedulePriceFetch({ immediate: true });
   res.send(`Shelly "${name}" added successfully`);
 });
 
 /*
  * PUT /api/shelly/:id
  * --------------------
- * Update an existing Shelly entry's name and IP in the runtime config.
- * Overwrites the mapping entry with an object { name, ip } to keep the
- * UI-friendly format.
+ * Update an existing Shelly entry's name, IP, bidding zone, rated power and
+ * priority in the runtime config. The fields are merged into the existing
+ * entry (stored as an object to keep the UI-friendly format): omitted
+ * optional fields keep their value, empty ones are cleared. A zone without
+ * prices yet is fetched right away.
  */
 router.put('/shelly/:id', (req, res) => {
   const { id } = req.params;
@@ -244,6 +371,13 @@ router.put('/shelly/:id', (req, res) => {
     return res.status(400).send('Invalid IP/hostname');
   }
 
+  const zone = req.body.zone ? normalizeZone(req.body.zone) : null;
+  if (req.body.zone && !zone) {
+    return res.status(400).send('Invalid price zone');
+  }
+  const power = powerFields(req.body);
+  if (power.error) return res.status(400).send(power.error);
+
   let runtimeConfig = {};
   try {
     runtimeConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
@@ -256,8 +390,17 @@ router.put('/shelly/:id', (req, res) => {
     return res.status(404).send('Device not found');
   }
 
-  // Overwrite with object {name, ip, description} to keep UI-friendly format
-  runtimeConfig.shellyDevices[id] = { name: name, ip: ip, description: description || '' };
+  // Merge into the existing entry (string entries are plain IPs); an empty
+  // zone, ratedPowerKw or priority clears it, an omitted one is kept
+  const previous = runtimeConfig.shellyDevices[id];
+  const entry = { ...(typeof previous === 'object' ? previous : {}), name: name, ip: ip, ...power.fields };
+  if (typeof description !== 'undefined' || typeof entry.description === 'undefined') entry.description = description || '';
+  ['zone', 'ratedPowerKw', 'priority'].forEach((key) => {
+    if (req.body[key] === '' || req.body[key] === null) delete entry[key];
+  });
+  if (zone) entry.zone = zone;
+  const zoneAdded = isNewZone(zone);
+  runtimeConfig.shellyDevices[id] = entry;
 
   try {
     fs.writeFileSync(configFile, JSON.stringify(runtimeConfig, null, 2));
@@ -266,6 +409,8 @@ router.put('/shelly/:id', (req, res) => {
     return res.status(500).send('Failed to update Shelly');
   }
 
+  // A zone no other device uses has no prices yet
+  if (zoneAdded) reschedulePriceFetch({ immediate: true });
   res.send(`Shelly ${id} updated`);
 });
 
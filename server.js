@@ -1,8 +1,7 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { fetchEnergyPrices } = require('./energyPrices');
-const cron = require('node-cron');
+const { startPriceFetchScheduler, getPriceFetchStatus } = require('./priceFetchScheduler');
 const { applyShellyControl } = require('./controlLogic');
 const { loadRuntimeConfig, getDevices, getServerConfig } = require('./config/manager');
 const { SERVER_IP, SERVER_PORT, videoCameras } = getServerConfig();
@@ -10,11 +9,17 @@ const settingsRoutes = require('./routes/settings');
 const { ffmpeg, ffmpegAvailable } = require('./utils/ffmpeg');
 const { createChildLogger } = require('./utils/logger');
 const { deviceStatus } = require('./shellyController');
+const { loadPriceStore, getZonePrices, normalizeZone, getDefaultZone, isMissingSlot } = require('./utils/priceStore');
+const { getTariff } = require('./utils/tariff');
+const { describeQuality } = require('./utils/priceQuality');
+const { queryHistory } = require('./priceArchive');
 
 const logger = createChildLogger('server');
 const app = express();
 
 app.use(express.static(path.join(__dirname, 'public')));
+// Isomorphic code used by both the server and the browser (scheduling engine)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 // Parse JSON for API endpoints and also parse raw SDP offers as text
 app.use(express.json());
 app.use(express.text({ type: 'application/sdp' }));
@@ -35,83 +40,72 @@ app.get('/api/cameras', (req, res) => {
 
 let priceCache = null;
 
-/*
- * computeSchedule(prices, settings)
- * --------------------------------
- * Determine a boolean schedule for slots across a day based on price data
- * and device settings. This mirrors the implementation used by the
- * Shelly module and is kept here for compatibility/fallback uses by the
- * server.
- */
-function computeSchedule(prices, settings) {
-  const { minPrice, maxPrice, numCheapest, timeFrame } = settings;
-  // canonical unit is 15-minute slots: 96 slots per day
-  const slotsPerPeriod = timeFrame === '30min' ? 2 : timeFrame === '1hour' ? 4 : 1;
-  const periodsPerDay = 96 / slotsPerPeriod;
-
-  // Calculate average price per period
-  const periodAverages = [];
-  for (let p = 0; p < periodsPerDay; p++) {
-    let sum = 0, count = 0;
-    const startIdx = p * slotsPerPeriod;
-    const endIdx = startIdx + slotsPerPeriod;
-    for (let j = startIdx; j < endIdx && j < prices.length; j++) {
-      sum += prices[j];
-      count++;
-    }
-    periodAverages.push({ price: count > 0 ? sum / count : 9999, index: p });
-  }
-
-  // Sort to find cheapest periods
-  periodAverages.sort((a, b) => a.price - b.price);
-
-  // Create canonical 96-slot schedule (boolean per 15-min slot)
-  const schedule = Array(96).fill(false);
-
-  // Mark numCheapest periods as true
-  for (let i = 0; i < numCheapest && i < periodAverages.length; i++) {
-    const pIdx = periodAverages[i].index;
-    const startSlot = pIdx * slotsPerPeriod;
-    const endSlot = startSlot + slotsPerPeriod;
-    for (let s = startSlot; s < endSlot && s < schedule.length; s++) schedule[s] = true;
-  }
-
-  // Override based on minPrice and maxPrice per period
-  for (let p = 0; p < periodsPerDay; p++) {
-    let sum = 0, count = 0;
-    const startIdx = p * slotsPerPeriod;
-    const endIdx = startIdx + slotsPerPeriod;
-    for (let j = startIdx; j < endIdx && j < prices.length; j++) { sum += prices[j]; count++; }
-    const avgPrice = count > 0 ? sum / count : 9999;
-    if (avgPrice < minPrice) {
-      for (let s = startIdx; s < endIdx && s < schedule.length; s++) schedule[s] = true;
-    } else if (avgPrice > maxPrice) {
-      for (let s = startIdx; s < endIdx && s < schedule.length; s++) schedule[s] = false;
-    }
-  }
-
-  return schedule;
-}
+// Scheduling lives in shared/scheduler.js (also served to the browser below).
 
 // Shelly API endpoints have been moved into the modules/shelly module.
 // The module provides: /api/config/:id, /api/heartbeat/:id, /api/status and related endpoints.
 
 /*
- * GET /api/prices
- * ----------------
- * Return the cached `prices.json` payload (today/tomorrow arrays). Used by
- * the frontend and by devices for scheduling decisions.
+ * GET /api/prices?zone=<zone>
+ * ---------------------------
+ * Return the cached price data keyed by bidding zone as `zones`, plus the
+ * `today`/`tomorrow` arrays of the requested zone (default: configured
+ * `priceZone`) at the top level for existing consumers. `meta` tells which
+ * price provider supplied each day and at what native resolution
+ * ({ today: { date, provider, resolution }, ... }, resolution in minutes).
+ * Slots are { time, spot, total, price } in c/kWh: `spot` is the raw market
+ * price, `total` the cost with the configured `tariff` (returned alongside)
+ * and `price` the one scheduling compares against (`tariff.scheduleBasis`).
+ * Prices may be 0 or negative; slots without data have null prices and
+ * `missing: true`. Days are local calendar days in `timezone` (92-100 slots each).
+ * Used by the frontend and by devices for scheduling decisions.
  */
 app.get('/api/prices', (req, res) => {
+  let zone = null;
+  if (req.query.zone) {
+    zone = normalizeZone(req.query.zone);
+    if (!zone) return res.status(400).json({ error: `Unknown price zone: ${req.query.zone}` });
+  }
   try {
-    const prices = JSON.parse(fs.readFileSync('./prices.json', 'utf8'));
-    res.json(prices);
+    const store = loadPriceStore();
+    zone = zone || store.defaultZone;
+    const { today, tomorrow, meta } = getZonePrices(zone, store);
+    res.json({ zone, today, tomorrow, meta, tariff: getTariff(), timezone: store.timezone, defaultZone: store.defaultZone, zones: store.zones });
   } catch (error) {
     console.error('Error reading prices.json:', error.message);
     res.status(500).json({ error: 'Failed to load prices' });
   }
 });
 
+/*
+ * GET /api/prices/history?from=YYYY-MM-DD&to=YYYY-MM-DD&resolution=&zone=
+ * -------------------------------------------------------------------------
+ * Return archived prices for past (and cached upcoming) days as
+ * { zone, from, to, resolution, days: [{ date, provider, sourceResolution,
+ * points }], missingDays }. `resolution` is `15min` (default), `hour` or
+ * `day`; aggregated points average spot/total/price and include min/max.
+ * `sourceResolution` is the native resolution (minutes) of the archived day.
+ */
+app.get('/api/prices/history', (req, res) => {
+  let zone = null;
+  if (req.query.zone) {
+    zone = normalizeZone(req.query.zone);
+    if (!zone) return res.status(400).json({ error: `Unknown price zone: ${req.query.zone}` });
+  }
+  try {
+    res.json(queryHistory({
+      zone: zone || getDefaultZone(),
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution || '15min'
+    }));
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error reading price archive:', error.message);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
 /*
  * GET /api/recordings
  * --------------------
@@ -240,10 +234,10 @@ app.post('/api/webrtc/:path', (req, res) => {
 // Periodic status checks — use runtime device list
 // Periodic Shelly status checks moved to modules/shelly.
 
-// Fetch prices on startup and every 15 minutes
-cron.schedule('*/15 * * * *', fetchEnergyPrices);
-fetchEnergyPrices().then(() => {
-  priceCache = JSON.parse(fs.readFileSync('./prices.json', 'utf8'));
+// Fetch prices on startup, then every `priceFetchInterval` minutes (faster
+// around the day-ahead publication, see priceFetchScheduler.js)
+startPriceFetchScheduler({
+  onUpdate: () => { priceCache = loadPriceStore(); }
 });
 
 // Camera routes moved to modules/cameras. Dynamically load modules now.
@@ -285,6 +279,36 @@ app.get('/health', (req, res) => {
       checks.status = 'unhealthy';
     }
 
+    // Price data quality per zone; missing (unrepaired) slots today degrade health,
+    // an incomplete tomorrow is only reported (it is normal before publication)
+    try {
+      const store = loadPriceStore();
+      checks.priceQuality = { incompleteDays: [], zones: {} };
+      Object.keys(store.zones).forEach(zone => {
+        const { today, tomorrow, meta } = getZonePrices(zone, store);
+        const describe = (slots, dayMeta = {}) => ({
+          date: dayMeta.date || null,
+          provider: dayMeta.provider || null,
+          fetchedAt: dayMeta.fetchedAt || null,
+          ...describeQuality(slots)
+        });
+        const days = { today: describe(today, meta.today), tomorrow: describe(tomorrow, meta.tomorrow) };
+        checks.priceQuality.zones[zone] = days;
+        Object.entries(days).forEach(([key, day]) => {
+          if (!day.complete) checks.priceQuality.incompleteDays.push(`${zone}/${day.date || key}`);
+        });
+        if (days.today.missingSlots > days.today.repairedSlots) {
+          healthy = false;
+          if (checks.status === 'healthy') checks.status = 'degraded';
+        }
+      });
+    } catch (error) {
+      checks.priceQuality = { error: error.message };
+    }
+
+    // Price fetch scheduler: next planned run and outcome of the last one
+    checks.priceFetch = getPriceFetchStatus();
+
     // Check device connectivity (at least one device has recent heartbeat)
     const devices = Object.keys(deviceStatus);
     checks.devices = {
@@ -340,34 +364,74 @@ app.get('/metrics', (req, res) => {
     metrics += '# TYPE hcc_uptime_seconds gauge\n';
     metrics += `hcc_uptime_seconds ${process.uptime()}\n\n`;
 
-    // Price data metrics
+    // Price data metrics (one series per bidding zone)
     try {
-      const priceData = JSON.parse(fs.readFileSync('./prices.json', 'utf8'));
-      const todayPrices = priceData.today || [];
-      const tomorrowPrices = priceData.tomorrow || [];
+      const store = loadPriceStore();
+      const zones = Object.keys(store.zones);
 
       metrics += '# HELP hcc_prices_today_count Number of price slots for today\n';
       metrics += '# TYPE hcc_prices_today_count gauge\n';
-      metrics += `hcc_prices_today_count ${todayPrices.length}\n\n`;
+      zones.forEach(zone => {
+        metrics += `hcc_prices_today_count{zone="${zone}"} ${getZonePrices(zone, store).today.length}\n`;
+      });
+      metrics += '\n';
 
       metrics += '# HELP hcc_prices_tomorrow_count Number of price slots for tomorrow\n';
       metrics += '# TYPE hcc_prices_tomorrow_count gauge\n';
-      metrics += `hcc_prices_tomorrow_count ${tomorrowPrices.length}\n\n`;
+      zones.forEach(zone => {
+        metrics += `hcc_prices_tomorrow_count{zone="${zone}"} ${getZonePrices(zone, store).tomorrow.length}\n`;
+      });
+      metrics += '\n';
 
       // Calculate average prices
-      if (todayPrices.length > 0) {
-        const avgToday = todayPrices.reduce((sum, slot) => sum + (slot.price || 0), 0) / todayPrices.length;
-        metrics += '# HELP hcc_prices_today_avg_cents_per_kwh Average price today in cents/kWh\n';
-        metrics += '# TYPE hcc_prices_today_avg_cents_per_kwh gauge\n';
-        metrics += `hcc_prices_today_avg_cents_per_kwh ${avgToday.toFixed(4)}\n\n`;
-      }
-
-      if (tomorrowPrices.length > 0) {
-        const avgTomorrow = tomorrowPrices.reduce((sum, slot) => sum + (slot.price || 0), 0) / tomorrowPrices.length;
-        metrics += '# HELP hcc_prices_tomorrow_avg_cents_per_kwh Average price tomorrow in cents/kWh\n';
-        metrics += '# TYPE hcc_prices_tomorrow_avg_cents_per_kwh gauge\n';
-        metrics += `hcc_prices_tomorrow_avg_cents_per_kwh ${avgTomorrow.toFixed(4)}\n\n`;
-      }
+      metrics += '# HELP hcc_prices_today_avg_cents_per_kwh Average price today in cents/kWh\n';
+      metrics += '# TYPE hcc_prices_today_avg_cents_per_kwh gauge\n';
+      zones.forEach(zone => {
+        const todayPrices = getZonePrices(zone, store).today.filter(slot => !isMissingSlot(slot));
+        if (todayPrices.length === 0) return;
+        const avgToday = todayPrices.reduce((sum, slot) => sum + slot.price, 0) / todayPrices.length;
+        metrics += `hcc_prices_today_avg_cents_per_kwh{zone="${zone}"} ${avgToday.toFixed(4)}\n`;
+      });
+      metrics += '\n';
+
+      metrics += '# HELP hcc_prices_tomorrow_avg_cents_per_kwh Average price tomorrow in cents/kWh\n';
+      metrics += '# TYPE hcc_prices_tomorrow_avg_cents_per_kwh gauge\n';
+      zones.forEach(zone => {
+        const tomorrowPrices = getZonePrices(zone, store).tomorrow.filter(slot => !isMissingSlot(slot));
+        if (tomorrowPrices.length === 0) return;
+        const avgTomorrow = tomorrowPrices.reduce((sum, slot) => sum + slot.price, 0) / tomorrowPrices.length;
+        metrics += `hcc_prices_tomorrow_avg_cents_per_kwh{zone="${zone}"} ${avgTomorrow.toFixed(4)}\n`;
+      });
+      metrics += '\n';
+
+      // Data quality: slots without a published price (repaired slots included)
+      const quality = zones.map(zone => {
+        const { today, tomorrow } = getZonePrices(zone, store);
+        return { zone, today: describeQuality(today), tomorrow: describeQuality(tomorrow) };
+      });
+      metrics += '# HELP hcc_prices_missing_slots Slots without a published price\n';
+      metrics += '# TYPE hcc_prices_missing_slots gauge\n';
+      quality.forEach(q => {
+        metrics += `hcc_prices_missing_slots{zone="${q.zone}",day="today"} ${q.today.missingSlots}\n`;
+        metrics += `hcc_prices_missing_slots{zone="${q.zone}",day="tomorrow"} ${q.tomorrow.missingSlots}\n`;
+      });
+      metrics += '\n';
+
+      metrics += '# HELP hcc_prices_repaired_slots Missing slots filled by gap repair\n';
+      metrics += '# TYPE hcc_prices_repaired_slots gauge\n';
+      quality.forEach(q => {
+        metrics += `hcc_prices_repaired_slots{zone="${q.zone}",day="today"} ${q.today.repairedSlots}\n`;
+        metrics += `hcc_prices_repaired_slots{zone="${q.zone}",day="tomorrow"} ${q.tomorrow.repairedSlots}\n`;
+      });
+      metrics += '\n';
+
+      metrics += '# HELP hcc_prices_day_complete 1 when every slot of the day has a published price\n';
+      metrics += '# TYPE hcc_prices_day_complete gauge\n';
+      quality.forEach(q => {
+        metrics += `hcc_prices_day_complete{zone="${q.zone}",day="today"} ${q.today.complete ? 1 : 0}\n`;
+        metrics += `hcc_prices_day_complete{zone="${q.zone}",day="tomorrow"} ${q.tomorrow.complete ? 1 : 0}\n`;
+      });
+      metrics += '\n';
 
     } catch (error) {
       metrics += '# Price data unavailable\n\n';
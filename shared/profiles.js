@@ -0,0 +1,164 @@
+/*
+ * Rule Profiles
+ * -------------
+ * Named per-device rule profiles: a device's settings_<id>.json may hold
+ * `profiles: [{ name, weekdays, from, to, holidays, settings }]`. For every
+ * local day the first profile (in list order) whose criteria match is
+ * active and its `settings` override the device's base settings; without a
+ * match the base settings apply. Loaded by Node (`modules/shelly` payloads)
+ * and by the browser (`/shared/profiles.js` -> `window.Profiles`: device
+ * panel and state charts), like shared/scheduler.js.
+ *
+ * Criteria (all optional, all must match):
+ * - weekdays: ISO weekdays 1 (Mon) - 7 (Sun)
+ * - from / to: season as 'MM-DD' (inclusive, may wrap the new year, e.g.
+ *   '11-01' - '03-31')
+ * - holidays: true = also active on the dates of the holiday calendar
+ *   (`holidays` in config.json), or only on them when no weekdays are set
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Profiles = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /*
+   * PROFILE_FIELDS
+   * --------------
+   * Settings a profile may override. Manual override, reversed control and
+   * the chart/device period (`timeFrame`) stay per device.
+   */
+  var PROFILE_FIELDS = [
+    'minPrice', 'maxPrice', 'thresholdType', 'thresholdBasis', 'numCheapest', 'allowForecast', 'fallbackHours',
+    'selectionMode', 'rollingHours', 'rollingDeadline',
+    'scheduleMode', 'blockMinutes', 'maxBlocks', 'minBlockMinutes', 'blockWindowStart', 'blockWindowEnd',
+    'allowedWindows', 'forbiddenWindows', 'minDailyOnMinutes', 'maxOffMinutes',
+    'minOnMinutes', 'minOffMinutes', 'maxCyclesPerDay', 'rules',
+    'energyTargetKwh', 'energyTargetMinutes', 'energyDeadline'
+  ];
+
+  var MONTH_DAY = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+  var DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+  /*
+   * isDate(value)
+   * -------------
+   * True for a 'YYYY-MM-DD' string (holiday calendar entries).
+   */
+  function isDate(value) {
+    return typeof value === 'string' && DATE.test(value);
+  }
+
+  /*
+   * isoWeekday(dateStr)
+   * -------------------
+   * ISO weekday (1 = Monday ... 7 = Sunday) of a 'YYYY-MM-DD' date.
+   */
+  function isoWeekday(dateStr) {
+    var d = new Date(dateStr + 'T00:00:00Z').getUTCDay();
+    return d === 0 ? 7 : d;
+  }
+
+  /*
+   * inSeason(from, to, monthDay)
+   * ----------------------------
+   * True when 'MM-DD' `monthDay` lies in from..to (inclusive; wraps the
+   * new year when from > to).
+   */
+  function inSeason(from, to, monthDay) {
+    return from <= to ? monthDay >= from && monthDay <= to : monthDay >= from || monthDay <= to;
+  }
+
+  /*
+   * matchesProfile(profile, dateStr, holidays)
+   * ------------------------------------------
+   * True when `profile` applies on local date `dateStr` given the holiday
+   * calendar `holidays` (list of 'YYYY-MM-DD').
+   */
+  function matchesProfile(profile, dateStr, holidays) {
+    if (!profile || !isDate(dateStr)) return false;
+    var isHoliday = (holidays || []).indexOf(dateStr) >= 0;
+    var weekdays = Array.isArray(profile.weekdays) && profile.weekdays.length ? profile.weekdays.map(Number) : null;
+    var dayMatches = weekdays ? weekdays.indexOf(isoWeekday(dateStr)) >= 0 : !profile.holidays;
+    if (!dayMatches && !(profile.holidays && isHoliday)) return false;
+    if (MONTH_DAY.test(profile.from || '') && MONTH_DAY.test(profile.to || '')) {
+      return inSeason(profile.from, profile.to, dateStr.slice(5));
+    }
+    return true;
+  }
+
+  /*
+   * resolveProfile(settings, dateStr, holidays)
+   * -------------------------------------------
+   * The first of `settings.profiles` matching `dateStr`, or null.
+   */
+  function resolveProfile(settings, dateStr, holidays) {
+    var profiles = settings && Array.isArray(settings.profiles) ? settings.profiles : [];
+    for (var i = 0; i < profiles.length; i++) {
+      if (matchesProfile(profiles[i], dateStr, holidays)) return profiles[i];
+    }
+    return null;
+  }
+
+  /*
+   * effectiveSettings(settings, dateStr, holidays)
+   * ----------------------------------------------
+   * Copy of the device `settings` with the active profile's overrides
+   * applied for local date `dateStr`, and `activeProfile` set to its name
+   * (null when the base settings apply).
+   */
+  function effectiveSettings(settings, dateStr, holidays) {
+    var base = settings || {};
+    var result = {};
+    Object.keys(base).forEach(function (key) { result[key] = base[key]; });
+    var profile = resolveProfile(base, dateStr, holidays);
+    result.activeProfile = profile ? profile.name : null;
+    if (profile && profile.settings) {
+      PROFILE_FIELDS.forEach(function (key) {
+        if (typeof profile.settings[key] !== 'undefined') result[key] = profile.settings[key];
+      });
+    }
+    return result;
+  }
+
+  /*
+   * validateProfiles(profiles)
+   * --------------------------
+   * Validation errors (strings) for a `profiles` setting; empty when valid.
+   */
+  function validateProfiles(profiles) {
+    if (typeof profiles === 'undefined') return [];
+    if (!Array.isArray(profiles)) return ['profiles must be a list'];
+    var errors = [];
+    var names = {};
+    profiles.forEach(function (p, i) {
+      var label = 'profile ' + (i + 1);
+      if (!p || typeof p !== 'object') { errors.push(label + ' must be an object'); return; }
+      if (typeof p.name !== 'string' || !p.name.trim()) errors.push(label + ': name is required');
+      else if (names[p.name]) errors.push(label + ': duplicate name "' + p.name + '"');
+      else names[p.name] = true;
+      if (typeof p.weekdays !== 'undefined' && (!Array.isArray(p.weekdays) || p.weekdays.some(function (d) { return [1, 2, 3, 4, 5, 6, 7].indexOf(Number(d)) < 0; }))) {
+        errors.push(label + ': weekdays must be 1 (Mon) - 7 (Sun)');
+      }
+      var hasFrom = typeof p.from !== 'undefined' && p.from !== '';
+      var hasTo = typeof p.to !== 'undefined' && p.to !== '';
+      if (hasFrom !== hasTo) errors.push(label + ': season needs both from and to');
+      else if (hasFrom && (!MONTH_DAY.test(p.from) || !MONTH_DAY.test(p.to))) errors.push(label + ': from/to must be MM-DD');
+      if (typeof p.settings !== 'undefined' && (!p.settings || typeof p.settings !== 'object')) errors.push(label + ': settings must be an object');
+    });
+    return errors;
+  }
+
+  return {
+    PROFILE_FIELDS: PROFILE_FIELDS,
+    isDate: isDate,
+    isoWeekday: isoWeekday,
+    matchesProfile: matchesProfile,
+    resolveProfile: resolveProfile,
+    effectiveSettings: effectiveSettings,
+    validateProfiles: validateProfiles
+  };
+}));
@@ -0,0 +1,1353 @@
+/*
+ * Scheduling Engine
+ * -----------------
+ * The one implementation of the price-based ON/OFF rules. It is loaded by
+ * Node (`require('./shared/scheduler')`: Shelly module payloads, reconcile,
+ * control logic) and by the browser (`/shared/scheduler.js` ->
+ * `window.Scheduler`: price chart and device state charts), so the chart
+ * always shows exactly the schedule the device receives. Keep it free of
+ * dependencies and platform APIs other than Intl.
+ *
+ * Rules, per local day (96 slots of 15 minutes, 92/100 on DST changes):
+ * 1. Slots are grouped into periods of `timeFrame` (15min/30min/1hour)
+ *    counted from local midnight; a period's price is the average of its
+ *    known slot prices. Missing slots (null) are skipped; 0 and negative
+ *    prices are real. Periods without any price are never switched on.
+ * 2. The `numCheapest` cheapest periods of the day are ON (ties go to the
+ *    earlier period).
+ * 3. A period priced below `minPrice` is ON, one above `maxPrice` is OFF;
+ *    these thresholds win over rule 2. 0 is a valid threshold.
+ * 4. `manualOverride` with `manualState` 'on'/'off' forces every slot (a
+ *    timed override only the slots before `manualUntil`).
+ *
+ * Settings may change rules 2 and 3 (selectPeriods(), planSchedule()):
+ * relative thresholds (`thresholdType`, resolveThreshold()), a rolling
+ * window across midnight (`selectionMode: 'rolling'`), uninterrupted
+ * blocks (`scheduleMode: 'block'`, cheapestBlocks()), an energy target
+ * before a deadline (`scheduleMode: 'energy'`) or a rule tree
+ * (`scheduleMode: 'rules'`, evaluateRule()). Time windows and runtime
+ * constraints (applyConstraints()) and then the anti-short-cycle limits
+ * (limitCycling()) win over all of them. Household power caps and monthly
+ * peak-power costs reach the engine as context.blockedSlots and
+ * context.peakTariff (planHousehold(), peakCosts()).
+ *
+ * Golden cases in test/golden/ pin this behaviour (`npm test`).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Scheduler = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /*
+   * SLOTS_PER_PERIOD
+   * ----------------
+   * 15-minute slots in one period of each supported timeFrame.
+   */
+  var SLOTS_PER_PERIOD = { '15min': 1, '30min': 2, '1hour': 4 };
+
+  /*
+   * SELECTION_MODES
+   * ---------------
+   * How `numCheapest` periods are chosen: per local calendar day ('daily')
+   * or within a window starting now that may cross midnight ('rolling').
+   */
+  var SELECTION_MODES = ['daily', 'rolling'];
+
+  /*
+   * SCHEDULE_MODES
+   * --------------
+   * What the selection picks: the `numCheapest` cheapest periods anywhere
+   * ('cheapest'), cheapest uninterrupted blocks for appliances such as
+   * dishwashers or sauna heaters ('block'), the periods matching the
+   * device's rule tree ('rules') or the cheapest periods meeting an energy
+   * target by a deadline ('energy').
+   */
+  var SCHEDULE_MODES = ['cheapest', 'block', 'rules', 'energy'];
+
+  /*
+   * THRESHOLD_TYPES
+   * ---------------
+   * How `minPrice`/`maxPrice` are read: as prices in c/kWh ('absolute'),
+   * as a percentile of the reference prices ('percentile'), as percent
+   * below/above their average ('average') or as the cheapest percentage of
+   * the reference periods ('share').
+   */
+  var THRESHOLD_TYPES = ['absolute', 'percentile', 'average', 'share'];
+
+  /*
+   * THRESHOLD_BASES
+   * ---------------
+   * Reference prices of relative thresholds: the period's local calendar
+   * day ('day') or the 24 hours from now ('rolling').
+   */
+  var THRESHOLD_BASES = ['day', 'rolling'];
+
+  /*
+   * RULE_TYPES
+   * ----------
+   * Node types of a rule tree: groups ('and'/'or' over `rules`, 'not' over
+   * `rule`) and conditions on a period ('price', 'rank', 'time') or on live
+   * readings ('sensor', 'device').
+   */
+  var RULE_TYPES = ['and', 'or', 'not', 'price', 'rank', 'time', 'sensor', 'device'];
+
+  // Comparison operators of price, rank and sensor conditions
+  var COMPARATORS = ['<', '<=', '>', '>='];
+
+  // Deepest nesting of rule groups accepted by validateRules()
+  var MAX_RULE_DEPTH = 8;
+
+  // Local 'HH:MM' setting values
+  var TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  /*
+   * isKnownPrice(p)
+   * ---------------
+   * True for an actual price value. Missing slots are null; zero and
+   * negative prices are real.
+   */
+  function isKnownPrice(p) {
+    return typeof p === 'number' && !isNaN(p);
+  }
+
+  /*
+   * slotsPerPeriod(timeFrame)
+   * -------------------------
+   * Number of 15-minute slots per period; unknown values mean '15min'.
+   */
+  function slotsPerPeriod(timeFrame) {
+    return SLOTS_PER_PERIOD[timeFrame] || 1;
+  }
+
+  /*
+   * toNumber(value, fallback)
+   * -------------------------
+   * Parse a numeric setting (settings files may hold strings). Only absent
+   * or unparsable values use `fallback`, so 0 stays 0.
+   */
+  function toNumber(value, fallback) {
+    var n = typeof value === 'number' ? value : parseFloat(value);
+    return isFinite(n) ? n : fallback;
+  }
+
+  /*
+   * normalizeSettings(settings)
+   * ---------------------------
+   * Device settings with numeric thresholds: { minPrice, maxPrice,
+   * numCheapest, timeFrame, manualOverride, manualState, manualUntil,
+   * selectionMode,
+   * rollingHours, rollingDeadline, scheduleMode, blockMinutes, maxBlocks,
+   * minBlockMinutes, blockWindowStart, blockWindowEnd, allowedWindows,
+   * forbiddenWindows, minDailyOnMinutes, maxOffMinutes, minOnMinutes,
+   * minOffMinutes, maxCyclesPerDay, rules, ratedPowerKw, energyTargetKwh,
+   * energyTargetMinutes, energyDeadline, thresholdType, thresholdBasis }.
+   * A missing minPrice
+   * never forces ON and a missing maxPrice never forces OFF. Times of day
+   * are 'HH:MM' or null; windows are [{ from, to }] of valid 'HH:MM' pairs;
+   * 0 disables the runtime constraints. `manualUntil` (epoch ms or ISO
+   * time) is epoch ms or null.
+   */
+  function normalizeSettings(settings) {
+    var s = settings || {};
+    return {
+      minPrice: toNumber(s.minPrice, -Infinity),
+      maxPrice: toNumber(s.maxPrice, Infinity),
+      numCheapest: Math.max(0, Math.floor(toNumber(s.numCheapest, 0))),
+      timeFrame: SLOTS_PER_PERIOD[s.timeFrame] ? s.timeFrame : '15min',
+      manualOverride: !!s.manualOverride,
+      manualState: s.manualState === 'on' || s.manualState === 'off' ? s.manualState : null,
+      manualUntil: timestamp(s.manualUntil),
+      selectionMode: SELECTION_MODES.indexOf(s.selectionMode) >= 0 ? s.selectionMode : 'daily',
+      rollingHours: Math.min(48, Math.max(1, toNumber(s.rollingHours, 24))),
+      rollingDeadline: TIME_OF_DAY.test(s.rollingDeadline || '') ? s.rollingDeadline : null,
+      scheduleMode: SCHEDULE_MODES.indexOf(s.scheduleMode) >= 0 ? s.scheduleMode : 'cheapest',
+      blockMinutes: Math.min(1440, Math.max(0, toNumber(s.blockMinutes, 120))),
+      maxBlocks: Math.min(4, Math.max(1, Math.floor(toNumber(s.maxBlocks, 1)))),
+      minBlockMinutes: Math.min(1440, Math.max(0, toNumber(s.minBlockMinutes, 0))),
+      blockWindowStart: TIME_OF_DAY.test(s.blockWindowStart || '') ? s.blockWindowStart : null,
+      blockWindowEnd: TIME_OF_DAY.test(s.blockWindowEnd || '') ? s.blockWindowEnd : null,
+      allowedWindows: timeWindows(s.allowedWindows),
+      forbiddenWindows: timeWindows(s.forbiddenWindows),
+      minDailyOnMinutes: Math.min(1440, Math.max(0, toNumber(s.minDailyOnMinutes, 0))),
+      maxOffMinutes: Math.max(0, toNumber(s.maxOffMinutes, 0)),
+      minOnMinutes: Math.min(1440, Math.max(0, toNumber(s.minOnMinutes, 0))),
+      minOffMinutes: Math.min(1440, Math.max(0, toNumber(s.minOffMinutes, 0))),
+      maxCyclesPerDay: Math.max(0, Math.floor(toNumber(s.maxCyclesPerDay, 0))),
+      rules: s.rules && typeof s.rules === 'object' ? s.rules : null,
+      ratedPowerKw: Math.max(0, toNumber(s.ratedPowerKw, 0)),
+      energyTargetKwh: Math.max(0, toNumber(s.energyTargetKwh, 0)),
+      energyTargetMinutes: Math.min(2880, Math.max(0, toNumber(s.energyTargetMinutes, 0))),
+      energyDeadline: TIME_OF_DAY.test(s.energyDeadline || '') ? s.energyDeadline : '07:00',
+      thresholdType: THRESHOLD_TYPES.indexOf(s.thresholdType) >= 0 ? s.thresholdType : 'absolute',
+      thresholdBasis: THRESHOLD_BASES.indexOf(s.thresholdBasis) >= 0 ? s.thresholdBasis : 'day'
+    };
+  }
+
+  /*
+   * timestamp(value)
+   * ----------------
+   * Epoch ms of an epoch-ms number or an ISO time string; null otherwise.
+   */
+  function timestamp(value) {
+    var ms = typeof value === 'number' ? value : (typeof value === 'string' ? Date.parse(value) : NaN);
+    return isFinite(ms) ? ms : null;
+  }
+
+  /*
+   * timeWindows(list)
+   * -----------------
+   * Valid { from, to } 'HH:MM' pairs of a window list setting; anything
+   * else is dropped.
+   */
+  function timeWindows(list) {
+    return (Array.isArray(list) ? list : []).filter(function (w) {
+      return w && TIME_OF_DAY.test(w.from || '') && TIME_OF_DAY.test(w.to || '');
+    }).map(function (w) { return { from: w.from, to: w.to }; });
+  }
+
+  /*
+   * manualState(settings, now)
+   * --------------------------
+   * true/false when a manual override forces the device, null when the
+   * override is on without an explicit state (no automated control), and
+   * undefined when the schedule applies. With `now` (epoch ms) a timed
+   * override is over from its `manualUntil` on.
+   */
+  function manualState(settings, now) {
+    var s = normalizeSettings(settings);
+    if (!s.manualOverride) return undefined;
+    if (s.manualUntil !== null && typeof now === 'number' && now >= s.manualUntil) return undefined;
+    if (s.manualState === 'on') return true;
+    if (s.manualState === 'off') return false;
+    return null;
+  }
+
+  /*
+   * periodAverages(prices, slotCount, perPeriod)
+   * --------------------------------------------
+   * Average known price of every period of the day: [{ index, start, end,
+   * price }] with price null when the period has no data.
+   */
+  function periodAverages(prices, slotCount, perPeriod) {
+    var periods = [];
+    for (var start = 0, index = 0; start < slotCount; start += perPeriod, index++) {
+      var end = Math.min(start + perPeriod, slotCount);
+      var sum = 0;
+      var count = 0;
+      for (var j = start; j < end && j < prices.length; j++) {
+        if (!isKnownPrice(prices[j])) continue;
+        sum += prices[j];
+        count++;
+      }
+      periods.push({ index: index, start: start, end: end, price: count > 0 ? sum / count : null });
+    }
+    return periods;
+  }
+
+  /*
+   * minutesOfDay(hhmm)
+   * ------------------
+   * Minutes after local midnight of an 'HH:MM' string.
+   */
+  function minutesOfDay(hhmm) {
+    return parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3, 5), 10);
+  }
+
+  /*
+   * localTimeOfDay(time, timezone)
+   * ------------------------------
+   * Local 'HH:MM' of an ISO time or epoch ms in `timezone`.
+   */
+  function localTimeOfDay(time, timezone) {
+    var ms = typeof time === 'number' ? time : Date.parse(time);
+    return new Date(ms).toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+
+  /*
+   * slotMinutes(days, context)
+   * --------------------------
+   * Local minute of day of every slot of `days` (concatenated), from
+   * context.slotTimes when given, otherwise counted from each day's
+   * midnight in 15-minute steps.
+   */
+  function slotMinutes(days, context) {
+    var times = context.slotTimes || [];
+    var minutes = [];
+    days.forEach(function (day) {
+      for (var i = 0; i < (day.slotCount || 96); i++) {
+        var t = times[minutes.length];
+        minutes.push(t !== undefined ? minutesOfDay(localTimeOfDay(t, context.timezone)) : (i * 15) % 1440);
+      }
+    });
+    return minutes;
+  }
+
+  /*
+   * inTimeRange(from, to, minute)
+   * -----------------------------
+   * True when local `minute` of day lies in the 'HH:MM' range from-to (end
+   * exclusive; a range may wrap past midnight, e.g. 22:00-06:00, and equal
+   * ends mean the whole day).
+   */
+  function inTimeRange(from, to, minute) {
+    var a = minutesOfDay(from);
+    var b = minutesOfDay(to);
+    if (a === b) return true;
+    return a < b ? minute >= a && minute < b : minute >= a || minute < b;
+  }
+
+  /*
+   * inBlockWindow(s, minute)
+   * ------------------------
+   * True when local `minute` of day lies in blockWindowStart-blockWindowEnd.
+   * Without both ends every minute is allowed.
+   */
+  function inBlockWindow(s, minute) {
+    if (!s.blockWindowStart || !s.blockWindowEnd) return true;
+    return inTimeRange(s.blockWindowStart, s.blockWindowEnd, minute);
+  }
+
+  /*
+   * isAllowedPeriod(s, p, minutes)
+   * ------------------------------
+   * True when period `p` is not blocked by the household power cap
+   * (markBlocked()) and every slot of it lies inside one of
+   * `allowedWindows` (when any are set) and outside all `forbiddenWindows`.
+   */
+  function isAllowedPeriod(s, p, minutes) {
+    if (p.blocked) return false;
+    for (var k = p.start; k < p.end; k++) {
+      var m = minutes[k];
+      var allowed = !s.allowedWindows.length || s.allowedWindows.some(function (w) { return inTimeRange(w.from, w.to, m); });
+      if (!allowed) return false;
+      if (s.forbiddenWindows.some(function (w) { return inTimeRange(w.from, w.to, m); })) return false;
+    }
+    return true;
+  }
+
+  /*
+   * applyConstraints(periods, on, s, minutes)
+   * -----------------------------------------
+   * Enforce the time-window and runtime constraints on the per-period
+   * ON/OFF `on` (modified in place):
+   * 1. Periods outside `allowedWindows` or inside `forbiddenWindows` are
+   *    OFF.
+   * 2. `minDailyOnMinutes`: while a local day (period `day`) runs less, its
+   *    cheapest allowed priced OFF period is switched on.
+   * 3. `maxOffMinutes`: an OFF stretch that would get longer gets its
+   *    cheapest allowed period switched on (ties: earliest; a period
+   *    without a price only when nothing else is allowed). The plan starts
+   *    as if the device had just been on. A stretch of forbidden periods may
+   *    still exceed the limit.
+   * 4. Anti-short-cycle limits (limitCycling()).
+   */
+  function applyConstraints(periods, on, s, minutes) {
+    var allowed = periods.map(function (p) { return isAllowedPeriod(s, p, minutes); });
+    periods.forEach(function (p, i) { if (!allowed[i]) on[i] = false; });
+    if (!periods.length) return on;
+    var periodMinutes = (periods[0].end - periods[0].start) * 15;
+    var byPrice = function (a, b) { return a.price - b.price || a.index - b.index; };
+
+    if (s.minDailyOnMinutes > 0) {
+      var needed = Math.ceil(s.minDailyOnMinutes / periodMinutes);
+      var days = {};
+      periods.forEach(function (p, i) { (days[p.day || 0] = days[p.day || 0] || []).push(i); });
+      Object.keys(days).forEach(function (d) {
+        var list = days[d];
+        var missing = needed - list.filter(function (i) { return on[i]; }).length;
+        list
+          .filter(function (i) { return !on[i] && allowed[i] && periods[i].price !== null; })
+          .map(function (i) { return periods[i]; })
+          .sort(byPrice)
+          .slice(0, Math.max(0, missing))
+          .forEach(function (p) { on[p.index] = true; });
+      });
+    }
+
+    if (s.maxOffMinutes > 0) {
+      var maxOff = Math.max(0, Math.floor(s.maxOffMinutes / periodMinutes));
+      var lastOn = -1;
+      for (var i = 0; i < periods.length; i++) {
+        if (on[i]) { lastOn = i; continue; }
+        if (i - lastOn <= maxOff) continue;
+        var pick = null;
+        for (var j = lastOn + 1; j <= i; j++) {
+          if (!allowed[j]) continue;
+          var p = periods[j];
+          if (pick === null) { pick = p; continue; }
+          if (p.price === null) continue;
+          if (pick.price === null || p.price < pick.price) pick = p;
+        }
+        if (pick === null) { lastOn = i; continue; }
+        on[pick.index] = true;
+        lastOn = pick.index;
+        i = pick.index;
+      }
+    }
+    return limitCycling(periods, on, s, allowed);
+  }
+
+  /*
+   * onRuns(on)
+   * ----------
+   * Runs of consecutive ON periods as [{ start, end }] positions (end
+   * exclusive).
+   */
+  function onRuns(on) {
+    var runs = [];
+    for (var i = 0; i < on.length; i++) {
+      if (!on[i]) continue;
+      var start = i;
+      while (i < on.length && on[i]) i++;
+      runs.push({ start: start, end: i });
+    }
+    return runs;
+  }
+
+  /*
+   * limitCycling(periods, on, s, allowed)
+   * -------------------------------------
+   * Anti-short-cycle protection for relays, heat pumps and compressors on
+   * the per-period ON/OFF `on` (modified in place); only `allowed` periods
+   * are ever switched on:
+   * 1. An ON run shorter than `minOnMinutes` is extended one period at a
+   *    time to the cheaper neighbour (ties: later); a run that cannot
+   *    reach the minimum is switched off.
+   * 2. An OFF gap between two runs shorter than `minOffMinutes` is bridged.
+   * 3. While a day (of the run's first period) has more than
+   *    `maxCyclesPerDay` runs, its shortest bridgeable gap (ties: cheaper)
+   *    is bridged, or its shortest run switched off when no gap can be.
+   */
+  function limitCycling(periods, on, s, allowed) {
+    var n = periods.length;
+    if (!n) return on;
+    var periodMinutes = (periods[0].end - periods[0].start) * 15;
+    var cost = function (i) { return periods[i].price === null ? Infinity : periods[i].price; };
+    var canBridge = function (gap) {
+      for (var k = gap.start; k < gap.end; k++) if (!allowed[k]) return false;
+      return true;
+    };
+    var fill = function (range, value) { for (var k = range.start; k < range.end; k++) on[k] = value; };
+
+    var minOn = Math.ceil(s.minOnMinutes / periodMinutes);
+    if (minOn > 1) {
+      onRuns(on).forEach(function (run) {
+        if (!on[run.start]) return;
+        var start = run.start;
+        var end = run.end;
+        while (end < n && on[end]) end++;
+        var added = [];
+        while (end - start < minOn) {
+          var fwd = end < n && allowed[end] ? cost(end) : null;
+          var back = start > 0 && allowed[start - 1] ? cost(start - 1) : null;
+          if (fwd === null && back === null) break;
+          if (back === null || (fwd !== null && fwd <= back)) {
+            on[end] = true;
+            added.push(end++);
+            while (end < n && on[end]) end++;
+          } else {
+            on[--start] = true;
+            added.push(start);
+            while (start > 0 && on[start - 1]) start--;
+          }
+        }
+        if (end - start < minOn) {
+          added.forEach(function (k) { on[k] = false; });
+          fill(run, false);
+        }
+      });
+    }
+
+    var minOff = Math.ceil(s.minOffMinutes / periodMinutes);
+    var gapsOf = function () {
+      var runs = onRuns(on);
+      var gaps = [];
+      for (var r = 1; r < runs.length; r++) gaps.push({ start: runs[r - 1].end, end: runs[r].start, day: periods[runs[r].start].day || 0 });
+      return gaps;
+    };
+    if (minOff > 1) {
+      gapsOf().forEach(function (gap) {
+        if (gap.end - gap.start < minOff && canBridge(gap)) fill(gap, true);
+      });
+    }
+
+    if (s.maxCyclesPerDay > 0) {
+      for (;;) {
+        var perDay = {};
+        onRuns(on).forEach(function (run) {
+          var d = periods[run.start].day || 0;
+          (perDay[d] = perDay[d] || []).push(run);
+        });
+        var day = Object.keys(perDay).filter(function (d) { return perDay[d].length > s.maxCyclesPerDay; })[0];
+        if (day === undefined) break;
+        var best = null;
+        var bestCost = Infinity;
+        gapsOf().forEach(function (gap) {
+          if (String(gap.day) !== day || !canBridge(gap)) return;
+          var c = 0;
+          for (var k = gap.start; k < gap.end; k++) c += cost(k);
+          var shorter = best === null || gap.end - gap.start < best.end - best.start;
+          if (shorter || (gap.end - gap.start === best.end - best.start && c < bestCost)) { best = gap; bestCost = c; }
+        });
+        if (best !== null) fill(best, true);
+        else {
+          fill(perDay[day].slice().sort(function (a, b) { return (a.end - a.start) - (b.end - b.start); })[0], false);
+        }
+      }
+    }
+    return on;
+  }
+
+  /*
+   * guardSwitch(state, desired, now, settings, day)
+   * -----------------------------------------------
+   * Switch-time anti-short-cycle check, the reference for setLogicalState()
+   * in shellyScript.js, which applies it on the device. `state` is the
+   * device's last { on, since, day, cycles } (null when unknown), `desired`
+   * the scheduled state, `now` epoch ms and `day` the current local date.
+   * The switch is held while the current state is younger than
+   * `minOnMinutes`/`minOffMinutes`, and no new ON cycle starts once the day
+   * has `maxCyclesPerDay`. Returns the state to apply and remember.
+   */
+  function guardSwitch(state, desired, now, settings, day) {
+    var s = normalizeSettings(settings);
+    if (!state || typeof state.on !== 'boolean') {
+      return { on: desired, since: now, day: day, cycles: desired ? 1 : 0 };
+    }
+    var cycles = state.day === day ? state.cycles || 0 : 0;
+    var kept = { on: state.on, since: state.since, day: day, cycles: cycles };
+    if (desired === state.on) return kept;
+    var minimum = (state.on ? s.minOnMinutes : s.minOffMinutes) * 60000;
+    if (now - state.since < minimum) return kept;
+    if (desired && s.maxCyclesPerDay > 0 && cycles >= s.maxCyclesPerDay) return kept;
+    return { on: desired, since: now, day: day, cycles: cycles + (desired ? 1 : 0) };
+  }
+
+  /*
+   * compare(a, cmp, b)
+   * ------------------
+   * `a cmp b` for one of COMPARATORS; false for anything else.
+   */
+  function compare(a, cmp, b) {
+    if (cmp === '<') return a < b;
+    if (cmp === '<=') return a <= b;
+    if (cmp === '>') return a > b;
+    if (cmp === '>=') return a >= b;
+    return false;
+  }
+
+  /*
+   * evaluateRule(rule, period, inputs)
+   * ----------------------------------
+   * Evaluate a rule tree node for one period. `period` is { price, rank,
+   * minute }: its average price, its rank by price among the day's (or the
+   * rolling window's) candidates (1 = cheapest; ties: earlier) and the local
+   * minute of day it starts. `inputs` ({ sensors, devices }, ruleInputs())
+   * holds the live readings, which are assumed to hold for the whole plan.
+   * Nodes:
+   * - { type: 'and'|'or', rules: [...] } (an empty 'and' is true, an empty
+   *   'or' false), { type: 'not', rule }
+   * - { type: 'price', cmp, value }: period price (c/kWh)
+   * - { type: 'rank', cmp, value }: e.g. '<=' 4 for the four cheapest
+   * - { type: 'time', from, to }: 'HH:MM' range (may wrap past midnight)
+   * - { type: 'sensor', device, sensor, cmp, value }: a reading reported by
+   *   device `device` (e.g. 'temperature:100')
+   * - { type: 'device', device, state: 'on'|'off' }: another device's relay
+   * A condition on a missing reading or an unknown node is false.
+   */
+  function evaluateRule(rule, period, inputs) {
+    if (!rule || typeof rule !== 'object') return false;
+    var live = inputs || {};
+    switch (rule.type) {
+      case 'and':
+        return (rule.rules || []).every(function (r) { return evaluateRule(r, period, live); });
+      case 'or':
+        return (rule.rules || []).some(function (r) { return evaluateRule(r, period, live); });
+      case 'not':
+        return !evaluateRule(rule.rule, period, live);
+      case 'price':
+        return isKnownPrice(period.price) && compare(period.price, rule.cmp, toNumber(rule.value, NaN));
+      case 'rank':
+        return compare(period.rank, rule.cmp, toNumber(rule.value, NaN));
+      case 'time':
+        return TIME_OF_DAY.test(rule.from || '') && TIME_OF_DAY.test(rule.to || '') && inTimeRange(rule.from, rule.to, period.minute);
+      case 'sensor': {
+        var readings = (live.sensors || {})[rule.device] || {};
+        var reading = readings[rule.sensor];
+        return isKnownPrice(reading) && compare(reading, rule.cmp, toNumber(rule.value, NaN));
+      }
+      case 'device': {
+        var on = (live.devices || {})[rule.device];
+        return typeof on === 'boolean' && on === (rule.state === 'on');
+      }
+      default:
+        return false;
+    }
+  }
+
+  /*
+   * validateRules(rule, path)
+   * -------------------------
+   * Validation errors (strings, prefixed with the node's path such as
+   * 'rules.rules[1]'; `path` names the root, default 'rules') for a `rules`
+   * setting; empty when valid or absent.
+   */
+  function validateRules(rule, path, depth) {
+    var at = path || 'rules';
+    var level = depth || 0;
+    if (typeof rule === 'undefined' || (rule === null && level === 0)) return [];
+    if (!rule || typeof rule !== 'object' || RULE_TYPES.indexOf(rule.type) < 0) {
+      return [at + ': type must be one of ' + RULE_TYPES.join(', ')];
+    }
+    if (level >= MAX_RULE_DEPTH) return [at + ': rules are nested too deeply'];
+    var errors = [];
+    var needsCompare = function () {
+      if (COMPARATORS.indexOf(rule.cmp) < 0) errors.push(at + ': cmp must be one of ' + COMPARATORS.join(' '));
+      if (!isFinite(toNumber(rule.value, NaN))) errors.push(at + ': value must be a number');
+    };
+    var needsDevice = function () {
+      if (typeof rule.device !== 'string' || !rule.device) errors.push(at + ': device is required');
+    };
+    switch (rule.type) {
+      case 'and':
+      case 'or':
+        if (!Array.isArray(rule.rules)) return [at + ': rules must be a list'];
+        rule.rules.forEach(function (r, i) {
+          errors = errors.concat(validateRules(r, at + '.rules[' + i + ']', level + 1));
+        });
+        break;
+      case 'not':
+        errors = validateRules(rule.rule, at + '.rule', level + 1);
+        break;
+      case 'price':
+      case 'rank':
+        needsCompare();
+        break;
+      case 'time':
+        if (!TIME_OF_DAY.test(rule.from || '') || !TIME_OF_DAY.test(rule.to || '')) errors.push(at + ': from/to must be HH:MM');
+        break;
+      case 'sensor':
+        needsDevice();
+        if (typeof rule.sensor !== 'string' || !rule.sensor) errors.push(at + ': sensor is required');
+        needsCompare();
+        break;
+      case 'device':
+        needsDevice();
+        if (rule.state !== 'on' && rule.state !== 'off') errors.push(at + ': state must be on or off');
+        break;
+    }
+    return errors;
+  }
+
+  /*
+   * ruleInputs(statuses)
+   * --------------------
+   * Live inputs for sensor and device conditions from device statuses
+   * keyed by device id (`deviceStatus` on the server, `/api/status` in the
+   * browser): { sensors: { id: { name: value } }, devices: { id: relayOn } }.
+   * Offline devices have no relay state.
+   */
+  function ruleInputs(statuses) {
+    var inputs = { sensors: {}, devices: {} };
+    Object.keys(statuses || {}).forEach(function (id) {
+      var status = statuses[id] || {};
+      if (status.sensors && typeof status.sensors === 'object') inputs.sensors[id] = status.sensors;
+      if (status.online) inputs.devices[id] = !!status.switchOn;
+    });
+    return inputs;
+  }
+
+  /*
+   * cheapestBlocks(candidates, length, maxBlocks, minLength)
+   * --------------------------------------------------------
+   * Pick `length` periods out of `candidates` (periods sorted by index) as
+   * at most `maxBlocks` runs of consecutive periods, each at least
+   * `minLength` long, with the lowest total price. Blocks are kept apart by
+   * at least one period (touching blocks are one longer block). Ties go to
+   * the earliest start. When `length` cannot be placed the longest length
+   * that can is used. Returns the picked periods.
+   */
+  function cheapestBlocks(candidates, length, maxBlocks, minLength) {
+    var n = candidates.length;
+    var L = Math.min(length, n);
+    var K = maxBlocks;
+    var minLen = Math.max(1, Math.min(minLength, L));
+    if (L <= 0) return [];
+
+    // run[i]: consecutive periods starting at candidate i; sum: prefix sums
+    var run = [];
+    var sum = [0];
+    for (var i = n - 1; i >= 0; i--) {
+      run[i] = i + 1 < n && candidates[i + 1].index === candidates[i].index + 1 ? run[i + 1] + 1 : 1;
+    }
+    for (i = 0; i < n; i++) sum.push(sum[i] + candidates[i].price);
+
+    // best(i, k, need): cheapest way to place `need` more periods in at most
+    // `k` blocks using candidates i..n-1
+    var size = (K + 1) * (L + 1);
+    var best = new Array((n + 2) * size);
+    function at(i, k, need) { return best[i * size + k * (L + 1) + need]; }
+    function after(i, len) {
+      // The candidate right after a block must stay off to end the block
+      var next = i + len;
+      return next < n && run[next - 1] > 1 ? next + 1 : next;
+    }
+    for (i = n + 1; i >= 0; i--) {
+      for (var k = 0; k <= K; k++) {
+        for (var need = 0; need <= L; need++) {
+          var value = Infinity;
+          if (need === 0) value = 0;
+          else if (i < n && k > 0) {
+            value = at(i + 1, k, need);
+            for (var len = minLen; len <= Math.min(need, run[i]); len++) {
+              var cost = sum[i + len] - sum[i] + at(after(i, len), k - 1, need - len);
+              if (cost < value) value = cost;
+            }
+          }
+          best[i * size + k * (L + 1) + need] = value;
+        }
+      }
+    }
+
+    // Longest placeable length, then walk forward taking blocks as early as possible
+    var target = L;
+    while (target > 0 && at(0, K, target) === Infinity) target--;
+    var picked = [];
+    i = 0;
+    k = K;
+    need = target;
+    while (need > 0 && i < n) {
+      var taken = false;
+      for (len = minLen; len <= Math.min(need, run[i]) && k > 0; len++) {
+        var next = after(i, len);
+        if (sum[i + len] - sum[i] + at(next, k - 1, need - len) === at(i, k, need)) {
+          picked = picked.concat(candidates.slice(i, i + len));
+          need -= len;
+          k--;
+          i = next;
+          taken = true;
+          break;
+        }
+      }
+      if (!taken) i++;
+    }
+    return picked;
+  }
+
+  /*
+   * selectPeriods(periods, s, from, to, minutes, inputs)
+   * ----------------------------------------------------
+   * ON/OFF per period (by position in `periods`) for normalized settings
+   * `s`. Rule 2 picks among the priced, allowed periods that have not ended
+   * by slot `from` and end by slot `to`; `minutes` holds the local minute of
+   * day of every slot (time ranges) and `inputs` the live readings for rule
+   * trees. Rule 3 compares against each period's own `minPrice`/`maxPrice`
+   * (setThresholds()). In block mode periods above `maxPrice` are never
+   * part of a block and `minPrice` adds no extra ON periods, so the
+   * appliance runs exactly the requested blocks. Constraints are applied
+   * last.
+   */
+  function selectPeriods(periods, s, from, to, minutes, inputs) {
+    var on = periods.map(function () { return false; });
+    var candidates = periods.filter(function (p) {
+      return p.price !== null && p.end > from && p.end <= to && isAllowedPeriod(s, p, minutes);
+    });
+
+    if (s.scheduleMode === 'block') {
+      var perPeriod = periods.length ? periods[0].end - periods[0].start : 1;
+      var periodMinutes = perPeriod * 15;
+      candidates = candidates.filter(function (p) {
+        if (p.price > p.maxPrice) return false;
+        for (var k = p.start; k < p.end; k++) if (!inBlockWindow(s, minutes[k])) return false;
+        return true;
+      });
+      cheapestBlocks(candidates, Math.ceil(s.blockMinutes / periodMinutes), s.maxBlocks, Math.ceil(s.minBlockMinutes / periodMinutes))
+        .forEach(function (p) { on[p.index] = true; });
+      return applyConstraints(periods, on, s, minutes);
+    }
+
+    if (s.scheduleMode === 'energy') {
+      candidates
+        .slice()
+        .sort(function (a, b) { return a.price - b.price || a.index - b.index; })
+        .slice(0, s.energyPeriods || 0)
+        .forEach(function (p) { on[p.index] = true; });
+      return applyConstraints(periods, on, s, minutes);
+    }
+
+    if (s.scheduleMode === 'rules') {
+      candidates
+        .slice()
+        .sort(function (a, b) { return a.price - b.price || a.index - b.index; })
+        .forEach(function (p, rank) {
+          on[p.index] = evaluateRule(s.rules, { price: p.price, rank: rank + 1, minute: minutes[p.start] }, inputs);
+        });
+      return applyConstraints(periods, on, s, minutes);
+    }
+
+    // Rule 2: cheapest periods (stable on ties: earlier period first)
+    candidates
+      .slice()
+      .sort(function (a, b) { return a.price - b.price || a.index - b.index; })
+      .slice(0, s.numCheapest)
+      .forEach(function (p) { on[p.index] = true; });
+
+    // Rule 3: thresholds win
+    periods.forEach(function (p) {
+      if (p.price === null) return;
+      if (p.price < p.minPrice) on[p.index] = true;
+      else if (p.price > p.maxPrice) on[p.index] = false;
+    });
+    return applyConstraints(periods, on, s, minutes);
+  }
+
+  /*
+   * resolveThreshold(type, value, prices, bound)
+   * --------------------------------------------
+   * Price a `minPrice` (`bound` 'min') or `maxPrice` ('max') setting of
+   * `value` stands for over the reference `prices`:
+   * - 'percentile': the value-th percentile (linear interpolation)
+   * - 'average': value percent below (min) or above (max) their average
+   * - 'share': the cheapest value percent of the periods; min yields the
+   *   first price outside the share (periods tied with it stay out), max the
+   *   last price inside it
+   * A missing setting or an empty reference never forces ON or OFF.
+   */
+  function resolveThreshold(type, value, prices, bound) {
+    var none = bound === 'min' ? -Infinity : Infinity;
+    if (type === 'absolute') return value;
+    if (!isFinite(value) || !prices.length) return none;
+    var sorted = prices.slice().sort(function (a, b) { return a - b; });
+    var n = sorted.length;
+    var pct = Math.min(100, Math.max(0, value));
+    if (type === 'percentile') {
+      var pos = (n - 1) * pct / 100;
+      var lo = Math.floor(pos);
+      var hi = Math.min(n - 1, lo + 1);
+      return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+    if (type === 'average') {
+      var avg = sorted.reduce(function (sum, p) { return sum + p; }, 0) / n;
+      var delta = Math.abs(avg) * value / 100;
+      return bound === 'min' ? avg - delta : avg + delta;
+    }
+    var k = Math.ceil(n * pct / 100 - 1e-9);
+    if (bound === 'min') return k < n ? sorted[k] : Infinity;
+    return k > 0 ? sorted[k - 1] : -Infinity;
+  }
+
+  /*
+   * setThresholds(periods, s, windowPrices)
+   * ---------------------------------------
+   * Give every period the `minPrice`/`maxPrice` rule 3 compares it
+   * against: the settings' prices for absolute thresholds, otherwise
+   * resolved over the priced periods of the period's own local day, or over
+   * `windowPrices` (the next 24 hours) with `thresholdBasis: 'rolling'`
+   * when the caller knows them.
+   */
+  function setThresholds(periods, s, windowPrices) {
+    var resolved = {};
+    var useWindow = s.thresholdBasis === 'rolling' && Array.isArray(windowPrices);
+    periods.forEach(function (p) {
+      var key = useWindow ? 'window' : String(p.day || 0);
+      if (!resolved[key]) {
+        var prices = useWindow ? windowPrices : periods
+          .filter(function (q) { return q.price !== null && (q.day || 0) === (p.day || 0); })
+          .map(function (q) { return q.price; });
+        resolved[key] = {
+          minPrice: resolveThreshold(s.thresholdType, s.minPrice, prices, 'min'),
+          maxPrice: resolveThreshold(s.thresholdType, s.maxPrice, prices, 'max')
+        };
+      }
+      p.minPrice = resolved[key].minPrice;
+      p.maxPrice = resolved[key].maxPrice;
+    });
+    return periods;
+  }
+
+  /*
+   * markBlocked(periods, blockedSlots)
+   * ----------------------------------
+   * Flag every period with a slot set in `blockedSlots` (booleans per slot,
+   * counted like the periods) as blocked by the household power cap.
+   */
+  function markBlocked(periods, blockedSlots) {
+    var blocked = blockedSlots || [];
+    periods.forEach(function (p) {
+      for (var k = p.start; k < p.end; k++) if (blocked[k]) p.blocked = true;
+    });
+    return periods;
+  }
+
+  /*
+   * hourKey(time, timezone, index)
+   * ------------------------------
+   * The metered hour slot `index` falls in: the start (epoch ms) of the
+   * local clock hour of its `time`, so DST days keep their hours apart;
+   * without a time, its hour counted from midnight.
+   */
+  function hourKey(time, timezone, index) {
+    if (time === undefined) return Math.floor(index / 4);
+    var ms = typeof time === 'number' ? time : Date.parse(time);
+    return ms - (minutesOfDay(localTimeOfDay(ms, timezone)) % 60) * 60000;
+  }
+
+  /*
+   * peakCosts(count, s, peak, context)
+   * ----------------------------------
+   * Extra c/kWh per slot (of `count`, from the first day's midnight) for
+   * running a device of `s.ratedPowerKw` under a monthly peak-power tariff
+   * `peak` = { peakKw, centsPerKw, loadKw, monthStartSlot }: the month's
+   * highest hourly average load so far, the cost of 1 kW more peak, the
+   * load other devices already plan per slot and the slot a new month
+   * starts at (its peak starts from 0). Running one `timeFrame` period
+   * adds its share of the power to the hour's average; the part above the
+   * month's peak (the recorded one or a higher planned hour) costs
+   * `centsPerKw` per kW, spread over the period's energy. Slots fall into
+   * hours by context.slotTimes (hourKey()), otherwise 4 to an hour from
+   * midnight. All zero without a rated power or peak rate.
+   */
+  function peakCosts(count, s, peak, context) {
+    var ctx = context || {};
+    var times = ctx.slotTimes || [];
+    var costs = [];
+    var cents = Math.max(0, toNumber(peak && peak.centsPerKw, 0));
+    var added = s.ratedPowerKw * slotsPerPeriod(s.timeFrame) / 4;
+    var monthStart = toNumber(peak && peak.monthStartSlot, Infinity);
+    var load = (peak && peak.loadKw) || [];
+    var hours = [];
+    var hourly = {};
+    var month = {};
+    var i;
+    for (i = 0; i < count; i++) {
+      var key = hourKey(times[i], ctx.timezone, i);
+      hours.push(key);
+      hourly[key] = (hourly[key] || 0) + toNumber(load[i], 0) / 4;
+      if (!(key in month)) month[key] = i >= monthStart ? 1 : 0;
+    }
+    // The peak to beat: this month's so far, or the next month's from 0
+    var tops = [Math.max(0, toNumber(peak && peak.peakKw, 0)), 0];
+    Object.keys(hourly).forEach(function (key) {
+      tops[month[key]] = Math.max(tops[month[key]], hourly[key]);
+    });
+    for (i = 0; i < count; i++) {
+      var excess = Math.max(0, hourly[hours[i]] + added - tops[month[hours[i]]]);
+      costs.push(cents > 0 && added > 0 ? excess * cents / added : 0);
+    }
+    return costs;
+  }
+
+  /*
+   * withPeakCosts(days, s, peak, context)
+   * -------------------------------------
+   * `days` with peakCosts() added to every known slot price; the same days
+   * without a peak tariff.
+   */
+  function withPeakCosts(days, s, peak, context) {
+    if (!peak || !(s.ratedPowerKw > 0)) return days;
+    var total = days.reduce(function (sum, day) { return sum + (day.slotCount || 96); }, 0);
+    var costs = peakCosts(total, s, peak, context);
+    var offset = 0;
+    return days.map(function (day) {
+      var count = day.slotCount || 96;
+      var prices = (day.prices || []).map(function (p, i) { return isKnownPrice(p) ? p + costs[offset + i] : p; });
+      offset += count;
+      var copy = {};
+      Object.keys(day).forEach(function (key) { copy[key] = day[key]; });
+      copy.prices = prices;
+      return copy;
+    });
+  }
+
+  /*
+   * toSlots(periods, on, slotCount)
+   * -------------------------------
+   * Expand per-period ON/OFF to one boolean per slot.
+   */
+  function toSlots(periods, on, slotCount) {
+    var schedule = [];
+    for (var i = 0; i < slotCount; i++) schedule.push(false);
+    periods.forEach(function (p) {
+      for (var k = p.start; k < p.end; k++) schedule[k] = on[p.index];
+    });
+    return schedule;
+  }
+
+  /*
+   * computeSchedule(prices, settings, slotCount, context)
+   * -----------------------------------------------------
+   * Boolean ON/OFF per 15-minute slot of one local day.
+   * - prices: flat array starting at local midnight; null = missing slot
+   * - settings: device settings (see normalizeSettings())
+   * - slotCount: slots in the day (96; 92/100 on DST changes)
+   * - context: optional { slotTimes, timezone, inputs, windowPrices,
+   *   blockedSlots, peakTariff }: slot start times for time ranges on DST
+   *   days (otherwise slots are counted from midnight), the live readings
+   *   for rule trees (ruleInputs()), the period prices of the next 24 hours
+   *   for `thresholdBasis: 'rolling'` (without them relative thresholds use
+   *   the day's prices), the slots the household power cap leaves no room
+   *   in and the monthly peak-power tariff (peakCosts())
+   */
+  function computeSchedule(prices, settings, slotCount, context) {
+    var count = slotCount || 96;
+    var s = normalizeSettings(settings);
+
+    var ctx = context || {};
+    var forced = manualState(s);
+    if ((forced === true || forced === false) && s.manualUntil === null) {
+      return toSlots([{ index: 0, start: 0, end: count }], [forced], count);
+    }
+
+    if (s.scheduleMode === 'energy' || typeof forced === 'boolean') return planSchedule([{ prices: prices, slotCount: count }], settings, ctx);
+
+    var priced = withPeakCosts([{ prices: prices || [], slotCount: count }], s, ctx.peakTariff, ctx)[0].prices;
+    var periods = setThresholds(periodAverages(priced, count, slotsPerPeriod(s.timeFrame)), s, ctx.windowPrices);
+    markBlocked(periods, ctx.blockedSlots);
+    var minutes = slotMinutes([{ slotCount: count }], ctx);
+    return toSlots(periods, selectPeriods(periods, s, 0, count, minutes, ctx.inputs), count);
+  }
+
+  /*
+   * windowEnd(deadline, hours, nowSlot, total, context)
+   * ---------------------------------------------------
+   * Exclusive end slot of a window starting at `nowSlot`: the first slot
+   * after it starting at local time `deadline` (HH:MM, needs
+   * context.slotTimes), otherwise `hours` after `nowSlot`. Never beyond the
+   * `total` slots with data.
+   */
+  function windowEnd(deadline, hours, nowSlot, total, context) {
+    if (deadline) {
+      var times = context.slotTimes || [];
+      for (var i = nowSlot + 1; i < total && i < times.length; i++) {
+        if (localTimeOfDay(times[i], context.timezone) === deadline) return i;
+      }
+      return total;
+    }
+    return Math.min(total, nowSlot + Math.round(hours * 4));
+  }
+
+  /*
+   * energyTarget(s)
+   * ---------------
+   * Minutes the device must run for normalized settings `s`:
+   * `energyTargetKwh` at `ratedPowerKw` when both are set, otherwise
+   * `energyTargetMinutes`.
+   */
+  function energyTarget(s) {
+    if (s.energyTargetKwh > 0 && s.ratedPowerKw > 0) return s.energyTargetKwh / s.ratedPowerKw * 60;
+    return s.energyTargetMinutes;
+  }
+
+  /*
+   * planSchedule(days, settings, context)
+   * -------------------------------------
+   * Boolean ON/OFF per slot over consecutive local days (today first,
+   * usually today and tomorrow), concatenated.
+   * - days: [{ prices, slotCount, settings }] per local day; `settings`
+   *   optionally replaces the settings for that day in 'daily' mode (rule
+   *   profiles, shared/profiles.js)
+   * - settings: device settings (see normalizeSettings())
+   * - context: { nowSlot, slotTimes, timezone, inputs, deliveredMinutes,
+   *   blockedSlots, peakTariff }; nowSlot is the current slot counted from
+   *   the first day's midnight, slotTimes the start time of every slot
+   *   (needed for `rollingDeadline` and time ranges on DST days), inputs
+   *   the live readings for rule trees, blockedSlots the slots (same count)
+   *   the household power cap leaves no room in, peakTariff the monthly
+   *   peak-power tariff (peakCosts())
+   * In 'daily' mode every day is scheduled on its own (computeSchedule()).
+   * In 'rolling' mode periods keep their place on each day's grid, but rule
+   * 2 picks among the periods that have not ended before `nowSlot` and end
+   * inside the rolling window; thresholds still apply to every period with
+   * a price. `scheduleMode: 'energy'` always plans this way, with the
+   * window ending at `energyDeadline` and context.deliveredMinutes already
+   * run in it. Relative thresholds with `thresholdBasis: 'rolling'` use
+   * the priced periods of the 24 hours from `nowSlot` in either mode.
+   * A timed override (`manualUntil`) forces the slots starting before it
+   * (all slots without slotTimes) on top of the plan without the override.
+   */
+  function planSchedule(days, settings, context) {
+    var s = normalizeSettings(settings);
+    var ctx = context || {};
+    var timed = manualState(s);
+    if (s.manualUntil !== null && typeof timed === 'boolean') {
+      var after = planSchedule((days || []).map(function (day) {
+        var copy = {};
+        Object.keys(day).forEach(function (key) { copy[key] = day[key]; });
+        if (day.settings) copy.settings = withoutOverride(day.settings);
+        return copy;
+      }), withoutOverride(settings), ctx);
+      var slotTimes = ctx.slotTimes || [];
+      return after.map(function (on, i) {
+        return slotTimes[i] && Date.parse(slotTimes[i]) >= s.manualUntil ? on : timed;
+      });
+    }
+    var list = withPeakCosts(days || [], s, ctx.peakTariff, ctx);
+    var times = ctx.slotTimes || [];
+    var perPeriod = slotsPerPeriod(s.timeFrame);
+    var periods = [];
+    var total = 0;
+    list.forEach(function (day, d) {
+      var count = day.slotCount || 96;
+      periodAverages(day.prices || [], count, perPeriod).forEach(function (p) {
+        periods.push({ index: periods.length, day: d, start: total + p.start, end: total + p.end, price: p.price });
+      });
+      total += count;
+    });
+    var nowSlot = Math.max(0, Math.min(total, Math.floor(toNumber(ctx.nowSlot, 0))));
+    var windowPrices = periods
+      .filter(function (p) { return p.price !== null && p.end > nowSlot && p.start < nowSlot + 96; })
+      .map(function (p) { return p.price; });
+
+    if (s.selectionMode !== 'rolling' && s.scheduleMode !== 'energy') {
+      var offset = 0;
+      return list.reduce(function (all, day) {
+        var count = day.slotCount || 96;
+        var dayCtx = {
+          slotTimes: times.slice(offset, offset + count),
+          timezone: ctx.timezone,
+          inputs: ctx.inputs,
+          windowPrices: windowPrices,
+          blockedSlots: (ctx.blockedSlots || []).slice(offset, offset + count)
+        };
+        offset += count;
+        return all.concat(computeSchedule(day.prices, day.settings || s, count, dayCtx));
+      }, []);
+    }
+
+    var forced = manualState(s);
+    if (forced === true || forced === false) {
+      return toSlots([{ index: 0, start: 0, end: total }], [forced], total);
+    }
+
+    setThresholds(periods, s, windowPrices);
+    markBlocked(periods, ctx.blockedSlots);
+    var end = windowEnd(s.rollingDeadline, s.rollingHours, nowSlot, total, ctx);
+    if (s.scheduleMode === 'energy') {
+      end = windowEnd(s.energyDeadline, 0, nowSlot, total, ctx);
+      var remaining = Math.max(0, energyTarget(s) - Math.max(0, toNumber(ctx.deliveredMinutes, 0)));
+      s.energyPeriods = Math.ceil(remaining / (perPeriod * 15) - 1e-9);
+    }
+    var on = selectPeriods(periods, s, nowSlot, end, slotMinutes(list, ctx), ctx.inputs);
+    return toSlots(periods, on, total);
+  }
+
+  /*
+   * withoutOverride(settings)
+   * -------------------------
+   * Copy of `settings` without the manual override (what the schedule
+   * returns to once a timed override ends).
+   */
+  function withoutOverride(settings) {
+    var copy = {};
+    Object.keys(settings || {}).forEach(function (key) { copy[key] = settings[key]; });
+    copy.manualOverride = false;
+    copy.manualState = null;
+    copy.manualUntil = null;
+    return copy;
+  }
+
+  /*
+   * energyStatus(schedule, settings, context)
+   * -----------------------------------------
+   * Progress of an energy target for a `schedule` planned by planSchedule()
+   * with the same settings and context: { requiredMinutes,
+   * deliveredMinutes, plannedMinutes, met, windowEnd } where
+   * plannedMinutes are the ON minutes from `nowSlot` up to `windowEnd`
+   * (slot index of the deadline, or the end of the price data when the
+   * deadline lies beyond it) and `met` is false when delivered + planned
+   * fall short of the target. Kilowatt-hours are minutes * ratedPowerKw / 60.
+   */
+  function energyStatus(schedule, settings, context) {
+    var s = normalizeSettings(settings);
+    var ctx = context || {};
+    var total = (schedule || []).length;
+    var nowSlot = Math.max(0, Math.min(total, Math.floor(toNumber(ctx.nowSlot, 0))));
+    var end = windowEnd(s.energyDeadline, 0, nowSlot, total, ctx);
+    var planned = 0;
+    for (var i = nowSlot; i < end; i++) if (schedule[i]) planned += 15;
+    var required = energyTarget(s);
+    var delivered = Math.max(0, toNumber(ctx.deliveredMinutes, 0));
+    return {
+      requiredMinutes: required,
+      deliveredMinutes: delivered,
+      plannedMinutes: planned,
+      met: delivered + planned >= required - 1e-9,
+      windowEnd: end
+    };
+  }
+
+  /*
+   * scheduleViolations(schedule, settings, context)
+   * -----------------------------------------------
+   * Constraints of `settings` one day's `schedule` (boolean per slot from
+   * local midnight) breaks, as messages like 'minDailyOnMinutes: on 60 of
+   * 120 min'. The engine enforces them where it can, so these are the ones
+   * price data, windows or a manual override left no room for: ON time in
+   * forbidden or outside allowed windows, less than minDailyOnMinutes, OFF
+   * stretches over maxOffMinutes, ON runs shorter than minOnMinutes (not
+   * counting one still running at the end of the day or one carried over
+   * from the day before), more than maxCyclesPerDay starts and an energy
+   * target not met by its deadline. `context` is { slotTimes, timezone,
+   * deliveredMinutes } as for planSchedule() plus `previousOn`, whether the
+   * day before ended ON (its run then continues at midnight and is not a
+   * new start); empty when nothing is broken.
+   */
+  function scheduleViolations(schedule, settings, context) {
+    var s = normalizeSettings(settings);
+    var ctx = context || {};
+    var on = (schedule || []).map(Boolean);
+    var minutes = slotMinutes([{ slotCount: on.length }], ctx);
+    var inAny = function (windows, minute) {
+      return windows.some(function (w) { return inTimeRange(w.from, w.to, minute); });
+    };
+    var violations = [];
+    var forbidden = 0;
+    var outside = 0;
+    on.forEach(function (isOn, i) {
+      if (!isOn) return;
+      if (inAny(s.forbiddenWindows, minutes[i])) forbidden += 15;
+      if (s.allowedWindows.length && !inAny(s.allowedWindows, minutes[i])) outside += 15;
+    });
+    if (forbidden) violations.push('forbiddenWindows: on ' + forbidden + ' min in forbidden windows');
+    if (outside) violations.push('allowedWindows: on ' + outside + ' min outside allowed hours');
+    var onMinutes = on.filter(Boolean).length * 15;
+    if (onMinutes < s.minDailyOnMinutes) violations.push('minDailyOnMinutes: on ' + onMinutes + ' of ' + s.minDailyOnMinutes + ' min');
+    if (s.maxOffMinutes > 0) {
+      var longest = 0;
+      var off = 0;
+      on.forEach(function (isOn) { off = isOn ? 0 : off + 15; longest = Math.max(longest, off); });
+      if (longest > s.maxOffMinutes) violations.push('maxOffMinutes: off for ' + longest + ' of at most ' + s.maxOffMinutes + ' min');
+    }
+    var runs = onRuns(on);
+    var carried = function (r) { return r.start === 0 && !!ctx.previousOn; };
+    if (s.minOnMinutes > 0) {
+      var short = runs.filter(function (r) { return r.end < on.length && !carried(r) && (r.end - r.start) * 15 < s.minOnMinutes; }).length;
+      if (short) violations.push('minOnMinutes: ' + short + ' runs shorter than ' + s.minOnMinutes + ' min');
+    }
+    var starts = runs.filter(function (r) { return !carried(r); }).length;
+    if (s.maxCyclesPerDay > 0 && starts > s.maxCyclesPerDay) {
+      violations.push('maxCyclesPerDay: ' + starts + ' of at most ' + s.maxCyclesPerDay + ' cycles');
+    }
+    if (s.scheduleMode === 'energy' && manualState(settings) === undefined) {
+      var energy = energyStatus(on, settings, { nowSlot: 0, slotTimes: ctx.slotTimes, timezone: ctx.timezone, deliveredMinutes: ctx.deliveredMinutes });
+      if (!energy.met) violations.push('energyTarget: ' + Math.round(energy.deliveredMinutes + energy.plannedMinutes) + ' of ' + Math.round(energy.requiredMinutes) + ' min by ' + s.energyDeadline);
+    }
+    return violations;
+  }
+
+  /*
+   * planHousehold(devices, limitKw, plan, peak)
+   * -------------------------------------------
+   * Plan several devices under a household power cap. `devices` are
+   * [{ id, powerKw, priority, settings }]; they get capacity in order:
+   * devices forced ON by a manual override first, then by ascending
+   * `priority` (1 = first; none = last), then in list order. For each,
+   * `plan(device, blockedSlots, peakTariff)` must return its plan with a
+   * `schedule` (boolean per slot from the first day's midnight);
+   * blockedSlots marks the slots where its `powerKw` on top of the load
+   * already planned would exceed `limitKw`. With a monthly peak-power
+   * tariff `peak` = { peakKw, centsPerKw, monthStartSlot }, peakTariff is
+   * that plus `loadKw`, the load already planned (for context.peakTariff).
+   * Devices without a rated power are never blocked and add no load;
+   * without a limit (0) nothing is blocked. Returns the plans by device id.
+   */
+  function planHousehold(devices, limitKw, plan, peak) {
+    var limit = toNumber(limitKw, 0);
+    var load = [];
+    var plans = {};
+    var rank = function (d) {
+      if (manualState(d.settings) === true) return -Infinity;
+      var priority = toNumber(d.priority, NaN);
+      return isFinite(priority) ? priority : Infinity;
+    };
+    (devices || [])
+      .map(function (d, i) { return { device: d, index: i, rank: rank(d) }; })
+      .sort(function (a, b) { return (a.rank - b.rank) || a.index - b.index; })
+      .forEach(function (entry) {
+        var d = entry.device;
+        var power = Math.max(0, toNumber(d.powerKw, 0));
+        var blocked = load.map(function (kw) { return limit > 0 && power > 0 && kw + power > limit + 1e-9; });
+        var peakTariff;
+        if (peak) {
+          peakTariff = { peakKw: peak.peakKw, centsPerKw: peak.centsPerKw, monthStartSlot: peak.monthStartSlot, loadKw: load.slice() };
+        }
+        var result = plan(d, blocked, peakTariff);
+        plans[d.id] = result;
+        if (!(power > 0)) return;
+        ((result && result.schedule) || []).forEach(function (on, i) {
+          load[i] = (load[i] || 0) + (on ? power : 0);
+        });
+      });
+    return plans;
+  }
+
+  /*
+   * localHour(time, timezone)
+   * -------------------------
+   * Hour of day (0-23) of an ISO time or epoch ms in `timezone`.
+   */
+  function localHour(time, timezone) {
+    var ms = typeof time === 'number' ? time : Date.parse(time);
+    var hour = new Date(ms).toLocaleString('en-GB', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' });
+    return parseInt(hour, 10) % 24;
+  }
+
+  /*
+   * fallbackSchedule(slotTimes, fallbackHours, timezone)
+   * ----------------------------------------------------
+   * Boolean per slot from the 24 hourly `fallbackHours` flags, used when no
+   * price data is available. Each slot uses its own local hour so DST days
+   * map correctly.
+   */
+  function fallbackSchedule(slotTimes, fallbackHours, timezone) {
+    var hours = fallbackHours || [];
+    return (slotTimes || []).map(function (t) { return !!hours[localHour(t, timezone)]; });
+  }
+
+  /*
+   * periodStates(schedule, timeFrame)
+   * ---------------------------------
+   * Collapse a slot schedule to one 0/1 state per period (charts draw one
+   * bar per period).
+   */
+  function periodStates(schedule, timeFrame) {
+    var perPeriod = slotsPerPeriod(timeFrame);
+    var states = [];
+    for (var i = 0; i < schedule.length; i += perPeriod) states.push(schedule[i] ? 1 : 0);
+    return states;
+  }
+
+  return {
+    SLOTS_PER_PERIOD: SLOTS_PER_PERIOD,
+    SELECTION_MODES: SELECTION_MODES,
+    SCHEDULE_MODES: SCHEDULE_MODES,
+    THRESHOLD_TYPES: THRESHOLD_TYPES,
+    THRESHOLD_BASES: THRESHOLD_BASES,
+    RULE_TYPES: RULE_TYPES,
+    COMPARATORS: COMPARATORS,
+    isKnownPrice: isKnownPrice,
+    slotsPerPeriod: slotsPerPeriod,
+    normalizeSettings: normalizeSettings,
+    manualState: manualState,
+    withoutOverride: withoutOverride,
+    periodAverages: periodAverages,
+    cheapestBlocks: cheapestBlocks,
+    evaluateRule: evaluateRule,
+    validateRules: validateRules,
+    ruleInputs: ruleInputs,
+    computeSchedule: computeSchedule,
+    guardSwitch: guardSwitch,
+    planSchedule: planSchedule,
+    energyStatus: energyStatus,
+    scheduleViolations: scheduleViolations,
+    planHousehold: planHousehold,
+    peakCosts: peakCosts,
+    localHour: localHour,
+    fallbackSchedule: fallbackSchedule,
+    periodStates: periodStates
+  };
+}));
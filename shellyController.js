@@ -58,9 +58,11 @@ function ensureDeviceState(id) {
  *  1) Preferred: POST to device's `/control` script endpoint
  *  2) Fallback: Shelly RPC `Switch.Set`
  *  3) Legacy: HTTP relay endpoint
- * Updates `deviceStatus` and throws on total failure.
+ * Updates `deviceStatus` and throws on total failure. `until` (epoch
+ * seconds) makes the script's override a timed one that it ends itself;
+ * the RPC and legacy fallbacks only switch the relay.
  */
-async function turnOnShelly(id) {
+async function turnOnShelly(id, until) {
   const ip = resolveDeviceIp(id);
   if (!ip) throw new Error(`Unknown Shelly device: ${id}`);
   ensureDeviceState(id);
@@ -68,7 +70,7 @@ async function turnOnShelly(id) {
     console.log(`Attempting to turn ON Shelly ${id} at http://${ip}/control`);
     // Preferred: Shelly Script control endpoint
     try {
-      const response = await axios.post(`http://${ip}/control`, { action: "turnOn" }, { timeout: 5000 });
+      const response = await axios.post(`http://${ip}/control`, { action: "turnOn", until }, { timeout: 5000 });
       console.log(`Shelly ${id} turned ON (script):`, response.data);
       deviceStatus[id].switchOn = true;
       deviceStatus[id].error = null;
@@ -116,9 +118,9 @@ async function turnOnShelly(id) {
  * turnOffShelly(id)
  * ------------------
  * Attempt to turn the physical relay off for the given Shelly device.
- * Uses the same multi-tier fallback strategy as turnOnShelly.
+ * Uses the same multi-tier fallback strategy (and `until`) as turnOnShelly.
  */
-async function turnOffShelly(id) {
+async function turnOffShelly(id, until) {
   const ip = resolveDeviceIp(id);
   if (!ip) throw new Error(`Unknown Shelly device: ${id}`);
   ensureDeviceState(id);
@@ -126,7 +128,7 @@ async function turnOffShelly(id) {
     console.log(`Attempting to turn OFF Shelly ${id} at http://${ip}/control`);
     // Preferred: Shelly Script control endpoint
     try {
-      const response = await axios.post(`http://${ip}/control`, { action: "turnOff" }, { timeout: 5000 });
+      const response = await axios.post(`http://${ip}/control`, { action: "turnOff", until }, { timeout: 5000 });
       console.log(`Shelly ${id} turned OFF (script):`, response.data);
       deviceStatus[id].switchOn = false;
       deviceStatus[id].error = null;
@@ -206,6 +208,25 @@ async function clearOverride(id) {
   }
 }
 
+/*
+ * readSensors(status)
+ * -------------------
+ * Sensor readings of a `Shelly.GetStatus` result for rule conditions:
+ * add-on temperature (`temperature:<n>`, °C) and humidity (`humidity:<n>`,
+ * %) components plus the relay's own temperature as `device`.
+ */
+function readSensors(status) {
+  const sensors = {};
+  Object.keys(status || {}).forEach((key) => {
+    const component = status[key] || {};
+    if (/^temperature:\d+$/.test(key) && typeof component.tC === 'number') sensors[key] = component.tC;
+    if (/^humidity:\d+$/.test(key) && typeof component.rh === 'number') sensors[key] = component.rh;
+  });
+  const relay = (status || {})['switch:0'];
+  if (relay && relay.temperature && typeof relay.temperature.tC === 'number') sensors.device = relay.temperature.tC;
+  return sensors;
+}
+
 /*
  * getShellyStatus(id)
  * -------------------
@@ -238,6 +259,7 @@ async function getShellyStatus(id) {
       online: data.wifi && data.wifi.status === 'got ip',
       working: data.sys && data.sys.uptime > 0,
       switchOn: data['switch:0'] ? data['switch:0'].output : false,
+      sensors: readSensors(data),
       lastChecked: new Date().toISOString(),
       lastHeartbeat: deviceStatus[id].lastHeartbeat,
       lastPrice: deviceStatus[id].lastPrice,
@@ -299,11 +321,27 @@ async function getShellyStatus(id) {
   }
 }
 
+/*
+ * heartbeatSensors(sensors)
+ * -------------------------
+ * Numeric readings of a heartbeat's `sensors` object, or null when the
+ * heartbeat carries none.
+ */
+function heartbeatSensors(sensors) {
+  if (!sensors || typeof sensors !== 'object') return null;
+  const readings = {};
+  Object.keys(sensors).forEach((name) => {
+    if (typeof sensors[name] === 'number' && isFinite(sensors[name])) readings[name] = sensors[name];
+  });
+  return readings;
+}
+
 /*
  * handleHeartbeat(id, data)
  * -------------------------
  * Process heartbeat payloads sent by device-side scripts. Normalizes
- * timestamps (lastSync) provided by the device and updates `deviceStatus`.
+ * timestamps (lastSync) provided by the device and updates `deviceStatus`
+ * (including its numeric `sensors` readings used by rule conditions).
  * Also clears persisted offline notifications for the device when a valid
  * heartbeat is received.
  */
@@ -344,9 +382,10 @@ function handleHeartbeat(id, data) {
       online: true,
       lastHeartbeat: new Date().toISOString(),
       switchOn: data.switchOn || false,
-      lastPrice: data.lastPrice || null,
+      lastPrice: typeof data.lastPrice === 'number' ? data.lastPrice : null, // 0 and negative prices are valid
       lastSync: lastSyncIso || (deviceStatus[id] && deviceStatus[id].lastSync) || null,
       lastConfigUpdate: data.lastConfigUpdate || null,
+      sensors: heartbeatSensors(data.sensors) || (deviceStatus[id] && deviceStatus[id].sensors) || {},
       error: null
     };
     // Received heartbeat: clear any persisted offline notification for this device
@@ -409,8 +448,9 @@ function checkOfflineDevices() {
   });
 }
 
-// Run offline check every 5 minutes
-setInterval(checkOfflineDevices, 5 * 60 * 1000);
+// Run offline check every 5 minutes; the HTTP server keeps the process
+// alive, so the timer alone does not (e.g. when tests load this module)
+setInterval(checkOfflineDevices, 5 * 60 * 1000).unref();
 
 module.exports = {
   getDevices,
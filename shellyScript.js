@@ -14,12 +14,21 @@ var CONFIG = {
   timeFrame: "15min",
   manualOverride: false,
   manualState: null,
+  manualUntil: null, // Epoch seconds when a timed override ends (null = until cleared)
   reversedControl: false,
+  // Anti-short-cycle limits (0 = no limit)
+  minOnMinutes: 0,
+  minOffMinutes: 0,
+  maxCyclesPerDay: 0,
   // Devices run a minimal JS engine that may not support Array.fill.
   // Use a small helper to create the fallbackHours array.
   fallbackHours: (function(){ var a=[]; for (var i=0;i<24;i++) a.push(false); return a; })(),
-  prices: [], // Array of prices for today and tomorrow
-  schedule: [], // Array of 96 boolean values (15-min slots) for ON/OFF
+  prices: [], // Array of prices for today (one per 15-min slot, null = no data)
+  schedule: [], // Array of boolean values (15-min slots) for ON/OFF, one per slot of the local day
+  // Local day layout sent by the server: 96 slots normally, 92/100 on DST change days
+  dayStart: null, // Epoch seconds of local midnight
+  slotCount: 96,
+  utcOffsetMinutes: 120, // Local offset from UTC (default Finland winter time)
   lastSync: 0,
   lastChecked: 0,
   lastPrice: null,
@@ -33,7 +42,7 @@ var CONFIG = {
  * Identifier that can be displayed in device heartbeats/logs so operators
  * know which script revision is running on each Shelly device.
  */
-var SCRIPT_VERSION = '2025-10-30-1';
+var SCRIPT_VERSION = '2026-10-19-6';
 
 /*
  * log(msg)
@@ -46,30 +55,183 @@ function log(msg) {
 }
 
 /*
- * getTimeSlot()
- * -------------
- * Compute the current 15-minute slot index (0-95) based on wall-clock
- * UTC time. This avoids using device uptime which can produce incorrect
- * slot numbers after device reboots. Falls back to uptime-based calc if
- * Date() is unavailable.
+ * getLocalMinutes()
+ * -----------------
+ * Minutes since local midnight, using the UTC offset last sent by the
+ * server. Falls back to an uptime-based value if Date() is unavailable.
  */
-function getTimeSlot() {
-  // Use actual wall-clock time (UTC) to compute the 15-minute slot index.
-  // Using device uptime caused incorrect slot calculation and toggling when device reboots.
+function getLocalMinutes() {
   try {
     var now = new Date();
-    var utcHours = now.getUTCHours();
-    var utcMinutes = now.getUTCMinutes();
-    return utcHours * 4 + Math.floor(utcMinutes / 15);
+    var offset = (typeof CONFIG.utcOffsetMinutes === 'number') ? CONFIG.utcOffsetMinutes : 120;
+    var minutes = now.getUTCHours() * 60 + now.getUTCMinutes() + offset;
+    return ((minutes % 1440) + 1440) % 1440;
   } catch (e) {
-    // Fallback to uptime-based calculation if Date() fails for some reason
     var ts = Shelly.getComponentStatus("sys").uptime;
-    var hours = Math.floor((ts % 86400) / 3600);
-    var minutes = Math.floor((ts % 3600) / 60);
-    return Math.floor((hours * 60 + minutes) / 15);
+    return Math.floor((ts % 86400) / 60);
   }
 }
 
+/*
+ * getTimeSlot()
+ * -------------
+ * Compute the current 15-minute slot index within the local day based on
+ * wall-clock time. When the server sent `dayStart` (local midnight) the
+ * index is counted from it, which stays correct on 92/100-slot DST days;
+ * otherwise it is derived from the local offset. The result may fall
+ * outside the schedule once the day is over and no new config has arrived;
+ * callers treat that as "no valid schedule". This avoids using device
+ * uptime which can produce incorrect slot numbers after device reboots.
+ */
+function getTimeSlot() {
+  try {
+    if (typeof CONFIG.dayStart === 'number' && CONFIG.dayStart > 0) {
+      return Math.floor((Date.now() / 1000 - CONFIG.dayStart) / 900);
+    }
+  } catch (e) { /* fall through to offset-based calculation */ }
+  return Math.floor(getLocalMinutes() / 15);
+}
+
+/*
+ * isValidSlotCount(n)
+ * -------------------
+ * True for the slot counts a local day can have (92, 96 or 100, anything
+ * in between is accepted).
+ */
+function isValidSlotCount(n) {
+  return typeof n === 'number' && n >= 92 && n <= 100;
+}
+
+/*
+ * storeDayLayout(cfg)
+ * -------------------
+ * Copy the local day description (dayStart, slotCount, utcOffsetMinutes)
+ * from a server config payload into CONFIG.
+ */
+function storeDayLayout(cfg) {
+  if (typeof cfg.dayStart === 'number') CONFIG.dayStart = cfg.dayStart;
+  if (isValidSlotCount(cfg.slotCount)) CONFIG.slotCount = cfg.slotCount;
+  if (typeof cfg.utcOffsetMinutes === 'number') CONFIG.utcOffsetMinutes = cfg.utcOffsetMinutes;
+}
+
+/*
+ * storeCycleLimits(cfg)
+ * ---------------------
+ * Copy the anti-short-cycle limits (minOnMinutes, minOffMinutes,
+ * maxCyclesPerDay) from a server config payload into CONFIG.
+ */
+function storeCycleLimits(cfg) {
+  CONFIG.minOnMinutes = Number(cfg.minOnMinutes) || 0;
+  CONFIG.minOffMinutes = Number(cfg.minOffMinutes) || 0;
+  CONFIG.maxCyclesPerDay = Number(cfg.maxCyclesPerDay) || 0;
+}
+
+/*
+ * OVERRIDE_TIMER
+ * --------------
+ * Handle of the one-shot timer that ends a timed override on time, also
+ * while the server is unreachable.
+ */
+var OVERRIDE_TIMER = null;
+
+/*
+ * storeManualUntil(until)
+ * -----------------------
+ * Remember when the manual override ends (epoch seconds from the server,
+ * null = until cleared) and arm OVERRIDE_TIMER to apply the schedule then.
+ */
+function storeManualUntil(until) {
+  CONFIG.manualUntil = (typeof until === 'number' && until > 0) ? until : null;
+  if (OVERRIDE_TIMER !== null) {
+    Timer.clear(OVERRIDE_TIMER);
+    OVERRIDE_TIMER = null;
+  }
+  if (CONFIG.manualUntil === null) return;
+  var delay = Math.max(0, CONFIG.manualUntil * 1000 - Date.now()) + 1000;
+  OVERRIDE_TIMER = Timer.set(delay, false, function() {
+    OVERRIDE_TIMER = null;
+    applyRules();
+  });
+}
+
+/*
+ * endExpiredOverride()
+ * --------------------
+ * Clear a timed manual override once its manualUntil has passed so the
+ * schedule applies again.
+ */
+function endExpiredOverride() {
+  if (!CONFIG.manualOverride || CONFIG.manualUntil === null) return;
+  if (Date.now() / 1000 < CONFIG.manualUntil) return;
+  log("Timed override (" + CONFIG.manualState + ") ended");
+  CONFIG.manualOverride = false;
+  CONFIG.manualState = null;
+  CONFIG.manualUntil = null;
+}
+
+/*
+ * SWITCH_STATE
+ * ------------
+ * Last logical state applied by applyRules(): `since` is the uptime (s) of
+ * the last change, `day` the local day number and `cycles` the ON cycles
+ * started that day. Same rules as guardSwitch() in shared/scheduler.js.
+ */
+var SWITCH_STATE = { on: null, since: 0, day: null, cycles: 0 };
+
+/*
+ * setLogicalState(on, force)
+ * --------------------------
+ * Set the relay to logical state `on` (honoring reversedControl). Unless
+ * `force` (manual override) is set, the current state is held while it is
+ * younger than minOnMinutes/minOffMinutes, and no new ON cycle starts once
+ * maxCyclesPerDay is reached.
+ */
+function setLogicalState(on, force) {
+  var now = Shelly.getComponentStatus("sys").uptime;
+  var offset = (typeof CONFIG.utcOffsetMinutes === 'number') ? CONFIG.utcOffsetMinutes : 120;
+  var day = Math.floor((Date.now() / 60000 + offset) / 1440);
+  if (SWITCH_STATE.day !== day) {
+    SWITCH_STATE.day = day;
+    SWITCH_STATE.cycles = 0;
+  }
+  if (!force && SWITCH_STATE.on !== null && on !== SWITCH_STATE.on) {
+    var minimum = (SWITCH_STATE.on ? CONFIG.minOnMinutes : CONFIG.minOffMinutes) * 60;
+    if (now - SWITCH_STATE.since < minimum) {
+      log("Holding " + (SWITCH_STATE.on ? "ON" : "OFF") + " for the minimum " + (SWITCH_STATE.on ? "on" : "off") + " time");
+      on = SWITCH_STATE.on;
+    } else if (on && CONFIG.maxCyclesPerDay > 0 && SWITCH_STATE.cycles >= CONFIG.maxCyclesPerDay) {
+      log("Daily cycle limit " + CONFIG.maxCyclesPerDay + " reached, staying OFF");
+      on = false;
+    }
+  }
+  if (on !== SWITCH_STATE.on) {
+    SWITCH_STATE.since = now;
+    if (on) SWITCH_STATE.cycles++;
+    SWITCH_STATE.on = on;
+  }
+  Shelly.call("Switch.Set", { id: 0, on: CONFIG.reversedControl ? !on : on });
+}
+
+/*
+ * slotLocalTime(slot)
+ * -------------------
+ * Local "HH:MM" label for a slot index of the current day, counted from
+ * dayStart when known (otherwise from 00:00). The device has no time zone
+ * database, so the current UTC offset is used for every slot.
+ */
+function slotLocalTime(slot) {
+  var minutes;
+  if (typeof CONFIG.dayStart === 'number' && CONFIG.dayStart > 0) {
+    var t = new Date((CONFIG.dayStart + slot * 900) * 1000 + CONFIG.utcOffsetMinutes * 60000);
+    minutes = t.getUTCHours() * 60 + t.getUTCMinutes();
+  } else {
+    minutes = (slot * 15) % 1440;
+  }
+  var hh = Math.floor(minutes / 60);
+  var mm = minutes % 60;
+  return (hh < 10 ? '0' + hh : '' + hh) + ':' + (mm < 10 ? '0' + mm : '' + mm);
+}
+
 /*
  * getSlotsPerPeriod()
  * --------------------
@@ -87,21 +249,12 @@ function getSlotsPerPeriod() {
 /*
  * resolveServerSlot(s)
  * ---------------------
- * Server may send `serverSlot` either as a 15-min slot index (0-95)
- * or as a period index when using coarse time frames (e.g. 0-23 for 1hour).
- * This function maps the provided serverSlot to a 15-min slot index that
- * can be used to read `CONFIG.prices` and `CONFIG.schedule` safely.
+ * Server sends `serverSlot` as a 15-min slot index counted from dayStart.
+ * Returns it when `CONFIG.prices` covers it (prices may extend into
+ * tomorrow), otherwise null.
  */
 function resolveServerSlot(s) {
   if (typeof s !== 'number' || isNaN(s)) return null;
-  var spp = getSlotsPerPeriod();
-  // total known periods based on available prices
-  var totalPeriods = Math.ceil((Array.isArray(CONFIG.prices) ? CONFIG.prices.length : 0) / spp);
-  // If serverSlot looks like a period index (0..totalPeriods-1) prefer mapping
-  if (s >= 0 && s < totalPeriods) {
-    return s * spp; // map to first 15-min slot of that period
-  }
-  // Otherwise assume it's already a 15-min slot index
   if (s >= 0 && s < (Array.isArray(CONFIG.prices) ? CONFIG.prices.length : 0)) return s;
   return null;
 }
@@ -111,24 +264,28 @@ function resolveServerSlot(s) {
  * -----------------
  * Ensure that CONFIG contains sane `prices` and `schedule` arrays. Returns
  * true when the data looks usable (sufficient non-zero price points and
- * expected array lengths) and false otherwise.
+ * at least a full day of slots; the server appends tomorrow's slots once
+ * published) and false otherwise.
  */
 function validateConfig() {
-  if (!Array.isArray(CONFIG.prices) || CONFIG.prices.length < 96) {
+  var slotCount = isValidSlotCount(CONFIG.slotCount) ? CONFIG.slotCount : 96;
+  if (!Array.isArray(CONFIG.prices) || CONFIG.prices.length < slotCount) {
     log("Invalid prices: length=" + (CONFIG.prices.length || 0));
     return false;
   }
-  if (!Array.isArray(CONFIG.schedule) || CONFIG.schedule.length !== 96) {
+  if (!Array.isArray(CONFIG.schedule) || CONFIG.schedule.length < slotCount) {
     log("Invalid schedule: length=" + (CONFIG.schedule.length || 0));
     return false;
   }
-  var nonZeroPrices = 0;
+  // null marks a slot without price data; 0 and negative prices are real
+  var knownPrices = 0;
   for (var i = 0; i < CONFIG.prices.length; i++) {
+    if (CONFIG.prices[i] === null) continue;
     if (typeof CONFIG.prices[i] !== "number" || isNaN(CONFIG.prices[i])) {
       log("Invalid price at index " + i);
       return false;
     }
-    if (CONFIG.prices[i] > 0) nonZeroPrices++;
+    knownPrices++;
   }
   for (var i = 0; i < CONFIG.schedule.length; i++) {
     if (typeof CONFIG.schedule[i] !== "boolean") {
@@ -136,8 +293,8 @@ function validateConfig() {
       return false;
     }
   }
-  if (nonZeroPrices < 48) {
-    log("Too few non-zero prices: " + nonZeroPrices);
+  if (knownPrices < 48) {
+    log("Too few known prices: " + knownPrices);
     return false;
   }
   return true;
@@ -160,17 +317,16 @@ function applyRules() {
       if (typeof resolved === 'number' && resolved !== null) slot = resolved;
     }
   } catch (e) { /* ignore and use local slot */ }
+    endExpiredOverride();
     if (CONFIG.manualOverride) {
         // If manualState is explicitly provided, honor it. If not provided, preserve current switch state
         if (CONFIG.manualState === 'on') {
           log("Manual override: forced ON");
-          var phys = CONFIG.reversedControl ? false : true;
-          Shelly.call("Switch.Set", { id: 0, on: phys });
+          setLogicalState(true, true);
           return;
         } else if (CONFIG.manualState === 'off') {
           log("Manual override: forced OFF");
-          var phys = CONFIG.reversedControl ? true : false;
-          Shelly.call("Switch.Set", { id: 0, on: phys });
+          setLogicalState(false, true);
           return;
         } else {
           // Manual override active but no explicit manualState: do not modify the switch (preserve current state)
@@ -178,22 +334,22 @@ function applyRules() {
           return;
         }
     }
-  if (!validateConfig()) {
-      // If the full config isn't valid, prefer fallbackHours (24-entry array)
-      // when available. This allows the device to continue operating even
-      // when the server or price feed is down.
+  if (!validateConfig() || slot < 0 || slot >= CONFIG.schedule.length || CONFIG.prices[slot] === null) {
+      // If the full config isn't valid (or the schedule does not cover the
+      // current slot, e.g. the day rolled over before a new sync, or the
+      // current slot has no price data), prefer
+      // fallbackHours (24-entry array, local hours) when available. This
+      // allows the device to continue operating even when the server or
+      // price feed is down.
       if (Array.isArray(CONFIG.fallbackHours) && CONFIG.fallbackHours.length === 24) {
-  var hour;
-  try { hour = new Date().getUTCHours(); } catch (e) { hour = Math.floor((Shelly.getComponentStatus("sys").uptime % 86400) / 3600); }
+  var hour = Math.floor(getLocalMinutes() / 60);
   var fallbackOn = !!CONFIG.fallbackHours[hour];
         log("No valid full config, using fallbackHours for hour " + hour + ": " + (fallbackOn ? "ON" : "OFF"));
-        var phys = CONFIG.reversedControl ? !fallbackOn : fallbackOn;
-        Shelly.call("Switch.Set", { id: 0, on: phys });
+        setLogicalState(fallbackOn);
         return;
       } else {
         log("No valid config and no fallbackHours, switch OFF (respecting reversedControl)");
-        var phys = CONFIG.reversedControl ? true : false; // if reversed, physical ON == logical OFF
-        Shelly.call("Switch.Set", { id: 0, on: phys });
+        setLogicalState(false);
         return;
       }
     }
@@ -204,14 +360,13 @@ function applyRules() {
     // Also log the wall-clock time for debugging
     try {
       var now = new Date();
-      // Log both UTC and a local (configurable) timezone for clarity in device logs.
+      // Log both UTC and local time (offset from the server) for clarity in device logs.
       var utc = now.toISOString();
-      var tzOffset = (typeof CONFIG.timezoneOffsetHours === 'number') ? CONFIG.timezoneOffsetHours : 2; // default to Finland
-      var local = new Date(now.getTime() + tzOffset * 3600 * 1000).toISOString().replace('Z', '') + (tzOffset >= 0 ? '+' + tzOffset : '' + tzOffset);
-      log("Wall time UTC: " + utc + "  Local(~offset): " + local);
+      var tzOffset = (typeof CONFIG.utcOffsetMinutes === 'number') ? CONFIG.utcOffsetMinutes : 120; // default to Finland
+      var local = new Date(now.getTime() + tzOffset * 60 * 1000).toISOString().replace('Z', '') + (tzOffset >= 0 ? '+' : '') + (tzOffset / 60);
+      log("Wall time UTC: " + utc + "  Local: " + local);
     } catch (e) {}
-  var phys = CONFIG.reversedControl ? !shouldBeOn : shouldBeOn;
-    Shelly.call("Switch.Set", { id: 0, on: phys });
+    setLogicalState(shouldBeOn);
   } catch (e) {
     log("applyRules error: " + e);
     var phys = CONFIG.reversedControl ? true : false;
@@ -257,7 +412,8 @@ function syncConfig() {
             throw new Error("Invalid config structure: missing required fields");
           }
 
-          if (newConfig.prices.length < 96 || newConfig.schedule.length !== 96) {
+          var expectedSlots = isValidSlotCount(newConfig.slotCount) ? newConfig.slotCount : 96;
+          if (newConfig.prices.length < expectedSlots || newConfig.schedule.length < expectedSlots) {
             throw new Error("Invalid config data: prices.length=" + newConfig.prices.length + ", schedule.length=" + newConfig.schedule.length);
           }
               // If server provides a serverSlot/serverTime, store them so we can prefer
@@ -268,6 +424,9 @@ function syncConfig() {
                 CONFIG.serverSlot = null;
               }
               if (typeof newConfig.serverTime !== 'undefined') CONFIG.serverTime = newConfig.serverTime;
+              // The local day layout changes at midnight even when settings don't
+              storeDayLayout(newConfig);
+              storeCycleLimits(newConfig);
           // Always update reversedControl immediately so scheduled behavior
           // uses the server-provided reversal flag even if the server's
           // lastUpdated timestamp hasn't changed.
@@ -303,6 +462,7 @@ function syncConfig() {
             CONFIG.fallbackHours = Array.isArray(newConfig.fallbackHours) && newConfig.fallbackHours.length === 24 ? newConfig.fallbackHours.slice(0,24) : (CONFIG.fallbackHours || (function(){ var a=[]; for (var i=0;i<24;i++) a.push(false); return a; })());
             // Respect explicit manualState sent by server: 'on' | 'off' | null
             CONFIG.manualState = (typeof newConfig.manualState !== 'undefined' && newConfig.manualState !== null) ? newConfig.manualState : null;
+            storeManualUntil(newConfig.manualUntil);
             CONFIG.prices = newConfig.prices || [];
             CONFIG.schedule = newConfig.schedule || [];
             // If the server provides a serverSlot, update lastPrice to the price at that slot
@@ -362,11 +522,31 @@ function syncConfig() {
   // Start the first attempt
   attemptSync(0);
 
+/*
+ * readSensors()
+ * -------------
+ * Readings of the add-on temperature/humidity sensors (components 100-104)
+ * and the relay's own temperature, sent with heartbeats so server-side rule
+ * conditions can use them.
+ */
+function readSensors() {
+  var sensors = {};
+  for (var n = 100; n <= 104; n++) {
+    var t = Shelly.getComponentStatus("temperature:" + n);
+    if (t && typeof t.tC === "number") sensors["temperature:" + n] = t.tC;
+    var h = Shelly.getComponentStatus("humidity:" + n);
+    if (h && typeof h.rh === "number") sensors["humidity:" + n] = h.rh;
+  }
+  var relay = Shelly.getComponentStatus("switch:0");
+  if (relay && relay.temperature && typeof relay.temperature.tC === "number") sensors.device = relay.temperature.tC;
+  return sensors;
+}
+
 /*
  * sendHeartbeat()
  * ---------------
  * Post a heartbeat to the server with basic device state such as uptime,
- * current relay state and last observed price. The server uses this to
+ * current relay state, sensor readings and last observed price. The server uses this to
  * update its deviceStatus map and notifications.
  */
 function sendHeartbeat() {
@@ -382,6 +562,7 @@ function sendHeartbeat() {
         serverStatus: CONFIG.serverStatus,
         lastSync: CONFIG.lastSync,
         lastConfigUpdate: CONFIG.lastConfigUpdate,
+        sensors: readSensors(),
         scriptVersion: SCRIPT_VERSION
       };
 
@@ -436,9 +617,9 @@ HTTPServer.registerEndpoint("status", function(req, res) {
     html += "<h1>Shelly " + CONFIG.deviceId + " Status</h1>";
     html += "<p>Online: " + (CONFIG.serverStatus ? "Yes" : "No") + "</p>";
     html += "<p>Switch: " + (Shelly.getComponentStatus("switch:0").output ? "ON" : "OFF") + "</p>";
-    html += "<p>Override: " + (CONFIG.manualOverride ? "ON" : "OFF") + "</p>";
-    html += "<p>Last Price (device): " + (CONFIG.lastPrice || "N/A") + "</p>";
-    html += "<p>Server slot price: " + ((typeof CONFIG.serverSlot === 'number' && CONFIG.prices && CONFIG.prices.length > CONFIG.serverSlot) ? CONFIG.prices[CONFIG.serverSlot] : 'N/A') + "</p>";
+    html += "<p>Override: " + (CONFIG.manualOverride ? "ON" : "OFF") + (CONFIG.manualOverride && CONFIG.manualUntil !== null ? " (" + (CONFIG.manualState || "") + " for " + Math.max(0, Math.ceil((CONFIG.manualUntil - Date.now() / 1000) / 60)) + " min more)" : "") + "</p>";
+    html += "<p>Last Price (device): " + (typeof CONFIG.lastPrice === 'number' ? CONFIG.lastPrice : "N/A") + "</p>";
+    html += "<p>Server slot price: " + ((typeof CONFIG.serverSlot === 'number' && CONFIG.prices && typeof CONFIG.prices[CONFIG.serverSlot] === 'number') ? CONFIG.prices[CONFIG.serverSlot] : 'N/A') + "</p>";
     html += "<p>Server slot: " + (typeof CONFIG.serverSlot === 'number' ? CONFIG.serverSlot : 'N/A') + "</p>";
     html += "<p>Last Sync: " + (CONFIG.lastSync ? Math.floor(Shelly.getComponentStatus("sys").uptime - CONFIG.lastSync) + "s ago" : "Never") + "</p>";
     html += "<p>Prices: " + (Array.isArray(CONFIG.prices) ? CONFIG.prices.length : 0) + ", Schedule: " + (Array.isArray(CONFIG.schedule) ? CONFIG.schedule.length : 0) + "</p>";
@@ -500,16 +681,8 @@ HTTPServer.registerEndpoint("status", function(req, res) {
               }
             }
             var avg = (count > 0) ? (sum / count) : null;
-            // compute a human-readable UTC time for the start of this period
-            // slotWithinDay wraps every 96 slots (24h)
-            var dayOffset = Math.floor(startSlot / 96);
-            var slotWithinDay = startSlot % 96;
-            var hh = Math.floor(slotWithinDay / 4);
-            var mm = (slotWithinDay % 4) * 15;
-            var hhStr = (hh < 10 ? '0' + hh : '' + hh);
-            var mmStr = (mm < 10 ? '0' + mm : '' + mm);
-            var daySuffix = dayOffset > 0 ? (' (+ ' + dayOffset + 'd)') : '';
-            var timeLabel = hhStr + ':' + mmStr + ' UTC' + daySuffix;
+            // compute a human-readable local time for the start of this period
+            var timeLabel = slotLocalTime(startSlot);
             var displayPrice = (avg !== null) ? (Math.round(avg * 1000) / 1000) : 'N/A';
             periodEntries.push(timeLabel + ': ' + displayPrice);
           }
@@ -574,25 +747,23 @@ HTTPServer.registerEndpoint("control", function(req, res) {
 
   var response = { success: true, action: command.action, message: "" };
 
-      if (command.action === "turnOn") {
-        CONFIG.manualOverride = true;
-        CONFIG.manualState = 'on';
-        Shelly.call("Switch.Set", { id: 0, on: true });
-        log("Manual ON (state set)");
-        response.message = "Turned ON";
-        response.switchOn = true;
-
-      } else if (command.action === "turnOff") {
+      if (command.action === "turnOn" || command.action === "turnOff") {
+        // The server sends the physical action; the override and SWITCH_STATE
+        // hold the logical state applyRules() works with
+        var physicalOn = command.action === "turnOn";
+        var logicalOn = CONFIG.reversedControl ? !physicalOn : physicalOn;
         CONFIG.manualOverride = true;
-        CONFIG.manualState = 'off';
-        Shelly.call("Switch.Set", { id: 0, on: false });
-        log("Manual OFF (state set)");
-        response.message = "Turned OFF";
-        response.switchOn = false;
+        CONFIG.manualState = logicalOn ? 'on' : 'off';
+        storeManualUntil(command.until);
+        setLogicalState(logicalOn, true);
+        log("Manual " + (physicalOn ? "ON" : "OFF") + " (state set)");
+        response.message = physicalOn ? "Turned ON" : "Turned OFF";
+        response.switchOn = physicalOn;
 
       } else if (command.action === "clearOverride") {
         CONFIG.manualOverride = false;
         CONFIG.manualState = null;
+        storeManualUntil(null);
         applyRules();
         log("Override cleared (manualState reset)");
         response.message = "Override cleared";
@@ -612,9 +783,13 @@ HTTPServer.registerEndpoint("control", function(req, res) {
           if (typeof newConfig.reversedControl !== 'undefined') CONFIG.reversedControl = !!newConfig.reversedControl;
           if (typeof newConfig.manualOverride !== 'undefined') CONFIG.manualOverride = !!newConfig.manualOverride;
           if (typeof newConfig.manualState !== 'undefined') CONFIG.manualState = newConfig.manualState;
+          if (typeof newConfig.manualUntil !== 'undefined') storeManualUntil(newConfig.manualUntil);
           if (typeof newConfig.timeFrame !== 'undefined') CONFIG.timeFrame = newConfig.timeFrame;
-          if (Array.isArray(newConfig.prices) && newConfig.prices.length >= 96) CONFIG.prices = newConfig.prices.slice(0, 96);
-          if (Array.isArray(newConfig.schedule) && newConfig.schedule.length === 96) CONFIG.schedule = newConfig.schedule.slice(0, 96);
+          storeDayLayout(newConfig);
+          storeCycleLimits(newConfig);
+          // Keep slots past slotCount: they carry tomorrow's schedule across midnight
+          if (Array.isArray(newConfig.prices) && newConfig.prices.length >= CONFIG.slotCount) CONFIG.prices = newConfig.prices;
+          if (Array.isArray(newConfig.schedule) && newConfig.schedule.length >= CONFIG.slotCount) CONFIG.schedule = newConfig.schedule;
           if (typeof newConfig.serverSlot !== 'undefined') CONFIG.serverSlot = Number(newConfig.serverSlot);
           CONFIG.lastConfigUpdate = newConfig.lastUpdated || new Date().toISOString();
           CONFIG.serverStatus = true;
@@ -644,6 +819,7 @@ HTTPServer.registerEndpoint("control", function(req, res) {
           if (typeof summary.reversedControl !== 'undefined') CONFIG.reversedControl = !!summary.reversedControl;
           if (typeof summary.manualOverride !== 'undefined') CONFIG.manualOverride = !!summary.manualOverride;
           if (typeof summary.manualState !== 'undefined') CONFIG.manualState = summary.manualState;
+          if (typeof summary.manualUntil !== 'undefined') storeManualUntil(summary.manualUntil);
           if (typeof summary.serverSlot !== 'undefined') CONFIG.serverSlot = Number(summary.serverSlot);
           CONFIG.lastConfigUpdate = summary.lastUpdated || CONFIG.lastConfigUpdate;
           CONFIG.serverStatus = true;
@@ -0,0 +1,114 @@
+/*
+ * Backtest tests
+ * --------------
+ * Replaying settings over archived prices (backtest.js). Fixtures go to a
+ * temporary archive directory that is removed afterwards; days
+ * are UTC days priced with a tariff without fees or VAT, so totals equal
+ * spot prices.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_ARCHIVE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'price-archive-'));
+const { ARCHIVE_DIR, archiveDay } = require('../priceArchive');
+const { ALWAYS_ON, dayResult, runBacktest } = require('../backtest');
+const { DEFAULT_TARIFF } = require('../utils/tariff');
+
+const ZONE = 'test';
+const TARIFF = { ...DEFAULT_TARIFF, vatPercent: 0 };
+const CHEAPEST = { numCheapest: 4, timeFrame: '15min', ratedPowerKw: 2 };
+
+/*
+ * daySlots(date, cheap)
+ * ---------------------
+ * 96 slots from UTC midnight of `date` at 10 c/kWh except for the
+ * { slotIndex: price } in `cheap`.
+ */
+function daySlots(date, cheap) {
+  const start = Date.parse(`${date}T00:00:00Z`);
+  return Array.from({ length: 96 }, (_, i) => {
+    const price = i in cheap ? cheap[i] : 10;
+    return { time: new Date(start + i * 900000).toISOString(), spot: price, total: price, price };
+  });
+}
+
+// Cheap at the end of Feb 1, at the start of Feb 2 and Feb 4; Feb 3 missing
+const ENDS_CHEAP = { 92: 2, 93: 2, 94: 3, 95: 3 };
+const STARTS_CHEAP = { 0: 1, 1: 1, 2: 1, 3: 1 };
+test.before(() => {
+  archiveDay(ZONE, '2026-02-01', daySlots('2026-02-01', ENDS_CHEAP), 'elering', 15);
+  archiveDay(ZONE, '2026-02-02', daySlots('2026-02-02', STARTS_CHEAP), 'elering', 15);
+  archiveDay(ZONE, '2026-02-04', daySlots('2026-02-04', STARTS_CHEAP), 'elering', 15);
+});
+test.after(() => fs.rmSync(ARCHIVE_DIR, { recursive: true, force: true }));
+
+const run = (from, to, variants) => runBacktest({ zone: ZONE, from, to, variants, tariff: TARIFF, timezone: 'UTC' });
+
+test('dayResult prices the ON slots of one day', () => {
+  const day = dayResult('2026-02-01', daySlots('2026-02-01', ENDS_CHEAP), CHEAPEST, { timezone: 'UTC', holidays: [], previousOn: false });
+  // 4 slots of 2 kW for 15 min at 2, 2, 3 and 3 c/kWh
+  assert.deepStrictEqual(
+    [day.onMinutes, day.energyKwh, day.costEur, day.averagePrice, day.cycles, day.endsOn],
+    [60, 2, 0.05, 2.5, 1, true]
+  );
+  const unrated = dayResult('2026-02-01', daySlots('2026-02-01', ENDS_CHEAP), { ...CHEAPEST, ratedPowerKw: 0 }, { timezone: 'UTC', holidays: [], previousOn: false });
+  assert.deepStrictEqual([unrated.energyKwh, unrated.costEur, unrated.averagePrice], [null, null, 2.5]);
+});
+
+test('dayResult does not count a run carried over from the day before as a cycle', () => {
+  const slots = daySlots('2026-02-02', STARTS_CHEAP);
+  const options = { timezone: 'UTC', holidays: [] };
+  assert.strictEqual(dayResult('2026-02-02', slots, CHEAPEST, { ...options, previousOn: true }).cycles, 0);
+  assert.strictEqual(dayResult('2026-02-02', slots, CHEAPEST, { ...options, previousOn: false }).cycles, 1);
+});
+
+test('runBacktest sums the archived days and lists the missing ones', () => {
+  const result = run('2026-02-01', '2026-02-02', { cheapest: CHEAPEST, alwaysOn: { ...ALWAYS_ON, ratedPowerKw: 2 } });
+  assert.deepStrictEqual(result.missingDays, []);
+  const { cheapest, alwaysOn } = result.variants;
+  assert.deepStrictEqual(cheapest.days.map(d => [d.date, d.costEur, d.cycles]), [['2026-02-01', 0.05, 1], ['2026-02-02', 0.02, 0]]);
+  assert.ok(cheapest.days.every(d => !('endsOn' in d)));
+  assert.deepStrictEqual(cheapest.totals, {
+    days: 2, onMinutes: 120, energyKwh: 4, costEur: 0.07, costWithFeesEur: 0.07, averagePrice: 1.75, cycles: 1, violationDays: 0
+  });
+  // Always on: 92 slots at 10 c/kWh a day plus the cheap ones, one run over both days
+  assert.deepStrictEqual(
+    [alwaysOn.totals.onMinutes, alwaysOn.totals.energyKwh, alwaysOn.totals.costEur, alwaysOn.totals.cycles],
+    [2880, 96, 9.27, 1]
+  );
+});
+
+test('runBacktest adds the replayed days\' share of the monthly fixed fees', () => {
+  // February 2026 has 28 days: 1 EUR a day
+  const result = runBacktest({
+    zone: ZONE, from: '2026-02-01', to: '2026-02-03', variants: { cheapest: CHEAPEST }, tariff: { ...TARIFF, monthlyFixedFeesEur: 28 }, timezone: 'UTC'
+  });
+  assert.strictEqual(result.fixedFeesEur, 2);
+  assert.deepStrictEqual([result.variants.cheapest.totals.costEur, result.variants.cheapest.totals.costWithFeesEur], [0.07, 2.07]);
+});
+
+test('runBacktest carries the last state over consecutive days only', () => {
+  const result = run('2026-02-01', '2026-02-05', { cheapest: CHEAPEST });
+  assert.deepStrictEqual(result.missingDays, ['2026-02-03', '2026-02-05']);
+  // Feb 4 follows a missing day, so its first run is a new cycle
+  assert.deepStrictEqual(result.variants.cheapest.days.map(d => [d.date, d.cycles]), [['2026-02-01', 1], ['2026-02-02', 0], ['2026-02-04', 1]]);
+});
+
+test('runBacktest rejects invalid ranges with status 400', () => {
+  const status = (from, to) => {
+    try {
+      run(from, to, { cheapest: CHEAPEST });
+    } catch (e) {
+      return e.status;
+    }
+    return 200;
+  };
+  assert.strictEqual(status('yesterday', '2026-02-02'), 400);
+  assert.strictEqual(status('2026-02-01', '2026-13-01'), 400);
+  assert.strictEqual(status('2026-02-02', '2026-02-01'), 400);
+  assert.strictEqual(status('2025-01-01', '2026-02-01'), 400);
+});
@@ -0,0 +1,76 @@
+/*
+ * Golden price curves
+ * -------------------
+ * Named price curves the golden cases refer to in `prices` and `tomorrow`.
+ * Each curve is one local day of c/kWh prices per 15-minute slot from
+ * midnight (96 slots, or 92/100 on DST change days); null marks a slot
+ * without a price.
+ */
+
+const hourly = prices => prices.flatMap(p => [p, p, p, p]);
+
+/*
+ * slotOf(hhmm)
+ * ------------
+ * Slot index of an 'HH:MM' time counted from midnight.
+ */
+const slotOf = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return (h * 60 + m) / 15;
+};
+
+/*
+ * spikes(base, ranges)
+ * --------------------
+ * A day at `base` except for the { 'HH:MM-HH:MM': price } ranges.
+ */
+function spikes(base, ranges) {
+  const prices = Array(96).fill(base);
+  Object.entries(ranges).forEach(([range, price]) => {
+    const [from, to] = range.split('-').map(slotOf);
+    prices.fill(price, from, to);
+  });
+  return prices;
+}
+
+/*
+ * wave(slotCount)
+ * ---------------
+ * A smooth day with its cheapest prices around 03:00 and 15:00 (the
+ * afternoon slightly cheaper) and peaks around 09:00 and 21:00.
+ */
+function wave(slotCount = 96) {
+  return Array.from({ length: slotCount }, (_, i) => {
+    const t = (i - slotCount / 8) / slotCount;
+    return Math.round((8.25 - 6 * Math.cos(4 * Math.PI * t) + 0.5 * Math.cos(2 * Math.PI * t)) * 1000) / 1000;
+  });
+}
+
+const rising = hourly(Array.from({ length: 24 }, (_, h) => h + 1));
+
+module.exports = {
+  // Smooth curves; the variants add negative prices, zero prices and gaps
+  wave: wave(),
+  'wave-92': wave(92),
+  'wave-100': wave(100),
+  'wave-negative': wave().map(p => Math.round((p - 6) * 1000) / 1000),
+  'wave-zero': wave().map((p, i) => (i >= slotOf('05:00') && i < slotOf('07:00') ? 0 : p)),
+  'wave-gaps': wave().map((p, i) => (i < slotOf('02:00') || (i >= slotOf('10:00') && i < slotOf('11:30')) ? null : p)),
+
+  // 1 c/kWh at 00:00 up to 24 at 23:00, and the reverse
+  rising,
+  falling: rising.slice().reverse(),
+  flat: Array(96).fill(5),
+
+  // Hourly prices with cheap hours scattered over the day
+  mixed: hourly([5, 4, 3, 6, 7, 8, 9, 10, 1.5, 12, 13, 14, 15, 16, 11, 2.5, 17, 18, 19, 20, 21, 22, 4.5, 6.5]),
+  'mixed-tomorrow': hourly([3.5, 2, 2.2, 8, 9, 1, 7, 1.2, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]),
+
+  // Expensive days with a few cheap stretches
+  dips: spikes(20, { '04:00-05:00': 10, '09:00-10:00': 12, '15:00-16:00': 11, '21:00-22:00': 13 }),
+  valleys: spikes(20, { '02:30-03:30': 2, '12:30-13:30': 3, '13:30-14:30': 8, '17:30-17:45': 0, '20:00-21:00': 9, '21:00-22:00': 10 }),
+  'evening-dip': spikes(20, { '00:30-01:30': 1, '20:00-21:00': 3 }),
+  'morning-dips': spikes(20, { '04:00-06:00': 4, '07:00-09:00': 1 }),
+  'short-gaps': spikes(20, { '05:00-05:30': 1, '05:45-06:15': 1, '15:00-15:30': 2, '20:00-20:30': 3 }),
+  'single-slots': spikes(20, { '02:30-02:45': 1, '02:45-03:00': 15, '09:45-10:00': 10, '10:00-10:15': 2, '17:30-17:45': 3 })
+};
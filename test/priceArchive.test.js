@@ -0,0 +1,75 @@
+/*
+ * Price archive tests
+ * -------------------
+ * Archiving and querying past prices (priceArchive.js). Fixtures go to a
+ * temporary archive directory that is removed afterwards.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_ARCHIVE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'price-archive-'));
+const { ARCHIVE_DIR, archiveDay, readDay, listDays, queryHistory } = require('../priceArchive');
+
+const ZONE = 'test';
+test.after(() => fs.rmSync(ARCHIVE_DIR, { recursive: true, force: true }));
+
+/*
+ * daySlots(date, prices)
+ * ----------------------
+ * 15-min slots from UTC midnight of `date` with spot = total = price from
+ * `prices` (null = missing slot).
+ */
+function daySlots(date, prices) {
+  const start = Date.parse(`${date}T00:00:00Z`);
+  return prices.map((price, i) => {
+    const time = new Date(start + i * 900000).toISOString();
+    return price === null ? { time, price: null, spot: null, total: null, missing: true } : { time, spot: price, total: price, price };
+  });
+}
+
+test('archiveDay stores real prices only', () => {
+  const slots = daySlots('2026-01-01', [4, 8, null, 2, 6, 6, 6, 6]);
+  slots[3].repaired = true;
+  assert.strictEqual(archiveDay(ZONE, '2026-01-01', slots, 'elering', 60), true);
+  // Cached re-saves, forecasts and days without prices are not archived
+  assert.strictEqual(archiveDay(ZONE, '2026-01-02', slots, 'cache'), false);
+  assert.strictEqual(archiveDay(ZONE, '2026-01-02', slots, 'forecast'), false);
+  assert.strictEqual(archiveDay(ZONE, '2026-01-02', daySlots('2026-01-02', [null]), 'elering'), false);
+  assert.deepStrictEqual(listDays(ZONE), ['2026-01-01']);
+  const entry = readDay(ZONE, '2026-01-01');
+  assert.strictEqual(entry.resolution, 60);
+  // Gap repair is not a price
+  assert.strictEqual(entry.slots[3].missing, true);
+});
+
+test('queryHistory aggregates hours and days and lists missing days', () => {
+  archiveDay(ZONE, '2026-01-03', daySlots('2026-01-03', [4, 8, null, 6, 2, 2, 2, 2]), 'elering', 15);
+  const hours = queryHistory({ zone: ZONE, from: '2026-01-03', to: '2026-01-04', resolution: 'hour' });
+  assert.deepStrictEqual(hours.missingDays, ['2026-01-04']);
+  assert.deepStrictEqual(hours.days.map(d => [d.date, d.provider, d.sourceResolution]), [['2026-01-03', 'elering', 15]]);
+  assert.deepStrictEqual(hours.days[0].points.map(p => [p.time, p.price, p.min, p.max]), [
+    ['2026-01-03T00:00:00.000Z', 6, 4, 8],
+    ['2026-01-03T01:00:00.000Z', 2, 2, 2]
+  ]);
+  const day = queryHistory({ zone: ZONE, from: '2026-01-03', resolution: 'day' });
+  assert.deepStrictEqual(day.days[0].points.map(p => [p.price, p.min, p.max]), [[26 / 7, 2, 8]]);
+});
+
+test('queryHistory rejects invalid ranges with status 400', () => {
+  const status = (query) => {
+    try {
+      queryHistory({ zone: ZONE, ...query });
+    } catch (error) {
+      return `${error.status} ${error.message}`;
+    }
+    return 'ok';
+  };
+  assert.strictEqual(status({ from: '2026-1-1' }), '400 from must be a date (YYYY-MM-DD)');
+  assert.strictEqual(status({ from: '2026-01-02', to: '2026-01-01' }), '400 to must not be before from');
+  assert.strictEqual(status({ from: '2025-01-01', to: '2026-01-02' }), '400 Range is limited to 366 days');
+  assert.strictEqual(status({ from: '2026-01-01', resolution: 'week' }), '400 resolution must be one of 15min, hour, day');
+});
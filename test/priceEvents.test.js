@@ -0,0 +1,53 @@
+/*
+ * Price change tests
+ * ------------------
+ * Which zones and days a price fetch reports as changed
+ * (utils/priceEvents.js priceChanges()).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { priceChanges } = require('../utils/priceEvents');
+const { getDayInfo } = require('../utils/timeSlots');
+
+const TIMEZONE = 'Europe/Helsinki';
+const days = { today: getDayInfo('2026-01-15', TIMEZONE), tomorrow: getDayInfo('2026-01-16', TIMEZONE) };
+
+// A stored day of `dayInfo` priced `price` in every slot (null = missing)
+const daySlots = (dayInfo, price, extra = {}) => Array.from({ length: dayInfo.slotCount }, (_, i) => ({
+  time: new Date(dayInfo.start + i * 900000).toISOString(), price, ...extra
+}));
+const zoneEntry = (today, tomorrow) => ({ today, tomorrow, meta: { today: { provider: 'elering' }, tomorrow: { provider: 'elering' } } });
+const store = zones => ({ defaultZone: 'fi', zones });
+
+test('unchanged prices report no changes', () => {
+  const previous = store({ fi: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 6)) });
+  const next = store({ fi: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 6)) });
+  assert.deepStrictEqual(priceChanges(previous, next, days), []);
+});
+
+test('new, changed and forecast-replaced days are reported per zone', () => {
+  const previous = store({
+    fi: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 4, { forecast: true })),
+    ee: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, null))
+  });
+  const next = store({
+    fi: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 4)),
+    ee: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 7)),
+    lv: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, 7))
+  });
+  assert.deepStrictEqual(priceChanges(previous, next, days).map(c => `${c.zone}/${c.day}/${c.date}`), [
+    'fi/tomorrow/2026-01-16',
+    'ee/tomorrow/2026-01-16',
+    'lv/today/2026-01-15',
+    'lv/tomorrow/2026-01-16'
+  ]);
+  assert.strictEqual(priceChanges(null, next, days).length, 6);
+});
+
+test('yesterday\'s tomorrow is compared with today after midnight', () => {
+  const yesterday = getDayInfo('2026-01-14', TIMEZONE);
+  const previous = store({ fi: zoneEntry(daySlots(yesterday, 3), daySlots(days.today, 5)) });
+  const next = store({ fi: zoneEntry(daySlots(days.today, 5), daySlots(days.tomorrow, null)) });
+  assert.deepStrictEqual(priceChanges(previous, next, days), [{ zone: 'fi', day: 'tomorrow', date: '2026-01-16', provider: 'elering' }]);
+});
@@ -0,0 +1,47 @@
+/*
+ * Price fetch scheduling tests
+ * ----------------------------
+ * When the next price fetch runs (priceFetchScheduler.js planNextRun()).
+ * Times are in January: Brussels is UTC+1, Helsinki UTC+2.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { planNextRun } = require('../priceFetchScheduler');
+
+const cfg = { priceFetchInterval: 60, userPreferences: { timezone: 'Europe/Helsinki' } };
+const incomplete = { today: { complete: true }, tomorrow: { complete: false } };
+const complete = { today: { complete: true }, tomorrow: { complete: true } };
+
+// planNextRun() for a run at `iso`, with the planned time as an ISO string
+const plan = (result, iso) => {
+  const next = planNextRun(result, Date.parse(iso), cfg);
+  return { at: new Date(next.at).toISOString(), reason: next.reason };
+};
+
+test('a failed run is retried after the regular interval', () => {
+  assert.deepStrictEqual(plan(null, '2026-01-15T12:00:00.000Z'), { at: '2026-01-15T13:00:00.000Z', reason: 'retry' });
+});
+
+test('an incomplete tomorrow is polled fast inside the publication window', () => {
+  // 13:00 CET
+  assert.deepStrictEqual(plan(incomplete, '2026-01-15T12:00:00.000Z'), { at: '2026-01-15T12:02:00.000Z', reason: 'publication-window' });
+  assert.deepStrictEqual(plan(complete, '2026-01-15T12:00:00.000Z'), { at: '2026-01-15T13:00:00.000Z', reason: 'interval' });
+});
+
+test('the first run of the window is not later than its start', () => {
+  // 12:00 CET, the window opens at 12:45
+  assert.deepStrictEqual(plan(incomplete, '2026-01-15T11:00:00.000Z'), { at: '2026-01-15T11:45:00.000Z', reason: 'publication-window' });
+  // Earlier in the morning the regular interval comes first
+  assert.deepStrictEqual(plan(incomplete, '2026-01-15T08:00:00.000Z'), { at: '2026-01-15T09:00:00.000Z', reason: 'interval' });
+});
+
+test('after the window the regular interval applies', () => {
+  // 16:00 CET
+  assert.deepStrictEqual(plan(incomplete, '2026-01-15T15:00:00.000Z'), { at: '2026-01-15T16:00:00.000Z', reason: 'interval' });
+});
+
+test('a run is planned just after local midnight', () => {
+  // 23:30 in Helsinki
+  assert.deepStrictEqual(plan(complete, '2026-01-15T21:30:00.000Z'), { at: '2026-01-15T22:01:00.000Z', reason: 'rollover' });
+});
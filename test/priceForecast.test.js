@@ -0,0 +1,54 @@
+/*
+ * Price forecast tests
+ * --------------------
+ * Forecasting a day from archived prices (priceForecast.js). History is
+ * archived to a temporary archive directory that is removed afterwards.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_ARCHIVE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'price-archive-'));
+const { ARCHIVE_DIR, archiveDay } = require('../priceArchive');
+const { DEFAULT_FORECAST, forecastDay } = require('../priceForecast');
+const { DEFAULT_TARIFF } = require('../utils/tariff');
+const { getDayInfo, daySlotTimes, localMinutes } = require('../utils/timeSlots');
+
+const ZONE = 'test';
+const TIMEZONE = 'Europe/Helsinki';
+const options = { timezone: TIMEZONE, tariff: DEFAULT_TARIFF, config: DEFAULT_FORECAST };
+test.after(() => fs.rmSync(ARCHIVE_DIR, { recursive: true, force: true }));
+
+/*
+ * archiveHistory(date)
+ * --------------------
+ * Archive a day whose spot price equals the local hour.
+ */
+function archiveHistory(date) {
+  const slots = daySlotTimes(date, TIMEZONE).map((time) => {
+    const spot = Math.floor(localMinutes(Date.parse(time), TIMEZONE) / 60);
+    return { time, spot, total: spot, price: spot };
+  });
+  archiveDay(ZONE, date, slots, 'elering', 15);
+}
+
+test('forecastDay needs minHistoryDays of archived prices', () => {
+  archiveHistory('2026-01-13');
+  archiveHistory('2026-01-14');
+  assert.strictEqual(forecastDay(ZONE, getDayInfo('2026-01-15', TIMEZONE), options), null);
+  assert.ok(forecastDay(ZONE, getDayInfo('2026-01-15', TIMEZONE), { ...options, config: { ...DEFAULT_FORECAST, minHistoryDays: 2 } }));
+});
+
+test('forecastDay follows the hour-of-day profile of the archive', () => {
+  archiveHistory('2026-01-12');
+  const slots = forecastDay(ZONE, getDayInfo('2026-01-15', TIMEZONE), options);
+  assert.strictEqual(slots.length, 96);
+  assert.ok(slots.every(slot => slot.forecast === true));
+  // Slot 40 is 10:00 local; the tariff is applied on top of the spot price
+  assert.strictEqual(slots[40].spot, 10);
+  assert.strictEqual(slots[40].total, 10 * 1.255);
+  assert.strictEqual(slots[0].spot, 0);
+});
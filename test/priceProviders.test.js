@@ -0,0 +1,163 @@
+/*
+ * Price provider tests
+ * --------------------
+ * The provider chain (lib/priceProviders) with in-memory providers; the
+ * Elering and ENTSO-E adapters are exercised with a stubbed global fetch,
+ * so no test touches the network, and the file provider reads a temporary
+ * directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const elering = require('../lib/priceProviders/elering');
+const entsoe = require('../lib/priceProviders/entsoe');
+const file = require('../lib/priceProviders/file');
+const { fetchFromChain, getProviderChain } = require('../lib/priceProviders');
+
+const START = '2026-01-01T00:00:00.000Z';
+const END = '2026-01-01T23:59:59.999Z';
+const points = price => [{ timestamp: 1767225600, price }];
+
+/*
+ * withFetch(body, fn)
+ * -------------------
+ * Run async `fn` with global fetch answering every request with JSON
+ * `body`, restoring the original fetch afterwards.
+ */
+async function withFetch(body, fn) {
+  const original = global.fetch;
+  global.fetch = async () => ({ ok: true, status: 200, json: async () => body });
+  try {
+    return await fn();
+  } finally {
+    global.fetch = original;
+  }
+}
+
+test('elering keeps the valid zones of a response and drops the missing ones', () => {
+  const data = { data: { fi: points(50), lv: [{ timestamp: 1767225600, price: 'n/a' }] } };
+  assert.deepStrictEqual(elering.validateApiResponse(data, ['fi', 'ee', 'lv']), ['fi']);
+  assert.throws(() => elering.validateApiResponse(data, ['ee']), /no valid data for ee/);
+  assert.throws(() => elering.validateApiResponse({}, ['fi']), /missing data object/);
+});
+
+test('elering accepts zero and negative prices', () => {
+  const data = { data: { fi: [{ timestamp: 1767225600, price: 0 }, { timestamp: 1767229200, price: -12.5 }] } };
+  assert.deepStrictEqual(elering.validateApiResponse(data, ['fi']), ['fi']);
+});
+
+test('a zone missing from the Elering response falls back alone', async () => {
+  const calls = [];
+  const backup = {
+    id: 'backup',
+    fetchPrices: async (start, end, zones) => {
+      calls.push(zones);
+      return { ee: points(40), fi: points(99) };
+    }
+  };
+  const chain = [{ provider: elering, options: { id: 'elering' } }, { provider: backup, options: { id: 'backup' } }];
+  const result = await withFetch({ success: true, data: { fi: points(50) } },
+    () => fetchFromChain(START, END, ['fi', 'ee'], { chain, maxRetries: 0 }));
+  assert.deepStrictEqual(calls, [['ee']]);
+  assert.deepStrictEqual(result.providers, { fi: 'elering', ee: 'backup' });
+  assert.deepStrictEqual(result.data, { fi: points(50), ee: points(40) });
+});
+
+/*
+ * marketDocument(price)
+ * ---------------------
+ * A44 document with one hourly point at `price` EUR/MWh from START.
+ */
+const marketDocument = price => `<Publication_MarketDocument><TimeSeries><Period>
+  <timeInterval><start>2026-01-01T00:00Z</start><end>2026-01-01T01:00Z</end></timeInterval>
+  <resolution>PT60M</resolution><Point><position>1</position><price.amount>${price}</price.amount></Point>
+</Period></TimeSeries></Publication_MarketDocument>`;
+
+test('entsoe returns the zones it could fetch and leaves out failing ones', async () => {
+  const original = global.fetch;
+  // Finland answers, Estonia fails with HTTP 503
+  global.fetch = async url => (url.includes(entsoe.ZONE_EIC.fi)
+    ? { ok: true, status: 200, text: async () => marketDocument(50) }
+    : { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => '' });
+  try {
+    const options = { securityToken: 'token' };
+    assert.deepStrictEqual(await entsoe.fetchPrices(START, END, ['fi', 'ee', 'xx'], options), { fi: points(50) });
+    await assert.rejects(entsoe.fetchPrices(START, END, ['ee', 'xx'], options), /ee: API request failed: 503.*xx: .*does not know zone xx/);
+  } finally {
+    global.fetch = original;
+  }
+});
+
+test('file returns the zones that have files and leaves out the rest', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'fi'));
+    fs.writeFileSync(path.join(dir, 'fi', '2026-01-01.csv'), 'timestamp,price\n1767225600,50\n');
+    fs.mkdirSync(path.join(dir, 'lv'));
+    fs.writeFileSync(path.join(dir, 'lv', '2026-01-01.json'), '{ "not": "points" }');
+    assert.deepStrictEqual(await file.fetchPrices(START, END, ['fi', 'ee', 'lv'], { dir }), { fi: points(50) });
+    await assert.rejects(file.fetchPrices(START, END, ['ee'], { dir }), /No price file for ee/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('zones a provider fails for fall back alone', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  const calls = [];
+  const backup = {
+    id: 'backup',
+    fetchPrices: async (start, end, zones) => {
+      calls.push(zones);
+      return { ee: points(40) };
+    }
+  };
+  try {
+    fs.mkdirSync(path.join(dir, 'fi'));
+    fs.writeFileSync(path.join(dir, 'fi', '2026-01-01.json'), JSON.stringify(points(50)));
+    const chain = [{ provider: file, options: { id: 'file', dir } }, { provider: backup, options: { id: 'backup' } }];
+    const result = await fetchFromChain(START, END, ['fi', 'ee'], { chain, maxRetries: 0 });
+    assert.deepStrictEqual(calls, [['ee']]);
+    assert.deepStrictEqual(result.providers, { fi: 'file', ee: 'backup' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fetchFromChain asks providers in order for the zones still missing', async () => {
+  const calls = [];
+  const provider = (id, answer) => ({
+    id,
+    fetchPrices: async (start, end, zones) => {
+      calls.push(`${id}:${zones.join(',')}`);
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  });
+  const chain = [
+    provider('down', new Error('HTTP 503')),
+    provider('partial', { fi: points(50), ee: [] }),
+    provider('rest', { ee: points(40), lv: points(30) }),
+    provider('unused', { lt: points(20) })
+  ].map(p => ({ provider: p, options: { id: p.id } }));
+  const result = await fetchFromChain(START, END, ['fi', 'ee', 'lv'], { chain, maxRetries: 1, baseDelay: 0 });
+  // A failing provider is retried before the next one is asked
+  assert.deepStrictEqual(calls, ['down:fi,ee,lv', 'down:fi,ee,lv', 'partial:fi,ee,lv', 'rest:ee,lv']);
+  assert.deepStrictEqual(result.providers, { fi: 'partial', ee: 'rest', lv: 'rest' });
+});
+
+test('fetchFromChain leaves out the zones no provider supplies', async () => {
+  const empty = { id: 'empty', fetchPrices: async () => ({}) };
+  const result = await fetchFromChain(START, END, ['fi'], { chain: [{ provider: empty, options: { id: 'empty' } }], maxRetries: 0 });
+  assert.deepStrictEqual(result, { data: {}, providers: {} });
+});
+
+test('getProviderChain skips unknown and disabled providers', () => {
+  const ids = cfg => getProviderChain(cfg).map(entry => entry.options.id);
+  assert.deepStrictEqual(ids({ priceProviders: ['bogus', { id: 'entsoe', enabled: false }, { id: 'file', dir: 'x' }] }), ['file']);
+  assert.deepStrictEqual(ids({ priceProviders: ['bogus'] }), ['elering']);
+  assert.deepStrictEqual(ids({}), ['elering']);
+});
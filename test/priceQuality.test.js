@@ -0,0 +1,73 @@
+/*
+ * Price quality tests
+ * -------------------
+ * Completeness reporting and gap repair of one day of slots
+ * (utils/priceQuality.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { describeQuality, repairGaps, getGapRepairConfig } = require('../utils/priceQuality');
+const { missingSlot } = require('../utils/priceStore');
+
+/*
+ * slots(spots)
+ * ------------
+ * 15-minute slots from 2026-01-01 00:00 UTC with the given spot prices
+ * (null = missing slot).
+ */
+function slots(spots) {
+  return spots.map((spot, i) => {
+    const time = new Date(Date.UTC(2026, 0, 1) + i * 900000).toISOString();
+    return spot === null ? missingSlot(time) : { time, spot, total: spot, price: spot };
+  });
+}
+const spots = list => list.map(s => s.spot);
+
+test('describeQuality lists the runs of missing slots', () => {
+  assert.deepStrictEqual(describeQuality(slots([1, null, null, 4, null])), {
+    complete: false,
+    pricedSlots: 2,
+    missingSlots: 3,
+    repairedSlots: 0,
+    missingRanges: [
+      { from: '2026-01-01T00:15:00.000Z', to: '2026-01-01T00:45:00.000Z' },
+      { from: '2026-01-01T01:00:00.000Z', to: '2026-01-01T01:15:00.000Z' }
+    ]
+  });
+  assert.strictEqual(describeQuality(slots([0, -1])).complete, true);
+  assert.strictEqual(describeQuality([]).complete, false);
+});
+
+test('interpolate draws a line between the prices around a gap', () => {
+  const day = slots([2, null, null, null, 6]);
+  assert.strictEqual(repairGaps(day, { method: 'interpolate', maxGapMinutes: 120 }), 3);
+  assert.deepStrictEqual(spots(day), [2, 3, 4, 5, 6]);
+  assert.ok(day.slice(1, 4).every(s => s.repaired));
+  // Repaired slots still count as missing data
+  assert.strictEqual(describeQuality(day).repairedSlots, 3);
+  assert.strictEqual(describeQuality(day).complete, false);
+});
+
+test('carry-forward repeats the last price, or the first one at the start', () => {
+  const day = slots([null, 5, null, null, 7, null]);
+  assert.strictEqual(repairGaps(day, { method: 'carry-forward', maxGapMinutes: 120 }), 4);
+  assert.deepStrictEqual(spots(day), [5, 5, 5, 5, 7, 7]);
+  // Interpolation falls back to the nearest price at the edges of the day
+  const edge = slots([null, 5, 7, null]);
+  repairGaps(edge, { method: 'interpolate', maxGapMinutes: 120 });
+  assert.deepStrictEqual(spots(edge), [5, 5, 7, 7]);
+});
+
+test('gaps longer than maxGapMinutes stay missing', () => {
+  const day = slots([1, null, null, 4, null, 6]);
+  assert.strictEqual(repairGaps(day, { method: 'carry-forward', maxGapMinutes: 15 }), 1);
+  assert.deepStrictEqual(spots(day), [1, null, null, 4, 4, 6]);
+  assert.strictEqual(repairGaps(slots([null, null]), { method: 'interpolate', maxGapMinutes: 120 }), 0);
+  assert.strictEqual(repairGaps(slots([1, null, 3]), { method: 'none', maxGapMinutes: 120 }), 0);
+});
+
+test('getGapRepairConfig falls back to defaults for invalid values', () => {
+  assert.deepStrictEqual(getGapRepairConfig({ priceGapRepair: { method: 'spline', maxGapMinutes: -5 } }), { method: 'none', maxGapMinutes: 120 });
+  assert.deepStrictEqual(getGapRepairConfig({ priceGapRepair: { method: 'interpolate', maxGapMinutes: '60' } }), { method: 'interpolate', maxGapMinutes: 60 });
+});
@@ -0,0 +1,55 @@
+/*
+ * Price resolution tests
+ * ----------------------
+ * Mapping provider points of any native resolution onto the 15-minute
+ * slot grid (utils/priceResolution.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectResolution, toSlotGrid, expandSlots } = require('../utils/priceResolution');
+const { getDayInfo } = require('../utils/timeSlots');
+
+const day = getDayInfo('2026-01-15', 'Europe/Helsinki');
+// Points every `minutes` from local midnight with the given prices
+const points = (minutes, prices) => prices.map((price, i) => ({ timestamp: day.start / 1000 + i * minutes * 60, price }));
+
+test('detectResolution picks the most common spacing', () => {
+  const hour = 3600000;
+  assert.strictEqual(detectResolution([0, hour, 2 * hour, 4 * hour, 5 * hour]), 60);
+  assert.strictEqual(detectResolution([0]), 15);
+  // A tie goes to the finer resolution
+  assert.strictEqual(detectResolution([0, 900000, 2 * 900000, 2 * 900000 + hour, 2 * 900000 + 2 * hour]), 15);
+});
+
+test('toSlotGrid repeats hourly points over their four slots', () => {
+  const { values, resolution } = toSlotGrid(points(60, [5, -1, 0]), day);
+  assert.strictEqual(resolution, 60);
+  assert.strictEqual(values.length, 96);
+  assert.deepStrictEqual(values.slice(0, 13), [5, 5, 5, 5, -1, -1, -1, -1, 0, 0, 0, 0, null]);
+  assert.ok(values.slice(12).every(v => v === null));
+});
+
+test('toSlotGrid averages finer points into their slot', () => {
+  const { values, resolution } = toSlotGrid(points(5, [1, 2, 3, 10, 20]), day);
+  assert.strictEqual(resolution, 5);
+  assert.deepStrictEqual(values.slice(0, 3), [2, 15, null]);
+});
+
+test('toSlotGrid drops points outside the day', () => {
+  const outside = [{ timestamp: day.start / 1000 - 3600, price: 9 }, { timestamp: day.end / 1000, price: 9 }];
+  const { values } = toSlotGrid(outside.concat(points(60, [4])), day);
+  assert.deepStrictEqual(values.slice(0, 5), [4, 4, 4, 4, null]);
+  assert.ok(!values.includes(9));
+});
+
+test('expandSlots brings stored hourly slots onto the 15-minute grid', () => {
+  const slots = [{ time: '2026-01-01T00:00:00.000Z', price: 3 }, { time: '2026-01-01T01:00:00.000Z', price: 4 }];
+  const { slots: expanded, resolution } = expandSlots(slots);
+  assert.strictEqual(resolution, 60);
+  assert.deepStrictEqual(expanded.map(s => `${s.time.slice(11, 16)} ${s.price}`), [
+    '00:00 3', '00:15 3', '00:30 3', '00:45 3', '01:00 4', '01:15 4', '01:30 4', '01:45 4'
+  ]);
+  const quarter = [{ time: '2026-01-01T00:00:00.000Z' }, { time: '2026-01-01T00:15:00.000Z' }];
+  assert.strictEqual(expandSlots(quarter).slots, quarter);
+});
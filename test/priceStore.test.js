@@ -0,0 +1,69 @@
+/*
+ * Price store tests
+ * -----------------
+ * Reading prices.json (utils/priceStore.js): files written before bidding
+ * zones and missing-slot markers existed must still load. Fixtures are
+ * written to a temporary directory, never to the real price cache.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPriceStore, normalizeZone, slotPrices, isMissingSlot, missingSlot } = require('../utils/priceStore');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/*
+ * writeStore(contents)
+ * --------------------
+ * Write `contents` as JSON to a fresh temporary file and return its path.
+ */
+function writeStore(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-store-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, 'prices.json');
+  fs.writeFileSync(filePath, JSON.stringify(contents));
+  return filePath;
+}
+
+test('loadPriceStore reads a file without zones as Finnish prices', () => {
+  const today = [{ time: '2026-01-01T00:00:00.000Z', price: 5.2 }, { time: '2026-01-01T00:15:00.000Z', price: 4.8 }];
+  const store = loadPriceStore(writeStore({ today, tomorrow: [] }));
+  assert.deepStrictEqual(store, { defaultZone: 'fi', timezone: null, zones: { fi: { today, tomorrow: [] } } });
+});
+
+test('loadPriceStore turns legacy zero-filled gaps into missing slots', () => {
+  const time = '2026-01-01T00:15:00.000Z';
+  const store = loadPriceStore(writeStore({
+    today: [{ time: '2026-01-01T00:00:00.000Z', price: 0, spot: 0, total: 0 }, { time, price: 0 }]
+  }));
+  const slots = store.zones.fi.today;
+  // A 0 with a spot price is a real price; a bare 0 was a gap
+  assert.deepStrictEqual(slotPrices(slots), [0, null]);
+  assert.deepStrictEqual(slots[1], { time, price: null, spot: null, total: null, missing: true });
+  assert.deepStrictEqual(store.zones.fi.tomorrow, []);
+});
+
+test('loadPriceStore keeps zone-keyed files and their default zone', () => {
+  const zones = { ee: { today: [{ time: '2026-01-01T00:00:00.000Z', price: -1.5, spot: -1.5 }], tomorrow: [], meta: { today: { provider: 'elering' } } } };
+  const store = loadPriceStore(writeStore({ defaultZone: 'EE', timezone: 'Europe/Tallinn', zones }));
+  assert.deepStrictEqual(store, { defaultZone: 'ee', timezone: 'Europe/Tallinn', zones });
+});
+
+test('normalizeZone accepts supported zones in any case only', () => {
+  assert.strictEqual(normalizeZone(' LV '), 'lv');
+  assert.strictEqual(normalizeZone('se3'), null);
+  assert.strictEqual(normalizeZone(''), null);
+});
+
+test('slotPrices keeps zero and negative prices and skips missing ones', () => {
+  const time = '2026-01-01T00:00:00.000Z';
+  const slots = [{ time, price: 0 }, { time, price: -2.4 }, missingSlot(time), { time, price: 3, forecast: true }];
+  assert.deepStrictEqual(slots.map(isMissingSlot), [false, false, true, false]);
+  // Forecast slots count only for devices that allow them
+  assert.deepStrictEqual(slotPrices(slots), [0, -2.4, null, null]);
+  assert.deepStrictEqual(slotPrices(slots, { allowForecast: true }), [0, -2.4, null, 3]);
+});
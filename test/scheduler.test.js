@@ -0,0 +1,318 @@
+/*
+ * Scheduling engine golden tests
+ * ------------------------------
+ * Every file in test/golden/ holds a case: `settings`, the named price
+ * curves it runs on (`prices` and optionally `tomorrow`, see
+ * test/fixtures/curves.js) and `expected`, the ON ranges of the device
+ * schedule as 'HH:MM-HH:MM' counted from the first local midnight.
+ * Optional context: `date` (the local day the case starts on, default
+ * 2026-01-01; DST cases name their change day), `nowSlot`, `inputs`,
+ * `deliveredMinutes`, `blocked` (ranges the household power cap leaves no
+ * room in) and `peakTariff` (with `loadKw` as { range: kW }). Each case is checked against every
+ * consumer of shared/scheduler.js: the device payload, the server's
+ * "on now?" answer and the browser chart.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Scheduler = require('../shared/scheduler');
+const Profiles = require('../shared/profiles');
+const { shouldDeviceBeOn } = require('../utils/priceAnalysis');
+const { addDays, localMidnight } = require('../utils/timeSlots');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const curves = require('./fixtures/curves');
+
+/*
+ * slotsOf(ranges, slotCount)
+ * --------------------------
+ * Per-slot values of { 'HH:MM-HH:MM': value } ranges (0 elsewhere). Times
+ * count from the first local midnight, so '24:00' starts the next day.
+ */
+function slotsOf(ranges, slotCount) {
+  const slots = Array(slotCount).fill(0);
+  const slotOf = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return (h * 60 + m) / 15;
+  };
+  Object.entries(ranges).forEach(([range, value]) => {
+    const [from, to] = range.split('-').map(slotOf);
+    slots.fill(value, from, to);
+  });
+  return slots;
+}
+
+/*
+ * loadCase(file)
+ * --------------
+ * Read a golden case and resolve its curves and ranges into per-slot
+ * arrays: prices, tomorrow, slotCount, expected (0/1 string), blocked and
+ * peakTariff.loadKw.
+ */
+function loadCase(file) {
+  const c = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, file), 'utf8'));
+  const prices = curves[c.prices];
+  const tomorrow = c.tomorrow ? curves[c.tomorrow] : undefined;
+  assert.ok(prices && (!c.tomorrow || tomorrow), `${file}: unknown price curve`);
+  const total = prices.length + (tomorrow ? tomorrow.length : 0);
+  const asRanges = list => Object.fromEntries(list.map(range => [range, 1]));
+  return {
+    ...c,
+    prices,
+    tomorrow,
+    slotCount: prices.length,
+    expected: slotsOf(asRanges(c.expected), total).join(''),
+    blocked: c.blocked ? slotsOf(asRanges(c.blocked), total).join('') : undefined,
+    peakTariff: c.peakTariff ? { ...c.peakTariff, loadKw: slotsOf(c.peakTariff.loadKw || {}, total) } : undefined
+  };
+}
+
+const cases = fs.readdirSync(GOLDEN_DIR)
+  .filter(f => f.endsWith('.json'))
+  .sort()
+  .map(loadCase);
+
+const toBits = schedule => schedule.map(on => (on ? '1' : '0')).join('');
+
+/*
+ * loadChartModule()
+ * -----------------
+ * Evaluate the browser chart script in a sandbox with just enough of a
+ * window for calculateShellyStates() and return window.ChartModule.
+ */
+function loadChartModule() {
+  const window = { Scheduler, Profiles };
+  const context = vm.createContext({
+    window,
+    localStorage: { getItem: () => null, setItem: () => {} },
+    console: { log() {}, warn() {}, error() {} },
+    Date,
+    Intl
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'chart.js'), 'utf8'), context);
+  return window.ChartModule;
+}
+
+// Slot times from local midnight of the case's day in Europe/Helsinki (the
+// default timezone; rolling deadlines and peak-tariff hours read them)
+const TIMEZONE = 'Europe/Helsinki';
+const DEFAULT_DATE = '2026-01-01';
+const slotTimes = (count, date = DEFAULT_DATE) => {
+  const start = localMidnight(date, TIMEZONE);
+  return Array.from({ length: count }, (_, i) => new Date(start + i * 900000).toISOString());
+};
+
+const allPrices = c => c.prices.concat(c.tomorrow || []);
+const blockedSlots = c => (c.blocked ? c.blocked.split('').map(bit => bit === '1') : undefined);
+const caseDate = c => c.date || DEFAULT_DATE;
+const caseDays = c => [{ prices: c.prices, slotCount: c.slotCount, settings: Profiles.effectiveSettings(c.settings, caseDate(c)) }]
+  .concat(c.tomorrow ? [{ prices: c.tomorrow, slotCount: c.tomorrow.length, settings: Profiles.effectiveSettings(c.settings, addDays(caseDate(c), 1)) }] : []);
+const hasProfiles = c => Array.isArray(c.settings.profiles) && c.settings.profiles.length > 0;
+// Rolling, energy-target and next-24-hour threshold schedules are planned
+// from the current slot on
+const isRolling = (c) => {
+  const s = Scheduler.normalizeSettings(c.settings);
+  return s.selectionMode === 'rolling' || s.scheduleMode === 'energy' || (s.thresholdType !== 'absolute' && s.thresholdBasis === 'rolling');
+};
+
+test('golden cases exist', () => {
+  assert.ok(cases.length > 0);
+});
+
+cases.forEach((c) => {
+  const prices = allPrices(c);
+  const nowSlot = c.nowSlot || 0;
+
+  test(`engine: ${c.name}`, () => {
+    assert.strictEqual(c.expected.length, prices.length);
+    const context = {
+      nowSlot,
+      slotTimes: slotTimes(prices.length, caseDate(c)),
+      timezone: TIMEZONE,
+      inputs: c.inputs,
+      deliveredMinutes: c.deliveredMinutes,
+      blockedSlots: blockedSlots(c),
+      peakTariff: c.peakTariff
+    };
+    assert.strictEqual(toBits(Scheduler.planSchedule(caseDays(c), c.settings, context)), c.expected);
+    if (!c.tomorrow && !isRolling(c) && !hasProfiles(c)) {
+      assert.strictEqual(toBits(Scheduler.computeSchedule(c.prices, c.settings, c.slotCount, { inputs: c.inputs, blockedSlots: blockedSlots(c), peakTariff: c.peakTariff })), c.expected);
+    }
+  });
+
+  test(`server current-slot decision: ${c.name}`, () => {
+    const pricesInfo = {
+      combinedData: prices,
+      combinedLabels: slotTimes(prices.length, caseDate(c)),
+      todayCount: c.slotCount,
+      inputs: c.inputs,
+      deliveredMinutes: c.deliveredMinutes,
+      blockedSlots: blockedSlots(c),
+      peakTariff: c.peakTariff
+    };
+    // A manual override without manualState suspends automated control
+    if (Scheduler.manualState(c.settings) === null) {
+      assert.strictEqual(shouldDeviceBeOn(prices[0], c.settings, { ...pricesInfo, currentSlotIndex: 0 }), null);
+      return;
+    }
+    // A rolling schedule is only valid for the slot it was planned at
+    if (isRolling(c)) {
+      assert.strictEqual(shouldDeviceBeOn(prices[nowSlot], c.settings, { ...pricesInfo, currentSlotIndex: nowSlot }) ? '1' : '0', c.expected[nowSlot]);
+      return;
+    }
+    const decisions = prices.map((_, slot) => (shouldDeviceBeOn(prices[slot], c.settings, { ...pricesInfo, currentSlotIndex: slot }) ? '1' : '0'));
+    assert.strictEqual(decisions.join(''), c.expected);
+  });
+
+  test(`chart states: ${c.name}`, () => {
+    const chart = loadChartModule();
+    const pricesInfo = {
+      combinedData: prices,
+      combinedLabels: slotTimes(prices.length, caseDate(c)),
+      combinedForecast: [],
+      currentSlotIndex: nowSlot,
+      todayCount: c.slotCount,
+      inputs: c.inputs,
+      deliveredMinutes: c.deliveredMinutes,
+      blockedSlots: blockedSlots(c),
+      peakTariff: c.peakTariff
+    };
+    const { states } = chart.calculateShellyStates(pricesInfo, c.settings, !!c.settings.manualOverride);
+    const perPeriod = Scheduler.slotsPerPeriod(c.settings.timeFrame);
+    // One state per period, counted from each day's midnight
+    const perDay = (bits) => Array.from({ length: Math.ceil(bits.length / perPeriod) }, (_, p) => bits[p * perPeriod]).join('');
+    const expected = perDay(c.expected.slice(0, c.slotCount)) + perDay(c.expected.slice(c.slotCount));
+    assert.strictEqual(states.join(''), expected);
+  });
+});
+
+test('guardSwitch holds the state for the minimum on/off time', () => {
+  const settings = { minOnMinutes: 30, minOffMinutes: 15 };
+  const min = 60000;
+  let state = Scheduler.guardSwitch(null, true, 0, settings, '2026-01-01');
+  assert.deepStrictEqual(state, { on: true, since: 0, day: '2026-01-01', cycles: 1 });
+  state = Scheduler.guardSwitch(state, false, 20 * min, settings, '2026-01-01');
+  assert.strictEqual(state.on, true);
+  state = Scheduler.guardSwitch(state, false, 30 * min, settings, '2026-01-01');
+  assert.deepStrictEqual(state, { on: false, since: 30 * min, day: '2026-01-01', cycles: 1 });
+  assert.strictEqual(Scheduler.guardSwitch(state, true, 40 * min, settings, '2026-01-01').on, false);
+  assert.strictEqual(Scheduler.guardSwitch(state, true, 45 * min, settings, '2026-01-01').on, true);
+});
+
+test('guardSwitch starts no more ON cycles than maxCyclesPerDay', () => {
+  const settings = { maxCyclesPerDay: 1 };
+  let state = Scheduler.guardSwitch(null, true, 0, settings, '2026-01-01');
+  state = Scheduler.guardSwitch(state, false, 1000, settings, '2026-01-01');
+  assert.strictEqual(Scheduler.guardSwitch(state, true, 2000, settings, '2026-01-01').on, false);
+  // A new local day resets the count
+  assert.strictEqual(Scheduler.guardSwitch(state, true, 2000, settings, '2026-01-02').on, true);
+});
+
+test('validateRules reports the path of invalid nodes', () => {
+  assert.deepStrictEqual(Scheduler.validateRules(undefined), []);
+  assert.deepStrictEqual(Scheduler.validateRules({ type: 'and', rules: [{ type: 'price', cmp: '<', value: 5 }] }), []);
+  assert.deepStrictEqual(Scheduler.validateRules({ type: 'or', rules: [{ type: 'time', from: '25:00', to: '06:00' }, { type: 'bogus' }] }), [
+    'rules.rules[0]: from/to must be HH:MM',
+    'rules.rules[1]: type must be one of ' + Scheduler.RULE_TYPES.join(', ')
+  ]);
+  assert.deepStrictEqual(Scheduler.validateRules({ type: 'not', rule: { type: 'device', device: '2', state: 'maybe' } }), ['rules.rule: state must be on or off']);
+});
+
+test('energyStatus reports a target that cannot be met before the deadline', () => {
+  const settings = { timeFrame: '1hour', scheduleMode: 'energy', ratedPowerKw: 2, energyTargetKwh: 20, energyDeadline: '07:00' };
+  const prices = Array(96).fill(5);
+  const context = { nowSlot: 0, slotTimes: slotTimes(96), timezone: TIMEZONE, deliveredMinutes: 60 };
+  const schedule = Scheduler.planSchedule([{ prices, slotCount: 96 }], settings, context);
+  // Only 00:00-07:00 is left: 7 hours of the 9 still needed
+  assert.deepStrictEqual(Scheduler.energyStatus(schedule, settings, context), {
+    requiredMinutes: 600, deliveredMinutes: 60, plannedMinutes: 420, met: false, windowEnd: 28
+  });
+});
+
+test('zero and negative prices are scheduled, missing slots are not', () => {
+  // Hour 0 has no price, hours 1 and 2 are negative and zero, the rest cost 5
+  const prices = Array.from({ length: 96 }, (_, i) => [null, -3, 0][Math.floor(i / 4)] ?? 5);
+  const schedule = Scheduler.planSchedule([{ prices, slotCount: 96 }], { timeFrame: '1hour', numCheapest: 2 });
+  const onHours = Scheduler.periodStates(schedule, '1hour').map((on, h) => (on ? h : -1)).filter(h => h >= 0);
+  assert.deepStrictEqual(onHours, [1, 2]);
+  assert.strictEqual(shouldDeviceBeOn(-3, { timeFrame: '1hour', numCheapest: 2 }, { combinedData: prices, currentSlotIndex: 4, todayCount: 96 }), true);
+});
+
+test('planHousehold staggers devices under the power limit by priority', () => {
+  const prices = Array.from({ length: 96 }, (_, i) => [1, 2, 3, 4][Math.floor(i / 4)] || 10);
+  const devices = [
+    { id: 'boiler', powerKw: 2, priority: 2, settings: { timeFrame: '1hour', numCheapest: 2 } },
+    { id: 'heater', powerKw: 2, priority: 1, settings: { timeFrame: '1hour', numCheapest: 2 } },
+    { id: 'sensor', powerKw: 0, settings: { timeFrame: '1hour', numCheapest: 1 } }
+  ];
+  const order = [];
+  const plans = Scheduler.planHousehold(devices, 3, (device, blocked) => {
+    order.push(device.id);
+    return { schedule: Scheduler.planSchedule([{ prices, slotCount: 96 }], device.settings, { blockedSlots: blocked }) };
+  });
+  const onHours = id => Scheduler.periodStates(plans[id].schedule, '1hour').map((on, h) => (on ? h : -1)).filter(h => h >= 0);
+  assert.deepStrictEqual(order, ['heater', 'boiler', 'sensor']);
+  assert.deepStrictEqual(onHours('heater'), [0, 1]);
+  assert.deepStrictEqual(onHours('boiler'), [2, 3]);
+  // Devices without a rated power are never blocked
+  assert.deepStrictEqual(onHours('sensor'), [0]);
+});
+
+test('planHousehold charges later devices for the peak the earlier ones plan', () => {
+  const prices = Array.from({ length: 96 }, (_, i) => [1, 2, 3, 4][Math.floor(i / 4)] || 10);
+  const devices = [
+    { id: 'heater', powerKw: 2, priority: 1, settings: { timeFrame: '1hour', numCheapest: 2, ratedPowerKw: 2 } },
+    { id: 'boiler', powerKw: 2, priority: 2, settings: { timeFrame: '1hour', numCheapest: 2, ratedPowerKw: 2 } }
+  ];
+  const plans = Scheduler.planHousehold(devices, 0, (device, blocked, peakTariff) => ({
+    schedule: Scheduler.planSchedule([{ prices, slotCount: 96 }], device.settings, { blockedSlots: blocked, peakTariff })
+  }), { peakKw: 3, centsPerKw: 500 });
+  const onHours = id => Scheduler.periodStates(plans[id].schedule, '1hour').map((on, h) => (on ? h : -1)).filter(h => h >= 0);
+  // The heater stays under this month's 3 kW peak; the boiler on top would raise it to 4 kW
+  assert.deepStrictEqual(onHours('heater'), [0, 1]);
+  assert.deepStrictEqual(onHours('boiler'), [2, 3]);
+});
+
+test('scheduleViolations lists the constraints a day schedule breaks', () => {
+  const settings = { minDailyOnMinutes: 120, maxOffMinutes: 600, minOnMinutes: 60, maxCyclesPerDay: 1, forbiddenWindows: [{ from: '00:00', to: '01:00' }] };
+  // ON 00:00-00:30 and 12:00-13:00, off in between and until midnight
+  const schedule = Array.from({ length: 96 }, (_, i) => i < 2 || (i >= 48 && i < 52));
+  assert.deepStrictEqual(Scheduler.scheduleViolations(schedule, settings), [
+    'forbiddenWindows: on 30 min in forbidden windows',
+    'minDailyOnMinutes: on 90 of 120 min',
+    'maxOffMinutes: off for 690 of at most 600 min',
+    'minOnMinutes: 1 runs shorter than 60 min',
+    'maxCyclesPerDay: 2 of at most 1 cycles'
+  ]);
+  assert.deepStrictEqual(Scheduler.scheduleViolations(schedule, {}), []);
+});
+
+test('scheduleViolations does not count a run carried over from the day before', () => {
+  const settings = { minOnMinutes: 60, maxCyclesPerDay: 1 };
+  // ON 00:00-00:30 (the end of a run that started the evening before) and 12:00-13:00
+  const schedule = Array.from({ length: 96 }, (_, i) => i < 2 || (i >= 48 && i < 52));
+  assert.deepStrictEqual(Scheduler.scheduleViolations(schedule, settings, { previousOn: true }), []);
+  assert.deepStrictEqual(Scheduler.scheduleViolations(schedule, settings, { previousOn: false }), [
+    'minOnMinutes: 1 runs shorter than 60 min',
+    'maxCyclesPerDay: 2 of at most 1 cycles'
+  ]);
+});
+
+test('a timed override forces the slots before manualUntil only', () => {
+  const prices = Array.from({ length: 96 }, (_, i) => (i >= 16 && i < 24 ? 1 : 10));
+  const times = slotTimes(96);
+  const onHours = schedule => Scheduler.periodStates(schedule, '1hour').map((on, h) => (on ? h : -1)).filter(h => h >= 0);
+  const base = { timeFrame: '1hour', numCheapest: 2, manualOverride: true };
+  const plan = settings => Scheduler.planSchedule([{ prices, slotCount: 96 }], settings, { slotTimes: times, timezone: TIMEZONE });
+  // ON until 02:00, then the two cheapest hours 04:00-06:00
+  assert.deepStrictEqual(onHours(plan({ ...base, manualState: 'on', manualUntil: times[8] })), [0, 1, 4, 5]);
+  // OFF until 05:00 keeps the first cheap hour off
+  const off = { ...base, manualState: 'off', manualUntil: Date.parse(times[20]) };
+  assert.deepStrictEqual(onHours(plan(off)), [5]);
+  assert.deepStrictEqual(onHours(Scheduler.computeSchedule(prices, off, 96, { slotTimes: times })), [5]);
+  assert.strictEqual(Scheduler.manualState(off, Date.parse(times[19])), false);
+  assert.strictEqual(Scheduler.manualState(off, Date.parse(times[20])), undefined);
+});
@@ -0,0 +1,108 @@
+/*
+ * Shelly module route tests
+ * -------------------------
+ * HTTP routes of modules/shelly on an app of their own. The runtime config
+ * is replaced by an in-memory one with a single device at a documentation
+ * address (192.0.2.1), and the module is built without its background
+ * jobs, so nothing is sent to real devices and no config.json is needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+
+const id = 'test-device';
+const CONFIG = { shellyDevices: { [id]: { ip: '192.0.2.1', ratedPowerKw: 2 } } };
+
+/*
+ * stubModule(request, exports)
+ * ----------------------------
+ * Make `require(request)` return `exports` from here on.
+ */
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+stubModule('../configLoader', CONFIG);
+stubModule('../config/manager', {
+  loadRuntimeConfig: () => CONFIG,
+  getDevices: () => CONFIG.shellyDevices,
+  getConfigValue: key => CONFIG[key],
+  getServerConfig: () => ({ SERVER_IP: undefined, SERVER_PORT: undefined, videoCameras: {} })
+});
+const createShellyModule = require('../modules/shelly');
+
+// Every device call goes through axios; none may leave the test
+const deviceRequests = [];
+axios.interceptors.request.use((config) => {
+  deviceRequests.push(config.url);
+  throw new Error(`Unexpected device request: ${config.url}`);
+});
+
+const STATE_FILES = ['energy_state.json', 'peak_state.json'].map(name => path.join(__dirname, '..', name));
+
+let server;
+test.before(() => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  app.use(createShellyModule({ background: false }).router);
+  server = app.listen(0, '127.0.0.1', resolve);
+}));
+test.after(() => server.close());
+
+/*
+ * post(route, body)
+ * -----------------
+ * POST `body` as JSON to `route` of the test app; resolves { status, body }.
+ */
+async function post(route, body) {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const readState = () => STATE_FILES.map(file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null));
+
+test('schedule preview rejects invalid settings with 400', async () => {
+  assert.strictEqual((await post('/api/schedule/preview', { id })).status, 400);
+  assert.strictEqual((await post('/api/schedule/preview', { id, settings: 'cheap' })).status, 400);
+  const invalid = await post('/api/schedule/preview', { id, settings: { scheduleMode: 'rules', rules: { type: 'maybe' } } });
+  assert.strictEqual(invalid.status, 400);
+  assert.ok(invalid.body.error);
+});
+
+test('schedule preview of an unknown device is 404', async () => {
+  const res = await post('/api/schedule/preview', { id: `missing-${process.pid}`, settings: { numCheapest: 4 } });
+  assert.strictEqual(res.status, 404);
+});
+
+test('schedule preview plans without recording anything', async () => {
+  const before = readState();
+  const settings = { scheduleMode: 'energy', ratedPowerKw: 2, energyTargetKwh: 4, energyDeadline: '07:00', timeFrame: '15min' };
+  const res = await post('/api/schedule/preview', { id, settings });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.id, id);
+  assert.strictEqual(res.body.schedule.length, res.body.slotTimes.length);
+  assert.strictEqual(res.body.energy.requiredMinutes, 120);
+  assert.deepStrictEqual(readState(), before);
+});
+
+test('backtest rejects bad and too long ranges with 400', async () => {
+  const bad = await post('/api/backtest', { id, from: 'last week', to: '2026-02-01' });
+  assert.strictEqual(bad.status, 400);
+  assert.match(bad.body.error, /from must be a date/);
+  const long = await post('/api/backtest', { id, from: '2024-01-01', to: '2026-02-01' });
+  assert.strictEqual(long.status, 400);
+  assert.match(long.body.error, /Range is limited/);
+});
+
+test('routes send nothing to the device', () => {
+  assert.deepStrictEqual(deviceRequests, []);
+});
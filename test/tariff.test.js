@@ -0,0 +1,55 @@
+/*
+ * Tariff tests
+ * ------------
+ * Total price per kWh from the spot price (utils/tariff.js). Times are
+ * read in Europe/Helsinki (UTC+2 in January).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_TARIFF, validateTariff, computeTotal, applyTariff, peakCentsPerKw } = require('../utils/tariff');
+
+const TIMEZONE = 'Europe/Helsinki';
+const NIGHT = '2026-01-01T02:00:00.000Z'; // 04:00 local
+const DAY = '2026-01-01T10:00:00.000Z'; // 12:00 local
+const tariff = { ...DEFAULT_TARIFF, vatPercent: 25, marginCents: 0.4, transferDayCents: 3, transferNightCents: 1.6, electricityTaxCents: 2 };
+
+test('computeTotal adds VAT on the spot price and the fixed components', () => {
+  assert.strictEqual(computeTotal(8, DAY, tariff, TIMEZONE), (8 + 0.4 + 3 + 2) * 1.25);
+  assert.strictEqual(computeTotal(8, NIGHT, tariff, TIMEZONE), (8 + 0.4 + 1.6 + 2) * 1.25);
+});
+
+test('computeTotal adds no VAT on a negative or zero spot price', () => {
+  assert.strictEqual(computeTotal(-4, DAY, tariff, TIMEZONE), -4 + (0.4 + 3 + 2) * 1.25);
+  assert.strictEqual(computeTotal(0, NIGHT, tariff, TIMEZONE), (0.4 + 1.6 + 2) * 1.25);
+});
+
+test('the default tariff reproduces spot plus 25.5 % VAT', () => {
+  assert.strictEqual(computeTotal(10, DAY, DEFAULT_TARIFF, TIMEZONE), 10 * 1.255);
+  assert.strictEqual(computeTotal(-1, DAY, DEFAULT_TARIFF, TIMEZONE), -1);
+});
+
+test('applyTariff copies the scheduleBasis value to price', () => {
+  const slots = () => [{ time: DAY, spot: 8 }, { time: NIGHT, spot: null, price: null, missing: true }];
+  const total = applyTariff(slots(), tariff, TIMEZONE);
+  assert.strictEqual(total[0].price, total[0].total);
+  assert.deepStrictEqual(total[1], { time: NIGHT, spot: null, price: null, missing: true });
+  const spot = applyTariff(slots(), { ...tariff, scheduleBasis: 'spot' }, TIMEZONE);
+  assert.strictEqual(spot[0].price, 8);
+  assert.strictEqual(spot[0].total, total[0].total);
+});
+
+test('validateTariff merges over the defaults and reports invalid fields', () => {
+  assert.deepStrictEqual(validateTariff({ marginCents: '0.5', dayStartHour: '' }), { tariff: { ...DEFAULT_TARIFF, marginCents: 0.5 }, errors: [] });
+  assert.deepStrictEqual(validateTariff({ vatPercent: 120, dayEndHour: 7.5, scheduleBasis: 'net' }).errors, [
+    'vatPercent must be between 0 and 100',
+    'dayEndHour must be a whole hour between 0 and 24',
+    'scheduleBasis must be one of total, spot'
+  ]);
+});
+
+test('peakCentsPerKw follows the schedule basis', () => {
+  assert.strictEqual(peakCentsPerKw({ ...tariff, peakEurPerKw: 4 }), 500);
+  assert.strictEqual(peakCentsPerKw({ ...tariff, peakEurPerKw: 4, scheduleBasis: 'spot' }), 400);
+  assert.strictEqual(peakCentsPerKw(DEFAULT_TARIFF), 0);
+});
@@ -0,0 +1,47 @@
+/*
+ * Local day tests
+ * ---------------
+ * Day boundaries and 15-minute slot counts in the configured timezone
+ * (utils/timeSlots.js), including the two DST change days.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDayInfo, daySlotTimes, getToday, slotIndexAt, addDays, localDateStr } = require('../utils/timeSlots');
+
+const TZ = 'Europe/Helsinki';
+
+test('a normal day has 96 slots from local midnight', () => {
+  const day = getDayInfo('2026-01-15', TZ);
+  assert.strictEqual(day.slotCount, 96);
+  assert.strictEqual(new Date(day.start).toISOString(), '2026-01-14T22:00:00.000Z');
+  assert.strictEqual(new Date(day.end).toISOString(), '2026-01-15T22:00:00.000Z');
+});
+
+test('DST days have 92 and 100 slots', () => {
+  const spring = getDayInfo('2026-03-29', TZ);
+  assert.strictEqual(spring.slotCount, 92);
+  assert.strictEqual(new Date(spring.start).toISOString(), '2026-03-28T22:00:00.000Z');
+  const autumn = getDayInfo('2026-10-25', TZ);
+  assert.strictEqual(autumn.slotCount, 100);
+  assert.strictEqual(new Date(autumn.end).toISOString(), '2026-10-25T22:00:00.000Z');
+  assert.strictEqual(daySlotTimes('2026-10-25', TZ).length, 100);
+});
+
+test('the first day after a DST change starts at local midnight', () => {
+  assert.strictEqual(new Date(getDayInfo('2026-03-30', TZ).start).toISOString(), '2026-03-29T21:00:00.000Z');
+  assert.strictEqual(new Date(getDayInfo('2026-10-26', TZ).start).toISOString(), '2026-10-25T22:00:00.000Z');
+});
+
+test('getToday and slotIndexAt follow the local day', () => {
+  const now = Date.parse('2026-06-30T21:30:00Z'); // 00:30 on July 1st in Helsinki
+  assert.strictEqual(localDateStr(now, TZ), '2026-07-01');
+  const today = getToday(TZ, now);
+  assert.strictEqual(today.date, '2026-07-01');
+  assert.strictEqual(slotIndexAt(today.start, now), 2);
+});
+
+test('addDays crosses month and year ends', () => {
+  assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+  assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+});
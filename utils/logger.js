@@ -0,0 +1,76 @@
+/*
+ * Logger
+ * ------
+ * Shared winston logger: colored console lines and daily rotated JSON
+ * files under logs/ (app-*.log with every level for 14 days, error-*.log
+ * with warnings and errors for 30 days, plus uncaught exceptions and
+ * rejections). `LOG_LEVEL` sets the level (default info). Under
+ * NODE_ENV=test (npm test) nothing is logged, logs/ is left alone and
+ * uncaught errors are left to the test runner.
+ */
+
+const path = require('path');
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const isTest = process.env.NODE_ENV === 'test';
+
+const timestamp = winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' });
+
+// 2025-11-10 06:00:00 [info]: message {"module":"energyPrices"}
+const consoleFormat = winston.format.combine(
+  winston.format.colorize(),
+  timestamp,
+  winston.format.printf(({ timestamp: time, level, message, ...meta }) => {
+    const rest = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+    return `${time} [${level}]: ${message}${rest}`;
+  })
+);
+
+const fileFormat = winston.format.combine(
+  timestamp,
+  winston.format.errors({ stack: true }),
+  winston.format.json()
+);
+
+/*
+ * rotatingFile(name, level, maxFiles)
+ * -----------------------------------
+ * Daily file transport for logs/<name>-YYYY-MM-DD.log.
+ */
+function rotatingFile(name, level, maxFiles) {
+  return new DailyRotateFile({
+    dirname: LOG_DIR,
+    filename: `${name}-%DATE%.log`,
+    datePattern: 'YYYY-MM-DD',
+    maxSize: '20m',
+    maxFiles,
+    level,
+    format: fileFormat
+  });
+}
+
+const logger = isTest
+  ? winston.createLogger({ silent: true, transports: [new winston.transports.Console()] })
+  : winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    transports: [
+      new winston.transports.Console({ format: consoleFormat }),
+      rotatingFile('app', undefined, '14d'),
+      rotatingFile('error', 'warn', '30d')
+    ],
+    exceptionHandlers: [new winston.transports.File({ filename: path.join(LOG_DIR, 'exceptions.log'), format: fileFormat })],
+    rejectionHandlers: [new winston.transports.File({ filename: path.join(LOG_DIR, 'rejections.log'), format: fileFormat })]
+  });
+
+/*
+ * createChildLogger(module)
+ * -------------------------
+ * Logger that tags every entry with { module }.
+ */
+function createChildLogger(module) {
+  return logger.child({ module });
+}
+
+module.exports = { logger, createChildLogger };
@@ -1,102 +1,73 @@
 /*
  * Price Analysis Utilities
  * ------------------------
- * Helper functions for analyzing energy prices and determining
- * device control decisions based on price thresholds and cheapest slots.
+ * Server-side helpers that answer "should this device be on now?" from a
+ * flattened today+tomorrow price array. The rules themselves live in the
+ * shared scheduling engine (shared/scheduler.js) so these answers always
+ * match the schedule sent to devices and drawn in the UI.
  */
 
-/*
- * calculatePeriodAverage(prices, startIdx, endIdx)
- * -------------------------------------------------
- * Calculate the average price for a given period of slots.
- * Filters out zero/invalid prices and returns Infinity if no valid prices.
- */
-function calculatePeriodAverage(prices, startIdx, endIdx) {
-  const periodPrices = prices.slice(startIdx, endIdx).filter(p => p > 0);
-  return periodPrices.length > 0 ? periodPrices.reduce((sum, p) => sum + p, 0) / periodPrices.length : Infinity;
-}
+const Scheduler = require('../shared/scheduler');
+const { effectiveSettings } = require('../shared/profiles');
+const { getTimezone, localDateStr } = require('./timeSlots');
 
-/*
- * findCheapestSlots(prices, slotsPerPeriod, slotsPerDay, numCheapest, maxPrice)
- * -----------------------------------------------------------------------------
- * Find the cheapest slots within a day based on average prices per period.
- * Returns an array of slot indices that should be ON.
- */
-function findCheapestSlots(prices, slotsPerPeriod, slotsPerDay, numCheapest, maxPrice = Infinity) {
-  const slotPrices = [];
-  for (let i = 0; i < slotsPerDay; i++) {
-    const startIdx = i * slotsPerPeriod;
-    const endIdx = Math.min(startIdx + slotsPerPeriod, prices.length);
-    const avgPrice = calculatePeriodAverage(prices, startIdx, endIdx);
-    slotPrices.push({ price: avgPrice, index: i });
-  }
-
-  return slotPrices
-    .filter(s => s.price < Infinity && s.price <= maxPrice)
-    .sort((a, b) => a.price - b.price)
-    .slice(0, numCheapest)
-    .map(s => s.index);
-}
+const { isKnownPrice } = Scheduler;
 
 /*
  * shouldDeviceBeOn(currentPrice, settings, pricesInfo)
  * ---------------------------------------------------
- * Determine if a device should be ON based on current price and settings.
- * Handles manual overrides, fallback hours, min/max thresholds, and cheapest slots.
+ * Determine if a device should be ON in the slot `pricesInfo.currentSlotIndex`.
+ * Returns true/false, or null when a manual override without an explicit
+ * manualState suspends automated control; a timed override forces the
+ * device only until its `manualUntil`. Without any price data the
+ * device's `fallbackHours` for the current local hour apply. Otherwise the
+ * schedule covers today and tomorrow (`pricesInfo.todayCount` is the number
+ * of slots in today's local day), planned the same way as the device
+ * payload: per day, or across midnight in rolling mode. Each day uses the
+ * device's rule profile active on its local date (shared/profiles.js;
+ * `pricesInfo.holidays` is the holiday calendar); rule trees read the live
+ * readings in `pricesInfo.inputs` (Scheduler.ruleInputs()), energy
+ * targets count `pricesInfo.deliveredMinutes` as already run,
+ * `pricesInfo.blockedSlots` are the slots the household power cap leaves
+ * no room in and `pricesInfo.peakTariff` is the monthly peak-power tariff
+ * (context.peakTariff of the engine).
  */
 function shouldDeviceBeOn(currentPrice, settings, pricesInfo) {
   const { combinedData, currentSlotIndex } = pricesInfo;
 
-  // Handle manual override
-  if (settings.manualOverride) {
-    if (settings.manualState === 'on') {
-      return true;
-    } else if (settings.manualState === 'off') {
-      return false;
-    } else {
-      // manualOverride enabled but no explicit manualState
-      return null; // Skip automated control
-    }
-  }
+  const forced = Scheduler.manualState(settings, Date.now());
+  if (forced !== undefined) return forced;
 
   // Check if we have valid price data
-  if (!combinedData.some(p => p > 0)) {
-    // Use fallback hours
-    const now = new Date();
-    const currentHour = now.getHours();
-    return settings.fallbackHours[currentHour];
+  if (!combinedData.some(isKnownPrice)) {
+    const hour = Scheduler.localHour(Date.now(), getTimezone());
+    return !!(settings.fallbackHours || [])[hour];
   }
 
-  const timeFrame = settings.timeFrame || '15min';
-  const slotsPerPeriod = timeFrame === '1hour' ? 4 : timeFrame === '30min' ? 2 : 1;
-  const currentPeriodIndex = Math.floor(currentSlotIndex / slotsPerPeriod);
-
-  const minPrice = parseFloat(settings.minPrice) || 0;
-  const maxPrice = parseFloat(settings.maxPrice) || Infinity;
-  const numCheapest = parseInt(settings.numCheapest) || 0;
-
-  // Calculate current period average price
-  const startIdx = currentPeriodIndex * slotsPerPeriod;
-  const endIdx = Math.min(startIdx + slotsPerPeriod, combinedData.length);
-  const avgPrice = calculatePeriodAverage(combinedData, startIdx, endIdx);
-
-  // Apply price-based rules
-  if (avgPrice < minPrice) {
-    return true; // Below min price - turn ON
-  } else if (avgPrice > maxPrice) {
-    return false; // Above max price - turn OFF
-  } else if (numCheapest > 0) {
-    // Check if current period is among the cheapest
-    const slotsPerDay = timeFrame === '1hour' ? 24 : timeFrame === '30min' ? 48 : 96;
-    const cheapestSlots = findCheapestSlots(combinedData, slotsPerPeriod, slotsPerDay, numCheapest, maxPrice);
-    return cheapestSlots.includes(currentPeriodIndex);
+  const todayCount = pricesInfo.todayCount || 96;
+  const labels = pricesInfo.combinedLabels || [];
+  const timezone = getTimezone();
+  const daySettings = (slot) => (labels[slot]
+    ? effectiveSettings(settings, localDateStr(new Date(labels[slot]).getTime(), timezone), pricesInfo.holidays)
+    : settings);
+  const days = [{ prices: combinedData.slice(0, todayCount), slotCount: todayCount, settings: daySettings(0) }];
+  const tomorrowPrices = combinedData.slice(todayCount);
+  if (tomorrowPrices.length) {
+    days.push({ prices: tomorrowPrices, slotCount: tomorrowPrices.length, settings: daySettings(todayCount) });
   }
-
-  return false; // Default to OFF
+  const schedule = Scheduler.planSchedule(days, days[0].settings, {
+    nowSlot: currentSlotIndex,
+    slotTimes: pricesInfo.combinedLabels,
+    timezone,
+    inputs: pricesInfo.inputs,
+    deliveredMinutes: pricesInfo.deliveredMinutes,
+    blockedSlots: pricesInfo.blockedSlots,
+    peakTariff: pricesInfo.peakTariff
+  });
+  return !!schedule[currentSlotIndex];
 }
 
 module.exports = {
-  calculatePeriodAverage,
-  findCheapestSlots,
+  isKnownPrice,
   shouldDeviceBeOn
-};
\ No newline at end of file
+};
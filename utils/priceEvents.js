@@ -0,0 +1,48 @@
+/*
+ * Price Events
+ * ------------
+ * In-process event bus for price data changes. `energyPrices.js` emits
+ * PRICES_UPDATED after saving prices.json when at least one zone/day got
+ * different prices than before; consumers (e.g. the Shelly module) react by
+ * recomputing schedules and notifying devices instead of waiting for their
+ * next poll.
+ */
+
+const { EventEmitter } = require('events');
+const { storedDay } = require('./priceStore');
+
+/*
+ * PRICES_UPDATED
+ * --------------
+ * Event name. Listeners receive { changes, timezone } where `changes` is a
+ * list of { zone, day: 'today'|'tomorrow', date, provider } entries.
+ */
+const PRICES_UPDATED = 'pricesUpdated';
+
+const priceEvents = new EventEmitter();
+
+/*
+ * priceChanges(previous, store, days)
+ * -----------------------------------
+ * Compare a freshly built price store with the `previous` one (null when
+ * there was none) and return the `changes` list of PRICES_UPDATED: one
+ * entry per zone and day whose prices or forecast flags differ. `days`
+ * maps 'today'/'tomorrow' to their getDayInfo(); a day is matched by its
+ * date, so yesterday's "tomorrow" is compared with today's new prices.
+ */
+function priceChanges(previous, store, days) {
+  const pricesOf = slots => JSON.stringify(slots.map(s => [s.price, !!s.forecast]));
+  const changes = [];
+  Object.keys(store.zones).forEach((zone) => {
+    Object.keys(days).forEach((key) => {
+      const before = storedDay(previous, zone, days[key]);
+      const after = store.zones[zone][key];
+      if (!before || pricesOf(before.slots) !== pricesOf(after)) {
+        changes.push({ zone, day: key, date: days[key].date, provider: store.zones[zone].meta[key].provider });
+      }
+    });
+  });
+  return changes;
+}
+
+module.exports = { priceEvents, PRICES_UPDATED, priceChanges };
@@ -0,0 +1,152 @@
+/*
+ * Price Quality
+ * -------------
+ * Completeness bookkeeping and optional gap repair for one day of price
+ * slots. Providers sometimes publish partial days; these helpers describe
+ * which slots are missing (recorded in prices.json `meta`) and, when
+ * `priceGapRepair` is configured, fill short gaps so scheduling still has a
+ * price for every slot. Repaired slots are flagged `repaired: true`.
+ */
+
+const { loadRuntimeConfig } = require('../config/manager');
+const { SLOT_MS } = require('./timeSlots');
+const { isMissingSlot } = require('./priceStore');
+
+/*
+ * REPAIR_METHODS
+ * --------------
+ * Supported `priceGapRepair.method` values:
+ * - none: leave gaps missing
+ * - interpolate: straight line between the known prices around the gap
+ * - carry-forward: repeat the last known price (the first known price for
+ *   a gap at the start of the day)
+ */
+const REPAIR_METHODS = ['none', 'interpolate', 'carry-forward'];
+
+/*
+ * DEFAULT_GAP_REPAIR
+ * ------------------
+ * Defaults for `priceGapRepair` in config.json. Gaps longer than
+ * `maxGapMinutes` are always left missing.
+ */
+const DEFAULT_GAP_REPAIR = {
+  method: 'none',
+  maxGapMinutes: 120
+};
+
+/*
+ * getGapRepairConfig(cfg)
+ * -----------------------
+ * Return the configured gap repair options merged over DEFAULT_GAP_REPAIR.
+ * Unknown methods fall back to 'none'.
+ */
+function getGapRepairConfig(cfg = loadRuntimeConfig()) {
+  const gr = { ...DEFAULT_GAP_REPAIR, ...(cfg.priceGapRepair || {}) };
+  if (!REPAIR_METHODS.includes(gr.method)) gr.method = DEFAULT_GAP_REPAIR.method;
+  const maxGap = Number(gr.maxGapMinutes);
+  gr.maxGapMinutes = Number.isFinite(maxGap) && maxGap > 0 ? maxGap : DEFAULT_GAP_REPAIR.maxGapMinutes;
+  return gr;
+}
+
+/*
+ * isRealSlot(slot)
+ * ----------------
+ * True for a slot holding a published price (not missing, forecast or
+ * repaired). A `spot` alone counts so gaps can be found before the tariff
+ * has filled in `price`.
+ */
+function isRealSlot(slot) {
+  if (!slot || slot.forecast || slot.repaired) return false;
+  return !isMissingSlot(slot) || (!slot.missing && typeof slot.spot === 'number');
+}
+
+/*
+ * findGaps(slots)
+ * ---------------
+ * Runs of consecutive slots without a real price, as [{ start, end }]
+ * index pairs (end exclusive).
+ */
+function findGaps(slots) {
+  const gaps = [];
+  let start = -1;
+  slots.forEach((slot, i) => {
+    if (!isRealSlot(slot)) {
+      if (start < 0) start = i;
+    } else if (start >= 0) {
+      gaps.push({ start, end: i });
+      start = -1;
+    }
+  });
+  if (start >= 0) gaps.push({ start, end: slots.length });
+  return gaps;
+}
+
+/*
+ * describeQuality(slots)
+ * ----------------------
+ * Summarize one day: { complete, pricedSlots, missingSlots, repairedSlots,
+ * missingRanges } where `missingRanges` lists [{ from, to }] ISO times
+ * (to exclusive) of every run of slots without a published price,
+ * including repaired ones. Forecast days count as incomplete.
+ */
+function describeQuality(slots) {
+  const list = Array.isArray(slots) ? slots : [];
+  const gaps = findGaps(list);
+  const missingSlots = gaps.reduce((n, g) => n + (g.end - g.start), 0);
+  return {
+    complete: list.length > 0 && missingSlots === 0,
+    pricedSlots: list.length - missingSlots,
+    missingSlots,
+    repairedSlots: list.filter(s => s && s.repaired).length,
+    missingRanges: gaps.map(g => ({
+      from: list[g.start].time,
+      to: new Date(Date.parse(list[g.end - 1].time) + SLOT_MS).toISOString()
+    }))
+  };
+}
+
+/*
+ * repairGaps(slots, options)
+ * --------------------------
+ * Fill gaps of missing slots in place with `spot` estimates using
+ * options.method (see REPAIR_METHODS), skipping gaps longer than
+ * options.maxGapMinutes. Filled slots get `repaired: true`; callers apply
+ * the tariff afterwards. Returns the number of repaired slots.
+ */
+function repairGaps(slots, options = DEFAULT_GAP_REPAIR) {
+  if (!Array.isArray(slots) || options.method === 'none') return 0;
+  const maxSlots = Math.floor((options.maxGapMinutes * 60000) / SLOT_MS);
+  let repaired = 0;
+
+  findGaps(slots).forEach(({ start, end }) => {
+    // Forecast days are estimates already; only fill holes in real data
+    if (slots.slice(start, end).some(s => s && s.forecast)) return;
+    if (end - start > maxSlots) return;
+    const before = start > 0 ? slots[start - 1].spot : null;
+    const after = end < slots.length ? slots[end].spot : null;
+    if (before === null && after === null) return;
+
+    for (let i = start; i < end; i++) {
+      let spot;
+      if (options.method === 'interpolate' && before !== null && after !== null) {
+        const t = (i - start + 1) / (end - start + 1);
+        spot = Math.round((before + (after - before) * t) * 1000) / 1000;
+      } else {
+        spot = before !== null ? before : after;
+      }
+      slots[i] = { time: slots[i].time, spot, repaired: true };
+      repaired++;
+    }
+  });
+
+  return repaired;
+}
+
+module.exports = {
+  REPAIR_METHODS,
+  DEFAULT_GAP_REPAIR,
+  getGapRepairConfig,
+  isRealSlot,
+  describeQuality,
+  repairGaps
+};
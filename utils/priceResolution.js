@@ -0,0 +1,112 @@
+/*
+ * Price Resolution
+ * ----------------
+ * Price sources publish at different native resolutions: Nord Pool moved
+ * to 15-minute products, but older data, some providers and hand-made
+ * files are hourly (or 30-min). These helpers detect the spacing of a
+ * source's points and map them onto the canonical 15-minute slot grid:
+ * coarser points are repeated over every slot they cover, finer points
+ * are averaged into their slot.
+ */
+
+const { SLOT_MS } = require('./timeSlots');
+
+/*
+ * SLOT_MINUTES
+ * ------------
+ * Length of one canonical slot in minutes.
+ */
+const SLOT_MINUTES = SLOT_MS / 60000;
+
+/*
+ * detectResolution(times)
+ * -----------------------
+ * Native resolution in minutes of a series of point start times (epoch
+ * milliseconds, any order). The most common spacing wins so a few gaps in
+ * the data do not change the result. A single point cannot tell its
+ * spacing and is treated as one slot.
+ */
+function detectResolution(times) {
+  const sorted = Array.from(new Set(times)).sort((a, b) => a - b);
+  const counts = new Map();
+  for (let i = 1; i < sorted.length; i++) {
+    const minutes = Math.round((sorted[i] - sorted[i - 1]) / 60000);
+    if (minutes > 0) counts.set(minutes, (counts.get(minutes) || 0) + 1);
+  }
+  let best = SLOT_MINUTES;
+  let bestCount = 0;
+  counts.forEach((count, minutes) => {
+    // Ties go to the finer resolution so gaps never widen a point's span
+    if (count > bestCount || (count === bestCount && minutes < best)) {
+      best = minutes;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/*
+ * toSlotGrid(points, dayInfo)
+ * ---------------------------
+ * Map provider points ([{ timestamp (epoch s), price }]) onto the slots of
+ * the local day described by `dayInfo` (see timeSlots.getDayInfo()).
+ * Returns { values, resolution } where `values` holds one price per slot
+ * (null where no point covers it) and `resolution` is the detected native
+ * resolution in minutes.
+ */
+function toSlotGrid(points, dayInfo) {
+  const values = Array(dayInfo.slotCount).fill(null);
+  const resolution = detectResolution(points.map(p => p.timestamp * 1000));
+  const slotIndex = (p) => Math.floor((p.timestamp * 1000 - dayInfo.start) / SLOT_MS);
+
+  if (resolution >= SLOT_MINUTES) {
+    // Each point covers `span` consecutive slots starting at its own
+    const span = Math.max(1, Math.round(resolution / SLOT_MINUTES));
+    points.forEach((point) => {
+      const first = slotIndex(point);
+      for (let k = 0; k < span; k++) {
+        const idx = first + k;
+        if (idx >= 0 && idx < values.length) values[idx] = point.price;
+      }
+    });
+  } else {
+    // Several points per slot: average them
+    const sums = Array(values.length).fill(0);
+    const counts = Array(values.length).fill(0);
+    points.forEach((point) => {
+      const idx = slotIndex(point);
+      if (idx < 0 || idx >= values.length) return;
+      sums[idx] += point.price;
+      counts[idx]++;
+    });
+    counts.forEach((count, idx) => {
+      if (count > 0) values[idx] = sums[idx] / count;
+    });
+  }
+
+  return { values, resolution };
+}
+
+/*
+ * expandSlots(slots)
+ * ------------------
+ * Bring stored slots ({ time, ... }) that were saved at a coarser
+ * resolution onto the 15-minute grid by repeating each slot for every
+ * 15 minutes it covers. Slots already at 15 minutes (or finer) are
+ * returned unchanged. Returns { slots, resolution }.
+ */
+function expandSlots(slots) {
+  const resolution = detectResolution(slots.map(s => Date.parse(s.time)));
+  if (resolution <= SLOT_MINUTES) return { slots, resolution };
+  const span = Math.round(resolution / SLOT_MINUTES);
+  const expanded = [];
+  slots.forEach((slot) => {
+    const start = Date.parse(slot.time);
+    for (let k = 0; k < span; k++) {
+      expanded.push({ ...slot, time: new Date(start + k * SLOT_MS).toISOString() });
+    }
+  });
+  return { slots: expanded, resolution };
+}
+
+module.exports = { SLOT_MINUTES, detectResolution, toSlotGrid, expandSlots };
@@ -0,0 +1,215 @@
+/*
+ * Price Store
+ * -----------
+ * Centralized access to the zone-keyed `prices.json` cache so the server,
+ * modules and scheduling code do not each parse the file on their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRuntimeConfig, getDevices } = require('../config/manager');
+
+/*
+ * PRICES_PATH
+ * -----------
+ * Location of the price cache written by `energyPrices.js`.
+ */
+const PRICES_PATH = path.join(__dirname, '..', 'prices.json');
+
+/*
+ * SUPPORTED_ZONES
+ * ---------------
+ * Nord Pool bidding zones the price providers can fetch.
+ */
+const SUPPORTED_ZONES = ['fi', 'ee', 'lv', 'lt'];
+
+/*
+ * DEFAULT_ZONE
+ * ------------
+ * Zone used when neither config.json nor the device entry names one.
+ */
+const DEFAULT_ZONE = 'fi';
+
+/*
+ * missingSlot(time)
+ * -----------------
+ * Placeholder for a slot no provider supplied a price for. Prices of 0 and
+ * below are real market prices; only slots flagged `missing` lack data.
+ */
+function missingSlot(time) {
+  return { time, price: null, spot: null, total: null, missing: true };
+}
+
+/*
+ * isMissingSlot(slot)
+ * -------------------
+ * True when a slot carries no usable price.
+ */
+function isMissingSlot(slot) {
+  return !slot || slot.missing === true || typeof slot.price !== 'number';
+}
+
+/*
+ * slotPrices(slots, options)
+ * --------------------------
+ * Flatten slots into the price array scheduling works on, with null for
+ * missing slots. Forecast slots count only when `options.allowForecast`
+ * is set (a per-device setting); otherwise they are treated as missing.
+ */
+function slotPrices(slots, options = {}) {
+  return (slots || []).map((slot) => {
+    if (isMissingSlot(slot)) return null;
+    if (slot.forecast && !options.allowForecast) return null;
+    return slot.price;
+  });
+}
+
+/*
+ * normalizeSlots(slots)
+ * ---------------------
+ * Older files zero-filled gaps ({ time, price: 0 } without `spot`); turn
+ * those into explicit missing slots so a 0 is never mistaken for a price.
+ */
+function normalizeSlots(slots) {
+  if (!Array.isArray(slots)) return [];
+  return slots.map(slot => (slot && !slot.missing && slot.price === 0 && typeof slot.spot !== 'number'
+    ? missingSlot(slot.time)
+    : slot));
+}
+
+/*
+ * normalizeZone(zone)
+ * -------------------
+ * Lower-case and validate a zone code. Returns null for unknown zones so
+ * callers can decide whether to fall back or reject the input.
+ */
+function normalizeZone(zone) {
+  if (!zone || typeof zone !== 'string') return null;
+  const z = zone.trim().toLowerCase();
+  return SUPPORTED_ZONES.includes(z) ? z : null;
+}
+
+/*
+ * getDefaultZone()
+ * ----------------
+ * Return the installation-wide bidding zone from `config.json`
+ * (`priceZone`), falling back to Finland.
+ */
+function getDefaultZone() {
+  const cfg = loadRuntimeConfig();
+  return normalizeZone(cfg.priceZone) || DEFAULT_ZONE;
+}
+
+/*
+ * getDeviceZone(id)
+ * -----------------
+ * Return the bidding zone of a Shelly device. Object-style entries in
+ * `shellyDevices` may carry a `zone` field; string entries (plain IPs) use
+ * the installation default.
+ */
+function getDeviceZone(id) {
+  const entry = getDevices()[id];
+  if (entry && typeof entry === 'object') {
+    const z = normalizeZone(entry.zone);
+    if (z) return z;
+  }
+  return getDefaultZone();
+}
+
+/*
+ * getActiveZones()
+ * ----------------
+ * Zones that need price data: the default zone plus every zone referenced
+ * by a configured device.
+ */
+function getActiveZones() {
+  const zones = new Set([getDefaultZone()]);
+  for (const id of Object.keys(getDevices())) zones.add(getDeviceZone(id));
+  return Array.from(zones);
+}
+
+/*
+ * loadPriceStore(filePath)
+ * ------------------------
+ * Read `prices.json` (or `filePath`) and return it as { defaultZone,
+ * timezone, zones: { <zone>: { today, tomorrow, meta } } }. `timezone`
+ * names the calendar the today/tomorrow days follow (absent in older files,
+ * which used UTC days).
+ * Files written before zones were introduced only contain { today,
+ * tomorrow }; those are treated as Finnish prices. Legacy zero-filled gaps
+ * are returned as missing slots (see normalizeSlots()).
+ */
+function loadPriceStore(filePath = PRICES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const zones = (raw && raw.zones && typeof raw.zones === 'object')
+    ? raw.zones
+    : { [DEFAULT_ZONE]: { today: (raw && raw.today) || [], tomorrow: (raw && raw.tomorrow) || [] } };
+  Object.values(zones).forEach((entry) => {
+    entry.today = normalizeSlots(entry.today);
+    entry.tomorrow = normalizeSlots(entry.tomorrow);
+  });
+  if (raw && raw.zones && typeof raw.zones === 'object') {
+    return { defaultZone: normalizeZone(raw.defaultZone) || getDefaultZone(), timezone: raw.timezone || null, zones };
+  }
+  return { defaultZone: DEFAULT_ZONE, timezone: null, zones };
+}
+
+/*
+ * getZonePrices(zone, store)
+ * --------------------------
+ * Return { today, tomorrow, meta } for a zone. Missing zones yield empty
+ * arrays; `meta` records which provider supplied each day (empty for files
+ * written before providers were tracked). `store` may be passed to avoid
+ * re-reading the file.
+ */
+function getZonePrices(zone, store) {
+  const s = store || loadPriceStore();
+  const entry = s.zones[normalizeZone(zone) || s.defaultZone] || {};
+  return { today: entry.today || [], tomorrow: entry.tomorrow || [], meta: entry.meta || {} };
+}
+
+/*
+ * storedDay(store, zone, dayInfo)
+ * -------------------------------
+ * Return { slots, meta } stored for `zone` that cover the local day
+ * described by `dayInfo` (yesterday's "tomorrow" becomes today's data), or
+ * null when `store` holds no such day.
+ */
+function storedDay(store, zone, dayInfo) {
+  const entry = store && store.zones && store.zones[zone];
+  if (!entry) return null;
+  const firstSlot = new Date(dayInfo.start).toISOString();
+  for (const key of ['today', 'tomorrow']) {
+    const slots = entry[key];
+    if (Array.isArray(slots) && slots.length === dayInfo.slotCount && slots[0].time === firstSlot) {
+      return { slots, meta: (entry.meta && entry.meta[key]) || {} };
+    }
+  }
+  return null;
+}
+
+/*
+ * savePriceStore(store)
+ * ---------------------
+ * Persist the zone-keyed store to `prices.json`.
+ */
+function savePriceStore(store) {
+  fs.writeFileSync(PRICES_PATH, JSON.stringify(store, null, 2));
+}
+
+module.exports = {
+  PRICES_PATH,
+  SUPPORTED_ZONES,
+  missingSlot,
+  isMissingSlot,
+  slotPrices,
+  normalizeSlots,
+  normalizeZone,
+  getDefaultZone,
+  getDeviceZone,
+  getActiveZones,
+  loadPriceStore,
+  getZonePrices,
+  storedDay,
+  savePriceStore
+};
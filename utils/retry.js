@@ -0,0 +1,57 @@
+/*
+ * Retry
+ * -----
+ * Exponential backoff for calls to external services (price providers,
+ * Telegram).
+ */
+
+const { createChildLogger } = require('./logger');
+
+const defaultLogger = createChildLogger('retry');
+
+/*
+ * sleep(ms)
+ * ---------
+ * Utility function for delays in retry logic.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * retryWithBackoff(fn, maxRetries, baseDelay, logger)
+ * ---------------------------------------------------
+ * Retry a function with exponential backoff, logging the attempts to the
+ * caller's child `logger`.
+ */
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, logger = defaultLogger) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      if (attempt === maxRetries) {
+        logger.error('Max retries exceeded', {
+          error: error.message,
+          attempts: maxRetries + 1
+        });
+        break;
+      }
+
+      const delay = baseDelay * Math.pow(2, attempt);
+      logger.warn(`Attempt ${attempt + 1} failed, retrying in ${delay}ms`, {
+        error: error.message,
+        nextAttemptIn: delay
+      });
+
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = { sleep, retryWithBackoff };
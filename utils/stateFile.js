@@ -0,0 +1,43 @@
+/*
+ * State Files
+ * -----------
+ * Small JSON files next to the server (energy_state.json, peak_state.json,
+ * notification_state.json) that keep best-effort bookkeeping across
+ * restarts. Read and write errors are logged, never thrown.
+ */
+
+const fs = require('fs');
+
+/*
+ * createStateFile(filePath, label, fallback)
+ * ------------------------------------------
+ * Return { load, save } for the JSON state at `filePath`. `load()` parses
+ * the file, or returns `fallback()` when it is missing or cannot be
+ * parsed; `save(state)` writes it back. `label` names the state in log
+ * messages (e.g. 'energy state').
+ */
+function createStateFile(filePath, label, fallback = () => ({})) {
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        return JSON.parse(raw || '{}');
+      }
+    } catch (e) {
+      console.error(`Failed to load ${label}:`, e.message);
+    }
+    return fallback();
+  }
+
+  function save(state) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+    } catch (e) {
+      console.error(`Failed to save ${label}:`, e.message);
+    }
+  }
+
+  return { load, save };
+}
+
+module.exports = { createStateFile };
@@ -0,0 +1,197 @@
+/*
+ * Tariff Model
+ * ------------
+ * Turns a raw day-ahead spot price into the price actually paid per kWh:
+ * retailer margin, network transfer fee (separate day/night rates by local
+ * hour), electricity tax and VAT. The tariff lives in config.json as
+ * `tariff` and is editable from the Settings tab.
+ *
+ * All per-kWh amounts are in c/kWh excluding VAT; `vatPercent` is applied on
+ * top. VAT is not added to a negative spot price (nothing is sold), but it
+ * is still charged on the fixed components.
+ *
+ * A power-based network tariff bills `peakEurPerKw` (excl. VAT) per kW of
+ * the month's highest hourly average load; jointly planned devices weigh
+ * it against spot savings (peakState.js, shared/scheduler.js peakCosts()).
+ */
+
+const { loadRuntimeConfig } = require('../config/manager');
+const { loadPriceStore, savePriceStore } = require('./priceStore');
+const { getTimezone, localMinutes } = require('./timeSlots');
+
+/*
+ * DEFAULT_TARIFF
+ * --------------
+ * Defaults reproduce the historic `price / 10 * 1.255` calculation: spot
+ * plus 25.5 % VAT and no other components.
+ */
+const DEFAULT_TARIFF = {
+  vatPercent: 25.5,
+  marginCents: 0,
+  transferDayCents: 0,
+  transferNightCents: 0,
+  dayStartHour: 7,
+  dayEndHour: 22,
+  electricityTaxCents: 0,
+  monthlyFixedFeesEur: 0,
+  peakEurPerKw: 0,
+  scheduleBasis: 'total'
+};
+
+/*
+ * SCHEDULE_BASES
+ * --------------
+ * Values the scheduling rules (minPrice/maxPrice) may compare against:
+ * the raw spot price or the total cost per kWh.
+ */
+const SCHEDULE_BASES = ['total', 'spot'];
+
+/*
+ * validateTariff(input)
+ * ---------------------
+ * Merge `input` over DEFAULT_TARIFF and validate it. Returns
+ * { tariff, errors } where `errors` is an array of messages (empty when
+ * valid). Numeric fields accept numeric strings from form inputs.
+ */
+function validateTariff(input = {}) {
+  const tariff = { ...DEFAULT_TARIFF };
+  const errors = [];
+
+  const numeric = ['vatPercent', 'marginCents', 'transferDayCents', 'transferNightCents',
+    'electricityTaxCents', 'monthlyFixedFeesEur', 'peakEurPerKw', 'dayStartHour', 'dayEndHour'];
+  numeric.forEach((key) => {
+    if (typeof input[key] === 'undefined' || input[key] === '') return;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${key} must be a number`);
+      return;
+    }
+    tariff[key] = value;
+  });
+
+  if (tariff.vatPercent < 0 || tariff.vatPercent > 100) errors.push('vatPercent must be between 0 and 100');
+  if (tariff.peakEurPerKw < 0) errors.push('peakEurPerKw must not be negative');
+  ['dayStartHour', 'dayEndHour'].forEach((key) => {
+    if (!Number.isInteger(tariff[key]) || tariff[key] < 0 || tariff[key] > 24) {
+      errors.push(`${key} must be a whole hour between 0 and 24`);
+    }
+  });
+
+  if (typeof input.scheduleBasis !== 'undefined') {
+    if (!SCHEDULE_BASES.includes(input.scheduleBasis)) {
+      errors.push(`scheduleBasis must be one of ${SCHEDULE_BASES.join(', ')}`);
+    } else {
+      tariff.scheduleBasis = input.scheduleBasis;
+    }
+  }
+
+  return { tariff, errors };
+}
+
+/*
+ * getTariff(cfg)
+ * --------------
+ * Return the configured tariff merged over the defaults. Invalid stored
+ * fields fall back to their defaults.
+ */
+function getTariff(cfg = loadRuntimeConfig()) {
+  const { tariff, errors } = validateTariff(cfg.tariff || {});
+  return errors.length ? { ...DEFAULT_TARIFF, scheduleBasis: tariff.scheduleBasis } : tariff;
+}
+
+/*
+ * isDayRate(time, tariff, timezone)
+ * ---------------------------------
+ * True when the slot starting at `time` falls in the day transfer window
+ * [dayStartHour, dayEndHour) local time.
+ */
+function isDayRate(time, tariff, timezone) {
+  const hour = Math.floor(localMinutes(new Date(time).getTime(), timezone) / 60);
+  return hour >= tariff.dayStartHour && hour < tariff.dayEndHour;
+}
+
+/*
+ * computeTotal(spot, time, tariff, timezone)
+ * ------------------------------------------
+ * Total c/kWh (incl. VAT) paid for energy bought in the slot starting at
+ * `time` when the spot price is `spot` c/kWh (excl. VAT).
+ */
+function computeTotal(spot, time, tariff, timezone) {
+  const vat = 1 + tariff.vatPercent / 100;
+  const transfer = isDayRate(time, tariff, timezone) ? tariff.transferDayCents : tariff.transferNightCents;
+  const fixed = tariff.marginCents + transfer + tariff.electricityTaxCents;
+  const spotWithVat = spot > 0 ? spot * vat : spot;
+  return spotWithVat + fixed * vat;
+}
+
+/*
+ * peakCentsPerKw(tariff)
+ * ----------------------
+ * Cost in cents of raising the monthly peak by 1 kW, on the same basis as
+ * the prices the scheduling rules compare (incl. VAT for `total`). 0 when
+ * the network tariff has no power component.
+ */
+function peakCentsPerKw(tariff = getTariff()) {
+  const vat = tariff.scheduleBasis === 'spot' ? 1 : 1 + tariff.vatPercent / 100;
+  return tariff.peakEurPerKw * 100 * vat;
+}
+
+/*
+ * dailyFixedFeesEur(date, tariff)
+ * -------------------------------
+ * Share of `monthlyFixedFeesEur` (incl. VAT) that falls on local date
+ * 'YYYY-MM-DD': the monthly fees spread evenly over the days of its month.
+ */
+function dailyFixedFeesEur(date, tariff = getTariff()) {
+  const [year, month] = date.split('-').map(Number);
+  const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return tariff.monthlyFixedFeesEur * (1 + tariff.vatPercent / 100) / days;
+}
+
+/*
+ * applyTariff(slots, tariff, timezone)
+ * ------------------------------------
+ * Fill `total` and `price` on slots carrying a raw `spot` value (c/kWh).
+ * `price` is the value the scheduling rules compare against and follows
+ * `tariff.scheduleBasis`. Slots without `spot` are left unchanged.
+ * Returns the same array for chaining.
+ */
+function applyTariff(slots, tariff = getTariff(), timezone = getTimezone()) {
+  (slots || []).forEach((slot) => {
+    if (typeof slot.spot !== 'number') return;
+    slot.total = computeTotal(slot.spot, slot.time, tariff, timezone);
+    slot.price = tariff.scheduleBasis === 'spot' ? slot.spot : slot.total;
+  });
+  return slots;
+}
+
+/*
+ * recomputeStoredPrices()
+ * -----------------------
+ * Re-apply the current tariff to every slot in `prices.json` so a tariff
+ * change takes effect without waiting for the next price fetch.
+ */
+function recomputeStoredPrices() {
+  const store = loadPriceStore();
+  const cfg = loadRuntimeConfig();
+  const tariff = getTariff(cfg);
+  const timezone = getTimezone(cfg);
+  Object.values(store.zones).forEach((entry) => {
+    applyTariff(entry.today, tariff, timezone);
+    applyTariff(entry.tomorrow, tariff, timezone);
+  });
+  savePriceStore(store);
+  return store;
+}
+
+module.exports = {
+  DEFAULT_TARIFF,
+  SCHEDULE_BASES,
+  validateTariff,
+  getTariff,
+  computeTotal,
+  peakCentsPerKw,
+  dailyFixedFeesEur,
+  applyTariff,
+  recomputeStoredPrices
+};
@@ -0,0 +1,180 @@
+/*
+ * Time Slots
+ * ----------
+ * Calendar-day helpers for the 15-minute slot model. A "day" is the local
+ * calendar day in the configured `userPreferences.timezone`, so it starts at
+ * local midnight and holds 96 slots normally, 92 on the spring DST change
+ * and 100 on the autumn one. Only `Intl` is used, no timezone database.
+ */
+
+const { loadRuntimeConfig } = require('../config/manager');
+
+/*
+ * SLOT_MS
+ * -------
+ * Length of one price/schedule slot in milliseconds.
+ */
+const SLOT_MS = 15 * 60 * 1000;
+
+/*
+ * DEFAULT_TIMEZONE
+ * ----------------
+ * Used when config.json has no `userPreferences.timezone`.
+ */
+const DEFAULT_TIMEZONE = 'Europe/Helsinki';
+
+/*
+ * getTimezone(cfg)
+ * ----------------
+ * Return the IANA time zone that defines the household's calendar day.
+ */
+function getTimezone(cfg = loadRuntimeConfig()) {
+  return (cfg.userPreferences && cfg.userPreferences.timezone) || DEFAULT_TIMEZONE;
+}
+
+/*
+ * localParts(ms, timezone)
+ * ------------------------
+ * Break an epoch timestamp into local { year, month, day, hour, minute,
+ * second } numbers for the given zone.
+ */
+function localParts(ms, timezone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = {};
+  fmt.formatToParts(new Date(ms)).forEach((p) => {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  });
+  return parts;
+}
+
+/*
+ * utcOffsetMinutes(ms, timezone)
+ * ------------------------------
+ * Offset of local time from UTC at instant `ms`, in minutes (e.g. 120 for
+ * EET, 180 for EEST).
+ */
+function utcOffsetMinutes(ms, timezone) {
+  const p = localParts(ms, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - (ms - (ms % 1000))) / 60000);
+}
+
+/*
+ * localDateStr(ms, timezone)
+ * --------------------------
+ * Local calendar date (YYYY-MM-DD) of instant `ms`.
+ */
+function localDateStr(ms, timezone) {
+  const p = localParts(ms, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/*
+ * localMinutes(ms, timezone)
+ * --------------------------
+ * Minutes since local midnight (0-1439) of instant `ms`.
+ */
+function localMinutes(ms, timezone) {
+  const p = localParts(ms, timezone);
+  return p.hour * 60 + p.minute;
+}
+
+/*
+ * weekdayOf(dateStr)
+ * ------------------
+ * Day of week (0 = Sunday) of a YYYY-MM-DD calendar date.
+ */
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/*
+ * addDays(dateStr, n)
+ * -------------------
+ * Shift a YYYY-MM-DD date by `n` calendar days.
+ */
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+/*
+ * localMidnight(dateStr, timezone)
+ * --------------------------------
+ * Epoch milliseconds of 00:00 local time on `dateStr`. The offset is
+ * re-evaluated once at the first guess so days starting right after a DST
+ * change resolve correctly.
+ */
+function localMidnight(dateStr, timezone) {
+  const base = Date.parse(`${dateStr}T00:00:00Z`);
+  const guess = base - utcOffsetMinutes(base, timezone) * 60000;
+  return base - utcOffsetMinutes(guess, timezone) * 60000;
+}
+
+/*
+ * getDayInfo(dateStr, timezone)
+ * -----------------------------
+ * Describe one local day: { date, start, end, slotCount } with start/end
+ * as epoch milliseconds (end exclusive).
+ */
+function getDayInfo(dateStr, timezone = getTimezone()) {
+  const start = localMidnight(dateStr, timezone);
+  const end = localMidnight(addDays(dateStr, 1), timezone);
+  return { date: dateStr, start, end, slotCount: Math.round((end - start) / SLOT_MS) };
+}
+
+/*
+ * daySlotTimes(dateStr, timezone)
+ * -------------------------------
+ * ISO start times (UTC) of every 15-minute slot of a local day.
+ */
+function daySlotTimes(dateStr, timezone = getTimezone()) {
+  const { start, slotCount } = getDayInfo(dateStr, timezone);
+  return Array.from({ length: slotCount }, (_, i) => new Date(start + i * SLOT_MS).toISOString());
+}
+
+/*
+ * getToday(timezone, now)
+ * -----------------------
+ * getDayInfo() for the local day containing `now` (default: current time).
+ */
+function getToday(timezone = getTimezone(), now = Date.now()) {
+  return getDayInfo(localDateStr(now, timezone), timezone);
+}
+
+/*
+ * slotIndexAt(dayStart, now)
+ * --------------------------
+ * Index of the slot containing `now` counted from `dayStart` (both epoch
+ * milliseconds). May be negative or past the end of the day; callers
+ * bounds-check against their slot array.
+ */
+function slotIndexAt(dayStart, now = Date.now()) {
+  return Math.floor((now - dayStart) / SLOT_MS);
+}
+
+module.exports = {
+  SLOT_MS,
+  DEFAULT_TIMEZONE,
+  getTimezone,
+  utcOffsetMinutes,
+  localDateStr,
+  localMinutes,
+  weekdayOf,
+  addDays,
+  localMidnight,
+  getDayInfo,
+  daySlotTimes,
+  getToday,
+  slotIndexAt
+};